@@ -1,33 +1,113 @@
 // 使用 ES 模組語法，Netlify Functions 支援
 import fetch from 'node-fetch';
+import { validateModelOutput } from './lib/schemaValidation';
+import { getExtractionTemplate } from './lib/extractionTemplates';
+import { verifyIdToken, getBearerToken, AuthError } from './lib/firebaseAuth';
+import { getUsageStore, getSecondsUntilReset, USAGE_LIMITS } from './lib/usageStore';
 
 // API 金鑰從環境變數讀取，確保安全
 const apiKey = process.env.GEMINI_API_KEY;
+// 使用的 Gemini 模型，可由環境變數覆寫
+const model = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+// 驗證 ID Token 的 Firebase 專案
+const firebaseProjectId = process.env.FIREBASE_PROJECT_ID || 'barcodepricing-00898';
+// 影像解碼後的大小上限（位元組）；前端前處理後通常在 350 KB 以內
+const maxImageBytes = parseInt(process.env.OCR_MAX_IMAGE_BYTES, 10) || 1024 * 1024;
+// 原始請求內容的上限：base64 膨脹 4/3 倍，再保留 JSON 欄位的空間
+const maxBodyLength = Math.ceil(maxImageBytes * 4 / 3) + 4096;
+// 設定頁顯示的用量天數
+const USAGE_HISTORY_DAYS = 7;
+
+const jsonResponse = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+// 驗證呼叫者；失敗時回傳 401 回應
+const authenticate = async (event) => {
+  try {
+    const user = await verifyIdToken(getBearerToken(event.headers), firebaseProjectId);
+    return { user };
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return { response: jsonResponse(401, { error: `未授權：${error.message}` }) };
+    }
+    throw error;
+  }
+};
+
+// base64 字串解碼後的位元組數
+const getBase64Bytes = (base64) => Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
 
 // Netlify Function 的主要處理函數
 exports.handler = async (event, context) => {
-  // 只允許 POST 請求
-  if (event.httpMethod !== 'POST') {
+  // POST 進行辨識，GET 查詢呼叫者的用量
+  if (event.httpMethod !== 'POST' && event.httpMethod !== 'GET') {
     return {
       statusCode: 405,
       body: JSON.stringify({ error: 'Method Not Allowed' }),
     };
   }
 
+  // 解析前先擋下過大的請求，避免浪費記憶體
+  if (event.httpMethod === 'POST' && (event.body || '').length > maxBodyLength) {
+    return jsonResponse(413, { error: `影像過大，上限為 ${Math.round(maxImageBytes / 1024)} KB` });
+  }
+
   try {
-    // 從前端請求中解析出資料，包含 responseSchema
-    const { systemPrompt, userPrompt, base64Image, responseSchema } = JSON.parse(event.body);
+    const { user, response: authFailure } = await authenticate(event);
+    if (authFailure) {
+      return authFailure;
+    }
+    const usageStore = getUsageStore();
+
+    if (event.httpMethod === 'GET') {
+      const days = await usageStore.getUsage(user.uid, USAGE_HISTORY_DAYS);
+      return jsonResponse(200, { days, limits: USAGE_LIMITS });
+    }
+
+    // 前端只能指定模板 ID 與影像，提示詞與 responseSchema 由伺服器端模板決定
+    const { templateId, base64Image } = JSON.parse(event.body);
 
     // 驗證收到的資料
-    if (!systemPrompt || !userPrompt || !base64Image || !responseSchema) {
+    if (!templateId || !base64Image) {
       return {
         statusCode: 400,
-        body: JSON.stringify({ error: 'Missing required fields: systemPrompt, userPrompt, base64Image, or responseSchema' }),
+        body: JSON.stringify({ error: 'Missing required fields: templateId or base64Image' }),
       };
     }
-    
+    const template = getExtractionTemplate(templateId);
+    if (!template) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `Unknown templateId: ${templateId}` }),
+      };
+    }
+    const imageBytes = getBase64Bytes(base64Image);
+    if (imageBytes > maxImageBytes) {
+      return jsonResponse(413, { error: `影像過大，上限為 ${Math.round(maxImageBytes / 1024)} KB` });
+    }
+
+    // 預留當日額度；使用者或全域額度用完時回傳 429，並告知何時重置
+    const usage = await usageStore.reserve(user.uid, { templateId, bytes: imageBytes });
+    if (!usage.allowed) {
+      const retryAfter = getSecondsUntilReset();
+      console.warn(`Quota exceeded (${usage.blockedBy}) for user ${user.uid}`);
+      return jsonResponse(429, {
+        error: usage.blockedBy === 'user'
+          ? `今日 AI 辨識次數已達上限（${usage.user.limit} 次），請明天再試`
+          : '今日 AI 辨識服務的總用量已達上限，請明天再試',
+        scope: usage.blockedBy,
+        usage: { user: usage.user, global: usage.global },
+        retryAfter,
+      }, { 'Retry-After': String(retryAfter) });
+    }
+
+    const { systemPrompt, userPrompt, responseSchema } = template;
+
     // Google Gemini API 的端點
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
 
     // 構建與 Google API 規格相符的 payload
     const payload = {
@@ -47,7 +127,6 @@ exports.handler = async (event, context) => {
       generationConfig: {
         temperature: 0.1,
         responseMimeType: "application/json",
-        // 使用從前端傳來的 responseSchema
         responseSchema: responseSchema
       }
     };
@@ -69,11 +148,31 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // 將 Google API 的成功回應直接傳回給前端
+    // 取出模型輸出的 JSON
     const data = await response.json();
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      return {
+        statusCode: 502,
+        body: JSON.stringify({ error: 'AI 無法生成有效內容。' }),
+      };
+    }
+    let modelOutput;
+    try {
+      modelOutput = JSON.parse(text);
+    } catch (parseError) {
+      console.error('JSON Parse Error:', text, parseError);
+      return {
+        statusCode: 502,
+        body: JSON.stringify({ error: 'AI 輸出格式錯誤，無法解析 JSON。' }),
+      };
+    }
+
+    // 依 responseSchema 驗證並正規化後再傳回前端，附上被修正或無法使用的欄位與產生結果的模板版本
+    const { data: result, warnings } = validateModelOutput(modelOutput, responseSchema);
     return {
       statusCode: 200,
-      body: JSON.stringify(data),
+      body: JSON.stringify({ data: result, warnings, template: { id: template.id, version: template.version }, model, usage: usage.user }),
     };
 
   } catch (error) {
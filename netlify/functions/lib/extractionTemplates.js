@@ -0,0 +1,150 @@
+// 伺服器端的 AI 擷取模板
+// 前端只傳送 templateId 與影像，提示詞與 responseSchema 由這裡統一維護。
+// 修改提示詞或 schema 時必須遞增 version，讓每一筆辨識結果都能追溯是哪一版模板產生的。
+
+// 單一欄位的辨識信心度
+const CONFIDENCE_SCORE = { type: "NUMBER", minimum: 0, maximum: 1 };
+
+const SHELF_LABEL_TEMPLATE = {
+  id: 'shelfLabel',
+  version: 2,
+  name: '貨架價格標籤',
+  userPrompt: "請根據圖片中的條碼、標價、產品名稱、規格（質量/容量/數量）、商店名稱和折扣資訊，以嚴格的 JSON 格式輸出結構化數據。請特別注意計算產品的總容量/總質量。如果圖像中顯示了原價和特價，請分別標註。",
+  systemPrompt: `
+你是一個專業的價格數據分析助理。你的任務是從圖像中識別產品條碼、產品名稱、標價、完整的容量/質量/數量資訊、商店名稱和折扣細節，並將其格式化為嚴格的 JSON 輸出。
+**計算規則（重要）：**
+1. 標價 (listedPrice) 必須是純數字。
+2. 總容量 (totalCapacity) 必須是純數字。
+3. 如果產品標示為「X 克 Y 入」，**必須**計算總質量： totalCapacity = X * Y。例如：「18克10入」-> 180。
+4. 如果產品標示為「X 毫升 Y 瓶」，**必須**計算總容量： totalCapacity = X * Y。
+5. 如果產品標示為「Z 個」，則 totalCapacity = Z。
+6. 基礎單位 (baseUnit) 必須是 'g', 'ml', 或 'pcs' 之一。質量請用 'g'。
+7. 如果圖像中同時顯示原價和特價：
+   - originalPrice 應包含原價數值
+   - specialPrice 應包含特價數值
+   - listedPrice 應包含特價數值（因為這是消費者實際支付的價格）
+8. 如果圖像中只顯示一個價格：
+   - listedPrice 應包含該價格數值
+   - originalPrice 和 specialPrice 應為空
+9. confidence 為每個欄位的辨識信心度（0 到 1 之間的數字）：文字清晰且完整可見時接近 1；字跡模糊、被遮擋、需要推測或計算時請降低；欄位不存在時為 0。
+請勿輸出任何 JSON 以外的文字、註釋或說明。
+`,
+  responseSchema: {
+    type: "OBJECT",
+    properties: {
+      scannedBarcode: { type: "STRING", description: "影像中找到的 EAN, UPC 或其他產品條碼數字，如果不可見則為空字串。" },
+      productName: { type: "STRING", description: "產品名稱，例如：家庭號牛奶" },
+      originalPrice: { type: "NUMBER", description: "產品的原價（純數字，例如 59），如果沒有原價則為空。" },
+      specialPrice: { type: "NUMBER", description: "產品的特價（純數字，例如 39），如果沒有特價則為空。" },
+      listedPrice: { type: "NUMBER", description: "產品標價（純數字，例如 59），如果沒有單一標價則為空。當有特價時，listedPrice 應為特價；當無特價時，listedPrice 應為原價。" },
+      totalCapacity: { type: "NUMBER", description: "產品的總容量/總質量/總數量（純數字）。例如：若產品是 '18克10入'，則總容量是 180；若產品是 '2000ml'，則總容量是 2000。" },
+      baseUnit: { type: "STRING", format: "enum", enum: ["g", "ml", "pcs"], description: "用於計算單價的基礎單位。僅使用 'g' (克), 'ml' (毫升), 或 'pcs' (個/入)。如果是質量，請統一使用 'g'。" },
+      storeName: { type: "STRING", description: "價目標籤或收據所示的商店名稱。如果不可見則為空字串。" },
+      discountDetails: { type: "STRING", description: "發現的任何促銷或折扣的詳細描述（例如：'買一送一', '第二件半價', '有效期限 2026/01/01'）。如果沒有折扣則為空字串。" },
+      confidence: {
+        type: "OBJECT",
+        description: "各欄位的辨識信心度（0 到 1）。",
+        properties: {
+          scannedBarcode: CONFIDENCE_SCORE,
+          productName: CONFIDENCE_SCORE,
+          originalPrice: CONFIDENCE_SCORE,
+          specialPrice: CONFIDENCE_SCORE,
+          listedPrice: CONFIDENCE_SCORE,
+          totalCapacity: CONFIDENCE_SCORE,
+          baseUnit: CONFIDENCE_SCORE,
+          storeName: CONFIDENCE_SCORE,
+          discountDetails: CONFIDENCE_SCORE
+        },
+        propertyOrdering: ["scannedBarcode", "productName", "originalPrice", "specialPrice", "listedPrice", "totalCapacity", "baseUnit", "storeName", "discountDetails"]
+      }
+    },
+    propertyOrdering: ["scannedBarcode", "productName", "originalPrice", "specialPrice", "listedPrice", "totalCapacity", "baseUnit", "storeName", "discountDetails", "confidence"]
+  }
+};
+
+const RECEIPT_TEMPLATE = {
+  id: 'receipt',
+  version: 1,
+  name: '購物收據',
+  userPrompt: "請辨識這張收據的商店名稱、消費日期、每一個購買品項（品名、數量、單價、小計、折扣）以及總金額，以嚴格的 JSON 格式輸出。",
+  systemPrompt: `
+你是一個專業的收據數據分析助理。你的任務是從收據影像中逐行擷取購買品項，並將其格式化為嚴格的 JSON 輸出。
+**擷取規則（重要）：**
+1. storeName 為收據抬頭的商店或分店名稱；purchaseDate 使用 YYYY-MM-DD 格式（民國年請換算為西元年）。
+2. items 依收據順序列出每一個商品品項，不要包含小計、稅額、找零、付款方式或會員點數等非商品行。
+3. 每個品項的 quantity 為購買件數（預設 1），unitPrice 為單件價格，totalPrice 為該行實付金額，皆為純數字。
+4. 若品項下方有折扣行（例如「折價 -10」），請將折扣金額以正數填入該品項的 discount，並在 discountDetails 記錄原文。
+5. 若品名中包含規格（例如「鮮乳 936ml」），請保留在 name 中。
+6. totalAmount 為收據的應付總金額（純數字）。
+請勿輸出任何 JSON 以外的文字、註釋或說明。
+`,
+  responseSchema: {
+    type: "OBJECT",
+    properties: {
+      storeName: { type: "STRING", description: "收據上的商店名稱，如果不可見則為空字串。" },
+      purchaseDate: { type: "STRING", description: "消費日期 (YYYY-MM-DD)，如果不可見則為空字串。" },
+      items: {
+        type: "ARRAY",
+        description: "收據上的商品品項。",
+        items: {
+          type: "OBJECT",
+          properties: {
+            name: { type: "STRING", description: "收據上的品名（含規格）。" },
+            barcode: { type: "STRING", description: "品項的條碼或商品編號，如果沒有則為空字串。" },
+            quantity: { type: "NUMBER", description: "購買件數。" },
+            unitPrice: { type: "NUMBER", description: "單件價格。" },
+            totalPrice: { type: "NUMBER", description: "該行實付金額。" },
+            discount: { type: "NUMBER", description: "該品項的折扣金額（正數），沒有則為空。" },
+            discountDetails: { type: "STRING", description: "折扣行的原文，沒有則為空字串。" }
+          },
+          propertyOrdering: ["name", "barcode", "quantity", "unitPrice", "totalPrice", "discount", "discountDetails"]
+        }
+      },
+      totalAmount: { type: "NUMBER", description: "收據應付總金額。" }
+    },
+    propertyOrdering: ["storeName", "purchaseDate", "items", "totalAmount"]
+  }
+};
+
+const PRODUCT_PACKAGE_TEMPLATE = {
+  id: 'productPackage',
+  version: 1,
+  name: '商品包裝',
+  userPrompt: "請根據商品包裝上的資訊，辨識條碼、產品名稱、品牌與淨含量（質量/容量/數量），以嚴格的 JSON 格式輸出。",
+  systemPrompt: `
+你是一個專業的商品資料分析助理。你的任務是從商品包裝影像中識別條碼、產品名稱、品牌與淨含量，並將其格式化為嚴格的 JSON 輸出。
+**計算規則（重要）：**
+1. 總容量 (totalCapacity) 必須是純數字。
+2. 如果包裝標示為「X 克 × Y 入」，**必須**計算總質量： totalCapacity = X * Y。
+3. 基礎單位 (baseUnit) 必須是 'g', 'ml', 或 'pcs' 之一。質量請用 'g'。
+4. 包裝上通常沒有售價，請勿猜測價格。
+請勿輸出任何 JSON 以外的文字、註釋或說明。
+`,
+  responseSchema: {
+    type: "OBJECT",
+    properties: {
+      scannedBarcode: { type: "STRING", description: "包裝上的 EAN, UPC 條碼數字，如果不可見則為空字串。" },
+      productName: { type: "STRING", description: "產品名稱（含口味或規格）。" },
+      brand: { type: "STRING", description: "品牌名稱，如果不可見則為空字串。" },
+      totalCapacity: { type: "NUMBER", description: "淨含量的總量（純數字）。" },
+      baseUnit: { type: "STRING", format: "enum", enum: ["g", "ml", "pcs"], description: "淨含量的基礎單位：'g'、'ml' 或 'pcs'。" }
+    },
+    propertyOrdering: ["scannedBarcode", "productName", "brand", "totalCapacity", "baseUnit"]
+  }
+};
+
+export const EXTRACTION_TEMPLATES = {
+  [SHELF_LABEL_TEMPLATE.id]: SHELF_LABEL_TEMPLATE,
+  [RECEIPT_TEMPLATE.id]: RECEIPT_TEMPLATE,
+  [PRODUCT_PACKAGE_TEMPLATE.id]: PRODUCT_PACKAGE_TEMPLATE
+};
+
+/**
+ * 取得擷取模板
+ * 只接受 EXTRACTION_TEMPLATES 自有的鍵，"constructor"、"__proto__" 等繼承屬性視為找不到
+ * @param {string} templateId - 模板 ID
+ * @returns {Object|null} 模板，找不到時為 null
+ */
+export const getExtractionTemplate = (templateId) => (
+  Object.prototype.hasOwnProperty.call(EXTRACTION_TEMPLATES, templateId) ? EXTRACTION_TEMPLATES[templateId] : null
+);
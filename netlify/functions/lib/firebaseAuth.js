@@ -0,0 +1,102 @@
+// 驗證前端送來的 Firebase ID Token
+// 不依賴 firebase-admin：以 Google 公開的 securetoken 憑證驗證 RS256 簽章，並檢查 aud、iss、exp 等欄位。
+// 匿名登入的使用者也有 ID Token，因此每個使用者的額度之外還需要全域額度（見 usageStore.js）。
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+// 容許的時鐘誤差（秒）
+const CLOCK_SKEW_SECONDS = 60;
+
+// 憑證依回應的 Cache-Control max-age 快取，避免每個請求都重新下載
+let certCache = { certs: null, expiresAt: 0 };
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const fetchCerts = async () => {
+  if (certCache.certs && Date.now() < certCache.expiresAt) {
+    return certCache.certs;
+  }
+  const response = await fetch(CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`無法取得 ID Token 驗證憑證：${response.status}`);
+  }
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  certCache = {
+    certs: await response.json(),
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1], 10) : 3600) * 1000
+  };
+  return certCache.certs;
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('ID Token 格式錯誤');
+  }
+};
+
+/**
+ * 從 Authorization 標頭取出 Bearer Token
+ * @param {Object} headers - Netlify event.headers（小寫鍵名）
+ * @returns {string|null} Token，沒有時為 null
+ */
+export const getBearerToken = (headers = {}) => {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * 驗證 Firebase ID Token
+ * @param {string} idToken - 前端 getIdToken() 取得的 Token
+ * @param {string} projectId - Firebase 專案 ID
+ * @returns {Promise<{uid: string, isAnonymous: boolean}>} 使用者
+ * @throws {AuthError} Token 無效或過期
+ */
+export const verifyIdToken = async (idToken, projectId) => {
+  const parts = (idToken || '').split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('缺少或格式錯誤的 ID Token');
+  }
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  if (header.alg !== 'RS256') {
+    throw new AuthError('不支援的簽章演算法');
+  }
+  const certs = await fetchCerts();
+  const cert = certs[header.kid];
+  if (!cert) {
+    throw new AuthError('找不到對應的簽章憑證');
+  }
+  const isValidSignature = crypto
+    .createVerify('RSA-SHA256')
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .verify(cert, Buffer.from(signature, 'base64url'));
+  if (!isValidSignature) {
+    throw new AuthError('ID Token 簽章無效');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new AuthError('ID Token 不屬於此專案');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp < now - CLOCK_SKEW_SECONDS) {
+    throw new AuthError('ID Token 已過期');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat > now + CLOCK_SKEW_SECONDS) {
+    throw new AuthError('ID Token 簽發時間無效');
+  }
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+    throw new AuthError('ID Token 缺少使用者');
+  }
+
+  return { uid: payload.sub, isAnonymous: payload.firebase?.sign_in_provider === 'anonymous' };
+};
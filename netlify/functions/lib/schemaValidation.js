@@ -0,0 +1,245 @@
+// 依 responseSchema 驗證並正規化 Gemini 的輸出
+// 模型偶爾會回傳 "59元"、"1,299" 之類的字串或超出 enum 的值（例如 baseUnit "kg"），
+// 在這裡統一轉型，並以 warnings 陣列記錄每一個被修正或無法使用的欄位，讓前端在填入表單前就能發現。
+// 單位換算與前端共用 src/utils/priceCalculations.js（沒有其他相依），由 Netlify 的 esbuild 打包進函式，見 netlify.toml。
+import { normalizeUnit, getUnitDimension, convertToBaseUnit, DIMENSION_BASE } from '../../../src/utils/priceCalculations';
+
+// warning.code 的種類
+export const WARNING_CODES = {
+  COERCED: 'coerced',             // 型別已轉換（例如 "59元" → 59）
+  INVALID_TYPE: 'invalid_type',   // 無法轉換為要求的型別，已設為 null
+  ENUM_MAPPED: 'enum_mapped',     // 不在 enum 中的值已對應到標準值
+  INVALID_ENUM: 'invalid_enum',   // 不在 enum 中且無法對應，已設為 null
+  MISSING: 'missing',             // 必填欄位缺少
+  UNKNOWN_FIELD: 'unknown_field', // schema 未定義的欄位，已移除
+  OUT_OF_RANGE: 'out_of_range',   // 數值不合理
+  INCONSISTENT: 'inconsistent'    // 欄位之間互相矛盾
+};
+
+// 只是格式修正、不影響資料正確性的警告；其餘警告表示欄位需要使用者確認
+const INFO_CODES = [WARNING_CODES.COERCED, WARNING_CODES.ENUM_MAPPED, WARNING_CODES.UNKNOWN_FIELD];
+
+const buildWarning = (field, code, message, original, value) => ({
+  field,
+  code,
+  severity: INFO_CODES.includes(code) ? 'info' : 'error',
+  message,
+  original,
+  value
+});
+
+// 全形數字與符號轉為半形
+const toHalfWidth = (text) => text.replace(/[！-～]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0));
+
+/**
+ * 從字串中取出數字，例如 "59元"、"NT$1,299"、"＄39.5"
+ * @param {string} text - 字串
+ * @returns {number|null} 數字，找不到時為 null
+ */
+export const parseNumericString = (text) => {
+  const match = toHalfWidth(String(text)).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+const coerceNumber = (value, schema, field, warnings) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() === '') {
+    return null;
+  }
+  const parsed = typeof value === 'string' ? parseNumericString(value) : null;
+  if (parsed === null) {
+    warnings.push(buildWarning(field, WARNING_CODES.INVALID_TYPE, `${field} 不是有效的數字`, value, null));
+    return null;
+  }
+  const result = schema.type === 'INTEGER' ? Math.round(parsed) : parsed;
+  warnings.push(buildWarning(field, WARNING_CODES.COERCED, `${field} 已由 "${value}" 轉換為 ${result}`, value, result));
+  return result;
+};
+
+const coerceString = (value, schema, field, warnings) => {
+  let result = value;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    result = String(value);
+    warnings.push(buildWarning(field, WARNING_CODES.COERCED, `${field} 已轉換為字串`, value, result));
+  } else if (typeof value !== 'string') {
+    warnings.push(buildWarning(field, WARNING_CODES.INVALID_TYPE, `${field} 不是字串`, value, null));
+    return null;
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0 && !schema.enum.includes(result)) {
+    warnings.push(buildWarning(field, WARNING_CODES.INVALID_ENUM, `${field} "${result}" 不在允許的值 (${schema.enum.join(', ')}) 中`, result, null));
+    return null;
+  }
+  return result;
+};
+
+const coerceBoolean = (value, field, warnings) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 'true' || value === 'false') {
+    warnings.push(buildWarning(field, WARNING_CODES.COERCED, `${field} 已轉換為布林值`, value, value === 'true'));
+    return value === 'true';
+  }
+  warnings.push(buildWarning(field, WARNING_CODES.INVALID_TYPE, `${field} 不是布林值`, value, null));
+  return null;
+};
+
+const coerceObject = (value, schema, path, warnings) => {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    warnings.push(buildWarning(path || '(root)', WARNING_CODES.INVALID_TYPE, `${path || '回應'} 不是物件`, value, null));
+    return null;
+  }
+  const properties = schema.properties || {};
+  const result = {};
+  Object.keys(value).forEach(key => {
+    if (!properties[key]) {
+      const field = path ? `${path}.${key}` : key;
+      warnings.push(buildWarning(field, WARNING_CODES.UNKNOWN_FIELD, `${field} 不在 schema 中，已移除`, value[key], undefined));
+    }
+  });
+  Object.entries(properties).forEach(([key, propertySchema]) => {
+    const field = path ? `${path}.${key}` : key;
+    result[key] = coerceValue(value[key], propertySchema, field, warnings);
+  });
+  (schema.required || []).forEach(key => {
+    if (result[key] === null || result[key] === undefined || result[key] === '') {
+      const field = path ? `${path}.${key}` : key;
+      warnings.push(buildWarning(field, WARNING_CODES.MISSING, `缺少必填欄位 ${field}`, value[key], null));
+    }
+  });
+  return result;
+};
+
+/**
+ * 依 schema 驗證並轉換一個值
+ * @param {any} value - 模型輸出的值
+ * @param {Object} schema - Gemini responseSchema（OpenAPI 子集）
+ * @param {string} field - 欄位路徑，用於 warnings
+ * @param {Array<Object>} warnings - 收集警告的陣列
+ * @returns {any} 轉換後的值
+ */
+const coerceValue = (value, schema, field, warnings) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  switch (schema.type) {
+    case 'NUMBER':
+    case 'INTEGER': {
+      const number = coerceNumber(value, schema, field, warnings);
+      if (number !== null && ((schema.minimum !== undefined && number < schema.minimum) || (schema.maximum !== undefined && number > schema.maximum))) {
+        warnings.push(buildWarning(field, WARNING_CODES.OUT_OF_RANGE, `${field} 超出允許範圍`, value, null));
+        return null;
+      }
+      return number;
+    }
+    case 'STRING':
+      return coerceString(value, schema, field, warnings);
+    case 'BOOLEAN':
+      return coerceBoolean(value, field, warnings);
+    case 'ARRAY':
+      if (!Array.isArray(value)) {
+        warnings.push(buildWarning(field, WARNING_CODES.INVALID_TYPE, `${field} 不是陣列`, value, []));
+        return [];
+      }
+      return value.map((item, index) => coerceValue(item, schema.items || {}, `${field}[${index}]`, warnings));
+    case 'OBJECT':
+      return coerceObject(value, schema, field, warnings);
+    default:
+      return value;
+  }
+};
+
+/**
+ * 依 responseSchema 驗證並轉換模型輸出
+ * @param {any} data - 模型輸出（已 JSON.parse）
+ * @param {Object} schema - responseSchema
+ * @returns {{data: any, warnings: Array<Object>}} 轉換結果與警告
+ */
+export const validateAgainstSchema = (data, schema) => {
+  const warnings = [];
+  const result = coerceValue(data, schema, '', warnings);
+  return { data: result, warnings };
+};
+
+/**
+ * 價格標籤欄位的領域檢查與單位正規化
+ * - baseUnit 非 g/ml/pcs 時（例如 kg、L、公斤），將 totalCapacity 換算為基礎單位
+ * - 價格與容量必須為正數，特價不應高於原價
+ * 只處理 schema 中存在的欄位，其他模板（例如收據）不受影響
+ * @param {Object} data - 已依 schema 轉換的資料
+ * @returns {{data: Object, warnings: Array<Object>}} 正規化結果與警告
+ */
+export const normalizePriceTagFields = (data) => {
+  const warnings = [];
+  if (!data || typeof data !== 'object') {
+    return { data, warnings };
+  }
+  const result = { ...data };
+
+  if ('baseUnit' in result && result.baseUnit !== null) {
+    const rawUnit = result.baseUnit;
+    const unit = normalizeUnit(rawUnit);
+    if (!unit) {
+      warnings.push(buildWarning('baseUnit', WARNING_CODES.INVALID_ENUM, `無法辨識單位 "${rawUnit}"`, rawUnit, null));
+      result.baseUnit = null;
+    } else {
+      const baseUnit = DIMENSION_BASE[getUnitDimension(unit)].baseUnit;
+      if (baseUnit !== rawUnit) {
+        const converted = result.totalCapacity ? convertToBaseUnit(result.totalCapacity, unit) : null;
+        const message = converted
+          ? `單位 "${rawUnit}" 已換算為 ${baseUnit}：${result.totalCapacity} → ${converted.baseQuantity}`
+          : `單位 "${rawUnit}" 已對應為 ${baseUnit}`;
+        warnings.push(buildWarning('baseUnit', WARNING_CODES.ENUM_MAPPED, message, rawUnit, baseUnit));
+        result.baseUnit = baseUnit;
+        if (converted) {
+          result.totalCapacity = converted.baseQuantity;
+        }
+      }
+    }
+  }
+
+  // 模型常以 0 表示「沒有原價/特價」，視為未提供
+  ['originalPrice', 'specialPrice'].forEach(field => {
+    if (result[field] === 0) {
+      result[field] = null;
+    }
+  });
+  ['listedPrice', 'originalPrice', 'specialPrice', 'totalCapacity'].forEach(field => {
+    if (field in result && result[field] !== null && result[field] <= 0) {
+      warnings.push(buildWarning(field, WARNING_CODES.OUT_OF_RANGE, `${field} 必須大於 0`, result[field], null));
+      result[field] = null;
+    }
+  });
+
+  if ('listedPrice' in result && result.listedPrice === null) {
+    warnings.push(buildWarning('listedPrice', WARNING_CODES.MISSING, '未辨識到標價', null, null));
+  }
+  if ('totalCapacity' in result && result.totalCapacity === null) {
+    warnings.push(buildWarning('totalCapacity', WARNING_CODES.MISSING, '未辨識到容量/數量', null, null));
+  }
+  if (result.originalPrice && result.specialPrice && result.specialPrice > result.originalPrice) {
+    warnings.push(buildWarning('specialPrice', WARNING_CODES.INCONSISTENT, `特價 ${result.specialPrice} 高於原價 ${result.originalPrice}`, result.specialPrice, result.specialPrice));
+  }
+
+  return { data: result, warnings };
+};
+
+/**
+ * 將模型輸出依 schema 驗證後再做價格標籤正規化
+ * @param {any} data - 模型輸出（已 JSON.parse）
+ * @param {Object} schema - responseSchema
+ * @returns {{data: any, warnings: Array<Object>}} 結果與警告
+ */
+export const validateModelOutput = (data, schema) => {
+  const baseUnitSchema = schema?.properties?.baseUnit;
+  // baseUnit 的 enum 由單位換算處理（需要同時調整 totalCapacity），驗證時先暫時放寬
+  const relaxedSchema = baseUnitSchema && baseUnitSchema.enum
+    ? { ...schema, properties: { ...schema.properties, baseUnit: { ...baseUnitSchema, enum: undefined } } }
+    : schema;
+  const validated = validateAgainstSchema(data, relaxedSchema);
+  const normalized = normalizePriceTagFields(validated.data);
+  return { data: normalized.data, warnings: [...validated.warnings, ...normalized.warnings] };
+};
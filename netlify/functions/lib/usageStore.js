@@ -0,0 +1,225 @@
+// gemini-proxy 的用量紀錄與額度控管
+// 每個請求先預留額度：同時遞增使用者與全域的當日計數，超過上限時退回並回報由哪一個額度擋下。
+// 正式環境以服務帳戶透過 Firestore REST API 寫入 ocrUsage/{uid}/days/{date} 與 ocrUsageGlobal/{date}，
+// 遞增使用 fieldTransforms，多個函式實例同時處理也不會重複計算；未設定服務帳戶時（例如本機 netlify dev）
+// 退回記憶體計數，只在單一實例內有效。
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+
+// 額度與上限，可由環境變數覆寫
+export const USAGE_LIMITS = {
+  userDaily: parseInt(process.env.OCR_USER_DAILY_LIMIT, 10) || 200,
+  globalDaily: parseInt(process.env.OCR_GLOBAL_DAILY_LIMIT, 10) || 2000
+};
+
+// 額度以台灣時間的日期計算
+const TIMEZONE_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const DATASTORE_SCOPE = 'https://www.googleapis.com/auth/datastore';
+
+/**
+ * 取得台灣時間的日期字串
+ * @param {number} timestamp - 毫秒時間戳
+ * @returns {string} YYYY-MM-DD
+ */
+export const getUsageDate = (timestamp = Date.now()) => new Date(timestamp + TIMEZONE_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * 距離額度重置（台灣時間午夜）的秒數，用於 Retry-After
+ * @param {number} timestamp - 毫秒時間戳
+ * @returns {number} 秒數
+ */
+export const getSecondsUntilReset = (timestamp = Date.now()) => {
+  const local = timestamp + TIMEZONE_OFFSET_MS;
+  return Math.ceil((DAY_MS - (local % DAY_MS)) / 1000);
+};
+
+// 最近 N 天的日期，由新到舊
+const getRecentDates = (days) => Array.from({ length: days }, (_, i) => getUsageDate(Date.now() - i * DAY_MS));
+
+const emptyDay = (date) => ({ date, count: 0, bytes: 0, rejected: 0, templates: {} });
+
+// 依遞增後的計數判斷是否超過額度
+const checkLimits = (userCount, globalCount) => {
+  if (userCount > USAGE_LIMITS.userDaily) return 'user';
+  if (globalCount > USAGE_LIMITS.globalDaily) return 'global';
+  return null;
+};
+
+// ---------------- Firestore（正式環境） ----------------
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const createFirestoreUsageStore = (serviceAccount) => {
+  const projectId = serviceAccount.project_id;
+  const documentsPath = `projects/${projectId}/databases/(default)/documents`;
+  const apiBase = `https://firestore.googleapis.com/v1/${documentsPath}`;
+  let accessToken = { value: null, expiresAt: 0 };
+
+  // 以服務帳戶簽發 JWT 換取 OAuth 存取權杖
+  const getAccessToken = async () => {
+    if (accessToken.value && Date.now() < accessToken.expiresAt) {
+      return accessToken.value;
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const claims = base64url(JSON.stringify({
+      iss: serviceAccount.client_email,
+      scope: DATASTORE_SCOPE,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 3600
+    }));
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(serviceAccount.private_key, 'base64url');
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${header}.${claims}.${signature}`
+      }).toString()
+    });
+    if (!response.ok) {
+      throw new Error(`無法取得 Firestore 存取權杖：${response.status}`);
+    }
+    const result = await response.json();
+    accessToken = { value: result.access_token, expiresAt: Date.now() + (result.expires_in - 60) * 1000 };
+    return accessToken.value;
+  };
+
+  const request = async (path, body) => {
+    const response = await fetch(`${apiBase}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await getAccessToken()}` },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Firestore 請求失敗：${response.status} ${errorBody}`);
+    }
+    return response.json();
+  };
+
+  const userDayName = (uid, date) => `${documentsPath}/ocrUsage/${uid}/days/${date}`;
+  const globalDayName = (date) => `${documentsPath}/ocrUsageGlobal/${date}`;
+
+  // 更新文件的識別欄位並套用計數遞增
+  const incrementWrite = (name, fields, increments) => ({
+    update: {
+      name,
+      fields: Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, { stringValue: value }]))
+    },
+    updateMask: { fieldPaths: Object.keys(fields) },
+    updateTransforms: Object.entries(increments).map(([fieldPath, amount]) => ({
+      fieldPath,
+      increment: { integerValue: String(amount) }
+    }))
+  });
+
+  const readInteger = (value) => parseInt(value?.integerValue ?? '0', 10);
+
+  return {
+    async reserve(uid, { templateId, bytes }) {
+      const date = getUsageDate();
+      const templateField = `templates.${templateId}`;
+      const { writeResults } = await request(':commit', {
+        writes: [
+          incrementWrite(userDayName(uid, date), { uid, date }, { count: 1, bytes, [templateField]: 1 }),
+          incrementWrite(globalDayName(date), { date }, { count: 1 })
+        ]
+      });
+      const userCount = readInteger(writeResults[0].transformResults[0]);
+      const globalCount = readInteger(writeResults[1].transformResults[0]);
+      const blockedBy = checkLimits(userCount, globalCount);
+      if (blockedBy) {
+        // 退回預留的額度，只記錄被拒絕的次數
+        await request(':commit', {
+          writes: [
+            incrementWrite(userDayName(uid, date), { uid, date }, { count: -1, bytes: -bytes, [templateField]: -1, rejected: 1 }),
+            incrementWrite(globalDayName(date), { date }, { count: -1 })
+          ]
+        });
+      }
+      return {
+        allowed: !blockedBy,
+        blockedBy,
+        user: { count: blockedBy ? userCount - 1 : userCount, limit: USAGE_LIMITS.userDaily },
+        global: { count: blockedBy ? globalCount - 1 : globalCount, limit: USAGE_LIMITS.globalDaily }
+      };
+    },
+
+    async getUsage(uid, days) {
+      const dates = getRecentDates(days);
+      const results = await request(':batchGet', { documents: dates.map(date => userDayName(uid, date)) });
+      const byName = new Map(results.filter(result => result.found).map(result => [result.found.name, result.found.fields || {}]));
+      return dates.map(date => {
+        const fields = byName.get(userDayName(uid, date));
+        if (!fields) return emptyDay(date);
+        const templates = Object.fromEntries(Object.entries(fields.templates?.mapValue?.fields || {})
+          .map(([templateId, value]) => [templateId, readInteger(value)]));
+        return { date, count: readInteger(fields.count), bytes: readInteger(fields.bytes), rejected: readInteger(fields.rejected), templates };
+      });
+    }
+  };
+};
+
+// ---------------- 記憶體（本機開發） ----------------
+
+const createMemoryUsageStore = () => {
+  const userDays = new Map();
+  const globalDays = new Map();
+
+  const getUserDay = (uid, date) => {
+    const key = `${uid}/${date}`;
+    if (!userDays.has(key)) userDays.set(key, emptyDay(date));
+    return userDays.get(key);
+  };
+
+  return {
+    async reserve(uid, { templateId, bytes }) {
+      const date = getUsageDate();
+      const day = getUserDay(uid, date);
+      const globalCount = (globalDays.get(date) || 0) + 1;
+      const blockedBy = checkLimits(day.count + 1, globalCount);
+      if (blockedBy) {
+        day.rejected += 1;
+      } else {
+        day.count += 1;
+        day.bytes += bytes;
+        day.templates[templateId] = (day.templates[templateId] || 0) + 1;
+        globalDays.set(date, globalCount);
+      }
+      return {
+        allowed: !blockedBy,
+        blockedBy,
+        user: { count: day.count, limit: USAGE_LIMITS.userDaily },
+        global: { count: globalDays.get(date) || 0, limit: USAGE_LIMITS.globalDaily }
+      };
+    },
+
+    async getUsage(uid, days) {
+      return getRecentDates(days).map(date => ({ ...getUserDay(uid, date) }));
+    }
+  };
+};
+
+let usageStore = null;
+
+/**
+ * 取得用量紀錄；FIREBASE_SERVICE_ACCOUNT 為服務帳戶金鑰 JSON
+ * @returns {{reserve: Function, getUsage: Function}} 用量紀錄
+ */
+export const getUsageStore = () => {
+  if (!usageStore) {
+    const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT;
+    if (serviceAccountJson) {
+      usageStore = createFirestoreUsageStore(JSON.parse(serviceAccountJson));
+    } else {
+      console.warn('未設定 FIREBASE_SERVICE_ACCOUNT，用量紀錄僅保存在記憶體中');
+      usageStore = createMemoryUsageStore();
+    }
+  }
+  return usageStore;
+};
@@ -1,8 +1,18 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback, useLayoutEffect } from 'react';
-import { ArrowLeft, Database, TrendingUp, Edit, Trash2, Save, X, CheckCircle, Search, AlertTriangle } from 'lucide-react';
-import { collection, getDocs, query, orderBy, updateDoc, deleteDoc, doc, serverTimestamp } from 'firebase/firestore';
-import { calculateUnitPrice, formatUnitPrice } from './utils/priceCalculations';
+import { ArrowLeft, Database, TrendingUp, Edit, Trash2, Save, X, CheckCircle, Search, AlertTriangle, ChevronDown, ChevronUp, RefreshCw, Filter, Download } from 'lucide-react';
+import { updateDoc, deleteDoc, doc, serverTimestamp } from 'firebase/firestore';
+import { calculateUnitPrice, formatUnitPrice, convertToBaseUnit, getUnitPriceLabel, UNIT_OPTIONS, calculateEffectivePrice, getComparableUnitPrice, PRICE_BASIS } from './utils/priceCalculations';
+import { describeAnomaly, getChainName } from './utils/anomalyDetection';
+import { recomputeProductAggregates, recomputeProductsAggregates } from './utils/productAggregates';
+import { fetchProductsPage, fetchProductRecords, fetchProductsByIds, fetchRecordsPage, fetchProductsByBarcode } from './utils/productCatalog';
+import { getBarcodeProductId } from './utils/productIdentity';
+import { loadRecordsCache, saveRecordsCache, clearRecordsCache, getSyncBaseline, mergeProducts } from './utils/recordsCache';
+import { subscribeProductChanges, subscribeProductHistory } from './utils/liveQueries';
+import { buildExportTable, downloadExport, getExportFileName } from './utils/priceExport';
+import { EMPTY_FILTERS, countActiveFilters, hasRecordFilters, filtersToSearch, filtersFromSearch, getDateRange, matchesRecordFilters, matchesProductFilters, loadSavedViews, saveView, deleteView } from './utils/recordFilters';
 import StoreSelector from './StoreSelector';
+import RecordFilterPanel from './components/RecordFilterPanel';
+import RecordExportDialog from './components/RecordExportDialog';
 import { showUserFriendlyError, handleFirestoreSaveError } from './utils/errorHandler'; // 導入錯誤處理工具
 
 // 圖表組件
@@ -193,14 +203,30 @@ function SwipeableRecord({ children, onEdit, onDelete }) {
 }
 
 
+const toDate = (timestamp) => (timestamp?.toDate ? timestamp.toDate() : new Date(timestamp));
+
+// 產品的最新記錄時間；舊產品的彙總值沒有 latestRecordAt 時以建立時間代替
+const getLatestActivity = (product) => {
+    const timestamp = product.latestRecordAt || product.createdAt;
+    return timestamp ? toDate(timestamp).getTime() : 0;
+};
+
+// 產品文件上依比價基準的最低單價（彙總值只比較主要計量類型且排除未審核的異常價格）
+const getBestUnitPrice = (product, priceBasis) => (
+    priceBasis === PRICE_BASIS.EFFECTIVE ? product.bestEffectiveUnitPrice ?? product.bestUnitPrice : product.bestUnitPrice
+) ?? null;
+
 // 產品記錄組件
-function ProductRecord({ product, records, theme, onEdit, onDelete }) {
-    const formattedRecords = records.map(r => ({ ...r, timestamp: r.timestamp?.toDate ? r.timestamp.toDate() : new Date(r.timestamp) })).sort((a, b) => b.timestamp - a.timestamp);
+// 收合時只顯示產品文件上的彙總值，展開後才讀取並顯示所有價格記錄
+// 篩選價格記錄時（isFiltered）固定展開，只顯示符合條件的記錄
+function ProductRecord({ product, records, isExpanded, isFiltered, isLoadingRecords, onToggle, theme, onEdit, onDelete, priceBasis }) {
+    const formattedRecords = (records || []).map(r => ({ ...r, timestamp: toDate(r.timestamp) })).sort((a, b) => b.timestamp - a.timestamp);
     
-    const latestRecord = formattedRecords[0];
-    if (!latestRecord) return null; // 如果沒有記錄，則不渲染此組件
+    const latestRecord = isExpanded ? formattedRecords[0] : null;
+    const recordCount = records ? records.length : product.recordCount;
+    const bestUnitPrice = getBestUnitPrice(product, priceBasis);
 
-    const validUnitPrices = formattedRecords.map(r => r.unitPrice).filter(p => !isNaN(p) && p !== undefined && p !== null);
+    const validUnitPrices = formattedRecords.map(r => getComparableUnitPrice(r, priceBasis)).filter(p => !isNaN(p) && p !== undefined && p !== null);
     const lowestUnitPrice = validUnitPrices.length > 0 ? Math.min(...validUnitPrices) : 0;
     const highestUnitPrice = validUnitPrices.length > 0 ? Math.max(...validUnitPrices) : 0;
     const avgUnitPrice = validUnitPrices.length > 0 ? validUnitPrices.reduce((sum, p) => sum + p, 0) / validUnitPrices.length : 0;
@@ -213,99 +239,155 @@ function ProductRecord({ product, records, theme, onEdit, onDelete }) {
                     <p className="text-sm text-gray-600">條碼: {product.barcodeData}</p>
                     <p className="text-xs text-gray-500">ID: {product.numericalID}</p>
                 </div>
-                <div className="text-right">
-                    {/* 顯示原價和特價信息 */}
-                    {latestRecord.specialPrice ? (
-                        <div>
-                            {latestRecord.originalPrice && (
-                                <p className="text-lg text-gray-500 line-through">${latestRecord.originalPrice.toFixed(2)}</p>
-                            )}
-                            <p className="text-2xl font-bold text-indigo-600">${latestRecord.specialPrice.toFixed(2)}</p>
-                            <p className="text-xs text-gray-500">@{formatUnitPrice(latestRecord.unitPrice)}</p>
-                        </div>
-                    ) : (
-                        <p className="text-2xl font-bold text-indigo-600">{formatUnitPrice(latestRecord.unitPrice) === '--' ? (isNaN(latestRecord.price) ? 'N/A' : `$${(latestRecord.price || 0).toFixed(2)}`) : `$${(latestRecord.price || 0).toFixed(2)} @${formatUnitPrice(latestRecord.unitPrice)}`}</p>
-                    )}
-                    <p className="text-xs text-gray-500">{latestRecord.timestamp.toLocaleDateString()}</p>
-                    {/* 顯示數量和單位 */}
-                    {latestRecord.quantity && latestRecord.unitType && (
-                        <p className="text-xs text-gray-500">數量: {latestRecord.quantity} {latestRecord.unitType}</p>
-                    )}
-                </div>
+                {latestRecord ? (
+                    <div className="text-right">
+                        {/* 顯示原價和特價信息 */}
+                        {latestRecord.specialPrice ? (
+                            <div>
+                                {latestRecord.originalPrice && (
+                                    <p className="text-lg text-gray-500 line-through">${latestRecord.originalPrice.toFixed(2)}</p>
+                                )}
+                                <p className="text-2xl font-bold text-indigo-600">${latestRecord.specialPrice.toFixed(2)}</p>
+                                <p className="text-xs text-gray-500">@{formatUnitPrice(latestRecord.unitPrice)}</p>
+                            </div>
+                        ) : (
+                            <p className="text-2xl font-bold text-indigo-600">{formatUnitPrice(latestRecord.unitPrice) === '--' ? (isNaN(latestRecord.price) ? 'N/A' : `$${(latestRecord.price || 0).toFixed(2)}`) : `$${(latestRecord.price || 0).toFixed(2)} @${formatUnitPrice(latestRecord.unitPrice)}`}</p>
+                        )}
+                        <p className="text-xs text-gray-500">{latestRecord.timestamp.toLocaleDateString()}</p>
+                        {/* 顯示數量和單位 */}
+                        {latestRecord.quantity && latestRecord.unitType && (
+                            <p className="text-xs text-gray-500">數量: {latestRecord.quantity} {latestRecord.unitType}</p>
+                        )}
+                    </div>
+                ) : (
+                    <div className="text-right">
+                        <p className="text-2xl font-bold text-indigo-600">
+                            {product.latestPrice != null ? `$${product.latestPrice.toFixed(2)}` : 'N/A'}
+                            {product.latestUnitPrice != null && <span className="text-sm text-gray-500 ml-1">@{formatUnitPrice(product.latestUnitPrice)}</span>}
+                        </p>
+                        {product.latestRecordAt && <p className="text-xs text-gray-500">{toDate(product.latestRecordAt).toLocaleDateString()}</p>}
+                        {product.latestStoreName && <p className="text-xs text-gray-500">{product.latestStoreName}</p>}
+                        {bestUnitPrice != null && (
+                            <p className="text-xs text-green-600">{priceBasis === PRICE_BASIS.EFFECTIVE ? '最低促銷後單價' : '最低單價'} {bestUnitPrice.toFixed(2)}</p>
+                        )}
+                    </div>
+                )}
             </div>
 
-            <div className="grid grid-cols-3 gap-2 my-3 text-center">
-                <div className="bg-green-50 p-2 rounded"><p className="text-xs text-gray-500">最低單價</p><p className="font-bold text-green-600">{isNaN(lowestUnitPrice) ? 'N/A' : `${lowestUnitPrice.toFixed(2)}`}</p></div>
-                <div className="bg-blue-50 p-2 rounded"><p className="text-xs text-gray-500">平均單價</p><p className="font-bold text-blue-600">{isNaN(avgUnitPrice) ? 'N/A' : `${avgUnitPrice.toFixed(2)}`}</p></div>
-                <div className="bg-red-50 p-2 rounded"><p className="text-xs text-gray-500">最高單價</p><p className="font-bold text-red-600">{isNaN(highestUnitPrice) ? 'N/A' : `${highestUnitPrice.toFixed(2)}`}</p></div>
-            </div>
+            {isFiltered ? (
+                <p className="mt-3 text-center text-sm text-indigo-600">符合篩選條件的記錄 ({recordCount})</p>
+            ) : (
+                <button onClick={onToggle} className="mt-3 w-full flex items-center justify-center text-sm text-indigo-600 hover:text-indigo-800">
+                    {isExpanded ? <ChevronUp className="mr-1" size={16} /> : <ChevronDown className="mr-1" size={16} />}
+                    {isExpanded ? '收合價格記錄' : `顯示價格記錄${recordCount != null ? ` (${recordCount})` : ''}`}
+                </button>
+            )}
 
-            <div className="mb-4"><PriceTrendChart records={formattedRecords} productName={product.productName} /></div>
+            {isExpanded && isLoadingRecords && <p className="text-center text-sm text-gray-500 py-4">正在載入價格記錄...</p>}
+            {isExpanded && !isLoadingRecords && !latestRecord && <p className="text-center text-sm text-gray-500 py-4">沒有價格記錄</p>}
+            {latestRecord && (
+                <>
+                    <div className="grid grid-cols-3 gap-2 my-3 text-center">
+                        <div className="bg-green-50 p-2 rounded"><p className="text-xs text-gray-500">{priceBasis === PRICE_BASIS.EFFECTIVE ? '最低促銷後單價' : '最低單價'}</p><p className="font-bold text-green-600">{isNaN(lowestUnitPrice) ? 'N/A' : `${lowestUnitPrice.toFixed(2)}`}</p></div>
+                        <div className="bg-blue-50 p-2 rounded"><p className="text-xs text-gray-500">平均單價</p><p className="font-bold text-blue-600">{isNaN(avgUnitPrice) ? 'N/A' : `${avgUnitPrice.toFixed(2)}`}</p></div>
+                        <div className="bg-red-50 p-2 rounded"><p className="text-xs text-gray-500">最高單價</p><p className="font-bold text-red-600">{isNaN(highestUnitPrice) ? 'N/A' : `${highestUnitPrice.toFixed(2)}`}</p></div>
+                    </div>
 
-            <div className="mt-4">
-                <h4 className="font-semibold text-gray-700 mb-2">價格記錄詳情</h4>
-                <div className="space-y-2 max-h-40 overflow-y-auto">
-                    {formattedRecords.map((record, index) => (
-                        <SwipeableRecord
-                            key={index}
-                            onEdit={() => onEdit(record)}
-                            onDelete={() => onDelete(record)}
-                        >
-                            <div className={`flex justify-between items-center p-2 rounded ${record.anomalyFlag?.flagged ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}>
-                                <div>
-                                    {/* 異常標記 */}
-                                    {record.anomalyFlag?.flagged && (
-                                        <div className="flex items-center mb-1">
-                                            <AlertTriangle className="w-4 h-4 text-yellow-600 mr-1" />
-                                            <span className="text-xs text-yellow-700 font-medium">
-                                                異常價格 (偏離{(record.anomalyFlag.deviation * 100).toFixed(1)}%)
-                                            </span>
-                                        </div>
-                                    )}
+                    <div className="mb-4"><PriceTrendChart records={formattedRecords} productName={product.productName} /></div>
+
+                    <div className="mt-4">
+                        <h4 className="font-semibold text-gray-700 mb-2">價格記錄詳情</h4>
+                        <div className="space-y-2 max-h-40 overflow-y-auto">
+                            {formattedRecords.map((record, index) => (
+                                <SwipeableRecord
+                                    key={index}
+                                    onEdit={() => onEdit(record)}
+                                    onDelete={() => onDelete(record)}
+                                >
+                                    <div className={`flex justify-between items-center p-2 rounded ${record.anomalyFlag?.flagged ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}>
+                                        <div>
+                                            {/* 異常標記 */}
+                                            {record.anomalyFlag?.flagged && (
+                                                <div className="flex items-center mb-1">
+                                                    <AlertTriangle className="w-4 h-4 text-yellow-600 mr-1" />
+                                                    <span className="text-xs text-yellow-700 font-medium">
+                                                        異常價格 ({describeAnomaly({ ...record.anomalyFlag, isAnomalous: true })})
+                                                    </span>
+                                                </div>
+                                            )}
                                     
-                                    {/* 顯示原價和特價信息 */}
-                                    {record.specialPrice ? (
-                                        <p className="font-medium">
-                                            {record.originalPrice && (
-                                                <span className="text-gray-500 line-through">${record.originalPrice.toFixed(2)}</span>
+                                            {/* 顯示原價和特價信息 */}
+                                            {record.specialPrice ? (
+                                                <p className="font-medium">
+                                                    {record.originalPrice && (
+                                                        <span className="text-gray-500 line-through">${record.originalPrice.toFixed(2)}</span>
+                                                    )}
+                                                    <span className="text-red-600 ml-1">${record.specialPrice.toFixed(2)}</span>
+                                                    <span className="text-gray-500 ml-1">@{formatUnitPrice(record.unitPrice)}</span>
+                                                </p>
+                                            ) : (
+                                                <p className="font-medium">{`$${(record.price || 0).toFixed(2)} @${formatUnitPrice(record.unitPrice)}`}</p>
                                             )}
-                                            <span className="text-red-600 ml-1">${record.specialPrice.toFixed(2)}</span>
-                                            <span className="text-gray-500 ml-1">@{formatUnitPrice(record.unitPrice)}</span>
-                                        </p>
-                                    ) : (
-                                        <p className="font-medium">{`$${(record.price || 0).toFixed(2)} @${formatUnitPrice(record.unitPrice)}`}</p>
-                                    )}
-                                    {record.discountDetails && <p className="text-xs text-indigo-600">{record.discountDetails}</p>}
-                                    {/* 顯示數量和單位 */}
-                                    {record.quantity && record.unitType && (
-                                        <p className="text-xs text-gray-600">數量: {record.quantity} {record.unitType}</p>
-                                    )}
-                                </div>
-                                <div className="text-right">
-                                    <p className="text-xs text-gray-500">{record.storeName || '未標註'}</p>
-                                    <p className="text-xs text-gray-500">{record.timestamp.toLocaleDateString()}</p>
-                                    {/* 地理位置信息 */}
-                                    {record.locationData && (
-                                        <p className="text-xs text-gray-400">
-                                            GPS: {record.locationData.method}
-                                        </p>
-                                    )}
-                                </div>
-                            </div>
-                        </SwipeableRecord>
-                    ))}
-                </div>
-            </div>
+                                            {record.discountDetails && <p className="text-xs text-indigo-600">{record.discountDetails}</p>}
+                                            {record.promotion && record.effectiveUnitPrice != null && (
+                                                <p className="text-xs text-indigo-600">促銷後單價 @{formatUnitPrice(record.effectiveUnitPrice)} (買 {record.promotionQuantity} 件)</p>
+                                            )}
+                                            {/* 顯示數量和單位 */}
+                                            {record.quantity && record.unitType && (
+                                                <p className="text-xs text-gray-600">數量: {record.quantity} {record.unitType}</p>
+                                            )}
+                                        </div>
+                                        <div className="text-right">
+                                            <p className="text-xs text-gray-500">{record.storeName || '未標註'}</p>
+                                            <p className="text-xs text-gray-500">{record.timestamp.toLocaleDateString()}</p>
+                                            {/* 地理位置信息 */}
+                                            {record.locationData && (
+                                                <p className="text-xs text-gray-400">
+                                                    GPS: {record.locationData.method}
+                                                </p>
+                                            )}
+                                        </div>
+                                    </div>
+                                </SwipeableRecord>
+                            ))}
+                        </div>
+                    </div>
+                </>
+            )}
         </div>
     );
 }
 
+// 編輯模式中暫存的即時更新：以產品 ID 保存最新的產品文件（null 表示已刪除）與價格記錄
+const EMPTY_PENDING_UPDATES = { products: {}, records: {} };
+
+// 匯出時同時讀取價格記錄的產品數
+const EXPORT_BATCH_SIZE = 10;
+
+// 把篩選條件同步到網址，不新增瀏覽紀錄
+const replaceUrlFilters = (filters) => {
+    const search = filtersToSearch(filters, window.location.search);
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
 // 主組件
-function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
+function AllRecordsPage({ theme, onBack, db, userId, isAuthReady, priceBasis = PRICE_BASIS.SHELF, onPriceBasisChange }) {
     const [allProducts, setAllProducts] = useState([]);
-    const [allRecords, setAllRecords] = useState({});
+    const [allRecords, setAllRecords] = useState({}); // 只包含已展開過的產品
     const [loading, setLoading] = useState(true);
-    const [sortOption, setSortOption] = useState('latest'); // latest, name, price
+    const [hasMore, setHasMore] = useState(true);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [expandedProducts, setExpandedProducts] = useState(new Set());
+    const [loadingProductIds, setLoadingProductIds] = useState(new Set());
+    const [pendingUpdates, setPendingUpdates] = useState(EMPTY_PENDING_UPDATES);
+    const syncedAtRef = useRef(null); // 上次與 Firestore 同步的時間（毫秒）
+    const hasMoreRef = useRef(true);
+    const isLoadingMoreRef = useRef(false);
+    const recordListenersRef = useRef(new Map()); // 已展開產品的價格記錄訂閱
+    const isEditModeRef = useRef(false); // 供訂閱回呼判斷是否暫存更新
+    const editedProductIdsRef = useRef(new Set()); // 編輯模式中自己修改過的產品，其更新直接套用、不列入提示
+    const sentinelRef = useRef(null); // 無限捲動的觸發點
+    const [sortOption, setSortOption] = useState('latest'); // latest, name, price, unitPrice
     const [editingRecord, setEditingRecord] = useState(null);
     const [deletingRecord, setDeletingRecord] = useState(null);
     const [successMessage, setSuccessMessage] = useState('');
@@ -326,32 +408,38 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
     const [originalDataSnapshot, setOriginalDataSnapshot] = useState(null);
     const [isConflictDialogOpen, setIsConflictDialogOpen] = useState(false);
 
+    // 篩選：條件來自網址，條碼以外的條件改為依時間讀取價格記錄（scannedRecords）再在本地比對
+    const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search));
+    const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(() => countActiveFilters(filters) > 0);
+    const [savedViews, setSavedViews] = useState(() => loadSavedViews());
+    const [scannedRecords, setScannedRecords] = useState([]);
+    const [scanHasMore, setScanHasMore] = useState(false);
+    const [isScanning, setIsScanning] = useState(false);
+    const [scanProducts, setScanProducts] = useState({}); // 符合條件但尚未載入的產品文件
+    const scanTokenRef = useRef(0); // 條件改變後捨棄舊的讀取結果
+    const isScanningRef = useRef(false);
+    const requestedProductIdsRef = useRef(new Set());
+    const [barcodeProducts, setBarcodeProducts] = useState([]); // 以完整條碼直接讀取的產品（可能不在已載入的分頁中）
+    const isRecordFilterMode = hasRecordFilters(filters);
+    const isFullBarcode = Boolean(getBarcodeProductId(filters.barcode));
+    const activeFilterCount = countActiveFilters(filters);
+    const { dateFrom, dateTo } = filters;
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const [exportProgress, setExportProgress] = useState(null); // { done, total }，匯出中才有值
+
+    // 重新載入第一頁（捨棄快取）
     const fetchData = useCallback(async () => {
         if (!db) return;
         setLoading(true);
         try {
-            // 1. Fetch all products
-            const productsQuery = query(collection(db, "products"), orderBy("createdAt", "desc"));
-            const productsSnap = await getDocs(productsQuery);
-            const productsArray = productsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            
-            // 2. Fetch all records
-            const recordsQuery = query(collection(db, "priceRecords"), orderBy("timestamp", "desc"));
-            const recordsSnap = await getDocs(recordsQuery);
-            const recordsArray = recordsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-            // 3. Group records by product ID
-            const recordsByProduct = {};
-            recordsArray.forEach(record => {
-                if (!recordsByProduct[record.numericalID]) {
-                    recordsByProduct[record.numericalID] = [];
-                }
-                recordsByProduct[record.numericalID].push(record);
-            });
-
-            setAllProducts(productsArray);
-            setAllRecords(recordsByProduct);
-
+            const syncStartedAt = Date.now();
+            const { products, hasMore: more } = await fetchProductsPage(db);
+            syncedAtRef.current = syncStartedAt;
+            setAllProducts(products);
+            setAllRecords({});
+            setExpandedProducts(new Set());
+            setPendingUpdates(EMPTY_PENDING_UPDATES);
+            setHasMore(more);
         } catch (error) {
             console.error('讀取 Firestore 數據失敗:', error);
             const userMessage = handleFirestoreSaveError(error, "讀取產品數據");
@@ -361,6 +449,46 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
         }
     }, [db]);
 
+    const applyProductChanges = useCallback(({ products, removedIds }) => {
+        setAllProducts(prev => mergeProducts(prev.filter(product => !removedIds.includes(product.id)), products, hasMoreRef.current));
+    }, []);
+
+    // 捲動到底時載入下一頁
+    const loadMore = useCallback(async () => {
+        if (!db || isLoadingMoreRef.current || allProducts.length === 0) return;
+        isLoadingMoreRef.current = true;
+        setIsLoadingMore(true);
+        try {
+            const { products, hasMore: more } = await fetchProductsPage(db, { after: allProducts[allProducts.length - 1].createdAt });
+            setAllProducts(prev => mergeProducts(prev, products, false));
+            setHasMore(more);
+        } catch (error) {
+            console.error('載入更多產品失敗:', error);
+            const userMessage = handleFirestoreSaveError(error, "載入更多產品");
+            showUserFriendlyError(userMessage);
+        } finally {
+            isLoadingMoreRef.current = false;
+            setIsLoadingMore(false);
+        }
+    }, [db, allProducts]);
+
+    // 展開產品時才訂閱它的價格記錄（見下方的訂閱 effect）
+    const toggleProductExpanded = (productId) => {
+        const isExpanded = expandedProducts.has(productId);
+        setExpandedProducts(prev => {
+            const next = new Set(prev);
+            if (isExpanded) {
+                next.delete(productId);
+            } else {
+                next.add(productId);
+            }
+            return next;
+        });
+        if (!isExpanded && !allRecords[productId]) {
+            setLoadingProductIds(prev => new Set(prev).add(productId));
+        }
+    };
+
     useEffect(() => {
         // 只有在 Firebase 已準備好時才執行查詢
         if (!isAuthReady || !userId) {
@@ -369,10 +497,276 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
             return;
         }
         
-        // Firebase 已準備好且有 userId，執行數據獲取
-        fetchData();
+        // 有快取時先顯示快取，再由即時訂閱補上之後的變更；沒有快取才從第一頁載入
+        const cache = loadRecordsCache();
+        if (!cache) {
+            fetchData();
+            return;
+        }
+        syncedAtRef.current = cache.syncedAt;
+        setAllProducts(cache.products);
+        setAllRecords(cache.records);
+        setHasMore(cache.hasMore);
+        setLoading(false);
     }, [fetchData, isAuthReady, userId]);
 
+    useEffect(() => {
+        hasMoreRef.current = hasMore;
+    }, [hasMore]);
+
+    useEffect(() => {
+        isEditModeRef.current = isEditMode;
+    }, [isEditMode]);
+
+    // 即時訂閱上次同步後彙總值有更新的產品；編輯模式中先暫存，避免本地副本與雲端默默分歧
+    useEffect(() => {
+        if (!db || loading || !syncedAtRef.current) return;
+        return subscribeProductChanges(db, getSyncBaseline(syncedAtRef.current), ({ products, removedIds }) => {
+            if (!isEditModeRef.current) {
+                syncedAtRef.current = Date.now();
+                applyProductChanges({ products, removedIds });
+                return;
+            }
+            const isOwnEdit = (productId) => editedProductIdsRef.current.has(productId);
+            applyProductChanges({ products: products.filter(product => isOwnEdit(product.id)), removedIds: removedIds.filter(isOwnEdit) });
+            const buffered = [
+                ...products.filter(product => !isOwnEdit(product.id)).map(product => [product.id, product]),
+                ...removedIds.filter(productId => !isOwnEdit(productId)).map(productId => [productId, null])
+            ];
+            if (buffered.length > 0) {
+                setPendingUpdates(prev => ({ ...prev, products: { ...prev.products, ...Object.fromEntries(buffered) } }));
+            }
+        }, (error) => {
+            console.error('訂閱產品更新失敗:', error);
+            const userMessage = handleFirestoreSaveError(error, "即時更新產品");
+            showUserFriendlyError(userMessage);
+        });
+    }, [db, loading, applyProductChanges]);
+
+    // 已展開的產品各自訂閱價格記錄，收合時取消訂閱
+    useEffect(() => {
+        if (!db) return;
+        const listeners = recordListenersRef.current;
+        expandedProducts.forEach(productId => {
+            if (listeners.has(productId)) return;
+            let isFirstSnapshot = true;
+            listeners.set(productId, subscribeProductHistory(db, productId, (records) => {
+                const isInitialLoad = isFirstSnapshot;
+                isFirstSnapshot = false;
+                setLoadingProductIds(prev => {
+                    if (!prev.has(productId)) return prev;
+                    const next = new Set(prev);
+                    next.delete(productId);
+                    return next;
+                });
+                if (isEditModeRef.current && !isInitialLoad && !editedProductIdsRef.current.has(productId)) {
+                    setPendingUpdates(prev => ({ ...prev, records: { ...prev.records, [productId]: records } }));
+                    return;
+                }
+                setAllRecords(prev => ({ ...prev, [productId]: records }));
+                if (isEditModeRef.current && isInitialLoad) {
+                    // 編輯模式中展開的產品也要加入本地副本，退出時才能正確比對刪除的記錄
+                    setLocalRecords(prev => (prev[productId] ? prev : { ...prev, [productId]: records }));
+                    setOriginalDataSnapshot(prev => (prev && !prev.records[productId] ? { ...prev, records: { ...prev.records, [productId]: records } } : prev));
+                }
+            }, (error) => {
+                console.error('讀取價格記錄失敗:', error);
+                const userMessage = handleFirestoreSaveError(error, "讀取價格記錄");
+                showUserFriendlyError(userMessage);
+            }));
+        });
+        listeners.forEach((unsubscribe, productId) => {
+            if (!expandedProducts.has(productId)) {
+                unsubscribe();
+                listeners.delete(productId);
+            }
+        });
+    }, [db, expandedProducts]);
+
+    useEffect(() => {
+        const listeners = recordListenersRef.current;
+        return () => {
+            listeners.forEach(unsubscribe => unsubscribe());
+            listeners.clear();
+        };
+    }, []);
+
+    const pendingUpdateCount = useMemo(() => (
+        new Set([...Object.keys(pendingUpdates.products), ...Object.keys(pendingUpdates.records)]).size
+    ), [pendingUpdates]);
+
+    // 退出編輯模式後套用暫存的更新
+    useEffect(() => {
+        if (isEditMode || pendingUpdateCount === 0) return;
+        const pendingProducts = Object.entries(pendingUpdates.products);
+        applyProductChanges({
+            products: pendingProducts.filter(([, product]) => product).map(([, product]) => product),
+            removedIds: pendingProducts.filter(([, product]) => !product).map(([productId]) => productId)
+        });
+        setAllRecords(prev => ({ ...prev, ...pendingUpdates.records }));
+        syncedAtRef.current = Date.now();
+        setPendingUpdates(EMPTY_PENDING_UPDATES);
+    }, [isEditMode, pendingUpdateCount, pendingUpdates, applyProductChanges]);
+
+    // 已載入的資料寫回快取
+    useEffect(() => {
+        if (loading || !syncedAtRef.current) return;
+        saveRecordsCache({ products: allProducts, records: allRecords, hasMore, syncedAt: syncedAtRef.current });
+    }, [loading, allProducts, allRecords, hasMore]);
+
+
+    // 依時間由新到舊讀取一頁價格記錄；after 為 null 時從頭讀取
+    const scanRecords = useCallback(async (after = null) => {
+        if (!db) return;
+        const token = after ? scanTokenRef.current : ++scanTokenRef.current;
+        isScanningRef.current = true;
+        setIsScanning(true);
+        try {
+            const { records, hasMore: more } = await fetchRecordsPage(db, { ...getDateRange({ dateFrom, dateTo }), after });
+            if (token !== scanTokenRef.current) return;
+            setScannedRecords(prev => (after ? [...prev, ...records] : records));
+            setScanHasMore(more);
+        } catch (error) {
+            console.error('篩選價格記錄失敗:', error);
+            const userMessage = handleFirestoreSaveError(error, "篩選價格記錄");
+            showUserFriendlyError(userMessage);
+        } finally {
+            if (token === scanTokenRef.current) {
+                isScanningRef.current = false;
+                setIsScanning(false);
+            }
+        }
+    }, [db, dateFrom, dateTo]);
+
+    const loadMoreScan = useCallback(() => {
+        if (isScanningRef.current || scannedRecords.length === 0) return;
+        scanRecords(scannedRecords[scannedRecords.length - 1].timestamp);
+    }, [scanRecords, scannedRecords]);
+
+    // 進入篩選模式、日期範圍改變或重新載入後從頭讀取；其餘條件只在本地重新比對
+    useEffect(() => {
+        if (loading || !isRecordFilterMode) return;
+        setScannedRecords([]);
+        setScanHasMore(false);
+        setScanProducts({});
+        requestedProductIdsRef.current = new Set();
+        scanRecords();
+    }, [loading, isRecordFilterMode, scanRecords]);
+
+    // 符合條件的記錄依產品分組
+    const matchedRecordsByProduct = useMemo(() => {
+        if (!isRecordFilterMode) return {};
+        const grouped = {};
+        scannedRecords.forEach(record => {
+            if (!matchesRecordFilters(record, filters, { userId })) return;
+            const productId = String(record.numericalID);
+            grouped[productId] = [...(grouped[productId] || []), record];
+        });
+        return grouped;
+    }, [isRecordFilterMode, scannedRecords, filters, userId]);
+
+    // 符合條件的產品；尚未載入的產品文件讀取完成前先以記錄上的品名顯示
+    const matchedProducts = useMemo(() => {
+        const productsById = new Map([...Object.values(scanProducts), ...allProducts].map(product => [String(product.numericalID), product]));
+        return Object.entries(matchedRecordsByProduct).map(([productId, records]) => (
+            productsById.get(productId) || { id: productId, numericalID: records[0].numericalID, productName: records[0].productName || '未命名產品', barcodeData: '' }
+        ));
+    }, [matchedRecordsByProduct, scanProducts, allProducts]);
+
+    useEffect(() => {
+        if (!db || !isRecordFilterMode) return;
+        const loadedIds = new Set(allProducts.map(product => String(product.numericalID)));
+        const missingIds = Object.keys(matchedRecordsByProduct).filter(productId => !loadedIds.has(productId) && !requestedProductIdsRef.current.has(productId));
+        if (missingIds.length === 0) return;
+        missingIds.forEach(productId => requestedProductIdsRef.current.add(productId));
+        const token = scanTokenRef.current;
+        const loadProducts = async () => {
+            try {
+                const products = await fetchProductsByIds(db, missingIds);
+                if (token !== scanTokenRef.current) return;
+                setScanProducts(prev => ({ ...prev, ...Object.fromEntries(products.map(product => [product.id, product])) }));
+            } catch (error) {
+                console.error('讀取產品失敗:', error);
+            }
+        };
+        loadProducts();
+    }, [db, isRecordFilterMode, matchedRecordsByProduct, allProducts]);
+
+    // 完整條碼直接讀取對應的產品，不必捲動載入到該產品所在的分頁
+    useEffect(() => {
+        setBarcodeProducts([]);
+        if (!db || !getBarcodeProductId(filters.barcode)) return;
+        let isCancelled = false;
+        const loadBarcodeProducts = async () => {
+            try {
+                const products = await fetchProductsByBarcode(db, filters.barcode);
+                if (!isCancelled) {
+                    setBarcodeProducts(products);
+                }
+            } catch (error) {
+                console.error('以條碼讀取產品失敗:', error);
+            }
+        };
+        loadBarcodeProducts();
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, filters.barcode]);
+
+    // 篩選條件同步到網址，離開頁面時移除
+    useEffect(() => {
+        replaceUrlFilters(filters);
+    }, [filters]);
+
+    useEffect(() => () => replaceUrlFilters(EMPTY_FILTERS), []);
+
+    // 商店與連鎖的建議選項取自已載入的資料
+    const storeOptions = useMemo(() => {
+        const stores = new Set();
+        allProducts.forEach(product => product.latestStoreName && stores.add(product.latestStoreName.trim()));
+        [...Object.values(allRecords).flat(), ...scannedRecords].forEach(record => record.storeName && stores.add(record.storeName.trim()));
+        return [...stores].filter(Boolean).sort((a, b) => a.localeCompare(b));
+    }, [allProducts, allRecords, scannedRecords]);
+
+    const chainOptions = useMemo(() => [...new Set(storeOptions.map(getChainName))].filter(Boolean), [storeOptions]);
+
+    const handleSaveView = (name) => {
+        try {
+            setSavedViews(saveView(name, filters, sortOption));
+            showSuccessMessage(`已儲存檢視「${name.trim()}」`);
+        } catch (error) {
+            console.error('儲存檢視失敗:', error);
+            showUserFriendlyError('儲存檢視失敗，瀏覽器儲存空間可能已滿');
+        }
+    };
+
+    const handleApplyView = (view) => {
+        setFilters(view.filters);
+        if (view.sortOption) {
+            setSortOption(view.sortOption);
+        }
+    };
+
+    // 觸發點進入畫面時載入下一頁（篩選模式中讀取更早的價格記錄）；編輯模式操作的是本地副本，暫停載入
+    const canLoadMore = isRecordFilterMode ? scanHasMore : hasMore;
+    const loadNextPage = isRecordFilterMode ? loadMoreScan : loadMore;
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !canLoadMore || isEditMode || typeof IntersectionObserver === 'undefined') return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadNextPage();
+            }
+        }, { rootMargin: '400px' });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [canLoadMore, isEditMode, loadNextPage, loading]);
+
+    const handleRefresh = () => {
+        clearRecordsCache();
+        fetchData();
+    };
+
     useEffect(() => {
         if (isSearchOpen && searchInputRef.current) {
             setTimeout(() => searchInputRef.current.focus(), 100); // Shorter delay for responsiveness
@@ -391,32 +785,34 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
 
     const filteredProducts = useMemo(() => {
         // Use local data in edit mode, otherwise use Firebase data
-        const products = isEditMode ? localProducts : allProducts;
-        const records = isEditMode ? localRecords : allRecords;
+        const loadedIds = new Set(allProducts.map(product => product.id));
+        const browsedProducts = [...allProducts, ...barcodeProducts.filter(product => !loadedIds.has(product.id))];
+        const baseProducts = isEditMode ? localProducts : (isRecordFilterMode ? matchedProducts : browsedProducts);
+        const products = baseProducts.filter(product => matchesProductFilters(product, filters));
 
         if (searchQuery.trim() === '') {
-            // No search query, just sort the products
+            // No search query, just sort the loaded products by their aggregates
             return [...products].sort((a, b) => {
-                const recordsA = records[a.numericalID] || [];
-                const recordsB = records[b.numericalID] || [];
-                
                 if (sortOption === 'name') {
                     return a.productName.localeCompare(b.productName);
                 }
-                
-                const latestRecordA = recordsA[0];
-                const latestRecordB = recordsB[0];
 
                 if (sortOption === 'price') {
-                    const priceA = latestRecordA?.price || -1;
-                    const priceB = latestRecordB?.price || -1;
+                    const priceA = a.latestPrice || -1;
+                    const priceB = b.latestPrice || -1;
                     return priceB - priceA;
                 }
 
+                if (sortOption === 'unitPrice') {
+                    // 依比價基準的最低單價由低到高排序，沒有單價的產品排在最後
+                    const lowestA = getBestUnitPrice(a, priceBasis) ?? Infinity;
+                    const lowestB = getBestUnitPrice(b, priceBasis) ?? Infinity;
+                    if (lowestA === lowestB) return 0;
+                    return lowestA < lowestB ? -1 : 1;
+                }
+
                 // Default to 'latest'
-                const timeA = latestRecordA?.timestamp?.toDate ? latestRecordA.timestamp.toDate().getTime() : 0;
-                const timeB = latestRecordB?.timestamp?.toDate ? latestRecordB.timestamp.toDate().getTime() : 0;
-                return timeB - timeA;
+                return getLatestActivity(b) - getLatestActivity(a);
             });
         }
 
@@ -431,7 +827,38 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
         
         return scoredProducts.map(item => item.product);
 
-    }, [allProducts, allRecords, sortOption, searchQuery, isEditMode, localProducts, localRecords]);
+    }, [allProducts, barcodeProducts, sortOption, priceBasis, searchQuery, isEditMode, localProducts, isRecordFilterMode, matchedProducts, filters]);
+
+    // 匯出目前顯示的產品；篩選模式只匯出符合條件的記錄，其餘產品讀取完整的價格記錄
+    const handleExport = async ({ format, layout }) => {
+        const products = filteredProducts;
+        setExportProgress({ done: 0, total: products.length });
+        try {
+            const recordsByProduct = {};
+            for (let i = 0; i < products.length; i += EXPORT_BATCH_SIZE) {
+                const batch = products.slice(i, i + EXPORT_BATCH_SIZE);
+                const batchRecords = await Promise.all(batch.map(product => {
+                    const productId = String(product.numericalID);
+                    if (isRecordFilterMode) return matchedRecordsByProduct[productId] || [];
+                    // 已展開的產品有即時訂閱的記錄，其餘（包含快取中的舊資料）重新讀取
+                    if (expandedProducts.has(product.numericalID) && allRecords[product.numericalID]) return allRecords[product.numericalID];
+                    return fetchProductRecords(db, product.numericalID);
+                }));
+                batch.forEach((product, index) => {
+                    recordsByProduct[String(product.numericalID)] = batchRecords[index];
+                });
+                setExportProgress({ done: Math.min(i + EXPORT_BATCH_SIZE, products.length), total: products.length });
+            }
+            downloadExport(buildExportTable(products, recordsByProduct, layout), format, getExportFileName(layout, format));
+            setIsExportOpen(false);
+        } catch (error) {
+            console.error('匯出價格記錄失敗:', error);
+            const userMessage = handleFirestoreSaveError(error, "匯出價格記錄");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setExportProgress(null);
+        }
+    };
 
     const showSuccessMessage = (message) => {
         setSuccessMessage(message);
@@ -493,131 +920,81 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
         }
     };
 
+    // 編輯模式中刪除的產品與記錄（與進入編輯模式時已載入的資料比對）
+    const getPendingDeletions = () => {
+        const deletedProducts = originalDataSnapshot.products.filter(product => 
+            !localProducts.some(localProduct => localProduct.numericalID === product.numericalID)
+        );
+        const deletedProductIds = new Set(deletedProducts.map(product => product.numericalID));
+
+        // 找出在原始記錄中存在但在本地記錄中不存在的記錄；刪除整個產品時另外讀取它的所有記錄
+        const deletedRecords = [];
+        for (const [productId, records] of Object.entries(originalDataSnapshot.records)) {
+            if (deletedProductIds.has(productId)) continue;
+            const localRecordsForProduct = localRecords[productId] || [];
+            deletedRecords.push(...records.filter(record => 
+                !localRecordsForProduct.some(localRecord => localRecord.id === record.id)
+            ));
+        }
+        return { deletedProducts, deletedRecords };
+    };
+
     // 新增函數：檢查衝突並退出編輯模式
     const checkForConflictsAndExit = async () => {
         if (!db || !originalDataSnapshot) return;
         
-        try {
-            // 獲取當前 Firebase 數據
-            const productsQuery = query(collection(db, "products"), orderBy("createdAt", "desc"));
-            const productsSnap = await getDocs(productsQuery);
-            const currentProducts = productsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            
-            const recordsQuery = query(collection(db, "priceRecords"), orderBy("timestamp", "desc"));
-            const recordsSnap = await getDocs(recordsQuery);
-            const currentRecordsArray = recordsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            
-            // 將記錄按產品 ID 分組
-            const currentRecords = {};
-            currentRecordsArray.forEach(record => {
-                if (!currentRecords[record.numericalID]) {
-                    currentRecords[record.numericalID] = [];
-                }
-                currentRecords[record.numericalID].push(record);
-            });
-            
-            // 比較當前數據與原始快照
-            const hasConflicts = checkForDataConflicts(originalDataSnapshot, {products: currentProducts, records: currentRecords});
-            
-            if (hasConflicts) {
-                // 如果有衝突，顯示衝突解決對話框
-                setIsConflictDialogOpen(true);
-            } else {
-                // 如果沒有衝突，直接退出編輯模式
-                await exitEditMode(currentProducts, currentRecords);
-            }
-        } catch (error) {
-            console.error("檢查數據衝突時出錯:", error);
-            const userMessage = handleFirestoreSaveError(error, "檢查數據衝突");
-            showUserFriendlyError(userMessage);
-            // 出錯時仍然退出編輯模式
+        // 即時訂閱在編輯期間暫存了其他人的更新；只有更新涉及這次編輯動到的產品時才需要使用者決定
+        const { deletedProducts, deletedRecords } = getPendingDeletions();
+        const editedIds = new Set([
+            ...deletedProducts.map(product => product.id),
+            ...deletedRecords.map(record => String(record.numericalID))
+        ]);
+        const hasConflicts = checkForDataConflicts(pendingUpdates, editedIds);
+        
+        if (hasConflicts) {
+            // 如果有衝突，顯示衝突解決對話框
+            setIsConflictDialogOpen(true);
+        } else {
+            // 如果沒有衝突，直接退出編輯模式
             await exitEditMode();
         }
     };
     
     // 新增函數：檢查數據衝突
-    const checkForDataConflicts = (original, current) => {
-        // 比較產品數量
-        if (original.products.length !== current.products.length) {
-            return true;
-        }
-        
-        // 比較記錄數量
-        const originalRecordCount = Object.values(original.records).reduce((count, records) => count + records.length, 0);
-        const currentRecordCount = Object.values(current.records).reduce((count, records) => count + records.length, 0);
-        
-        if (originalRecordCount !== currentRecordCount) {
-            return true;
-        }
-        
-        // 更詳細的比較可以在此處添加
-        // 為了簡化，我們只檢查數量變化
-        
-        return false;
-    };
+    const checkForDataConflicts = (pending, editedIds) => (
+        [...Object.keys(pending.products), ...Object.keys(pending.records)].some(productId => editedIds.has(productId))
+    );
     
-    // 修改 exitEditMode 函數以接受當前數據
-    const exitEditMode = async (currentProducts = null, currentRecords = null) => {
-        if (!db) return;
+    const exitEditMode = async () => {
+        if (!db || !originalDataSnapshot) return;
         
         try {
-            // 如果沒有提供當前數據，則獲取最新數據
-            let latestProducts = currentProducts;
-            let latestRecords = currentRecords;
-            
-            if (!latestProducts || !latestRecords) {
-                const productsQuery = query(collection(db, "products"), orderBy("createdAt", "desc"));
-                const productsSnap = await getDocs(productsQuery);
-                latestProducts = productsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                
-                const recordsQuery = query(collection(db, "priceRecords"), orderBy("timestamp", "desc"));
-                const recordsSnap = await getDocs(recordsQuery);
-                const currentRecordsArray = recordsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                
-                // 將記錄按產品 ID 分組
-                latestRecords = {};
-                currentRecordsArray.forEach(record => {
-                    if (!latestRecords[record.numericalID]) {
-                        latestRecords[record.numericalID] = [];
-                    }
-                    latestRecords[record.numericalID].push(record);
-                });
-            }
+            const { deletedProducts, deletedRecords } = getPendingDeletions();
+            const affectedIds = [
+                ...deletedProducts.map(product => product.numericalID),
+                ...deletedRecords.map(record => record.numericalID)
+            ];
+            // 自己的刪除觸發的即時更新直接套用，不列入新更新提示
+            affectedIds.forEach(productId => editedProductIdsRef.current.add(String(productId)));
             
-            // 計算需要從 Firebase 刪除的產品
-            const productsToDelete = latestProducts.filter(product => 
-                !localProducts.some(localProduct => localProduct.numericalID === product.numericalID)
-            );
-            
-            // 刪除 Firebase 中的產品及其記錄
-            for (const product of productsToDelete) {
-                // 刪除所有記錄
-                const productRecords = latestRecords[product.numericalID] || [];
+            // 刪除 Firebase 中的產品記錄（包含尚未展開載入的記錄）
+            for (const product of deletedProducts) {
+                const productRecords = await fetchProductRecords(db, product.numericalID);
                 for (const record of productRecords) {
                     const recordRef = doc(db, "priceRecords", record.id);
                     await deleteDoc(recordRef);
                 }
             }
             
-            // 計算需要從 Firebase 刪除的記錄（編輯模式下刪除的記錄）
-            const recordsToDelete = [];
-            for (const [productId, records] of Object.entries(latestRecords)) {
-                const localRecordsForProduct = localRecords[productId] || [];
-                // 找出在原始記錄中存在但在本地記錄中不存在的記錄
-                const deletedRecords = records.filter(record => 
-                    !localRecordsForProduct.some(localRecord => localRecord.id === record.id)
-                );
-                recordsToDelete.push(...deletedRecords);
-            }
-            
-            // 刪除 Firebase 中的記錄
-            for (const record of recordsToDelete) {
+            // 刪除 Firebase 中的記錄（編輯模式下刪除的記錄）
+            for (const record of deletedRecords) {
                 const recordRef = doc(db, "priceRecords", record.id);
                 await deleteDoc(recordRef);
             }
+
+            // 重新計算受影響產品的最佳單價與統計值，更新後的產品由即時訂閱送回
+            await recomputeProductsAggregates(db, affectedIds);
             
-            // 重新從 Firebase 獲取數據
-            await fetchData();
             setIsEditMode(false);
             setSelectedItems(new Set());
             setOriginalDataSnapshot(null);
@@ -631,6 +1008,10 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
 
     const handleSaveEdit = async (updatedRecord) => {
         if (!db) return;
+        if (isEditMode) {
+            // 寫入後的即時更新來自自己，直接套用而不列入新更新提示
+            editedProductIdsRef.current.add(String(updatedRecord.numericalID));
+        }
         try {
             const recordRef = doc(db, "priceRecords", updatedRecord.id);
             // 更新所有字段，不僅僅是價格和折扣詳情
@@ -641,7 +1022,14 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                 storeName: updatedRecord.storeName,
                 quantity: updatedRecord.quantity,
                 unitType: updatedRecord.unitType,
+                packCount: updatedRecord.packCount,
+                baseQuantity: updatedRecord.baseQuantity,
+                unitDimension: updatedRecord.unitDimension,
                 unitPrice: updatedRecord.unitPrice,
+                effectivePrice: updatedRecord.effectivePrice,
+                effectiveUnitPrice: updatedRecord.effectiveUnitPrice,
+                promotion: updatedRecord.promotion,
+                promotionQuantity: updatedRecord.promotionQuantity,
                 originalPrice: updatedRecord.originalPrice,
                 specialPrice: updatedRecord.specialPrice,
                 // 記錄修正歷史
@@ -661,6 +1049,9 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                     }
                 ]
             });
+
+            // 價格變動可能影響產品的最佳單價
+            await recomputeProductAggregates(db, updatedRecord.numericalID);
             
             // 在編輯模式下，更新本地狀態而不是重新獲取所有數據
             if (isEditMode) {
@@ -698,7 +1089,10 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                     )
                 );
             } else {
-                await fetchData(); // 非編輯模式下重新獲取數據以更新UI
+                // 篩選結果是讀取當時的記錄，不會即時更新；沿用原本的 Timestamp 作為分頁游標
+                setScannedRecords(prev => prev.map(record => (
+                    record.id === updatedRecord.id ? { ...updatedRecord, timestamp: record.timestamp } : record
+                )));
             }
             
             showSuccessMessage('記錄已成功更新並記錄修正歷史');
@@ -778,7 +1172,8 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
             try {
                 const recordRef = doc(db, "priceRecords", deletingRecord.id);
                 await deleteDoc(recordRef);
-                await fetchData(); // 重新獲取數據以更新UI
+                await recomputeProductAggregates(db, deletingRecord.numericalID);
+                setScannedRecords(prev => prev.filter(record => record.id !== deletingRecord.id));
                 showSuccessMessage('記錄已成功刪除');
             } catch (error) {
                 console.error("刪除記錄失敗:", error);
@@ -833,10 +1228,46 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                             <option value="latest">最新記錄</option>
                             <option value="name">產品名稱</option>
                             <option value="price">最新價格</option>
+                            <option value="unitPrice">最低單價</option>
                         </select>
+                        <select value={priceBasis} onChange={(e) => onPriceBasisChange && onPriceBasisChange(e.target.value)} className="border border-gray-300 rounded p-2 mr-2" aria-label="比價基準">
+                            <option value={PRICE_BASIS.SHELF}>標價單價</option>
+                            <option value={PRICE_BASIS.EFFECTIVE}>促銷後單價</option>
+                        </select>
+                        <button
+                            onClick={handleRefresh}
+                            disabled={isEditMode}
+                            className="p-2 mr-2 rounded bg-gray-200 hover:bg-gray-300 text-gray-700 disabled:opacity-50"
+                            aria-label="重新載入"
+                            title="捨棄本機快取並重新載入"
+                        >
+                            <RefreshCw size={16} />
+                        </button>
+                        <button
+                            onClick={() => setIsExportOpen(true)}
+                            disabled={isEditMode || filteredProducts.length === 0}
+                            className="p-2 mr-2 rounded bg-gray-200 hover:bg-gray-300 text-gray-700 disabled:opacity-50"
+                            aria-label="匯出"
+                            title="匯出為 CSV 或 Excel"
+                        >
+                            <Download size={16} />
+                        </button>
+                        <button
+                            onClick={() => setIsFilterPanelOpen(!isFilterPanelOpen)}
+                            disabled={isEditMode}
+                            className={`relative p-2 mr-2 rounded disabled:opacity-50 ${activeFilterCount > 0 ? 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                            aria-label="篩選"
+                            title="篩選記錄"
+                        >
+                            <Filter size={16} />
+                            {activeFilterCount > 0 && (
+                                <span className="absolute -top-1 -right-1 w-4 h-4 flex items-center justify-center rounded-full bg-indigo-600 text-white text-xs">{activeFilterCount}</span>
+                            )}
+                        </button>
                         <button 
                             onClick={() => {
                                 if (!isEditMode) {
+                                    editedProductIdsRef.current = new Set();
                                     // Enter edit mode - copy current data to local state
                                     setLocalProducts([...allProducts]);
                                     setLocalRecords({...allRecords});
@@ -853,7 +1284,9 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                                 setIsEditMode(!isEditMode);
                                 setSelectedItems(new Set());
                             }}
-                            className={`px-3 py-2 rounded text-white text-sm ${
+                            disabled={isRecordFilterMode && !isEditMode}
+                            title={isRecordFilterMode && !isEditMode ? '篩選價格記錄時無法使用編輯模式' : undefined}
+                            className={`px-3 py-2 rounded text-white text-sm disabled:opacity-50 ${
                                 isEditMode ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'
                             }`}
                         >
@@ -889,25 +1322,70 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                     </div>
                 )}
 
+                {isFilterPanelOpen && !isEditMode && (
+                    <RecordFilterPanel
+                        filters={filters}
+                        onChange={setFilters}
+                        storeOptions={storeOptions}
+                        chainOptions={chainOptions}
+                        savedViews={savedViews}
+                        onSaveView={handleSaveView}
+                        onApplyView={handleApplyView}
+                        onDeleteView={(viewId) => setSavedViews(deleteView(viewId))}
+                        onClose={() => setIsFilterPanelOpen(false)}
+                    />
+                )}
+
+                {isEditMode && pendingUpdateCount > 0 && (
+                    <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+                        <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+                        編輯期間有 {pendingUpdateCount} 個產品有新的更新，退出編輯模式後套用
+                    </div>
+                )}
+
                 {filteredProducts.length === 0 ? (
                     <div className="text-center py-10 bg-white rounded-xl shadow">
                         <Database size={48} className="mx-auto text-gray-400 mb-4" />
-                        <h3 className="text-xl font-semibold text-gray-700 mb-2">{searchQuery ? '找不到結果' : '暫無記錄'}</h3>
-                        <p className="text-gray-500">{searchQuery ? `找不到符合 "${searchQuery}" 的產品` : '還沒有任何產品和價格記錄'}</p>
+                        {isRecordFilterMode && isScanning ? (
+                            <h3 className="text-xl font-semibold text-gray-700 mb-2">正在搜尋符合條件的記錄...</h3>
+                        ) : activeFilterCount > 0 ? (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 mb-2">找不到結果</h3>
+                                <p className="text-gray-500">{canLoadMore ? '已載入的資料中沒有符合篩選條件的記錄，向下捲動可繼續搜尋' : '沒有符合篩選條件的記錄'}</p>
+                            </>
+                        ) : (
+                            <>
+                                <h3 className="text-xl font-semibold text-gray-700 mb-2">{searchQuery ? '找不到結果' : '暫無記錄'}</h3>
+                                <p className="text-gray-500">{searchQuery ? `找不到符合 "${searchQuery}" 的產品` : '還沒有任何產品和價格記錄'}</p>
+                            </>
+                        )}
                     </div>
                 ) : (
                     <div>
                         <div className="mb-4 p-4 bg-white rounded-lg shadow">
-                            <div className="flex justify-between">
-                                <p className="text-gray-700">總共 <span className="font-bold">{filteredProducts.length}</span> 個產品</p>
-                                <p className="text-gray-700">總共 <span className="font-bold">{Object.values(allRecords).flat().length}</span> 條記錄</p>
-                            </div>
+                            {isRecordFilterMode && !isEditMode ? (
+                                <div className="flex justify-between">
+                                    <p className="text-gray-700">符合條件 <span className="font-bold">{filteredProducts.length}</span> 個產品</p>
+                                    <p className="text-gray-700">共 <span className="font-bold">{filteredProducts.reduce((count, product) => count + (matchedRecordsByProduct[String(product.numericalID)] || []).length, 0)}</span> 條記錄</p>
+                                </div>
+                            ) : (
+                                <div className="flex justify-between">
+                                    <p className="text-gray-700">{hasMore ? '已載入' : '總共'} <span className="font-bold">{filteredProducts.length}</span> 個產品</p>
+                                    <p className="text-gray-700">總共 <span className="font-bold">{filteredProducts.reduce((count, product) => count + (product.recordCount || 0), 0)}</span> 條記錄</p>
+                                </div>
+                            )}
+                            {isRecordFilterMode && scanHasMore && scannedRecords.length > 0 && (
+                                <p className="text-xs text-gray-500 mt-2">已搜尋至 {toDate(scannedRecords[scannedRecords.length - 1].timestamp).toLocaleDateString()} 的記錄，向下捲動可搜尋更早的記錄</p>
+                            )}
+                            {!isRecordFilterMode && hasMore && (searchQuery || (filters.barcode && !isFullBarcode)) && <p className="text-xs text-gray-500 mt-2">只搜尋已載入的產品，向下捲動可載入更多</p>}
                         </div>
                         {filteredProducts.map(product => {
-                            // 修復：確保 records 始終有默認值
-                            const records = isEditMode ? (localRecords[product.numericalID] || []) : (allRecords[product.numericalID] || []);
+                            // 尚未展開的產品沒有記錄，以產品文件的記錄數判斷；篩選模式只顯示符合條件的記錄
+                            const isFiltered = isRecordFilterMode && !isEditMode;
+                            const records = isEditMode ? localRecords[product.numericalID] : (isFiltered ? matchedRecordsByProduct[String(product.numericalID)] : allRecords[product.numericalID]);
+                            const recordCount = records ? records.length : product.recordCount;
                             // 修改：即使沒有記錄也顯示產品卡片，但只在編輯模式下
-                            if (records.length === 0 && !isEditMode) return null;
+                            if (recordCount === 0 && !isEditMode) return null;
                             return (
                                 // 修改：為選中的項目添加增強的視覺反饋
                                 <div key={product.numericalID} className={`relative transition-all duration-200 ${isEditMode && selectedItems.has(product.numericalID) ? 'bg-blue-50 border-2 border-blue-500 rounded-lg' : ''}`}>
@@ -925,9 +1403,14 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                                         <ProductRecord 
                                             product={product} 
                                             records={records} 
+                                            isExpanded={isFiltered || expandedProducts.has(product.numericalID)}
+                                            isFiltered={isFiltered}
+                                            isLoadingRecords={loadingProductIds.has(product.numericalID)}
+                                            onToggle={() => toggleProductExpanded(product.numericalID)}
                                             theme={theme} 
                                             onEdit={handleEdit} 
                                             onDelete={handleDelete} 
+                                            priceBasis={priceBasis}
                                         />
                                     </div>
                                 </div>
@@ -936,6 +1419,19 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                     </div>
                 )}
 
+                {/* 無限捲動：觸發點進入畫面時載入下一頁 */}
+                <div ref={sentinelRef} className="py-4 text-center text-sm text-gray-500">
+                    {isRecordFilterMode ? (
+                        isScanning ? '正在搜尋更早的記錄...' : scanHasMore && (
+                            <button onClick={loadMoreScan} className="text-indigo-600 hover:text-indigo-800">搜尋更早的記錄</button>
+                        )
+                    ) : (
+                        isLoadingMore ? '正在載入更多產品...' : hasMore && (isEditMode ? '編輯模式中暫停載入更多產品' : (
+                            <button onClick={loadMore} className="text-indigo-600 hover:text-indigo-800">載入更多產品</button>
+                        ))
+                    )}
+                </div>
+
                 {editingRecord && (
                     <EditModal
                         record={editingRecord}
@@ -944,6 +1440,17 @@ function AllRecordsPage({ theme, onBack, db, userId, isAuthReady }) {
                     />
                 )}
 
+                {isExportOpen && (
+                    <RecordExportDialog
+                        productCount={filteredProducts.length}
+                        isFiltered={isRecordFilterMode}
+                        hasMore={canLoadMore}
+                        progress={exportProgress}
+                        onExport={handleExport}
+                        onClose={() => setIsExportOpen(false)}
+                    />
+                )}
+
                 {deletingRecord && (
                     <DeleteConfirmation
                         record={deletingRecord}
@@ -1043,6 +1550,7 @@ function EditModal({ record, onClose, onSave }) {
     const [price, setPrice] = useState(record.price);
     const [quantity, setQuantity] = useState(record.quantity || '');
     const [unitType, setUnitType] = useState(record.unitType || 'pcs');
+    const [packCount, setPackCount] = useState(record.packCount || 1);
     const [discount, setDiscount] = useState(record.discountDetails || '');
     const [originalPrice, setOriginalPrice] = useState(record.originalPrice || '');
     const [specialPrice, setSpecialPrice] = useState(record.specialPrice || '');
@@ -1051,17 +1559,26 @@ function EditModal({ record, onClose, onSave }) {
     const [isStoreSelectorOpen, setIsStoreSelectorOpen] = useState(false);
 
     const handleSave = () => {
-        const newUnitPrice = calculateUnitPrice(price, quantity, unitType);
+        const newUnitPrice = calculateUnitPrice(price, quantity, unitType, packCount);
         if (newUnitPrice === null) {
             alert("請輸入有效的價格和數量。");
             return;
         }
+        const baseUnitInfo = convertToBaseUnit(quantity, unitType, packCount);
+        const effectiveInfo = calculateEffectivePrice(price, discount, { quantity, unitType, packCount });
         onSave({ 
             ...record, 
             price: parseFloat(price),
             quantity: parseFloat(quantity),
             unitType: unitType,
+            packCount: parseFloat(packCount) || 1,
+            baseQuantity: baseUnitInfo.baseQuantity,
+            unitDimension: baseUnitInfo.dimension,
             unitPrice: newUnitPrice,
+            effectivePrice: effectiveInfo.effectivePrice,
+            effectiveUnitPrice: effectiveInfo.effectiveUnitPrice,
+            promotion: effectiveInfo.promotion,
+            promotionQuantity: effectiveInfo.purchaseQuantity,
             discountDetails: discount,
             originalPrice: originalPrice ? parseFloat(originalPrice) : null,
             specialPrice: specialPrice ? parseFloat(specialPrice) : null,
@@ -1070,7 +1587,7 @@ function EditModal({ record, onClose, onSave }) {
         });
     };
 
-    const currentUnitPrice = calculateUnitPrice(price, quantity, unitType);
+    const currentUnitPrice = calculateUnitPrice(price, quantity, unitType, packCount);
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-hidden">
@@ -1158,13 +1675,20 @@ function EditModal({ record, onClose, onSave }) {
                             onChange={(e) => setUnitType(e.target.value)}
                             className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
                         >
-                            <option value="ml">ml (毫升)</option>
-                            <option value="g">g (克)</option>
-                            <option value="pcs">pcs (個/包/支/條)</option>
+                            {UNIT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
                         </select>
                     </div>
                     <div>
-                        <label className="block text-sm font-medium text-gray-700">單價 (自動計算)</label>
+                        <label className="block text-sm font-medium text-gray-700">包數 (入)</label>
+                        <input
+                            type="number"
+                            value={packCount}
+                            onChange={(e) => setPackCount(e.target.value)}
+                            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">單價 ({getUnitPriceLabel(unitType)}，自動計算)</label>
                         <input
                             type="text"
                             value={currentUnitPrice === null ? 'N/A' : currentUnitPrice.toFixed(2)}
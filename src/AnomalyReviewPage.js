@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowLeft, ShieldAlert, CheckCircle, Edit, Trash2, AlertTriangle, Image as ImageIcon } from 'lucide-react';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { describeAnomaly, getAnomalyPhoto, validateAnomalousPrice, REVIEW_DECISIONS } from './utils/anomalyDetection';
+import { calculateUnitPrice, convertToBaseUnit, calculateEffectivePrice, formatUnitPrice, getUnitPriceLabel, UNIT_OPTIONS } from './utils/priceCalculations';
+import { recomputeProductAggregates } from './utils/productAggregates';
+import { showUserFriendlyError, handleFirestoreSaveError } from './utils/errorHandler';
+
+const toDate = (timestamp) => {
+    if (!timestamp) return null;
+    return timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+};
+
+// 異常記錄的原始擷取畫面（按需載入）
+function AnomalyPhoto({ db, record }) {
+    const [photo, setPhoto] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (!record.anomalyFlag?.hasPhoto) return;
+        let isCancelled = false;
+        setIsLoading(true);
+        getAnomalyPhoto(db, record.id)
+            .then(image => { if (!isCancelled) setPhoto(image); })
+            .catch(error => console.error("讀取異常畫面失敗:", error))
+            .finally(() => { if (!isCancelled) setIsLoading(false); });
+        return () => { isCancelled = true; };
+    }, [db, record.id, record.anomalyFlag]);
+
+    if (!record.anomalyFlag?.hasPhoto) {
+        return (
+            <div className="w-full h-40 bg-gray-100 rounded flex flex-col items-center justify-center text-gray-400 text-sm">
+                <ImageIcon className="w-8 h-8 mb-1" />無擷取畫面
+            </div>
+        );
+    }
+    if (isLoading || !photo) {
+        return <div className="w-full h-40 bg-gray-100 rounded flex items-center justify-center text-gray-400 text-sm">載入畫面中...</div>;
+    }
+    return <img src={photo} alt="原始擷取畫面" className="w-full max-h-64 object-contain rounded bg-gray-100" />;
+}
+
+// 修正表單
+function CorrectionForm({ record, onCancel, onSubmit }) {
+    const [price, setPrice] = useState(record.price ?? '');
+    const [quantity, setQuantity] = useState(record.quantity ?? '');
+    const [unitType, setUnitType] = useState(record.unitType || 'pcs');
+    const [packCount, setPackCount] = useState(record.packCount || 1);
+
+    const unitPrice = calculateUnitPrice(price, quantity, unitType, packCount);
+
+    const handleSubmit = () => {
+        if (unitPrice === null) {
+            alert("請輸入有效的價格和數量。");
+            return;
+        }
+        const baseUnitInfo = convertToBaseUnit(quantity, unitType, packCount);
+        const effectiveInfo = calculateEffectivePrice(price, record.discountDetails, { quantity, unitType, packCount });
+        onSubmit({
+            price: parseFloat(price),
+            quantity: parseFloat(quantity),
+            unitType,
+            packCount: parseFloat(packCount) || 1,
+            baseQuantity: baseUnitInfo.baseQuantity,
+            unitDimension: baseUnitInfo.dimension,
+            unitPrice,
+            effectivePrice: effectiveInfo.effectivePrice,
+            effectiveUnitPrice: effectiveInfo.effectiveUnitPrice
+        });
+    };
+
+    return (
+        <div className="mt-3 p-3 bg-gray-50 rounded border border-gray-200 space-y-2 text-sm">
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label className="block text-gray-700 font-medium">價格</label>
+                    <input type="number" value={price} onChange={(e) => setPrice(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium">數量</label>
+                    <input type="number" value={quantity} onChange={(e) => setQuantity(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium">單位</label>
+                    <select value={unitType} onChange={(e) => setUnitType(e.target.value)} className="w-full p-2 border border-gray-300 rounded">
+                        {UNIT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium">包數 (入)</label>
+                    <input type="number" value={packCount} onChange={(e) => setPackCount(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+                </div>
+            </div>
+            <p className="text-gray-600">修正後單價 ({getUnitPriceLabel(unitType)}): {formatUnitPrice(unitPrice)}</p>
+            <div className="flex justify-end space-x-2">
+                <button onClick={onCancel} className="px-3 py-1 rounded bg-gray-200 text-gray-700 hover:bg-gray-300">取消</button>
+                <button onClick={handleSubmit} className="px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700">儲存修正</button>
+            </div>
+        </div>
+    );
+}
+
+function AnomalyReviewCard({ db, record, onDecision, isProcessing }) {
+    const [isCorrecting, setIsCorrecting] = useState(false);
+    const flag = record.anomalyFlag || {};
+    const flaggedAt = toDate(flag.flaggedAt);
+
+    return (
+        <div className="p-4 rounded-xl shadow-lg bg-white border-t-4 border-yellow-400 mb-6">
+            <div className="flex justify-between items-start mb-3">
+                <div>
+                    <h3 className="text-lg font-bold text-gray-800">{record.productName}</h3>
+                    <p className="text-sm text-gray-600">{record.storeName || '未標註'}{flaggedAt && ` • ${flaggedAt.toLocaleString()}`}</p>
+                </div>
+                <div className="text-right">
+                    <p className="text-2xl font-bold text-indigo-600">${(record.price || 0).toFixed(2)}</p>
+                    <p className="text-xs text-gray-500">數量: {record.quantity} {record.unitType} • 單價 @{formatUnitPrice(record.unitPrice)}</p>
+                </div>
+            </div>
+
+            <div className="flex items-start p-2 mb-3 rounded bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                <div>
+                    <p className="font-medium">{describeAnomaly({ ...flag, isAnomalous: true })}</p>
+                    {flag.baselinePrice != null && <p className="text-xs">基準單價: {formatUnitPrice(flag.baselinePrice)} • 置信度: {((flag.confidence || 0) * 100).toFixed(0)}%</p>}
+                </div>
+            </div>
+
+            <AnomalyPhoto db={db} record={record} />
+
+            {isCorrecting ? (
+                <CorrectionForm
+                    record={record}
+                    onCancel={() => setIsCorrecting(false)}
+                    onSubmit={(updates) => onDecision(record, REVIEW_DECISIONS.CORRECT, updates)}
+                />
+            ) : (
+                <div className="grid grid-cols-3 gap-2 mt-3">
+                    <button
+                        onClick={() => onDecision(record, REVIEW_DECISIONS.CONFIRM)}
+                        disabled={isProcessing}
+                        className="flex items-center justify-center p-2 rounded-lg text-sm font-semibold bg-green-500 hover:bg-green-600 text-white"
+                    >
+                        <CheckCircle className="w-4 h-4 mr-1" />價格正確
+                    </button>
+                    <button
+                        onClick={() => setIsCorrecting(true)}
+                        disabled={isProcessing}
+                        className="flex items-center justify-center p-2 rounded-lg text-sm font-semibold bg-blue-500 hover:bg-blue-600 text-white"
+                    >
+                        <Edit className="w-4 h-4 mr-1" />修正
+                    </button>
+                    <button
+                        onClick={() => onDecision(record, REVIEW_DECISIONS.DELETE)}
+                        disabled={isProcessing}
+                        className="flex items-center justify-center p-2 rounded-lg text-sm font-semibold bg-red-500 hover:bg-red-600 text-white"
+                    >
+                        <Trash2 className="w-4 h-4 mr-1" />刪除
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// 主組件：異常價格審核佇列
+function AnomalyReviewPage({ theme, onBack, db, userId }) {
+    const [records, setRecords] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [processingId, setProcessingId] = useState(null);
+    const [successMessage, setSuccessMessage] = useState('');
+
+    const fetchFlaggedRecords = useCallback(async () => {
+        if (!db) return;
+        setLoading(true);
+        try {
+            const flaggedQuery = query(collection(db, "priceRecords"), where("anomalyFlag.flagged", "==", true));
+            const snapshot = await getDocs(flaggedQuery);
+            const flagged = snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (toDate(b.anomalyFlag?.flaggedAt)?.getTime() || 0) - (toDate(a.anomalyFlag?.flaggedAt)?.getTime() || 0));
+            setRecords(flagged);
+        } catch (error) {
+            console.error('讀取異常記錄失敗:', error);
+            const userMessage = handleFirestoreSaveError(error, "讀取異常記錄");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setLoading(false);
+        }
+    }, [db]);
+
+    useEffect(() => {
+        if (!userId) return;
+        fetchFlaggedRecords();
+    }, [fetchFlaggedRecords, userId]);
+
+    const handleDecision = async (record, decision, updates) => {
+        if (decision === REVIEW_DECISIONS.DELETE && !window.confirm(`確定要刪除這筆價格為 $${(record.price || 0).toFixed(2)} 的記錄嗎？此操作無法復原。`)) {
+            return;
+        }
+        setProcessingId(record.id);
+        try {
+            await validateAnomalousPrice(db, record, decision, { userId, updates });
+            // 審核後的記錄會重新列入或移出最佳單價計算
+            await recomputeProductAggregates(db, record.numericalID);
+            setRecords(prev => prev.filter(r => r.id !== record.id));
+            const messages = {
+                [REVIEW_DECISIONS.CONFIRM]: '已確認價格正確，之後將納入比價基準',
+                [REVIEW_DECISIONS.CORRECT]: '已儲存修正',
+                [REVIEW_DECISIONS.DELETE]: '記錄已刪除'
+            };
+            setSuccessMessage(messages[decision]);
+            setTimeout(() => setSuccessMessage(''), 2000);
+        } catch (error) {
+            console.error("審核異常記錄失敗:", error);
+            const userMessage = handleFirestoreSaveError(error, "審核異常記錄");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setProcessingId(null);
+        }
+    };
+
+    return (
+        <div className="min-h-screen p-4 sm:p-8 bg-gray-100">
+            <div className="max-w-4xl mx-auto">
+                {successMessage && (
+                    <div className="fixed top-20 left-1/2 -translate-x-1/2 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg flex items-center z-50">
+                        <CheckCircle size={20} className="mr-2" />
+                        <span>{successMessage}</span>
+                    </div>
+                )}
+                <div className="flex items-center mb-6">
+                    <button onClick={onBack} className="flex items-center text-indigo-600 hover:text-indigo-800 mr-4"><ArrowLeft className="mr-1" size={20} />返回</button>
+                    <h1 className={`text-2xl font-bold ${theme.text} flex items-center`}><ShieldAlert className="mr-2" />異常價格審核</h1>
+                </div>
+
+                {loading ? (
+                    <div className="text-center py-10"><p>正在從雲端加載數據...</p></div>
+                ) : records.length === 0 ? (
+                    <div className="text-center py-10 bg-white rounded-xl shadow">
+                        <CheckCircle size={48} className="mx-auto text-green-400 mb-4" />
+                        <h3 className="text-xl font-semibold text-gray-700 mb-2">沒有待審核的異常價格</h3>
+                    </div>
+                ) : (
+                    <div>
+                        <div className="mb-4 p-4 bg-white rounded-lg shadow">
+                            <p className="text-gray-700">待審核 <span className="font-bold">{records.length}</span> 筆</p>
+                        </div>
+                        {records.map(record => (
+                            <AnomalyReviewCard
+                                key={record.id}
+                                db={db}
+                                record={record}
+                                onDecision={handleDecision}
+                                isProcessing={processingId === record.id}
+                            />
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AnomalyReviewPage;
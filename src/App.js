@@ -1,15 +1,31 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { PaintBucket, DollarSign, Barcode, ClipboardCheck, X, Camera, Zap, FileText, RotateCcw, Database, Settings as SettingsIcon } from 'lucide-react';
+import { PaintBucket, DollarSign, Barcode, ClipboardCheck, X, Camera, Zap, FileText, RotateCcw, Database, Settings as SettingsIcon, ShieldAlert, WifiOff, CloudUpload, Clock } from 'lucide-react';
 import AllRecordsPage from './AllRecordsPage';
+import AnomalyReviewPage from './AnomalyReviewPage';
+import OcrQueuePage from './OcrQueuePage';
 import StoreSelector from './StoreSelector';
 import AIOcrCaptureModal from './components/AIOcrCaptureModal';
 import SettingsPage from './components/SettingsPage'; // 新增導入
 import FirebaseLoadingIndicator from './components/FirebaseLoadingIndicator';
+import OcrWarnings from './components/OcrWarnings';
 import { db } from './firebase-config.js'; // <-- 引入 Firebase
 import { getAuth, signInAnonymously } from "firebase/auth";
-import { doc, getDoc, setDoc, collection, query, where, getDocs, addDoc, orderBy, serverTimestamp } from "firebase/firestore";
-import { calculateUnitPrice, calculateFinalPrice, formatUnitPrice } from './utils/priceCalculations';
-import { detectPriceAnomaly } from './utils/anomalyDetection';
+import { doc, getDoc, collection, query, where, getDocs } from "firebase/firestore";
+import { calculateUnitPrice, calculateFinalPrice, formatUnitPrice, normalizeUnit, getUnitPriceLabel, areUnitsComparable, UNIT_OPTIONS, calculateEffectivePrice, PRICE_BASIS } from './utils/priceCalculations';
+import { detectPriceAnomaly, buildPriceObservations, describeAnomaly } from './utils/anomalyDetection';
+import { normalizeBarcode } from './utils/barcode';
+import { resolveProductId, getBarcodeProductId, getProductIdQueryValues } from './utils/productIdentity';
+import { computeProductAggregates } from './utils/productAggregates';
+import { subscribeProductHistory, subscribeTodayRecords } from './utils/liveQueries';
+import { buildPriceRecordPayload } from './utils/priceRecordPayload';
+import { countActiveFilters, filtersFromSearch } from './utils/recordFilters';
+import { analyzePriceTagImage, analyzeImageWithTemplate, getBlockingWarnings, OCR_TEMPLATE_IDS, OCR_CONFIDENCE_THRESHOLD_KEY, loadConfidenceThreshold, getLowConfidenceFields } from './utils/ocrAnalysis';
+import { OCR_PROVIDER_KEY, loadOcrProviderId } from './utils/ocrProviders';
+import { OCR_CARD_STATUS, PENDING_OCR_CARDS_KEY, loadPendingOcrCards, savePendingOcrCards, createOcrCard } from './utils/ocrQueue';
+import { matchReceiptItem, buildReceiptItemCards } from './utils/receiptScan';
+import { fetchReceiptCandidateProducts, fetchLatestProductRecord } from './utils/productCatalog';
+import { loadRecordsCache } from './utils/recordsCache';
+import { SYNC_STATUS, listOutboxEntries, enqueuePriceRecord, retryOutboxEntry, discardOutboxEntry, syncOutbox } from './utils/offlineOutbox';
 
 import { showUserFriendlyError, handleFirestoreSaveError } from './utils/errorHandler'; // 導入錯誤處理工具
  // 引入 uuid 函式庫來生成本地 ID
@@ -18,28 +34,10 @@ import { showUserFriendlyError, handleFirestoreSaveError } from './utils/errorHa
 // 1. 核心設定與工具函數 (Core Setup & Utilities)
 // ----------------------------------------------------------------------------
 
-function djb2Hash(str) {
-    let hash = 5381;
-    for (let i = 0; i < str.length; i++) {
-        hash = ((hash << 5) + hash) + str.charCodeAt(i);
-    }
-    return hash >>> 0;
-}
+// AI 辨識的請求、重試與取消已移至 src/utils/geminiProxy.js 與 src/utils/requestClient.js
 
-// 以下函數已移至 src/components/AIOcrCaptureModal.js
-// callGeminiApiWithRetry
-// withExponentialBackoff
-
-
-function generateProductId(barcode, productName, storeName) {
-    if (barcode) {
-        return djb2Hash(barcode).toString();
-    } else {
-        // Combine productName and storeName to create a unique ID for products without barcodes
-        // This assumes productName + storeName is sufficiently unique for non-barcoded items
-        return djb2Hash(`${productName}-${storeName}`).toString();
-    }
-}
+// 產品 ID 的產生已移至 src/utils/productIdentity.js
+// 有條碼：GTIN-14；無條碼：以「品名@商店」對應的固定 UUID
 
 // ----------------------------------------------------------------------------
 // 2. UI 元件 (UI Components)
@@ -234,6 +232,97 @@ function useFirebaseAuthentication() {
     return { userId, currentTheme, saveUserTheme, firebaseLoadingState };
 }
 
+// 離線佇列：追蹤連線狀態，並定期將本機佇列中的價格記錄同步到 Firestore
+const OUTBOX_SYNC_INTERVAL_MS = 30000;
+
+function useOfflineOutbox(userId) {
+    const [outboxEntries, setOutboxEntries] = useState([]);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    const refreshEntries = useCallback(async () => {
+        try {
+            setOutboxEntries(await listOutboxEntries());
+        } catch (error) {
+            console.error("讀取離線佇列失敗:", error);
+        }
+    }, []);
+
+    const syncNow = useCallback(async () => {
+        if (!userId || !navigator.onLine) {
+            return;
+        }
+        try {
+            await syncOutbox(db, { onEntryChange: refreshEntries });
+        } catch (error) {
+            console.error("同步離線佇列失敗:", error);
+        }
+        await refreshEntries();
+    }, [userId, refreshEntries]);
+
+    const enqueueRecord = useCallback(async (payload) => {
+        const entry = await enqueuePriceRecord(db, payload);
+        await refreshEntries();
+        return entry;
+    }, [refreshEntries]);
+
+    const retryEntry = useCallback(async (localId) => {
+        await retryOutboxEntry(localId);
+        await syncNow();
+    }, [syncNow]);
+
+    // 捨棄無法同步的項目
+    const discardEntries = useCallback(async (localIds) => {
+        if (!window.confirm(`確定要捨棄 ${localIds.length} 筆無法同步的記錄嗎？此操作無法復原。`)) {
+            return;
+        }
+        try {
+            for (const localId of localIds) {
+                await discardOutboxEntry(localId);
+            }
+        } catch (error) {
+            console.error("捨棄佇列項目失敗:", error);
+        }
+        await refreshEntries();
+    }, [refreshEntries]);
+
+    // 將所有失敗項目設為立即重試後同步
+    const retryAll = useCallback(async () => {
+        const entries = await listOutboxEntries();
+        for (const entry of entries) {
+            await retryOutboxEntry(entry.localId);
+        }
+        await syncNow();
+    }, [syncNow]);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // 登入完成或恢復連線時立即同步，之後定期處理到期的重試
+    useEffect(() => {
+        refreshEntries();
+        if (!userId || !isOnline) {
+            return;
+        }
+        syncNow();
+        const timer = setInterval(syncNow, OUTBOX_SYNC_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [userId, isOnline, syncNow, refreshEntries]);
+
+    const pendingCount = outboxEntries.filter(entry => entry.status !== SYNC_STATUS.SYNCED && entry.status !== SYNC_STATUS.REJECTED).length;
+    const failedCount = outboxEntries.filter(entry => entry.status === SYNC_STATUS.FAILED).length;
+    const rejectedIds = outboxEntries.filter(entry => entry.status === SYNC_STATUS.REJECTED).map(entry => entry.localId);
+
+    return { outboxEntries, pendingCount, failedCount, rejectedIds, isOnline, enqueueRecord, retryEntry, discardEntries, retryAll, syncNow };
+}
+
 // ----------------------------------------------------------------------------
 // 4. 結果提示框 (Result Toast)
 // ----------------------------------------------------------------------------
@@ -344,12 +433,67 @@ function FullScreenAlert({ message, isVisible, duration, onClose, showButtons, o
     );
 }
 
+// ----------------------------------------------------------------------------
+// 5.1 同步狀態標籤 (Sync Status Badge)
+// ----------------------------------------------------------------------------
+const SYNC_STATUS_LABELS = {
+    [SYNC_STATUS.LOCAL]: { label: '待同步', className: 'bg-yellow-100 text-yellow-800' },
+    [SYNC_STATUS.SYNCING]: { label: '同步中', className: 'bg-blue-100 text-blue-800' },
+    [SYNC_STATUS.SYNCED]: { label: '已同步', className: 'bg-green-100 text-green-800' },
+    [SYNC_STATUS.FAILED]: { label: '同步失敗', className: 'bg-red-100 text-red-800' },
+    [SYNC_STATUS.REJECTED]: { label: '無法同步', className: 'bg-red-600 text-white' }
+};
+
+function SyncStatusBadge({ entry, onRetry, onDiscard }) {
+    // 不在佇列中的記錄（舊資料或已清除）視為已同步
+    if (!entry) {
+        return null;
+    }
+    const { label, className } = SYNC_STATUS_LABELS[entry.status] || SYNC_STATUS_LABELS[SYNC_STATUS.LOCAL];
+
+    return (
+        <div className="mt-1 flex items-center justify-end space-x-1">
+            <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${className}`} title={entry.lastError || ''}>{label}</span>
+            {(entry.status === SYNC_STATUS.FAILED || entry.status === SYNC_STATUS.REJECTED) && (
+                <button onClick={() => onRetry(entry.localId)} className="text-xs text-red-700 underline">重試</button>
+            )}
+            {entry.status === SYNC_STATUS.REJECTED && (
+                <button onClick={() => onDiscard(entry.localId)} className="text-xs text-gray-600 underline">捨棄</button>
+            )}
+        </div>
+    );
+}
+
+// ----------------------------------------------------------------------------
+// 5.2 辨識信心度提示 (OCR Confidence Hint)
+// ----------------------------------------------------------------------------
+const OCR_FIELD_LABELS = {
+    scannedBarcode: '條碼',
+    productName: '產品名稱',
+    extractedPrice: '總價',
+    quantity: '數量',
+    unitType: '單位',
+    storeName: '商店名稱'
+};
+
+// 低信心度欄位的輸入框樣式
+const LOW_CONFIDENCE_INPUT_CLASS = 'ring-2 ring-orange-400 bg-orange-50';
+
+function ConfidenceHint({ confidence }) {
+    return (
+        <p className="text-xs text-orange-600 mt-1">
+            AI 信心度 {typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '未知'}，請確認此欄位
+        </p>
+    );
+}
+
 // ----------------------------------------------------------------------------
 // 6. 主應用程式元件 (App Component)
 // ----------------------------------------------------------------------------
 
 function App() {
     const { userId, currentTheme, saveUserTheme, firebaseLoadingState } = useFirebaseAuthentication();
+    const { outboxEntries, pendingCount, failedCount, rejectedIds, isOnline, enqueueRecord, retryEntry, discardEntries, retryAll, syncNow } = useOfflineOutbox(userId);
     const streamRef = useRef(null);
     
     const [saveResultToast, setSaveResultToast] = useState(null);
@@ -366,11 +510,19 @@ function App() {
     const [productName, setProductName] = useState('');
     const [currentPrice, setCurrentPrice] = useState('');
     const [quantity, setQuantity] = useState('');
-    const [unitType, setUnitType] = useState('pcs'); // 'g', 'ml', 'pcs'
+    const [unitType, setUnitType] = useState('pcs'); // 單位，見 UNIT_REGISTRY
+    const [packCount, setPackCount] = useState('1'); // 包數（多入組）
     const [unitPrice, setUnitPrice] = useState(null);
     const [discountDetails, setDiscountDetails] = useState('');
+    // 比價基準：標價單價或促銷後單價
+    const [priceBasis, setPriceBasis] = useState(() => localStorage.getItem('priceBasis') || PRICE_BASIS.SHELF);
+    // 掃描即存的信心度門檻：所有必要欄位都達到門檻才自動儲存
+    const [confidenceThreshold, setConfidenceThreshold] = useState(loadConfidenceThreshold);
+    // 使用中的 OCR 辨識服務（Gemini 或離線模擬資料）
+    const [ocrProviderId, setOcrProviderId] = useState(loadOcrProviderId);
     const [storeName, setStoreName] = useState('');
     const [productHistory, setProductHistory] = useState([]);
+    const [historyProductId, setHistoryProductId] = useState(null); // 目前訂閱價格歷史的產品
     const [comparisonResult, setComparisonResult] = useState({ message: '等待比價數據...' });
     const [statusMessage, setStatusMessage] = useState('');
     const [isLoading, setIsLoading] = useState(false);
@@ -388,6 +540,16 @@ function App() {
     const [isCaptureModalOpen, setIsCaptureModalOpen] = useState(false);
     const [isStoreSelectorOpen, setIsStoreSelectorOpen] = useState(false);
     const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+    // 待辨識序列（拍完再確認）：卡片保存在 localStorage，重新開啟後仍可繼續處理
+    const [pendingOcrCards, setPendingOcrCards] = useState(loadPendingOcrCards);
+    const [editingOcrCardId, setEditingOcrCardId] = useState(null);
+
+    useEffect(() => {
+        if (!savePendingOcrCards(pendingOcrCards)) {
+            setStatusMessage("儲存空間不足，待辨識卡片無法保存，請先處理或刪除部分卡片");
+        }
+    }, [pendingOcrCards]);
     
     // 新增 useEffect 來自動清除狀態消息
     useEffect(() => {
@@ -446,6 +608,10 @@ function App() {
 
     // 新增函數：處理數據刷新
     const handleDataRefresh = useCallback((key) => {
+        // 如果清除的是 pendingOcrCards，需要更新狀態
+        if (key === PENDING_OCR_CARDS_KEY || key === 'ALL') {
+            setPendingOcrCards(loadPendingOcrCards());
+        }
         // 可以在這裡添加其他需要刷新的狀態
     }, []);
 
@@ -563,12 +729,36 @@ function App() {
         loadTodayScans();
     }, [checkStoreSession, attemptGPSLocation, loadTodayScans]);
 
-    const [currentPage, setCurrentPage] = useState('main'); // 'main', 'allRecords'
+    // 網址帶有篩選條件（分享的連結或重新整理）時直接開啟所有記錄頁
+    const [currentPage, setCurrentPage] = useState(() => (countActiveFilters(filtersFromSearch(window.location.search)) > 0 ? 'allRecords' : 'main')); // 'main', 'allRecords', 'anomalyReview', 'ocrQueue'
     const [ocrResult, setOcrResult] = useState(null);
     const [capturedImage, setCapturedImage] = useState(null);
     
     // 今日掃描記錄狀態
     const [todayScans, setTodayScans] = useState([]);
+    // 今天所有裝置儲存到雲端的記錄（即時訂閱）
+    const [remoteTodayRecords, setRemoteTodayRecords] = useState([]);
+
+    useEffect(() => {
+        if (!userId) return;
+        return subscribeTodayRecords(db, setRemoteTodayRecords, (error) => {
+            console.error("訂閱今日記錄失敗 (Firestore):", error);
+        });
+    }, [userId]);
+
+    // 今日掃描：本機的記錄（含尚未同步的佇列項目）加上其他裝置今天儲存的記錄
+    // 佇列 ID 即為同步後的文件 ID，已在本機的記錄不會重複出現
+    const todayScanList = useMemo(() => {
+        const localIds = new Set(todayScans.map(scan => scan.id));
+        const remoteScans = remoteTodayRecords
+            .filter(record => !localIds.has(record.id))
+            .map(record => ({
+                ...record,
+                timestamp: record.timestamp?.toDate ? record.timestamp.toDate() : new Date(record.timestamp),
+                isFromOtherDevice: !!record.recordedBy && record.recordedBy !== userId
+            }));
+        return [...todayScans, ...remoteScans].sort((a, b) => b.timestamp - a.timestamp);
+    }, [todayScans, remoteTodayRecords, userId]);
     
     // GPS 定位狀態
     const [locationData, setLocationData] = useState(null);
@@ -583,13 +773,28 @@ function App() {
 
         if (!isNaN(price) && !isNaN(qty) && qty > 0) {
             // 使用 calculateUnitPrice 函數計算單價
-            const calculatedUnitPrice = calculateUnitPrice(price, qty, unitType);
+            const calculatedUnitPrice = calculateUnitPrice(price, qty, unitType, packCount);
             setUnitPrice(calculatedUnitPrice);
         } else {
             setUnitPrice(null);
         }
-    }, [currentPrice, quantity, unitType, ocrResult]);
-    
+    }, [currentPrice, quantity, unitType, packCount, ocrResult]);
+
+    const handlePriceBasisChange = useCallback((basis) => {
+        localStorage.setItem('priceBasis', basis);
+        setPriceBasis(basis);
+    }, []);
+
+    const handleConfidenceThresholdChange = useCallback((threshold) => {
+        localStorage.setItem(OCR_CONFIDENCE_THRESHOLD_KEY, String(threshold));
+        setConfidenceThreshold(threshold);
+    }, []);
+
+    const handleOcrProviderChange = useCallback((providerId) => {
+        localStorage.setItem(OCR_PROVIDER_KEY, providerId);
+        setOcrProviderId(providerId);
+    }, []);
+
     // 提前定義所有會被使用的函數，避免 no-use-before-define 警告
     const clearForm = useCallback(() => {
         setBarcode('');
@@ -597,9 +802,11 @@ function App() {
         setCurrentPrice('');
         setQuantity('');
         setUnitType('pcs'); // Reset to default unit type
+        setPackCount('1');
         setUnitPrice(null);
         setDiscountDetails('');
         setStoreName('');
+        setHistoryProductId(null);
         setProductHistory([]);
         setComparisonResult({ message: '等待比價數據...' });
         setOcrResult(null);
@@ -638,20 +845,27 @@ function App() {
         if (!userId) {
             return;
         }
-        
-        const numericalID = generateProductId(barcodeData, currentProductName, currentStoreName);
 
-        // Adjust early exit condition:
-        // If no barcode and no product name, or if barcode is too short and no product name,
-        // then we can't look up a product.
-        if (!numericalID) { // If numericalID couldn't be generated, then we can't look up a product.
-            setProductName('');
+        // 條碼無效時不進行查詢，避免誤讀的數字被當成新產品
+        if (barcodeData && !normalizeBarcode(barcodeData).isValid) {
             setLookupStatus('ready');
+            setHistoryProductId(null);
             setProductHistory([]);
             return;
         }
         
         try {
+            const { productId: numericalID } = await resolveProductId(db, barcodeData, currentProductName, currentStoreName);
+
+            // If numericalID couldn't be resolved, then we can't look up a product.
+            if (!numericalID) {
+                setProductName('');
+                setLookupStatus('ready');
+                setHistoryProductId(null);
+                setProductHistory([]);
+                return;
+            }
+
             const productRef = doc(db, "products", numericalID.toString());
             const productSnap = await getDoc(productRef);
 
@@ -662,41 +876,29 @@ function App() {
                 setLookupStatus('new');
             }
 
-            const recordsQueryString = query(
-                collection(db, "priceRecords"),
-                where("numericalID", "==", numericalID), // numericalID is already a string
-                orderBy("timestamp", "desc")
-            );
-            const recordsSnapString = await getDocs(recordsQueryString);
-            let records = recordsSnapString.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-            // Attempt to query for numericalID as a number, if it's a valid number string
-            const numericalIDAsNumber = parseInt(numericalID, 10);
-            if (!isNaN(numericalIDAsNumber) && numericalIDAsNumber.toString() === numericalID) { // Check if it's a pure number string
-                const recordsQueryNumber = query(
-                    collection(db, "priceRecords"),
-                    where("numericalID", "==", numericalIDAsNumber),
-                    orderBy("timestamp", "desc")
-                );
-                const recordsSnapNumber = await getDocs(recordsQueryNumber);
-                const recordsNumber = recordsSnapNumber.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                
-                // Merge and deduplicate records
-                const mergedRecordsMap = new Map();
-                records.forEach(record => mergedRecordsMap.set(record.id, record));
-                recordsNumber.forEach(record => mergedRecordsMap.set(record.id, record));
-                records = Array.from(mergedRecordsMap.values()).sort((a, b) => (b.timestamp?.toDate ? b.timestamp.toDate().getTime() : 0) - (a.timestamp?.toDate ? a.timestamp.toDate().getTime() : 0));
-            }
-            setProductHistory(records);
+            // 價格歷史改由即時訂閱取得（見下方 effect）
+            // 尚未執行 ID 遷移時 resolveProductId 會回傳舊版 ID，訂閱同時比對字串與數字型的 numericalID
+            setHistoryProductId(numericalID);
 
         } catch (error) {
             console.error("查詢產品失敗 (Firestore):", error);
             setStatusMessage("查詢產品資料時發生錯誤。");
             setLookupStatus('ready');
+            setHistoryProductId(null);
             setProductHistory([]);
         }
     }, [userId, setProductName, setLookupStatus, setProductHistory, setStatusMessage]);
 
+    // 即時訂閱目前產品的價格歷史，家人在其他裝置儲存的價格會立即出現
+    useEffect(() => {
+        if (!historyProductId) return;
+        setProductHistory([]);
+        return subscribeProductHistory(db, historyProductId, setProductHistory, (error) => {
+            console.error("訂閱價格歷史失敗 (Firestore):", error);
+            setStatusMessage("查詢產品資料時發生錯誤。");
+        });
+    }, [historyProductId]);
+
     
 
     
@@ -704,158 +906,133 @@ function App() {
     // 正確地提前定義 performSaveAndCompare 函數（必須在 saveAndComparePrice 之前定義）
     const performSaveAndCompare = useCallback(async (selectedStore) => {
         const finalStoreName = selectedStore || storeName;
-        const numericalID = generateProductId(barcode, productName, finalStoreName);
-        
+
         // 使用新的價格計算函數來確定最終價格
         const finalPrice = calculateFinalPrice(currentPrice, ocrResult?.specialPrice);
         const priceValue = parseFloat(finalPrice);
 
-        // 使用 calculateUnitPrice 函數計算單價
-        const calculatedUnitPrice = calculateUnitPrice(priceValue, quantity, unitType);
-
-        if (!userId || !productName || isNaN(priceValue) || isNaN(parseFloat(quantity)) || parseFloat(quantity) <= 0 || calculatedUnitPrice === null) {
-            showUserFriendlyError("請確保已輸入條碼、產品名稱、有效總價、數量和單位！", "資料驗證");
+        // 驗證輸入並準備產品與價格記錄（numericalID、timestamp 與 createdAt 於同步時補上）
+        const payload = buildPriceRecordPayload({
+            barcode,
+            productName,
+            storeName: finalStoreName,
+            price: priceValue,
+            quantity,
+            unitType,
+            packCount,
+            discountDetails,
+            originalPrice: ocrResult?.originalPrice,
+            specialPrice: ocrResult?.specialPrice,
+            ocrTemplate: ocrResult?.ocrTemplate,
+            fieldConfidence: ocrResult?.fieldConfidence,
+            recordedBy: userId,
+            locationData
+        });
+        if (payload.missingStore) {
+            setIsStoreSelectorOpen(true);
             setIsLoading(false);
             return;
         }
-        if (!finalStoreName.trim()) {
-            setIsStoreSelectorOpen(true);
+        if (!userId || !payload.isValid) {
+            showUserFriendlyError(payload.error || "請確保已輸入條碼、產品名稱、有效總價、數量和單位！", "資料驗證");
             setIsLoading(false);
             return;
         }
+        const { normalizedBarcode, productId: numericalID, productData, priceRecord, baseUnitInfo, effectiveInfo } = payload;
+        const calculatedUnitPrice = priceRecord.unitPrice;
 
         try {
-            const productRef = doc(db, "products", numericalID.toString());
-            const productSnap = await getDoc(productRef);
-            
-            // 準備產品文檔數據
-            const productData = {
-                numericalID,
-                barcodeData: barcode,
-                productName,
-                createdAt: productSnap.exists() ? productSnap.data().createdAt : serverTimestamp(),
-                lastUpdatedBy: userId,
-            };
-
-            // 準備價格記錄數據
-            const priceRecord = {
-                numericalID,
-                productName,
-                storeName: finalStoreName,
-                price: priceValue, // 總價
-                quantity: parseFloat(quantity),
-                unitType: unitType,
-                unitPrice: calculatedUnitPrice, // 單價
-                discountDetails: discountDetails || '',
-                timestamp: serverTimestamp(),
-                recordedBy: userId,
-                // 保存原價和特價信息（如果有的話）
-                originalPrice: ocrResult?.originalPrice ? parseFloat(ocrResult.originalPrice) : null,
-                specialPrice: ocrResult?.specialPrice ? parseFloat(ocrResult.specialPrice) : null,
-                // 添加地理位置信息（如果有的話）
-                locationData: locationData || null
-            };
-
             // 檢測價格異常
-            const historicalPrices = productHistory.map(record => record.unitPrice).filter(price => price && !isNaN(price));
-            const anomalyResult = detectPriceAnomaly(calculatedUnitPrice, historicalPrices);
-            
-            // 如果檢測到異常，添加標記
+            // 只與相同計量類型（質量/容量/數量）的歷史單價比較，並依商店/連鎖建立基準
+            const historicalObservations = buildPriceObservations(
+                productHistory.filter(record => areUnitsComparable(record, priceRecord))
+            );
+            const anomalyResult = detectPriceAnomaly(calculatedUnitPrice, historicalObservations, { storeName: finalStoreName });
             if (anomalyResult.isAnomalous) {
-                priceRecord.anomalyFlag = {
-                    flagged: true,
-                    confidence: anomalyResult.confidence,
-                    reason: anomalyResult.reason,
-                    deviation: anomalyResult.deviation,
-                    flaggedAt: serverTimestamp()
-                };
                 console.log("檢測到異常價格:", anomalyResult);
             }
 
-            // 儲存價格記錄
-            const priceRecordDocRef = await addDoc(collection(db, "priceRecords"), priceRecord);
-            
-            // 檢查是否需要更新產品文檔中的最佳單價
-            let isBestPrice = false;
-            if (productSnap.exists()) {
-                const existingProductData = productSnap.data();
-                // 如果產品文檔中沒有 bestUnitPrice 或新價格更低，則更新
-                if (existingProductData.bestUnitPrice === undefined || calculatedUnitPrice < existingProductData.bestUnitPrice) {
-                    productData.bestUnitPrice = calculatedUnitPrice;
-                    productData.bestPriceRecordRef = priceRecordDocRef.path; // 儲存指向最佳價格記錄的引用路徑
-                    isBestPrice = true;
-                } else {
-                    // 保持現有的最佳價格信息
-                    productData.bestUnitPrice = existingProductData.bestUnitPrice;
-                    productData.bestPriceRecordRef = existingProductData.bestPriceRecordRef;
-                }
-            } else {
-                // 新產品，當前價格就是最佳價格
-                productData.bestUnitPrice = calculatedUnitPrice;
-                productData.bestPriceRecordRef = priceRecordDocRef.path;
-                isBestPrice = true;
-            }
-            
-            // 儲存或更新產品文檔
-            await setDoc(productRef, productData);
+            // 先寫入本機佇列，離線時也能立即完成儲存；異常價格一併保存擷取畫面供審核
+            const entry = await enqueueRecord({
+                productId: numericalID,
+                nameStoreKey: payload.nameStoreKey,
+                productData,
+                priceRecord,
+                anomalyResult,
+                photo: anomalyResult.isAnomalous ? capturedImage : null
+            });
+
+            // 以已載入的歷史記錄加上本筆記錄在本機計算最佳價格，不需等待同步
+            // 佇列 ID 即為同步後的文件 ID，因此記錄參照在同步前後一致
+            const localRecords = [
+                ...productHistory,
+                { ...priceRecord, id: entry.localId, timestamp: new Date(entry.createdAt) }
+            ];
+            const aggregates = computeProductAggregates(localRecords);
+            const bestFields = {
+                [PRICE_BASIS.SHELF]: { priceField: 'bestUnitPrice', refField: 'bestPriceRecordRef', value: calculatedUnitPrice },
+                [PRICE_BASIS.EFFECTIVE]: { priceField: 'bestEffectiveUnitPrice', refField: 'bestEffectivePriceRecordRef', value: effectiveInfo.effectiveUnitPrice }
+            };
+            const { priceField: bestPriceField, refField: bestRefField } = bestFields[priceBasis];
+            // 本次單位的計量類型與產品主要的計量類型不同時無法比價
+            const isUnitMismatch = !!aggregates.bestUnitDimension && aggregates.bestUnitDimension !== baseUnitInfo.dimension;
+            const isBestPrice = aggregates[bestRefField] === `priceRecords/${entry.localId}`;
+            const basisLabel = priceBasis === PRICE_BASIS.EFFECTIVE ? '促銷後單價' : '單價';
 
             // 準備比價結果
             let toastStatus, toastMessage, isBest, bestPrice, bestStore;
 
             if (isBestPrice) {
                 isBest = true;
-                bestPrice = calculatedUnitPrice;
+                bestPrice = bestFields[priceBasis].value;
                 bestStore = finalStoreName;
                 toastStatus = 'success';
-                toastMessage = '恭喜！這是目前紀錄中的最低單價！';
+                toastMessage = `恭喜！這是目前紀錄中的最低${basisLabel}！`;
                 
                 // 如果是異常價格但又是最低價，添加警告
                 if (anomalyResult.isAnomalous) {
-                    toastMessage += ` (注意：此價格偏離平均值${(anomalyResult.deviation * 100).toFixed(1)}%，請確認是否正確)`;
+                    toastMessage += ` (注意：${describeAnomaly(anomalyResult)}，請確認是否正確)`;
                     toastStatus = 'warning';
                 }
             } else {
                 isBest = false;
-                bestPrice = productData.bestUnitPrice;
-                
-                // 從 Firestore 獲取最佳價格記錄的商店名稱
-                try {
-                    const bestPriceRecordDoc = await getDoc(doc(db, productData.bestPriceRecordRef));
-                    if (bestPriceRecordDoc.exists()) {
-                        bestStore = bestPriceRecordDoc.data().storeName;
-                    } else {
-                        bestStore = '未知商店';
-                    }
-                } catch (error) {
-                    console.error("獲取最佳價格記錄失敗:", error);
-                    bestStore = '未知商店';
-                }
+                bestPrice = aggregates[bestPriceField];
+                const bestRecord = localRecords.find(record => `priceRecords/${record.id}` === aggregates[bestRefField]);
+                bestStore = bestRecord?.storeName || '未知商店';
                 
                 toastStatus = 'warning';
-                toastMessage = `非最低單價。歷史最低單價為 $${formatUnitPrice(productData.bestUnitPrice)} (${bestStore})`;
+                toastMessage = isUnitMismatch
+                    ? `單位類型與歷史紀錄不同，無法比價。歷史最低${basisLabel}為 $${formatUnitPrice(bestPrice)} (${bestStore})`
+                    : `非最低${basisLabel}。歷史最低${basisLabel}為 $${formatUnitPrice(bestPrice)} (${bestStore})`;
                 
                 // 如果是異常價格，添加額外警告
                 if (anomalyResult.isAnomalous) {
-                    toastMessage += ` (注意：此價格偏離平均值${(anomalyResult.deviation * 100).toFixed(1)}%，已標記為異常)`;
+                    toastMessage += ` (注意：${describeAnomaly(anomalyResult)}，已標記為異常)`;
                 }
             }
+            if (!isOnline) {
+                toastMessage += '（目前離線，將於連線後自動同步）';
+            }
 
             setComparisonResult({ isBest, bestPrice, bestStore, message: toastMessage });
             // 儲存成功時顯示提示訊息
             setSaveResultToast({ status: toastStatus, message: toastMessage, productName: productName });
             
-            // 將記錄添加到今日掃描 localStorage
+            // 將記錄添加到今日掃描 localStorage（以佇列 ID 對應同步狀態）
             const todayRecord = {
-                id: priceRecordDocRef.id,
+                id: entry.localId,
                 numericalID,
                 productName,
                 storeName: finalStoreName,
                 price: priceValue,
                 quantity: parseFloat(quantity),
                 unitType: unitType,
+                packCount: parseFloat(packCount) || 1,
+                unitDimension: baseUnitInfo.dimension,
                 unitPrice: calculatedUnitPrice,
+                effectiveUnitPrice: effectiveInfo.effectiveUnitPrice,
                 discountDetails: discountDetails || '',
-                timestamp: new Date().toISOString(), // 使用 ISO 字串格式
+                timestamp: new Date(entry.createdAt).toISOString(), // 使用 ISO 字串格式
                 recordedBy: userId,
                 originalPrice: ocrResult?.originalPrice ? parseFloat(ocrResult.originalPrice) : null,
                 specialPrice: ocrResult?.specialPrice ? parseFloat(ocrResult.specialPrice) : null,
@@ -867,8 +1044,13 @@ function App() {
             
             // 保存到今日掃描 localStorage
             saveTodayScans(todayRecord);
-            
-            lookupProduct(barcode, productName, finalStoreName);
+
+            // 連線時立即同步，完成後重新查詢產品（無條碼產品的 ID 於同步時才確定）；
+            // 歷史記錄由即時訂閱更新，離線時由背景同步處理
+            if (isOnline) {
+                await syncNow();
+                lookupProduct(normalizedBarcode, productName, finalStoreName);
+            }
 
         } catch (error) {
             console.error("儲存或比價失敗 (Firestore):", error);
@@ -877,7 +1059,7 @@ function App() {
         } finally {
             setIsLoading(false);
         }
-    }, [userId, barcode, productName, currentPrice, discountDetails, storeName, lookupProduct, quantity, unitType, setSaveResultToast, setComparisonResult, setIsLoading, setIsStoreSelectorOpen, ocrResult, locationData, productHistory, saveTodayScans]);
+    }, [userId, barcode, productName, currentPrice, discountDetails, storeName, lookupProduct, quantity, unitType, packCount, priceBasis, setSaveResultToast, setComparisonResult, setIsLoading, setIsStoreSelectorOpen, ocrResult, locationData, productHistory, saveTodayScans, capturedImage, isOnline, enqueueRecord, syncNow]);
 
     // 正確地提前定義 saveAndComparePrice 函數
     const saveAndComparePrice = useCallback(async (selectedStore) => {
@@ -914,6 +1096,8 @@ function App() {
 
         if (!newBarcode) {
             setStatusMessage("AI 未能識別條碼，請手動輸入或確保條碼清晰！");
+        } else if (result.barcodeMismatch) {
+            setStatusMessage(`條碼不一致：鏡頭 ${newBarcode} / AI ${result.aiBarcode}，已採用鏡頭解碼結果`);
         } else {
             setStatusMessage(`AI 分析成功！正在自動儲存...`);
         }
@@ -928,7 +1112,8 @@ function App() {
         setDiscountDetails(discountDetails || '');
 
         setQuantity(quantity || '');
-        setUnitType(unitType || 'pcs');
+        setUnitType(normalizeUnit(unitType) || 'pcs');
+        setPackCount('1'); // AI 回傳的 totalCapacity 已是總量
 
         if (productName && newBarcode) {
             setLookupStatus('found');
@@ -936,8 +1121,19 @@ function App() {
             setLookupStatus('new');
         }
 
-        // 實現掃描即存功能 - 如果有足夠的資料就自動儲存
-        if (newBarcode && productName && finalPrice && quantity && storeName) {
+        // 實現掃描即存功能 - 如果有足夠的資料且條碼通過校驗就自動儲存
+        const isBarcodeValid = newBarcode && normalizeBarcode(newBarcode).isValid;
+        const blockingWarnings = getBlockingWarnings(result.warnings);
+        if (newBarcode && !isBarcodeValid) {
+            setStatusMessage("條碼校驗失敗，請確認條碼數字後手動儲存");
+        } else if (blockingWarnings.length > 0) {
+            // 辨識結果有需要確認的欄位時不自動儲存
+            setStatusMessage(`AI 辨識結果需要確認：${blockingWarnings.map(warning => warning.message).join('；')}`);
+        } else if (getLowConfidenceFields(result.fieldConfidence, confidenceThreshold).length > 0) {
+            // 必要欄位的信心度未達門檻時不自動儲存，由使用者確認標示的欄位
+            const lowFields = getLowConfidenceFields(result.fieldConfidence, confidenceThreshold);
+            setStatusMessage(`部分欄位信心度低於 ${Math.round(confidenceThreshold * 100)}%（${lowFields.map(field => OCR_FIELD_LABELS[field]).join('、')}），請確認標示的欄位後手動儲存`);
+        } else if (newBarcode && productName && finalPrice && quantity && storeName) {
             try {
                 setIsLoading(true);
                 await performSaveAndCompare(storeName);
@@ -954,10 +1150,182 @@ function App() {
         } else {
             setStatusMessage("資料不完整，請手動補充後儲存");
         }
-    }, [setBarcode, setProductName, setCurrentPrice, setStoreName, setDiscountDetails, setOcrResult, setStatusMessage, setLookupStatus, setQuantity, setUnitType, setCapturedImage, performSaveAndCompare, setIsLoading, setIsCaptureModalOpen, stopCameraStream]);
+    }, [setBarcode, setProductName, setCurrentPrice, setStoreName, setDiscountDetails, setOcrResult, setStatusMessage, setLookupStatus, setQuantity, setUnitType, setCapturedImage, performSaveAndCompare, setIsLoading, setIsCaptureModalOpen, stopCameraStream, confidenceThreshold]);
 
     
 
+    // ---------------- 待辨識序列 ----------------
+    const updateOcrCard = useCallback((cardId, changes) => {
+        setPendingOcrCards(prev => prev.map(card => (card.id === cardId ? { ...card, ...changes } : card)));
+    }, []);
+
+    const removeOcrCard = useCallback((cardId) => {
+        setPendingOcrCards(prev => prev.filter(card => card.id !== cardId));
+    }, []);
+
+    // 分析收據卡片：擷取所有品項、比對既有產品後，以品項卡片取代收據卡片
+    const analyzeReceiptCard = useCallback(async (card) => {
+        const { data: receipt, warnings, template } = await analyzeImageWithTemplate(card.capturedImage, OCR_TEMPLATE_IDS.RECEIPT, { imageHash: card.imageHash });
+        if (!receipt?.items || receipt.items.filter(item => item && item.name).length === 0) {
+            throw new Error('收據中沒有辨識到商品品項');
+        }
+
+        // 只讀取條碼與「品名@商店」對應的產品，相似品名再與所有記錄頁已載入的產品比對
+        const items = receipt.items.filter(item => item && item.name);
+        const candidates = await fetchReceiptCandidateProducts(db, items, receipt.storeName || currentStoreSession?.storeName || '');
+        const products = [...new Map([...(loadRecordsCache()?.products || []), ...candidates].map(product => [product.id, product])).values()];
+
+        // 已對應的產品沿用最近一筆記錄的規格，收據品名通常不含容量
+        const matchedIds = [...new Set(items
+            .map(item => matchReceiptItem(item, products)?.product.id)
+            .filter(Boolean))];
+        const productSpecs = {};
+        await Promise.all(matchedIds.map(async (productId) => {
+            const latest = await fetchLatestProductRecord(db, productId);
+            if (latest && latest.quantity && latest.unitType) {
+                productSpecs[productId] = { quantity: latest.quantity, unitType: latest.unitType, packCount: latest.packCount || 1 };
+            }
+        }));
+
+        const itemCards = buildReceiptItemCards(receipt, {
+            products,
+            productSpecs,
+            warnings,
+            template,
+            fallbackStoreName: currentStoreSession?.storeName || ''
+        });
+        setPendingOcrCards(prev => prev.flatMap(item => (item.id === card.id ? itemCards : [item])));
+        setStatusMessage(`收據已辨識出 ${itemCards.length} 個品項，請至待辨識序列確認`);
+    }, [currentStoreSession]);
+
+    // 在背景分析卡片的擷取畫面，完成後填入辨識結果
+    const analyzeOcrCard = useCallback(async (card) => {
+        updateOcrCard(card.id, { status: OCR_CARD_STATUS.ANALYZING, error: null });
+        if (card.templateId === OCR_TEMPLATE_IDS.RECEIPT) {
+            try {
+                await analyzeReceiptCard(card);
+            } catch (error) {
+                console.error("收據分析失敗:", error);
+                updateOcrCard(card.id, { status: OCR_CARD_STATUS.FAILED, error: error.message || '未知錯誤' });
+            }
+            return;
+        }
+        try {
+            const result = await analyzePriceTagImage(card.capturedImage, card.lockedBarcode, { imageHash: card.imageHash });
+            // AI 看不到商店名稱時，使用目前所在的商店
+            const sessionStore = currentStoreSession?.storeName || '';
+            const recognizedStore = result.storeName && result.storeName !== 'AI 辨識' ? result.storeName : sessionStore;
+            updateOcrCard(card.id, {
+                ...result,
+                storeName: recognizedStore,
+                capturedImage: card.capturedImage,
+                status: OCR_CARD_STATUS.READY,
+                error: null
+            });
+        } catch (error) {
+            console.error("AI 分析失敗:", error);
+            updateOcrCard(card.id, { status: OCR_CARD_STATUS.FAILED, error: error.message || '未知錯誤' });
+        }
+    }, [updateOcrCard, currentStoreSession, analyzeReceiptCard]);
+
+    // 拍攝視窗的「進行分析並拍攝下一張」：每張擷取畫面都成為一張卡片
+    const handleQueueCapture = useCallback(async ({ capturedImage: image, lockedBarcode, templateId, imageHash }) => {
+        const card = await createOcrCard(image, lockedBarcode, templateId, imageHash);
+        setPendingOcrCards(prev => [...prev, card]);
+        setStatusMessage(templateId === OCR_TEMPLATE_IDS.RECEIPT ? '已將收據加入待辨識序列，分析完成後會展開為品項卡片' : `已將擷取畫面加入待辨識序列！`);
+        analyzeOcrCard(card);
+    }, [analyzeOcrCard]);
+
+    const retryOcrCard = useCallback((cardId) => {
+        const card = pendingOcrCards.find(item => item.id === cardId);
+        if (card) {
+            analyzeOcrCard(card);
+        }
+    }, [pendingOcrCards, analyzeOcrCard]);
+
+    // 將一張卡片寫入離線佇列；驗證失敗時拋出錯誤，成功後移除卡片
+    const enqueueOcrCard = useCallback(async (card) => {
+        const payload = buildPriceRecordPayload({
+            barcode: card.scannedBarcode,
+            productName: card.productName,
+            storeName: card.storeName,
+            price: calculateFinalPrice(card.extractedPrice, card.specialPrice),
+            quantity: card.quantity,
+            unitType: card.unitType,
+            packCount: card.packCount,
+            discountDetails: card.discountDetails,
+            originalPrice: card.originalPrice,
+            specialPrice: card.specialPrice,
+            ocrTemplate: card.ocrTemplate,
+            receipt: card.receipt,
+            fieldConfidence: card.fieldConfidence,
+            recordedBy: userId,
+            locationData
+        });
+        if (!payload.isValid) {
+            throw new Error(payload.error);
+        }
+
+        // 連線時取得歷史記錄檢測異常價格；離線時略過
+        let anomalyResult = null;
+        if (payload.productId && navigator.onLine) {
+            try {
+                // 尚未遷移的舊產品，歷史記錄仍在舊版 ID 下
+                const { productId } = await resolveProductId(db, payload.normalizedBarcode, card.productName, card.storeName);
+                const recordsSnap = await getDocs(query(collection(db, "priceRecords"), where("numericalID", "in", getProductIdQueryValues(productId))));
+                const history = recordsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+                anomalyResult = detectPriceAnomaly(
+                    payload.priceRecord.unitPrice,
+                    buildPriceObservations(history.filter(record => areUnitsComparable(record, payload.priceRecord))),
+                    { storeName: payload.priceRecord.storeName }
+                );
+            } catch (error) {
+                console.error("檢測異常價格失敗:", error);
+            }
+        }
+
+        await enqueueRecord({
+            productId: payload.productId,
+            nameStoreKey: payload.nameStoreKey,
+            productData: payload.productData,
+            priceRecord: payload.priceRecord,
+            anomalyResult,
+            photo: anomalyResult?.isAnomalous ? card.capturedImage : null
+        });
+        removeOcrCard(card.id);
+    }, [userId, locationData, enqueueRecord, removeOcrCard]);
+
+    const saveOcrCard = useCallback(async (card) => {
+        await enqueueOcrCard(card);
+        syncNow();
+    }, [enqueueOcrCard, syncNow]);
+
+    // 批次儲存所有已辨識的卡片，失敗的卡片保留在序列中
+    const saveAllOcrCards = useCallback(async () => {
+        const readyCards = pendingOcrCards.filter(card => card.status === OCR_CARD_STATUS.READY);
+        const failures = [];
+        for (const card of readyCards) {
+            try {
+                await enqueueOcrCard(card);
+            } catch (error) {
+                failures.push(`${card.productName || '未命名產品'}：${error.message}`);
+            }
+        }
+        syncNow();
+        if (failures.length > 0) {
+            showUserFriendlyError(`已儲存 ${readyCards.length - failures.length} 筆，${failures.length} 筆需要修正：\n${failures.join('\n')}`, "批次儲存");
+        } else {
+            setStatusMessage(`已儲存 ${readyCards.length} 筆待辨識項目`);
+        }
+    }, [pendingOcrCards, enqueueOcrCard, syncNow]);
+
+    const handleOcrCardStoreSelect = useCallback((selectedStore) => {
+        if (editingOcrCardId) {
+            updateOcrCard(editingOcrCardId, { storeName: selectedStore });
+        }
+        setEditingOcrCardId(null);
+    }, [editingOcrCardId, updateOcrCard]);
+
     const handleStoreSelect = useCallback((selectedStore) => {
         setStoreName(selectedStore);
         setIsStoreSelectorOpen(false);
@@ -995,8 +1363,57 @@ function App() {
         }
     }, [lookupStatus]);
 
+    const barcodeValidation = useMemo(() => (barcode ? normalizeBarcode(barcode) : null), [barcode]);
+
+    // 依優惠細節預覽促銷後單價
+    const promotionPreview = useMemo(() => {
+        if (!discountDetails) return null;
+        const finalPrice = calculateFinalPrice(currentPrice, ocrResult?.specialPrice);
+        const result = calculateEffectivePrice(finalPrice, discountDetails, { quantity, unitType, packCount });
+        return result.promotion ? result : null;
+    }, [discountDetails, currentPrice, ocrResult, quantity, unitType, packCount]);
+
+    // AI 填入且信心度低於門檻的欄位；使用者修改過的欄位不再標示
+    const lowConfidenceFields = useMemo(() => {
+        if (!ocrResult) return {};
+        const ocrValues = {
+            scannedBarcode: [barcode, ocrResult.scannedBarcode || ''],
+            productName: [productName, ocrResult.productName || ''],
+            extractedPrice: [currentPrice, (ocrResult.specialPrice && !isNaN(parseFloat(ocrResult.specialPrice)) ? ocrResult.specialPrice : ocrResult.extractedPrice) || ''],
+            quantity: [quantity, ocrResult.quantity || ''],
+            unitType: [unitType, normalizeUnit(ocrResult.unitType) || 'pcs'],
+            storeName: [storeName, ocrResult.storeName || '']
+        };
+        return getLowConfidenceFields(ocrResult.fieldConfidence, confidenceThreshold)
+            .filter(field => String(ocrValues[field][0]) === String(ocrValues[field][1]))
+            .reduce((fields, field) => ({ ...fields, [field]: ocrResult.fieldConfidence?.[field] }), {});
+    }, [ocrResult, confidenceThreshold, barcode, productName, currentPrice, quantity, unitType, storeName]);
+
+    if (currentPage === 'anomalyReview') {
+        return <AnomalyReviewPage theme={currentTheme} onBack={() => setCurrentPage('main')} db={db} userId={userId} />;
+    }
+
+    if (currentPage === 'ocrQueue') {
+        return (
+            <>
+                <OcrQueuePage
+                    theme={currentTheme}
+                    onBack={() => setCurrentPage('main')}
+                    pendingOcrCards={pendingOcrCards}
+                    onUpdateCard={updateOcrCard}
+                    onRemoveCard={removeOcrCard}
+                    onRetryCard={retryOcrCard}
+                    onSaveCard={saveOcrCard}
+                    onSaveAll={saveAllOcrCards}
+                    onStoreSelectCallback={(card) => setEditingOcrCardId(card.id)}
+                />
+                {editingOcrCardId && <StoreSelector theme={currentTheme} onSelect={handleOcrCardStoreSelect} onClose={() => setEditingOcrCardId(null)} />}
+            </>
+        );
+    }
+
     if (currentPage === 'allRecords') {
-        return <AllRecordsPage theme={currentTheme} onBack={() => setCurrentPage('main')} db={db} userId={userId} isAuthReady={true} />;
+        return <AllRecordsPage theme={currentTheme} onBack={() => setCurrentPage('main')} db={db} userId={userId} isAuthReady={true} priceBasis={priceBasis} onPriceBasisChange={handlePriceBasisChange} />;
     }
 
     return (
@@ -1020,6 +1437,11 @@ function App() {
                     theme={currentTheme} 
                     onClose={() => setIsSettingsOpen(false)} 
                     onDataChange={handleDataRefresh}
+                    userId={userId}
+                    confidenceThreshold={confidenceThreshold}
+                    onConfidenceThresholdChange={handleConfidenceThresholdChange}
+                    ocrProviderId={ocrProviderId}
+                    onOcrProviderChange={handleOcrProviderChange}
                 />
             )}
 
@@ -1029,7 +1451,14 @@ function App() {
                     <header className="flex justify-between items-center mb-6 border-b pb-4">
                         <h1 className={`text-3xl font-extrabold ${themeText} flex items-center`}><Barcode className="w-8 h-8 mr-2" />條碼比價神器 (Cloud)</h1>
                         <div className="flex items-center space-x-3">
+                            <button onClick={() => setCurrentPage('ocrQueue')} className={`relative p-2 rounded-full text-white shadow-md transition-all ${themePrimary} hover:opacity-80`} title={`待辨識 (${pendingOcrCards.length})`}>
+                                <Clock className="w-5 h-5" />
+                                {pendingOcrCards.length > 0 && (
+                                    <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">{pendingOcrCards.length}</span>
+                                )}
+                            </button>
                             <button onClick={() => setCurrentPage('allRecords')} className={`p-2 rounded-full text-white shadow-md transition-all ${themePrimary} hover:opacity-80`} title="查看所有記錄"><Database className="w-5 h-5" /></button>
+                            <button onClick={() => setCurrentPage('anomalyReview')} className={`p-2 rounded-full text-white shadow-md transition-all ${themePrimary} hover:opacity-80`} title="審核異常價格"><ShieldAlert className="w-5 h-5" /></button>
                             <button onClick={() => setIsThemeModalOpen(true)} className={`p-2 rounded-full text-white shadow-md transition-all ${themePrimary} hover:opacity-80`} title="設定介面主題"><PaintBucket className="w-5 h-5" /></button>
                             <button onClick={() => setIsSettingsOpen(true)} className={`p-2 rounded-full text-white shadow-md transition-all ${themePrimary} hover:opacity-80`} title="設定"><SettingsIcon className="w-5 h-5" /></button>
                             <p className="text-sm text-gray-500 hidden sm:block">User: {userId ? userId.slice(0, 8) : 'Loading'}...</p>
@@ -1038,11 +1467,35 @@ function App() {
 
                     {statusMessage && <div className="bg-blue-500 text-white p-3 rounded-lg shadow-md mb-4 text-center font-medium">{statusMessage}</div>}
 
+                    {/* 離線佇列狀態 */}
+                    {(!isOnline || pendingCount > 0 || rejectedIds.length > 0) && (
+                        <div className={`p-3 rounded-lg shadow-md mb-4 flex items-center justify-between text-sm font-medium ${failedCount > 0 || rejectedIds.length > 0 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                            <span className="flex items-center">
+                                {isOnline ? <CloudUpload className="w-4 h-4 mr-2" /> : <WifiOff className="w-4 h-4 mr-2" />}
+                                {isOnline ? '' : '目前離線，'}{pendingCount} 筆記錄待同步{failedCount > 0 ? `（${failedCount} 筆失敗）` : ''}
+                                {rejectedIds.length > 0 ? `，${rejectedIds.length} 筆無法同步` : ''}
+                            </span>
+                            <span className="flex space-x-2">
+                                {rejectedIds.length > 0 && (
+                                    <button onClick={() => discardEntries(rejectedIds)} className="px-3 py-1 rounded bg-white/70 hover:bg-white">捨棄</button>
+                                )}
+                                {isOnline && (pendingCount > 0 || rejectedIds.length > 0) && (
+                                    <button onClick={retryAll} className="px-3 py-1 rounded bg-white/70 hover:bg-white">立即同步</button>
+                                )}
+                            </span>
+                        </div>
+                    )}
+
                     {ocrResult && (
                         <div className="bg-yellow-100 border border-yellow-300 rounded-lg p-4 mb-6">
                             <h3 className="text-lg font-semibold text-yellow-800 mb-2">AI 辨識結果 (開發者確認區)</h3>
                             <div className="grid grid-cols-2 gap-2 text-sm">
-                                <div>條碼:</div><div>{ocrResult.scannedBarcode || 'N/A'}</div>
+                                <div>條碼:</div><div>{ocrResult.scannedBarcode || 'N/A'}{ocrResult.barcodeSource === 'scanner' && <span className="ml-1 text-xs text-green-700">(鏡頭解碼)</span>}</div>
+                                {ocrResult.barcodeMismatch && (
+                                    <>
+                                        <div>AI 條碼:</div><div className="text-red-600 font-semibold">{ocrResult.aiBarcode} (與鏡頭解碼不一致，已採用鏡頭結果)</div>
+                                    </>
+                                )}
                                 <div>品名:</div><div>{ocrResult.productName || 'N/A'}</div>
                                 {/* 顯示原價和特價信息 */}
                                 {ocrResult.specialPrice ? (
@@ -1062,7 +1515,14 @@ function App() {
                                 <div>數量:</div><div>{ocrResult.quantity || 'N/A'}</div>
                                 <div>商店:</div><div>{ocrResult.storeName || 'N/A'}</div>
                                 <div>折扣:</div><div>{ocrResult.discountDetails || '無'}</div>
+                                {ocrResult.ocrTemplate && (
+                                    <>
+                                        <div>模板:</div><div>{ocrResult.ocrTemplate.id} v{ocrResult.ocrTemplate.version}</div>
+                                        <div>辨識服務:</div><div>{ocrResult.ocrTemplate.provider || 'N/A'}</div>
+                                    </>
+                                )}
                             </div>
+                            <OcrWarnings warnings={ocrResult.warnings} />
                             <button onClick={() => setOcrResult(null)} className="mt-3 px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 text-sm">關閉</button>
                         </div>
                     )}
@@ -1094,17 +1554,21 @@ function App() {
                         
                         <div className="mb-4">
                             <label className="block text-gray-700 font-medium mb-1">條碼數據</label>
-                            <input type="text" value={barcode} onChange={(e) => setBarcode(e.target.value)} placeholder="AI 自動填入，或手動輸入" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500" />
+                            <input type="text" value={barcode} onChange={(e) => setBarcode(e.target.value)} placeholder="AI 自動填入，或手動輸入" className={`w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 ${'scannedBarcode' in lowConfidenceFields ? LOW_CONFIDENCE_INPUT_CLASS : ''}`} />
+                            {'scannedBarcode' in lowConfidenceFields && <ConfidenceHint confidence={lowConfidenceFields.scannedBarcode} />}
                         </div>
                         <div className="mb-4">
                             <label className="block text-gray-700 font-medium mb-1">產品名稱</label>
-                            <input type="text" value={productName} onChange={(e) => setProductName(e.target.value)} placeholder={productNamePlaceholder} className={`w-full p-3 border border-gray-300 rounded-lg ${lookupStatus === 'found' ? 'bg-green-50' : lookupStatus === 'new' ? 'bg-yellow-50' : ''}`} readOnly={lookupStatus === 'found' && !ocrResult} />
-                            <p className="text-sm text-gray-500 mt-1">ID (Hash): {barcode ? djb2Hash(barcode) : 'N/A'}</p>
+                            <input type="text" value={productName} onChange={(e) => setProductName(e.target.value)} placeholder={productNamePlaceholder} className={`w-full p-3 border border-gray-300 rounded-lg ${'productName' in lowConfidenceFields ? LOW_CONFIDENCE_INPUT_CLASS : lookupStatus === 'found' ? 'bg-green-50' : lookupStatus === 'new' ? 'bg-yellow-50' : ''}`} readOnly={lookupStatus === 'found' && !ocrResult} />
+                            {'productName' in lowConfidenceFields && <ConfidenceHint confidence={lowConfidenceFields.productName} />}
+                            <p className="text-sm text-gray-500 mt-1">產品 ID: {barcode ? (getBarcodeProductId(barcode) || 'N/A') : '無條碼商品 (儲存時自動產生)'}</p>
+                            {barcodeValidation && !barcodeValidation.isValid && <p className="text-sm text-red-500 mt-1">條碼無效：{barcodeValidation.error}</p>}
                         </div>
                         <div className="grid grid-cols-2 gap-4 mb-4">
                             <div>
                                 <label className="block text-gray-700 font-medium mb-1">總價 ($) <span className="text-red-500">*</span></label>
-                                <input type="number" value={currentPrice} onChange={(e) => setCurrentPrice(e.target.value)} placeholder="AI 擷取" className="w-full p-3 border border-gray-300 rounded-lg" />
+                                <input type="number" value={currentPrice} onChange={(e) => setCurrentPrice(e.target.value)} placeholder="AI 擷取" className={`w-full p-3 border border-gray-300 rounded-lg ${'extractedPrice' in lowConfidenceFields ? LOW_CONFIDENCE_INPUT_CLASS : ''}`} />
+                                {'extractedPrice' in lowConfidenceFields && <ConfidenceHint confidence={lowConfidenceFields.extractedPrice} />}
                             </div>
                             <div>
                                 <label className="block text-gray-700 font-medium mb-1">商店名稱</label>
@@ -1114,31 +1578,48 @@ function App() {
                                     onFocus={() => setIsStoreSelectorOpen(true)}
                                     readOnly
                                     placeholder="點擊選擇商店"
-                                    className="w-full p-3 border border-gray-300 rounded-lg bg-gray-50 cursor-pointer"
+                                    className={`w-full p-3 border border-gray-300 rounded-lg cursor-pointer ${'storeName' in lowConfidenceFields ? LOW_CONFIDENCE_INPUT_CLASS : 'bg-gray-50'}`}
                                 />
+                                {'storeName' in lowConfidenceFields && <ConfidenceHint confidence={lowConfidenceFields.storeName} />}
                             </div>
                         </div>
                         <div className="grid grid-cols-3 gap-4 mb-4">
                             <div>
                                 <label className="block text-gray-700 font-medium mb-1">數量 <span className="text-red-500">*</span></label>
-                                <input type="number" value={quantity} onChange={(e) => setQuantity(e.target.value)} placeholder="例如: 500" className="w-full p-3 border border-gray-300 rounded-lg" />
+                                <input type="number" value={quantity} onChange={(e) => setQuantity(e.target.value)} placeholder="例如: 500" className={`w-full p-3 border border-gray-300 rounded-lg ${'quantity' in lowConfidenceFields ? LOW_CONFIDENCE_INPUT_CLASS : ''}`} />
+                                {'quantity' in lowConfidenceFields && <ConfidenceHint confidence={lowConfidenceFields.quantity} />}
                             </div>
                             <div>
                                 <label className="block text-gray-700 font-medium mb-1">單位 <span className="text-red-500">*</span></label>
-                                <select value={unitType} onChange={(e) => setUnitType(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg">
-                                    <option value="ml">ml (毫升)</option>
-                                    <option value="g">g (克)</option>
-                                    <option value="pcs">pcs (個/包/支/條)</option>
+                                <select value={unitType} onChange={(e) => setUnitType(e.target.value)} className={`w-full p-3 border border-gray-300 rounded-lg ${'unitType' in lowConfidenceFields ? LOW_CONFIDENCE_INPUT_CLASS : ''}`}>
+                                    {UNIT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
                                 </select>
+                                {'unitType' in lowConfidenceFields && <ConfidenceHint confidence={lowConfidenceFields.unitType} />}
                             </div>
                             <div>
-                                <label className="block text-gray-700 font-medium mb-1">單價 (每100g/ml)</label>
-                                <input type="text" value={formatUnitPrice(unitPrice)} readOnly className="w-full p-3 border border-gray-300 rounded-lg bg-gray-100" />
+                                <label className="block text-gray-700 font-medium mb-1">包數 (入)</label>
+                                <input type="number" value={packCount} onChange={(e) => setPackCount(e.target.value)} placeholder="例如: 6" className="w-full p-3 border border-gray-300 rounded-lg" />
                             </div>
                         </div>
-                        <div className="mb-6">
+                        <div className="mb-4">
+                            <label className="block text-gray-700 font-medium mb-1">單價 ({getUnitPriceLabel(unitType)})</label>
+                            <input type="text" value={formatUnitPrice(unitPrice)} readOnly className="w-full p-3 border border-gray-300 rounded-lg bg-gray-100" />
+                        </div>
+                        <div className="mb-4">
                             <label className="block text-gray-700 font-medium mb-1">優惠細節</label>
-                            <input type="text" value={discountDetails} onChange={(e) => setDiscountDetails(e.target.value)} placeholder="例如: 買二送一" className="w-full p-3 border border-gray-300 rounded-lg" />
+                            <input type="text" value={discountDetails} onChange={(e) => setDiscountDetails(e.target.value)} placeholder="例如: 買二送一、第二件半價、滿199折20" className="w-full p-3 border border-gray-300 rounded-lg" />
+                            {promotionPreview && (
+                                <p className="text-sm text-indigo-600 mt-1">
+                                    已辨識「{promotionPreview.promotion.source}」：買 {promotionPreview.purchaseQuantity} 件每件 ${promotionPreview.effectivePrice.toFixed(2)}，促銷後單價 {formatUnitPrice(promotionPreview.effectiveUnitPrice)}
+                                </p>
+                            )}
+                        </div>
+                        <div className="mb-6">
+                            <label className="block text-gray-700 font-medium mb-1">比價基準</label>
+                            <select value={priceBasis} onChange={(e) => handlePriceBasisChange(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg">
+                                <option value={PRICE_BASIS.SHELF}>標價單價</option>
+                                <option value={PRICE_BASIS.EFFECTIVE}>促銷後單價</option>
+                            </select>
                         </div>
                         <button className={`w-full mt-4 p-3 rounded-lg text-white font-semibold shadow-lg transition-all bg-emerald-500 hover:bg-emerald-600`} onClick={() => saveAndComparePrice()} disabled={isLoading}>
                             <ClipboardCheck className="inline-block w-5 h-5 mr-2" />{isLoading ? '處理中...' : '步驟 3: 儲存紀錄並比價'}
@@ -1158,18 +1639,21 @@ function App() {
                     </div>
 
                     {/* 今日掃描摘要 */}
-                    {(todayScans || []).length > 0 && (
+                    {todayScanList.length > 0 && (
                         <div className="mt-8">
                             <h2 className={`text-xl font-semibold ${themeText} mb-4 flex items-center`}>
                                 <Zap className="w-5 h-5 mr-2" />
-                                今日掃描 ({(todayScans || []).length} 筆)
+                                今日掃描 ({todayScanList.length} 筆)
                             </h2>
                             <div className="space-y-3">
-                                {(todayScans || []).slice(0, 5).map((scan, index) => (
+                                {todayScanList.slice(0, 5).map((scan, index) => (
                                     <div key={scan.id} className="bg-white rounded-lg p-4 shadow-md border-l-4 border-blue-500">
                                         <div className="flex justify-between items-start">
                                             <div className="flex-1">
-                                                <h3 className="font-medium text-gray-800">{scan.productName}</h3>
+                                                <h3 className="font-medium text-gray-800">
+                                                    {scan.productName}
+                                                    {scan.isFromOtherDevice && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700">其他裝置</span>}
+                                                </h3>
                                                 <p className="text-sm text-gray-600">{scan.storeName} • ${scan.price}</p>
                                                 <p className="text-xs text-gray-500">
                                                     {scan.timestamp?.toLocaleTimeString('zh-TW', { 
@@ -1189,17 +1673,18 @@ function App() {
                                                 }`}>
                                                     {index === 0 ? '最新' : `第${index + 1}筆`}
                                                 </span>
+                                                <SyncStatusBadge entry={outboxEntries.find(entry => entry.localId === scan.id)} onRetry={retryEntry} onDiscard={(localId) => discardEntries([localId])} />
                                             </div>
                                         </div>
                                     </div>
                                 ))}
-                                {(todayScans || []).length > 5 && (
+                                {todayScanList.length > 5 && (
                                     <div className="text-center">
                                         <button 
                                             onClick={() => setCurrentPage('allRecords')}
                                             className={`px-4 py-2 rounded-lg text-white font-medium ${themePrimary} hover:opacity-80`}
                                         >
-                                            查看全部 {(todayScans || []).length} 筆記錄
+                                            查看全部 {todayScanList.length} 筆記錄
                                         </button>
                                     </div>
                                 )}
@@ -1214,11 +1699,11 @@ function App() {
             )}
             
             {currentPage === 'allRecords' && (
-                <AllRecordsPage theme={currentTheme} onBack={() => setCurrentPage('main')} db={db} userId={userId} isAuthReady={true} />
+                <AllRecordsPage theme={currentTheme} onBack={() => setCurrentPage('main')} db={db} userId={userId} isAuthReady={true} priceBasis={priceBasis} onPriceBasisChange={handlePriceBasisChange} />
             )}
             
             {isThemeModalOpen && <ThemeSelector theme={currentTheme} saveTheme={saveUserTheme} onClose={() => setIsThemeModalOpen(false)} />}
-            {isCaptureModalOpen && <AIOcrCaptureModal theme={currentTheme} onAnalysisSuccess={handleAiCaptureSuccess} onClose={handleCaptureModalClose} stream={streamRef.current} />}
+            {isCaptureModalOpen && <AIOcrCaptureModal theme={currentTheme} onAnalysisSuccess={handleAiCaptureSuccess} onQueueCapture={handleQueueCapture} onClose={handleCaptureModalClose} stream={streamRef.current} storeSession={currentStoreSession} />}
             {isStoreSelectorOpen && <StoreSelector theme={currentTheme} onSelect={handleStoreSelect} onClose={() => setIsStoreSelectorOpen(false)} />}
             {showStoreSessionPrompt && <StoreSelector theme={currentTheme} onSelect={handleStoreSessionSelect} onClose={() => setShowStoreSessionPrompt(false)} title="請選擇您目前所在的商店" />}
         </div>
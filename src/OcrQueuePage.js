@@ -1,9 +1,24 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { ArrowLeft, Trash2, Clock, AlertCircle, CheckCircle } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ArrowLeft, Trash2, Clock, AlertCircle, CheckCircle, Loader2, RotateCcw, Save, Receipt } from 'lucide-react';
 import { db } from './firebase-config.js';
-import { doc, setDoc, addDoc, collection, serverTimestamp, getDoc, query, where, getDocs } from "firebase/firestore";
-import { calculateUnitPrice, calculateFinalPrice, formatUnitPrice } from './utils/priceCalculations';
+import { collection, query, where, getDocs } from "firebase/firestore";
+import { calculateUnitPrice, calculateFinalPrice, formatUnitPrice, getUnitPriceLabel, UNIT_OPTIONS } from './utils/priceCalculations';
 import { showUserFriendlyError, handleFirestoreSaveError } from './utils/errorHandler'; // 導入錯誤處理工具
+import { normalizeBarcode } from './utils/barcode';
+import { resolveProductId, getProductMatchKey, getProductIdQueryValues } from './utils/productIdentity';
+import { OCR_CARD_STATUS } from './utils/ocrQueue';
+import { OCR_TEMPLATE_IDS } from './utils/ocrAnalysis';
+import OcrWarnings from './components/OcrWarnings';
+
+// 卡片分析狀態的顯示方式
+const CARD_STATUS_DISPLAY = {
+    [OCR_CARD_STATUS.ANALYZING]: { label: '分析中', className: 'bg-blue-100 text-blue-800' },
+    [OCR_CARD_STATUS.READY]: { label: '待確認', className: 'bg-green-100 text-green-800' },
+    [OCR_CARD_STATUS.FAILED]: { label: '分析失敗', className: 'bg-red-100 text-red-800' }
+};
+
+// 編輯卡片後等待多久才重新比價
+const PRICE_COMPARISON_DEBOUNCE_MS = 600;
 
 // 計算 localStorage 使用量的函數
 function getLocalStorageUsage() {
@@ -51,8 +66,8 @@ function DeleteConfirmation({ card, onClose, onConfirm }) {
     );
 }
 
-function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSelect, 
-    isStoreSelectorOpen, onStoreSelectCallback, onCloseStoreSelector, onSaveOcrCardToFirebase }) {
+function OcrQueuePage({ theme, onBack, pendingOcrCards, onUpdateCard, onRemoveCard, onRetryCard,
+    onSaveCard, onSaveAll, onStoreSelectCallback }) {
     const [queueStats, setQueueStats] = useState({
         total: 0,
         oldest: null,
@@ -76,6 +91,12 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
     // 新增狀態：比價結果
     const [priceComparisonResults, setPriceComparisonResults] = useState({});
 
+    // 正在儲存的卡片 ID（批次儲存時為 'ALL'）
+    const [savingCardId, setSavingCardId] = useState(null);
+
+    const readyCount = pendingOcrCards.filter(card => card.status === OCR_CARD_STATUS.READY).length;
+    const analyzingCount = pendingOcrCards.filter(card => card.status === OCR_CARD_STATUS.ANALYZING).length;
+
     useEffect(() => {
         if (pendingOcrCards.length > 0) {
             const timestamps = pendingOcrCards.map(card => card.timestamp);
@@ -141,18 +162,25 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
 
     // 處理儲存操作 - 檢查商店名稱
     const handleSaveClick = async (card) => {
+        // 條碼有填寫時必須通過校驗，避免誤讀的數字被存成新產品
+        if (card.scannedBarcode && card.scannedBarcode.trim()) {
+            const barcodeResult = normalizeBarcode(card.scannedBarcode);
+            if (!barcodeResult.isValid) {
+                showUserFriendlyError(`條碼 ${card.scannedBarcode} 無效：${barcodeResult.error}`, "資料驗證");
+                return;
+            }
+        }
+
         // 檢查商店名稱是否為空白
         if (!card.storeName || card.storeName.trim() === '') {
             // 如果商店名稱為空白，顯示商店選擇器
             onStoreSelectCallback(card); // 調用從父組件傳入的回調函數
         } else {
             // 如果商店名稱不為空白，直接儲存（不再彈出確認對話框）
+            setSavingCardId(card.id);
             try {
-                // 儲存到 Firebase
-                await saveOcrCardToFirebase(card);
-                
-                // 從待辨識序列中移除
-                onRemoveCard(card.id);
+                // 寫入離線佇列並從待辨識序列中移除
+                await onSaveCard(card);
                 
                 // 儲存後更新 localStorage 使用量
                 setTimeout(() => {
@@ -164,115 +192,46 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                 console.error("儲存失敗:", error);
                 const userMessage = handleFirestoreSaveError(error, "儲存待辨識卡片");
                 showUserFriendlyError(userMessage);
+            } finally {
+                setSavingCardId(null);
             }
         }
     };
 
-    // 處理卡片欄位變更
-    const handleCardChange = (cardId, field, value) => {
-        const updatedCards = pendingOcrCards.map(card => 
-            card.id === cardId ? { ...card, [field]: value } : card
-        );
-        onStoreSelect(updatedCards);
-        
-        // 當價格相關欄位變更時，重新計算比價結果
-        if (field === 'extractedPrice' || field === 'specialPrice' || field === 'originalPrice' || field === 'quantity' || field === 'unitType') {
-            // 延遲一點時間再重新計算，確保狀態已更新
+    // 批次儲存所有已辨識的卡片
+    const handleSaveAllClick = async () => {
+        setSavingCardId('ALL');
+        try {
+            await onSaveAll();
             setTimeout(() => {
-                const fetchPriceComparisonResults = async () => {
-                    const results = {};
-                    for (const card of updatedCards) {
-                        const result = await checkIfBestPrice(card, updatedCards);
-                        results[card.id] = result;
-                    }
-                    setPriceComparisonResults(results);
-                };
-                
-                fetchPriceComparisonResults();
-            }, 0);
+                setLocalStorageUsage(getLocalStorageUsage());
+            }, 100);
+        } finally {
+            setSavingCardId(null);
         }
     };
 
+    // 處理卡片欄位變更，價格相關欄位變更時重新計算單價（比價結果由下方 useEffect 更新）
+    const handleCardChange = (card, field, value) => {
+        const updated = { ...card, [field]: value };
+        if (['extractedPrice', 'specialPrice', 'quantity', 'unitType'].includes(field)) {
+            const priceValue = parseFloat(calculateFinalPrice(updated.extractedPrice, updated.specialPrice));
+            updated.unitPrice = calculateUnitPrice(priceValue, updated.quantity, updated.unitType, updated.packCount);
+        }
+        onUpdateCard(card.id, { [field]: value, unitPrice: updated.unitPrice });
+    };
+
     // 處理商店欄位點擊
     const handleStoreClick = (card) => {
         // 阻止默认行为，防止移动设备上弹出键盘
         onStoreSelectCallback(card); // 調用從父組件傳入的回調函數
     };
 
-    // 儲存 OCR 卡片到 Firebase
-    const saveOcrCardToFirebase = async (card) => {
-        // 使用從父組件傳入的函數
-        if (onSaveOcrCardToFirebase) {
-            return onSaveOcrCardToFirebase(card);
-        }
-        
-        // 如果沒有傳入函數，則使用原來的實現
-        // 生成產品 ID
-        const numericalID = generateProductId(card.scannedBarcode, card.productName, card.storeName);
-        
-        // 使用新的價格計算函數來確定最終價格
-        const finalPrice = calculateFinalPrice(card.extractedPrice, card.specialPrice);
-        const priceValue = parseFloat(finalPrice);
-        
-        // 使用 calculateUnitPrice 函數計算單價
-        const calculatedUnitPrice = calculateUnitPrice(priceValue, card.quantity, card.unitType);
-        
-        // 儲存產品資訊
-        const productRef = doc(db, "products", numericalID.toString());
-        const productSnap = await getDoc(productRef);
-        if (!productSnap.exists()) {
-            await setDoc(productRef, {
-                numericalID,
-                barcodeData: card.scannedBarcode,
-                productName: card.productName,
-                createdAt: serverTimestamp(),
-                lastUpdatedBy: "ocr-queue", // 標記為來自 OCR 隊列
-            });
-        }
-        
-        // 儲存價格記錄
-        const priceRecord = {
-            numericalID,
-            productName: card.productName,
-            storeName: card.storeName,
-            price: priceValue, // 總價
-            quantity: parseFloat(card.quantity),
-            unitType: card.unitType,
-            unitPrice: calculatedUnitPrice, // 單價
-            discountDetails: card.discountDetails || '',
-            timestamp: serverTimestamp(),
-            recordedBy: "ocr-queue", // 標記為來自 OCR 隊列
-            // 保存原價和特價信息（如果有的話）
-            originalPrice: card.originalPrice ? parseFloat(card.originalPrice) : null,
-            specialPrice: card.specialPrice ? parseFloat(card.specialPrice) : null
-        };
-        
-        await addDoc(collection(db, "priceRecords"), priceRecord);
-    };
-
-    // 生成產品 ID 的函數
-    function generateProductId(barcode, productName, storeName) {
-        function djb2Hash(str) {
-            let hash = 5381;
-            for (let i = 0; i < str.length; i++) {
-                hash = ((hash << 5) + hash) + str.charCodeAt(i);
-            }
-            return hash >>> 0;
-        }
-        
-        if (barcode) {
-            return djb2Hash(barcode).toString();
-        } else {
-            // Combine productName and storeName to create a unique ID for products without barcodes
-            return djb2Hash(`${productName}-${storeName}`).toString();
-        }
-    }
-
     // 新增函數：檢查價格是否為歷史最低（包含待辨識序列中的卡片）
     const checkIfBestPrice = useCallback(async (card, allCards) => {
         try {
-            // 生成產品 ID
-            const numericalID = generateProductId(card.scannedBarcode, card.productName, card.storeName);
+            // 解析產品 ID
+            const { productId: numericalID } = await resolveProductId(db, card.scannedBarcode, card.productName, card.storeName);
             
             if (!numericalID) return null;
             
@@ -280,15 +239,15 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
             const finalPrice = calculateFinalPrice(card.extractedPrice, card.specialPrice);
             const priceValue = parseFloat(finalPrice);
             
-            // 使用 calculateUnitPrice 函數計算單價
-            const calculatedUnitPrice = calculateUnitPrice(priceValue, card.quantity, card.unitType);
+            // 使用 calculateUnitPrice 函數計算單價（多入包裝依包數換算）
+            const calculatedUnitPrice = calculateUnitPrice(priceValue, card.quantity, card.unitType, card.packCount);
             
             if (calculatedUnitPrice === null) return null;
             
             // 查詢 Firebase 中該產品的所有價格記錄
             const recordsQuery = query(
                 collection(db, "priceRecords"),
-                where("numericalID", "==", numericalID)
+                where("numericalID", "in", getProductIdQueryValues(numericalID))
             );
             
             const recordsSnap = await getDocs(recordsQuery);
@@ -301,21 +260,23 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
             }];
             
             // 添加待辨識序列中相同產品的卡片（排除當前卡片）
+            const matchKey = getProductMatchKey(card.scannedBarcode, card.productName, card.storeName);
             const sameProductCards = allCards.filter(c => 
                 c.id !== card.id && 
-                generateProductId(c.scannedBarcode, c.productName, c.storeName) === numericalID
+                c.status === OCR_CARD_STATUS.READY &&
+                getProductMatchKey(c.scannedBarcode, c.productName, c.storeName) === matchKey
             );
             
             // 將相同產品的卡片添加到比較列表中
             sameProductCards.forEach(c => {
                 const cardFinalPrice = calculateFinalPrice(c.extractedPrice, c.specialPrice);
                 const cardPriceValue = parseFloat(cardFinalPrice);
-                const cardUnitPrice = calculateUnitPrice(cardPriceValue, c.quantity, c.unitType);
+                const cardUnitPrice = calculateUnitPrice(cardPriceValue, c.quantity, c.unitType, c.packCount);
                 
                 if (cardUnitPrice !== null) {
                     allRecordsForCompare.push({
                         unitPrice: cardUnitPrice,
-                        timestamp: new Date(c.id) // 使用卡片 ID 作為時間戳
+                        timestamp: new Date(c.timestamp)
                     });
                 }
             });
@@ -345,23 +306,36 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
         }
     }, []);
 
-    // 當待辨識卡片列表改變時，重新計算比價結果
+    // 只有影響比價的欄位改變時才重新比價，編輯折扣細節等其他欄位不會重新查詢
+    const cardsRef = useRef(pendingOcrCards);
+    cardsRef.current = pendingOcrCards;
+    const comparisonKey = JSON.stringify(pendingOcrCards
+        .filter(card => card.status === OCR_CARD_STATUS.READY)
+        .map(card => [card.id, card.scannedBarcode, card.productName, card.storeName, card.extractedPrice, card.specialPrice, card.quantity, card.unitType, card.packCount]));
+
+    // 比價欄位改變後等輸入停頓再查詢 Firestore，避免每次按鍵都重新查詢所有卡片
     useEffect(() => {
-        const fetchPriceComparisonResults = async () => {
+        // 分析中或失敗的卡片尚無價格可比較
+        const readyCards = cardsRef.current.filter(item => item.status === OCR_CARD_STATUS.READY);
+        if (readyCards.length === 0) {
+            setPriceComparisonResults({});
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
             const results = {};
-            for (const card of pendingOcrCards) {
-                const result = await checkIfBestPrice(card, pendingOcrCards);
-                results[card.id] = result;
+            for (const card of readyCards) {
+                results[card.id] = await checkIfBestPrice(card, cardsRef.current);
+                if (cancelled) return;
             }
             setPriceComparisonResults(results);
+        }, PRICE_COMPARISON_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
         };
-        
-        if (pendingOcrCards.length > 0) {
-            fetchPriceComparisonResults();
-        } else {
-            setPriceComparisonResults({});
-        }
-    }, [pendingOcrCards, checkIfBestPrice]);
+    }, [comparisonKey, checkIfBestPrice]);
 
     return (
         <div className={`min-h-screen p-4 sm:p-8 ${theme.bg}`}>
@@ -401,6 +375,20 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                 <span className="text-gray-600">最新</span>
                             </div>
                         </div>
+
+                        {/* 批次儲存 */}
+                        <div className="mt-4 flex items-center justify-between">
+                            <span className="text-sm text-gray-600">
+                                待確認 {readyCount} 筆{analyzingCount > 0 ? `，分析中 ${analyzingCount} 筆` : ''}
+                            </span>
+                            <button
+                                onClick={handleSaveAllClick}
+                                disabled={readyCount === 0 || savingCardId !== null}
+                                className={`flex items-center px-4 py-2 rounded-lg text-white font-medium ${theme.primary} hover:opacity-90 disabled:opacity-50`}
+                            >
+                                <Save className="w-4 h-4 mr-2" />{savingCardId === 'ALL' ? '儲存中...' : `全部儲存 (${readyCount})`}
+                            </button>
+                        </div>
                         
                         {/* localStorage 使用量顯示 */}
                         <div className="mt-4 pt-4 border-t border-gray-200">
@@ -477,13 +465,53 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                         <div 
                             key={card.id} 
                             className={`bg-white p-4 rounded-lg shadow border-4 relative ${
-                                priceComparisonResults[card.id]?.isBest 
-                                    ? 'border-green-500' 
-                                    : 'border-yellow-500'
+                                card.status === OCR_CARD_STATUS.FAILED
+                                    ? 'border-red-400'
+                                    : card.status === OCR_CARD_STATUS.ANALYZING
+                                        ? 'border-blue-300'
+                                        : priceComparisonResults[card.id]?.isBest 
+                                            ? 'border-green-500' 
+                                            : 'border-yellow-500'
                             }`}
                         >
                             <div className="flex justify-between items-start">
                                 <div className="flex-1">
+                                    {/* 分析狀態 */}
+                                    <div className="flex items-center justify-between mb-2">
+                                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${(CARD_STATUS_DISPLAY[card.status] || CARD_STATUS_DISPLAY[OCR_CARD_STATUS.READY]).className}`}>
+                                            {card.status === OCR_CARD_STATUS.ANALYZING && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+                                            {(CARD_STATUS_DISPLAY[card.status] || CARD_STATUS_DISPLAY[OCR_CARD_STATUS.READY]).label}
+                                        </span>
+                                        {card.status === OCR_CARD_STATUS.FAILED && (
+                                            <button
+                                                onClick={() => onRetryCard(card.id)}
+                                                className="flex items-center text-xs text-red-700 hover:text-red-900"
+                                            >
+                                                <RotateCcw className="w-3 h-3 mr-1" />重新分析
+                                            </button>
+                                        )}
+                                    </div>
+                                    {card.status === OCR_CARD_STATUS.FAILED && card.error && (
+                                        <p className="mb-2 text-xs text-red-600">AI 分析錯誤: {card.error}（可重新分析或手動填寫）</p>
+                                    )}
+                                    {card.templateId === OCR_TEMPLATE_IDS.RECEIPT && (
+                                        <p className="mb-2 text-xs text-gray-600 flex items-center"><Receipt className="w-3 h-3 mr-1" />收據影像，分析完成後會展開為各品項卡片</p>
+                                    )}
+                                    {card.receipt && (
+                                        <div className="mb-2 text-xs text-gray-600 flex flex-wrap items-center gap-2">
+                                            <span className="flex items-center"><Receipt className="w-3 h-3 mr-1" />收據 {card.receipt.purchaseDate || '日期不明'} 第 {card.receipt.lineIndex + 1}/{card.receipt.lineCount} 項</span>
+                                            <span>原文：{card.receipt.rawName}</span>
+                                            {card.productMatch ? (
+                                                <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800">
+                                                    {card.productMatch.matchType === 'barcode' ? '條碼對應既有產品' : `品名對應既有產品 (${Math.round(card.productMatch.score * 100)}%)`}
+                                                </span>
+                                            ) : (
+                                                <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">新產品</span>
+                                            )}
+                                        </div>
+                                    )}
+                                    {card.status === OCR_CARD_STATUS.READY && <OcrWarnings warnings={card.warnings} />}
+
                                     {/* 將比價結果移到卡片頂部 */}
                                     {priceComparisonResults[card.id] && (
                                         <div className={`mb-3 p-2 rounded text-center text-base font-bold ${
@@ -498,7 +526,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                     <input
                                         type="text"
                                         value={card.productName || ''}
-                                        onChange={(e) => handleCardChange(card.id, 'productName', e.target.value)}
+                                        onChange={(e) => handleCardChange(card, 'productName', e.target.value)}
                                         className="font-bold text-lg text-gray-800 w-full p-1 mb-2 border-b border-gray-300 focus:border-blue-500 focus:outline-none"
                                         placeholder="產品名稱"
                                     />
@@ -525,7 +553,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                             <input
                                                 type="text"
                                                 value={card.scannedBarcode || ''}
-                                                onChange={(e) => handleCardChange(card.id, 'scannedBarcode', e.target.value)}
+                                                onChange={(e) => handleCardChange(card, 'scannedBarcode', e.target.value)}
                                                 className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                                 placeholder="條碼"
                                             />
@@ -537,7 +565,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                             <input
                                                 type="text"
                                                 value={card.productName || ''}
-                                                onChange={(e) => handleCardChange(card.id, 'productName', e.target.value)}
+                                                onChange={(e) => handleCardChange(card, 'productName', e.target.value)}
                                                 className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                                 placeholder="產品名稱"
                                             />
@@ -549,7 +577,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                             <input
                                                 type="text"
                                                 value={card.storeName || ''}
-                                                onChange={(e) => handleCardChange(card.id, 'storeName', e.target.value)}
+                                                onChange={(e) => handleCardChange(card, 'storeName', e.target.value)}
                                                 onClick={(e) => {
                                                     e.preventDefault();
                                                     handleStoreClick(card);
@@ -568,7 +596,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                                     <input
                                                         type="number"
                                                         value={card.originalPrice || ''}
-                                                        onChange={(e) => handleCardChange(card.id, 'originalPrice', e.target.value)}
+                                                        onChange={(e) => handleCardChange(card, 'originalPrice', e.target.value)}
                                                         className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                                         placeholder="原價"
                                                     />
@@ -578,7 +606,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                                     <input
                                                         type="number"
                                                         value={card.specialPrice || ''}
-                                                        onChange={(e) => handleCardChange(card.id, 'specialPrice', e.target.value)}
+                                                        onChange={(e) => handleCardChange(card, 'specialPrice', e.target.value)}
                                                         className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 text-green-600 font-bold"
                                                         placeholder="特價"
                                                     />
@@ -590,7 +618,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                                 <input
                                                     type="number"
                                                     value={card.extractedPrice || ''}
-                                                    onChange={(e) => handleCardChange(card.id, 'extractedPrice', e.target.value)}
+                                                    onChange={(e) => handleCardChange(card, 'extractedPrice', e.target.value)}
                                                     className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                                     placeholder="價格"
                                                 />
@@ -603,7 +631,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                             <input
                                                 type="text"
                                                 value={card.quantity || ''}
-                                                onChange={(e) => handleCardChange(card.id, 'quantity', e.target.value)}
+                                                onChange={(e) => handleCardChange(card, 'quantity', e.target.value)}
                                                 className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                                 placeholder="數量"
                                             />
@@ -612,18 +640,16 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                             <label className="block text-gray-700 font-medium mb-0.5">單位</label>
                                             <select
                                                 value={card.unitType || 'pcs'}
-                                                onChange={(e) => handleCardChange(card.id, 'unitType', e.target.value)}
+                                                onChange={(e) => handleCardChange(card, 'unitType', e.target.value)}
                                                 className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                             >
-                                                <option value="ml">ml (毫升)</option>
-                                                <option value="g">g (克)</option>
-                                                <option value="pcs">pcs (個/包/支/條)</option>
+                                                {UNIT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
                                             </select>
                                         </div>
                                         
                                         {/* 單價 */}
                                         <div className="col-span-2">
-                                            <label className="block text-gray-700 font-medium mb-0.5">單價 (每100g/ml)</label>
+                                            <label className="block text-gray-700 font-medium mb-0.5">單價 ({getUnitPriceLabel(card.unitType)})</label>
                                             <input
                                                 type="text"
                                                 value={formatUnitPrice(card.unitPrice)}
@@ -638,7 +664,7 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                             <input
                                                 type="text"
                                                 value={card.discountDetails || ''}
-                                                onChange={(e) => handleCardChange(card.id, 'discountDetails', e.target.value)}
+                                                onChange={(e) => handleCardChange(card, 'discountDetails', e.target.value)}
                                                 className="w-full px-2 py-0 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
                                                 placeholder="優惠資訊"
                                             />
@@ -653,7 +679,8 @@ function OcrQueuePage({ theme, onBack, pendingOcrCards, onRemoveCard, onStoreSel
                                 <div className="flex flex-col">
                                     <button 
                                         onClick={() => handleSaveClick(card)}
-                                        className="p-2 text-green-500 hover:text-green-700 hover:bg-green-50 rounded-full"
+                                        disabled={card.status === OCR_CARD_STATUS.ANALYZING || savingCardId !== null}
+                                        className="p-2 text-green-500 hover:text-green-700 hover:bg-green-50 rounded-full disabled:opacity-40"
                                         title="確認儲存"
                                     >
                                         <CheckCircle size={20} />
@@ -1,122 +1,200 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { X, Camera, Zap, RotateCcw } from 'lucide-react';
+import { X, Camera, Zap, RotateCcw, Barcode, Receipt, Tag, AlertTriangle, Crop, ScanSearch, ListPlus } from 'lucide-react';
 import { showUserFriendlyError } from '../utils/errorHandler'; // 導入錯誤處理工具
+import { decodeImage, decodeVideoFrame, getScanBarcode, REQUIRED_CONSECUTIVE_READS } from '../utils/barcodeScanner';
+import { analyzePriceTagImage, OCR_TEMPLATE_IDS } from '../utils/ocrAnalysis';
+import { OCR_PROVIDER_IDS } from '../utils/ocrProviders';
+import { isAbortError } from '../utils/requestClient';
+import { preprocessForOcr, cropImage, getThumbnailImageData } from '../utils/imageUtils';
+import { recordSessionCapture, findSessionDuplicate } from '../utils/ocrCache';
+import { detectLabelRegions } from '../utils/labelDetection';
+import CropSelector from './CropSelector';
 
-const withExponentialBackoff = async (fn, retries = 5, delay = 1000) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            console.warn(`Attempt ${i + 1} failed, retrying in ${delay}ms...`);
-            const currentDelay = delay; // Capture current delay
-            await new Promise(resolve => setTimeout(resolve, currentDelay));
-            delay *= 2;
-        }
-    }
-};
-
-async function callGeminiApiWithRetry(payload, apiUrl, maxRetries = 3) {
-    let lastError = null;
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+// 鏡頭條碼解碼的間隔時間 (毫秒)
+const BARCODE_SCAN_INTERVAL = 500;
 
-            if (!response.ok) {
-                const errorBody = await response.json();
-                throw new Error(`API response error: ${response.status} - ${errorBody.error?.message || 'Unknown error'}`);
-            }
+// 上傳前的影像前處理設定：價格標籤只需中等解析度；收據字小且細長，保留較大尺寸與檔案預算
+const PREPROCESS_OPTIONS = {
+    [OCR_TEMPLATE_IDS.SHELF_LABEL]: { maxDimension: 1280, maxBytes: 200 * 1024 },
+    [OCR_TEMPLATE_IDS.RECEIPT]: { maxDimension: 1600, maxBytes: 350 * 1024 }
+};
 
-            const result = await response.json();
-            const candidate = result.candidates?.[0];
+// 預設裁切框：價格標籤為中央 75%，收據使用整個畫面
+const DEFAULT_CROP = {
+    [OCR_TEMPLATE_IDS.SHELF_LABEL]: { x: 0.125, y: 0.125, width: 0.75, height: 0.75 },
+    [OCR_TEMPLATE_IDS.RECEIPT]: { x: 0, y: 0, width: 1, height: 1 }
+};
 
-            if (candidate && candidate.content?.parts?.[0]?.text) {
-                const jsonText = candidate.content.parts[0].text;
-                try {
-                    return JSON.parse(jsonText);
-                } catch (parseError) {
-                    console.error("JSON Parse Error:", jsonText, parseError);
-                    throw new Error("AI 輸出格式錯誤，無法解析 JSON。");
-                }
-            } else {
-                throw new Error("AI 無法生成有效內容。");
-            }
+// 標籤偵測使用的縮圖長邊（像素）
+const DETECTION_DIMENSION = 200;
 
-        } catch (error) {
-            lastError = error;
-            console.warn(`API call failed (Attempt ${i + 1}/${maxRetries}):`, error.message);
-            if (i < maxRetries - 1) {
-                const delay = Math.pow(2, i) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
-    }
-    throw lastError;
-}
-
-function AIOcrCaptureModal({ theme, onAnalysisSuccess, onClose, stream }) {
+function AIOcrCaptureModal({ theme, onAnalysisSuccess, onQueueCapture, onClose, stream, storeSession }) {
     const videoRef = useRef(null);
     const [scanError, setScanError] = useState('');
     const [isAnalyzing, setIsAnalyzing] = useState(false);
     const [capturedImage, setCapturedImage] = useState(null);
     const streamRef = useRef(stream); // 添加這一行來保持對 stream 的引用
+    // 鏡頭端條碼解碼狀態：鎖定的條碼與連續讀取計數
+    const [lockedBarcode, setLockedBarcode] = useState(null);
+    const lastReadRef = useRef({ code: null, count: 0 });
+    // 進行中分析的 AbortController，供「取消分析」與關閉視窗時中止請求
+    const analysisControllerRef = useRef(null);
+    // 拍攝模式：價格標籤或收據（收據一律送入待辨識序列，分析後展開為多個品項）
+    const [captureMode, setCaptureMode] = useState(OCR_TEMPLATE_IDS.SHELF_LABEL);
+    const isReceiptMode = captureMode === OCR_TEMPLATE_IDS.RECEIPT;
+    // 前處理狀態與畫質檢查結果；模糊或太暗時需使用者選擇重拍或仍要使用
+    const [isPreprocessing, setIsPreprocessing] = useState(false);
+    const [imageCheck, setImageCheck] = useState(null);
+    const needsRetake = Boolean(imageCheck && (imageCheck.isBlurry || imageCheck.isTooDark) && !imageCheck.acknowledged);
+    // 凍結的完整畫面與裁切框；確認裁切後才產生 capturedImage
+    const [frameImage, setFrameImage] = useState(null);
+    const [cropRect, setCropRect] = useState(DEFAULT_CROP[OCR_TEMPLATE_IDS.SHELF_LABEL]);
+    // 在凍結畫面中偵測到的標籤（null 表示尚未偵測）
+    const [labelRegions, setLabelRegions] = useState(null);
+    const [isQueueingAll, setIsQueueingAll] = useState(false);
+    // 擷取畫面的感知雜湊，以及本次商店會話中已拍過的相同標籤
+    const [imageHash, setImageHash] = useState(null);
+    const [duplicateCapture, setDuplicateCapture] = useState(null);
 
     // 更新 useEffect 以處理 stream 變化
     useEffect(() => {
         streamRef.current = stream; // 更新 streamRef 的值
         if (stream && videoRef.current) {
             videoRef.current.srcObject = stream;
-            // 只有在沒有捕獲圖片時才自動播放
-            if (!capturedImage) {
+            // 只有在沒有捕獲圖片（或凍結畫面）時才自動播放
+            if (!capturedImage && !frameImage) {
                 videoRef.current.play().catch(err => {
                     console.error("Video play failed:", err);
                     setScanError("無法播放相機影像。");
                 });
             }
         }
-    }, [stream, capturedImage]);
+    }, [stream, capturedImage, frameImage]);
+
+    // 在影片播放期間持續解碼條碼，直到鎖定一個通過校驗的條碼
+    useEffect(() => {
+        if (capturedImage || lockedBarcode || isReceiptMode) return;
+
+        let cancelled = false;
+        const timer = setInterval(async () => {
+            const video = videoRef.current;
+            if (!video || video.paused) return;
+            const barcode = getScanBarcode(await decodeVideoFrame(video));
+            if (cancelled || !barcode) return;
+
+            const lastRead = lastReadRef.current;
+            const count = lastRead.code === barcode ? lastRead.count + 1 : 1;
+            lastReadRef.current = { code: barcode, count };
+            if (count >= REQUIRED_CONSECUTIVE_READS) {
+                setLockedBarcode(barcode);
+            }
+        }, BARCODE_SCAN_INTERVAL);
+
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [capturedImage, lockedBarcode, isReceiptMode]);
+
+    // 擷取畫面時若尚未鎖定條碼，嘗試從靜態影像解碼一次
+    useEffect(() => {
+        if (!capturedImage || lockedBarcode || isReceiptMode) return;
 
+        let cancelled = false;
+        decodeImage(capturedImage).then(result => {
+            const barcode = getScanBarcode(result);
+            if (!cancelled && barcode) {
+                setLockedBarcode(barcode);
+            }
+        });
+        return () => { cancelled = true; };
+    }, [capturedImage, lockedBarcode, isReceiptMode]);
+
+    // 關閉視窗時中止進行中的分析
+    useEffect(() => () => analysisControllerRef.current?.abort(), []);
+
+    const resetBarcodeLock = useCallback(() => {
+        lastReadRef.current = { code: null, count: 0 };
+        setLockedBarcode(null);
+    }, []);
+
+    // 凍結目前畫面，讓使用者調整裁切框或選擇偵測到的標籤
     const handleCapture = useCallback(() => {
         if (!videoRef.current || !videoRef.current.srcObject) return;
         const video = videoRef.current;
-        
-        // 計算預覽框在視頻中的實際像素位置和尺寸 (75% 中心區域)
-        const cropWidth = video.videoWidth * 0.75;
-        const cropHeight = video.videoHeight * 0.75;
-        const cropX = (video.videoWidth - cropWidth) / 2;
-        const cropY = (video.videoHeight - cropHeight) / 2;
-        
-        // 創建最終的 canvas 來繪製裁切後的圖片
+
         const canvas = document.createElement('canvas');
-        canvas.width = cropWidth;
-        canvas.height = cropHeight;
-        const ctx = canvas.getContext('2d');
-        
-        // 從視頻中裁切並繪製 75% 中心區域
-        ctx.drawImage(
-            video, 
-            cropX, cropY, cropWidth, cropHeight,  // source rectangle
-            0, 0, cropWidth, cropHeight           // destination rectangle
-        );
-        
-        const base64Data = canvas.toDataURL('image/jpeg', 0.9);
-        setCapturedImage(base64Data); // 設置擷取的圖片
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
 
         // Pause video playback after capture, but don't stop the stream
-        if (videoRef.current) {
-            videoRef.current.pause();
+        video.pause();
+
+        setFrameImage(canvas.toDataURL('image/jpeg', 0.92));
+        setCropRect(DEFAULT_CROP[captureMode]);
+        setLabelRegions(null);
+    }, [captureMode]);
+
+    // 裁切並前處理一個區域：縮圖、校正與壓縮後再交給分析，同時回傳畫質檢查結果
+    const prepareRegion = useCallback(async (rect) => {
+        const cropped = await cropImage(frameImage, rect);
+        try {
+            const processed = await preprocessForOcr(cropped, PREPROCESS_OPTIONS[captureMode]);
+            return { image: processed.dataUrl, quality: processed.quality, hash: processed.hash };
+        } catch (error) {
+            console.warn("影像前處理失敗，使用原始擷取畫面:", error);
+            return { image: cropped, quality: null, hash: null };
         }
-    }, []);
+    }, [frameImage, captureMode]);
+
+    // 確認裁切範圍；模糊或太暗時提示重拍，避免浪費一次 API 呼叫
+    const handleConfirmCrop = useCallback(async () => {
+        if (!frameImage) return;
+        setIsPreprocessing(true);
+        try {
+            const { image, quality, hash } = await prepareRegion(cropRect);
+            setCapturedImage(image);
+            setImageCheck(quality ? { ...quality, acknowledged: false } : null);
+            setImageHash(hash);
+            setDuplicateCapture(findSessionDuplicate(hash, storeSession));
+        } catch (error) {
+            console.error("裁切失敗:", error);
+            setScanError("無法裁切擷取畫面。");
+        } finally {
+            setIsPreprocessing(false);
+        }
+    }, [frameImage, cropRect, prepareRegion, storeSession]);
+
+    // 在凍結畫面中偵測多個價格標籤
+    const handleDetectLabels = useCallback(async () => {
+        if (!frameImage) return;
+        setIsPreprocessing(true);
+        try {
+            const regions = detectLabelRegions(await getThumbnailImageData(frameImage, DETECTION_DIMENSION));
+            setLabelRegions(regions);
+            if (regions.length > 0) {
+                setCropRect(regions[0]);
+            }
+        } catch (error) {
+            console.error("標籤偵測失敗:", error);
+            setLabelRegions([]);
+        } finally {
+            setIsPreprocessing(false);
+        }
+    }, [frameImage]);
 
     const handleRetake = useCallback(() => {
         // Clear the captured image and error, and restart the video stream
         setCapturedImage(null);
+        setImageCheck(null);
+        setFrameImage(null);
+        setLabelRegions(null);
+        setImageHash(null);
+        setDuplicateCapture(null);
         setScanError('');
         setIsAnalyzing(false);
+        resetBarcodeLock();
         
         // Manually play the video stream when retaking
         if (streamRef.current && videoRef.current) {
@@ -126,104 +204,35 @@ function AIOcrCaptureModal({ theme, onAnalysisSuccess, onClose, stream }) {
                 setScanError("無法播放相機影像。");
             });
         }
-    }, []);
+    }, [resetBarcodeLock]);
 
     const handleAnalyze = useCallback(async () => {
         if (!capturedImage) { setScanError("沒有可分析的影像。"); return; }
+        const controller = new AbortController();
+        analysisControllerRef.current = controller;
         setIsAnalyzing(true);
         setScanError('');
         try {
-            const base64Image = capturedImage.split(',')[1];
-        
-        const userQuery = "請根據圖片中的條碼、標價、產品名稱、規格（質量/容量/數量）、商店名稱和折扣資訊，以嚴格的 JSON 格式輸出結構化數據。請特別注意計算產品的總容量/總質量。如果圖像中顯示了原價和特價，請分別標註。";
-
-        const newSchema = {
-            type: "OBJECT",
-            properties: {
-                scannedBarcode: { "type": "STRING", "description": "影像中找到的 EAN, UPC 或其他產品條碼數字，如果不可見則為空字串。" },
-                productName: { "type": "STRING", "description": "產品名稱，例如：家庭號牛奶" },
-                originalPrice: { "type": "NUMBER", "description": "產品的原價（純數字，例如 59），如果沒有原價則為空。" },
-                specialPrice: { "type": "NUMBER", "description": "產品的特價（純數字，例如 39），如果沒有特價則為空。" },
-                listedPrice: { "type": "NUMBER", "description": "產品標價（純數字，例如 59），如果沒有單一標價則為空。當有特價時，listedPrice 應為特價；當無特價時，listedPrice 應為原價。" },
-                totalCapacity: { "type": "NUMBER", "description": "產品的總容量/總質量/總數量（純數字）。例如：若產品是 '18克10入'，則總容量是 180；若產品是 '2000ml'，則總容量是 2000。" },
-                baseUnit: { "type": "STRING", "description": "用於計算單價的基礎單位。僅使用 'g' (克), 'ml' (毫升), 或 'pcs' (個/入)。如果是質量，請統一使用 'g'。" },
-                storeName: { "type": "STRING", "description": "價目標籤或收據所示的商店名稱。如果不可見則為空字串。" },
-                discountDetails: { "type": "STRING", "description": "發現的任何促銷或折扣的詳細描述（例如：'買一送一', '第二件半價', '有效期限 2026/01/01'）。如果沒有折扣則為空字串。" }
-            },
-            propertyOrdering: ["scannedBarcode", "productName", "originalPrice", "specialPrice", "listedPrice", "totalCapacity", "baseUnit", "storeName", "discountDetails"]
-        };
-        
-        const systemPrompt = `
-            你是一個專業的價格數據分析助理。你的任務是從圖像中識別產品條碼、產品名稱、標價、完整的容量/質量/數量資訊、商店名稱和折扣細節，並將其格式化為嚴格的 JSON 輸出。
-            **計算規則（重要）：**
-            1. 標價 (listedPrice) 必須是純數字。
-            2. 總容量 (totalCapacity) 必須是純數字。
-            3. 如果產品標示為「X 克 Y 入」，**必須**計算總質量： totalCapacity = X * Y。例如：「18克10入」-> 180。
-            4. 如果產品標示為「X 毫升 Y 瓶」，**必須**計算總容量： totalCapacity = X * Y。
-            5. 如果產品標示為「Z 個」，則 totalCapacity = Z。
-            6. 基礎單位 (baseUnit) 必須是 'g', 'ml', 或 'pcs' 之一。質量請用 'g'。
-            7. 如果圖像中同時顯示原價和特價：
-               - originalPrice 應包含原價數值
-               - specialPrice 應包含特價數值
-               - listedPrice 應包含特價數值（因為這是消費者實際支付的價格）
-            8. 如果圖像中只顯示一個價格：
-               - listedPrice 應包含該價格數值
-               - originalPrice 和 specialPrice 應為空
-            請勿輸出任何 JSON 以外的文字、註釋或說明。
-        `;
-
-        const apiUrl = `/.netlify/functions/gemini-proxy`;
-        const payload = { systemPrompt, userPrompt: userQuery, base64Image, responseSchema: newSchema };
-        const analysisResult = await withExponentialBackoff(() => callGeminiApiWithRetry(payload, apiUrl));
-        console.log("AI Analysis Result:", analysisResult); // Added console.log for debugging
-
-        // 計算並添加單價欄位 (從單價計算.txt 複製過來)
-        const { 
-            scannedBarcode = '', 
-            productName = '', 
-            listedPrice = 0, 
-            totalCapacity = 0, 
-            baseUnit = 'pcs', 
-            storeName = 'AI 辨識', 
-            discountDetails = '',
-            specialPrice = null,
-            originalPrice = null
-        } = analysisResult;
-        let unitPrice = 0;
-        if (listedPrice > 0 && totalCapacity > 0) {
-             if (baseUnit === 'g' || baseUnit === 'ml') {
-                unitPrice = (listedPrice / totalCapacity) * 100;
-            } else if (baseUnit === 'pcs') {
-                unitPrice = listedPrice / totalCapacity;
-            }
+            const finalData = await analyzePriceTagImage(capturedImage, lockedBarcode, { imageHash, signal: controller.signal });
+            recordSessionCapture(imageHash, storeSession);
+            onAnalysisSuccess(finalData);
+            onClose();
+        } catch (error) {
+            // 使用者取消時回到擷取畫面，不顯示錯誤
+            if (isAbortError(error)) return;
+            console.error("AI 分析失敗:", error);
+            const userMessage = `AI 分析錯誤: ${error.message || '未知錯誤'}`;
+            setScanError(userMessage);
+            showUserFriendlyError(userMessage, "AI 分析");
+        } finally {
+            analysisControllerRef.current = null;
+            setIsAnalyzing(false);
         }
-        
-        // 準備傳遞給父組件的數據，包含計算出的單價和捕獲的圖像
-        const finalData = {
-            scannedBarcode: scannedBarcode,
-            productName: productName,
-            extractedPrice: listedPrice.toString(), // 轉換為字串以符合現有狀態
-            storeName: storeName,
-            discountDetails: discountDetails,
-            quantity: totalCapacity.toString(), // 轉換為字串以符合現有狀態
-            unitType: baseUnit,
-            unitPrice: unitPrice,
-            specialPrice: specialPrice, // 保留特價信息
-            originalPrice: originalPrice,  // 保留原價信息
-            capturedImage: capturedImage  // 添加捕獲的圖像
-        };
+    }, [capturedImage, lockedBarcode, imageHash, storeSession, onAnalysisSuccess, onClose]);
 
-        onAnalysisSuccess(finalData);
-        onClose();
-    } catch (error) {
-        console.error("AI 分析失敗:", error);
-        const userMessage = `AI 分析錯誤: ${error.message || '未知錯誤'}`;
-        setScanError(userMessage);
-        showUserFriendlyError(userMessage, "AI 分析");
-    } finally {
-        setIsAnalyzing(false);
-    }
-}, [capturedImage, onAnalysisSuccess, onClose]);
+    const handleCancelAnalysis = useCallback(() => {
+        analysisControllerRef.current?.abort();
+    }, []);
 
     const handleAnalyzeAndCaptureNext = useCallback(() => {
         if (!capturedImage) { 
@@ -231,12 +240,19 @@ function AIOcrCaptureModal({ theme, onAnalysisSuccess, onClose, stream }) {
             return; 
         }
         
-        // 保存當前圖像用於分析
-        const imageToAnalyze = capturedImage;
+        // 將當前圖像及鎖定的條碼交給待辨識序列，由序列在背景分析
+        recordSessionCapture(imageHash, storeSession);
+        onQueueCapture({ capturedImage, lockedBarcode: isReceiptMode ? null : lockedBarcode, templateId: captureMode, imageHash });
         
         // 立即清除捕獲的圖像並重新啟動相機，讓用戶可以繼續拍攝
         setCapturedImage(null);
+        setImageCheck(null);
+        setFrameImage(null);
+        setLabelRegions(null);
+        setImageHash(null);
+        setDuplicateCapture(null);
         setScanError('');
+        resetBarcodeLock();
         
         // 重新啟動相機流
         if (streamRef.current && videoRef.current) {
@@ -246,164 +262,31 @@ function AIOcrCaptureModal({ theme, onAnalysisSuccess, onClose, stream }) {
                 setScanError("無法播放相機影像。");
             });
         }
-        
-        // 準備 API 請求參數
-        const base64Image = imageToAnalyze.split(',')[1];
-        
-        const userQuery = "請根據圖片中的條碼、標價、產品名稱、規格（質量/容量/數量）、商店名稱和折扣資訊，以嚴格的 JSON 格式輸出結構化數據。請特別注意計算產品的總容量/總質量。如果圖像中顯示了原價和特價，請分別標註。";
-
-        const newSchema = {
-            type: "OBJECT",
-            properties: {
-                scannedBarcode: { "type": "STRING", "description": "影像中找到的 EAN, UPC 或其他產品條碼數字，如果不可見則為空字串。" },
-                productName: { "type": "STRING", "description": "產品名稱，例如：家庭號牛奶" },
-                originalPrice: { "type": "NUMBER", "description": "產品的原價（純數字，例如 59），如果沒有原價則為空。" },
-                specialPrice: { "type": "NUMBER", "description": "產品的特價（純數字，例如 39），如果沒有特價則為空。" },
-                listedPrice: { "type": "NUMBER", "description": "產品標價（純數字，例如 59），如果沒有單一標價則為空。當有特價時，listedPrice 應為特價；當無特價時，listedPrice 應為原價。" },
-                totalCapacity: { "type": "NUMBER", "description": "產品的總容量/總質量/總數量（純數字）。例如：若產品是 '18克10入'，則總容量是 180；若產品是 '2000ml'，則總容量是 2000。" },
-                baseUnit: { "type": "STRING", "description": "用於計算單價的基礎單位。僅使用 'g' (克), 'ml' (毫升), 或 'pcs' (個/入)。如果是質量，請統一使用 'g'。" },
-                storeName: { "type": "STRING", "description": "價目標籤或收據所示的商店名稱。如果不可見則為空字串。" },
-                discountDetails: { "type": "STRING", "description": "發現的任何促銷或折扣的詳細描述（例如：'買一送一', '第二件半價', '有效期限 2026/01/01'）。如果沒有折扣則為空字串。" }
-            },
-            propertyOrdering: ["scannedBarcode", "productName", "originalPrice", "specialPrice", "listedPrice", "totalCapacity", "baseUnit", "storeName", "discountDetails"]
-        };
-        
-        const systemPrompt = `
-            你是一個專業的價格數據分析助理。你的任務是從圖像中識別產品條碼、產品名稱、標價、完整的容量/質量/數量資訊、商店名稱和折扣細節，並將其格式化為嚴格的 JSON 輸出。
-            **計算規則（重要）：**
-            1. 標價 (listedPrice) 必須是純數字。
-            2. 總容量 (totalCapacity) 必須是純數字。
-            3. 如果產品標示為「X 克 Y 入」，**必須**計算總質量： totalCapacity = X * Y。例如：「18克10入」-> 180。
-            4. 如果產品標示為「X 毫升 Y 瓶」，**必須**計算總容量： totalCapacity = X * Y。
-            5. 如果產品標示為「Z 個」，則 totalCapacity = Z。
-            6. 基礎單位 (baseUnit) 必須是 'g', 'ml', 或 'pcs' 之一。質量請用 'g'。
-            7. 如果圖像中同時顯示原價和特價：
-               - originalPrice 應包含原價數值
-               - specialPrice 應包含特價數值
-               - listedPrice 應包含特價數值（因為這是消費者實際支付的價格）
-            8. 如果圖像中只顯示一個價格：
-               - listedPrice 應包含該價格數值
-               - originalPrice 和 specialPrice 應為空
-            請勿輸出任何 JSON 以外的文字、註釋或說明。
-        `;
-
-        const apiUrl = `/.netlify/functions/gemini-proxy`;
-        const payload = { systemPrompt, userPrompt: userQuery, base64Image, responseSchema: newSchema };
-        
-        // 在後台執行分析
-        withExponentialBackoff(() => callGeminiApiWithRetry(payload, apiUrl))
-            .then(analysisResult => {
-                console.log("AI Analysis Result:", analysisResult);
-                
-                // 計算並添加單價欄位
-                const { 
-                    scannedBarcode = '', 
-                    productName = '', 
-                    listedPrice = 0, 
-                    totalCapacity = 0, 
-                    baseUnit = 'pcs', 
-                    storeName = 'AI 辨識', 
-                    discountDetails = '',
-                    specialPrice = null,
-                    originalPrice = null
-                } = analysisResult;
-                let unitPrice = 0;
-                if (listedPrice > 0 && totalCapacity > 0) {
-                     if (baseUnit === 'g' || baseUnit === 'ml') {
-                        unitPrice = (listedPrice / totalCapacity) * 100;
-                    } else if (baseUnit === 'pcs') {
-                        unitPrice = listedPrice / totalCapacity;
-                    }
-                }
-                
-                // 準備傳遞給父組件的數據
-                const finalData = {
-                    scannedBarcode: scannedBarcode,
-                    productName: productName,
-                    extractedPrice: listedPrice.toString(),
-                    storeName: storeName,
-                    discountDetails: discountDetails,
-                    quantity: totalCapacity.toString(),
-                    unitType: baseUnit,
-                    unitPrice: unitPrice,
-                    specialPrice: specialPrice,
-                    originalPrice: originalPrice,
-                    capturedImage: imageToAnalyze  // 使用保存的圖像
-                };
-                
-                // 直接調用成功回調
-                onAnalysisSuccess(finalData);
-            })
-            .catch(error => {
-                console.error("AI 分析失敗:", error);
-                const userMessage = `AI 分析錯誤: ${error.message || '未知錯誤'}`;
-                setScanError(userMessage);
-                showUserFriendlyError(userMessage, "AI 分析");
-                
-                // 即使分析失敗，也將基本數據加入序列，讓用戶知道有錯誤
-                const errorData = {
-                    capturedImage: imageToAnalyze,
-                    error: error.message
-                };
-                onAnalysisSuccess(errorData);
-            });
-    }, [capturedImage, onAnalysisSuccess]);
-
-    const handleSimulatedAnalysis = () => {
-        const randomListedPrice = parseFloat((Math.random() * 50 + 100).toFixed(2));
-        const randomTotalCapacity = Math.floor(Math.random() * 1000) + 100; // 100-1099
-        const unitTypes = ['ml', 'g', 'pcs'];
-        const randomBaseUnit = unitTypes[Math.floor(Math.random() * unitTypes.length)];
-        
-        // 模擬特價情況：20% 機率有特價
-        const hasSpecialPrice = Math.random() < 0.2;
-        let specialPrice = null;
-        let finalListedPrice = randomListedPrice;
-        
-        if (hasSpecialPrice) {
-            specialPrice = parseFloat((randomListedPrice * 0.8).toFixed(2)); // 8折特價
-            finalListedPrice = specialPrice;
-        }
-        
-        // 使用真實的產品標籤圖片
-        const mockImageData = "/士力架.png";
-        
-        const mockResult = {
-            productName: '士力架巧克力',
-            listedPrice: finalListedPrice,
-            totalCapacity: randomTotalCapacity,
-            baseUnit: randomBaseUnit,
-            // 以下是 AI 可能額外提供的資訊，如果 AI 模型能辨識
-            scannedBarcode: '4710123456789',
-            storeName: '模擬超商 (AI)',
-            discountDetails: hasSpecialPrice ? '限時特價 8 折' : '買二送一優惠 / 限時促銷',
-            specialPrice: specialPrice
-        };
+    }, [capturedImage, lockedBarcode, imageHash, storeSession, resetBarcodeLock, onQueueCapture, isReceiptMode, captureMode]);
 
-        // AIOcrCaptureModal 的 handleAnalyze 函數會處理這個 mockResult
-        // 並計算 unitPrice，然後傳遞給 onAnalysisSuccess
-        const { listedPrice, totalCapacity, baseUnit } = mockResult;
-        let unitPrice = 0;
-        if (listedPrice > 0 && totalCapacity > 0) {
-             if (baseUnit === 'g' || baseUnit === 'ml') {
-            unitPrice = (listedPrice / totalCapacity) * 100;
-        } else if (baseUnit === 'pcs') {
-            unitPrice = listedPrice / totalCapacity;
+    // 將偵測到的所有標籤逐一裁切後加入待辨識序列，完成後回到鏡頭
+    const handleQueueAllRegions = useCallback(async () => {
+        if (!labelRegions || labelRegions.length === 0) return;
+        setIsQueueingAll(true);
+        try {
+            for (const region of labelRegions) {
+                const { image, hash } = await prepareRegion(region);
+                recordSessionCapture(hash, storeSession);
+                await onQueueCapture({ capturedImage: image, lockedBarcode: null, templateId: OCR_TEMPLATE_IDS.SHELF_LABEL, imageHash: hash });
+            }
+            handleRetake();
+        } catch (error) {
+            console.error("加入待辨識序列失敗:", error);
+            setScanError("部分標籤無法加入待辨識序列，請重試。");
+        } finally {
+            setIsQueueingAll(false);
         }
-    }
+    }, [labelRegions, prepareRegion, storeSession, onQueueCapture, handleRetake]);
 
-        const finalData = {
-            scannedBarcode: mockResult.scannedBarcode || '',
-            productName: mockResult.productName,
-            extractedPrice: listedPrice.toString(),
-            storeName: mockResult.storeName || 'AI 辨識',
-            discountDetails: mockResult.discountDetails || '',
-            quantity: totalCapacity.toString(),
-            unitType: baseUnit,
-            unitPrice: unitPrice,
-            specialPrice: mockResult.specialPrice,
-            capturedImage: mockImageData  // 添加真實的產品標籤圖片
-        };
+    // 以離線模擬服務分析，不呼叫 AI；沒有擷取畫面時使用範例標籤圖片
+    const handleSimulatedAnalysis = async () => {
+        const mockImageData = capturedImage || "/士力架.png";
+        const finalData = await analyzePriceTagImage(mockImageData, lockedBarcode, { providerId: OCR_PROVIDER_IDS.MOCK });
 
         onAnalysisSuccess(finalData);
         onClose();
@@ -419,23 +302,94 @@ function AIOcrCaptureModal({ theme, onAnalysisSuccess, onClose, stream }) {
                     <h3 className={`text-xl font-bold ${theme.text} flex items-center`}><Zap className="inline-block w-5 h-5 mr-2" />AI 視覺擷取與分析</h3>
                     <button onClick={onClose} className="p-1 rounded-full text-gray-500 hover:text-gray-900"><X className="w-6 h-6" /></button>
                 </header>
-                {isAnalyzing && <div className={`w-full p-4 mb-4 rounded-lg bg-yellow-100 text-yellow-800 flex items-center justify-center`}>...分析中...</div>}
-                {scanError ? <div className="text-red-600 bg-red-100 p-4 rounded-lg w-full mb-4 text-center">{scanError}</div> : (
+                {onQueueCapture && !capturedImage && (
+                    <div className="grid grid-cols-2 gap-2 w-full mb-4">
+                        <button onClick={() => setCaptureMode(OCR_TEMPLATE_IDS.SHELF_LABEL)} className={`p-2 rounded-lg text-sm font-semibold flex items-center justify-center ${!isReceiptMode ? `${themePrimary} text-white` : 'bg-gray-100 text-gray-700'}`}><Tag className="w-4 h-4 mr-1" />價格標籤</button>
+                        <button onClick={() => { setCaptureMode(OCR_TEMPLATE_IDS.RECEIPT); resetBarcodeLock(); }} className={`p-2 rounded-lg text-sm font-semibold flex items-center justify-center ${isReceiptMode ? `${themePrimary} text-white` : 'bg-gray-100 text-gray-700'}`}><Receipt className="w-4 h-4 mr-1" />收據</button>
+                    </div>
+                )}
+                {isPreprocessing && <div className="w-full p-4 mb-4 rounded-lg bg-blue-100 text-blue-800 flex items-center justify-center">影像處理中...</div>}
+                {needsRetake && (
+                    <div className="w-full p-3 mb-4 rounded-lg bg-orange-100 text-orange-800 text-sm">
+                        <p className="flex items-center font-semibold"><AlertTriangle className="w-4 h-4 mr-1" />{imageCheck.isTooDark ? '光線不足' : '影像模糊'}，辨識結果可能不準確，建議重新拍攝</p>
+                        <div className="grid grid-cols-2 gap-2 mt-2">
+                            <button onClick={handleRetake} className="p-2 rounded bg-orange-500 hover:bg-orange-600 text-white font-semibold">重新拍攝</button>
+                            <button onClick={() => setImageCheck(prev => ({ ...prev, acknowledged: true }))} className="p-2 rounded bg-white border border-orange-300 hover:bg-orange-50 font-semibold">仍要使用</button>
+                        </div>
+                    </div>
+                )}
+                {duplicateCapture && !needsRetake && (
+                    <div className="w-full p-3 mb-4 rounded-lg bg-yellow-100 text-yellow-800 text-sm">
+                        <p className="flex items-center font-semibold"><AlertTriangle className="w-4 h-4 mr-1" />本次在 {storeSession?.storeName} 已於 {new Date(duplicateCapture.capturedAt).toLocaleTimeString('zh-TW', { hour: '2-digit', minute: '2-digit' })} 拍過相同的標籤</p>
+                        <p className="mt-1">再次分析會新增一筆重複的記錄。</p>
+                        <div className="grid grid-cols-2 gap-2 mt-2">
+                            <button onClick={handleRetake} className="p-2 rounded bg-yellow-500 hover:bg-yellow-600 text-white font-semibold">重新拍攝</button>
+                            <button onClick={() => setDuplicateCapture(null)} className="p-2 rounded bg-white border border-yellow-300 hover:bg-yellow-50 font-semibold">仍要記錄</button>
+                        </div>
+                    </div>
+                )}
+                {isAnalyzing && (
+                    <div className={`w-full p-4 mb-4 rounded-lg bg-yellow-100 text-yellow-800 flex items-center justify-between`}>
+                        <span>...分析中...</span>
+                        <button onClick={handleCancelAnalysis} className="px-3 py-1 rounded bg-white border border-yellow-300 hover:bg-yellow-50 text-sm font-semibold">取消分析</button>
+                    </div>
+                )}
+                {scanError ? <div className="text-red-600 bg-red-100 p-4 rounded-lg w-full mb-4 text-center">{scanError}</div> : frameImage && !capturedImage ? (
+                    <div className="w-full mb-4">
+                        <div className="rounded-lg overflow-hidden border-4 border-dashed border-white bg-black">
+                            <CropSelector image={frameImage} rect={cropRect} onChange={setCropRect} regions={labelRegions || []} onSelectRegion={setCropRect} />
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                            {labelRegions && labelRegions.length > 0
+                                ? `偵測到 ${labelRegions.length} 個標籤，點選編號區域或拖曳黃色框調整裁切範圍`
+                                : labelRegions ? '未偵測到標籤，請手動拖曳黃色框調整裁切範圍' : '拖曳黃色框或四個角落調整裁切範圍'}
+                        </p>
+                    </div>
+                ) : (
                     <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden mb-4 border-4 border-dashed border-white">
                         {capturedImage ? <img src={capturedImage} alt="Captured" className="w-full h-full object-cover" /> : <video ref={videoRef} className="w-full h-full object-cover" playsInline muted></video>}
-                        {!capturedImage && <div className="absolute inset-0 flex items-center justify-center pointer-events-none"><div className="w-[75%] h-[75%] border-4 border-yellow-400 border-opacity-75 rounded-lg shadow-lg"></div></div>}
+                        {!capturedImage && !isReceiptMode && <div className="absolute inset-0 flex items-center justify-center pointer-events-none"><div className="w-[75%] h-[75%] border-4 border-yellow-400 border-opacity-75 rounded-lg shadow-lg"></div></div>}
+                        {isReceiptMode ? (
+                            <div className="absolute bottom-2 left-2 px-2 py-1 rounded text-xs font-semibold flex items-center bg-black bg-opacity-60 text-gray-200">
+                                <Receipt className="w-4 h-4 mr-1" />請讓整張收據清楚入鏡
+                            </div>
+                        ) : (
+                            <div className={`absolute bottom-2 left-2 px-2 py-1 rounded text-xs font-semibold flex items-center ${lockedBarcode ? 'bg-green-600 text-white' : 'bg-black bg-opacity-60 text-gray-200'}`}>
+                                <Barcode className="w-4 h-4 mr-1" />{lockedBarcode ? `已鎖定條碼: ${lockedBarcode}` : '正在偵測條碼...'}
+                            </div>
+                        )}
                     </div>
                 )}
                 <div className="w-full">
-                    {!capturedImage && !scanError && <button onClick={handleCapture} className={`w-full p-3 mb-3 rounded-lg text-white font-semibold shadow-lg transition-all ${themePrimary} ${themeHover} flex items-center justify-center`} disabled={isAnalyzing}><Camera className="inline-block w-5 h-5 mr-2" />擷取畫面</button>}
-                    {capturedImage && !scanError && (
+                    {!capturedImage && frameImage && !scanError && (
+                        <div className="mb-3">
+                            <div className={`grid ${isReceiptMode ? 'grid-cols-2' : 'grid-cols-3'} gap-2 mb-3`}>
+                                <button onClick={handleRetake} className="w-full p-3 rounded-lg bg-gray-500 hover:bg-gray-600 text-white font-semibold shadow-lg transition-all flex items-center justify-center" disabled={isPreprocessing || isQueueingAll}><RotateCcw className="w-5 h-5 mr-1" />重拍</button>
+                                {!isReceiptMode && <button onClick={handleDetectLabels} className="w-full p-3 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-semibold shadow-lg transition-all flex items-center justify-center disabled:opacity-50" disabled={isPreprocessing || isQueueingAll}><ScanSearch className="w-5 h-5 mr-1" />偵測標籤</button>}
+                                <button onClick={handleConfirmCrop} className={`w-full p-3 rounded-lg text-white font-semibold shadow-lg transition-all ${themePrimary} ${themeHover} flex items-center justify-center disabled:opacity-50`} disabled={isPreprocessing || isQueueingAll}><Crop className="w-5 h-5 mr-1" />確認裁切</button>
+                            </div>
+                            {onQueueCapture && !isReceiptMode && labelRegions && labelRegions.length > 1 && (
+                                <button onClick={handleQueueAllRegions} className="w-full p-3 rounded-lg text-white font-semibold shadow-lg transition-all bg-green-600 hover:bg-green-700 flex items-center justify-center disabled:opacity-50" disabled={isPreprocessing || isQueueingAll}>
+                                    <ListPlus className="w-5 h-5 mr-2" />{isQueueingAll ? '加入中...' : `全部加入待辨識序列 (${labelRegions.length})`}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                    {!capturedImage && !frameImage && !scanError && <button onClick={handleCapture} className={`w-full p-3 mb-3 rounded-lg text-white font-semibold shadow-lg transition-all ${themePrimary} ${themeHover} flex items-center justify-center`} disabled={isAnalyzing || isPreprocessing}><Camera className="inline-block w-5 h-5 mr-2" />擷取畫面</button>}
+                    {capturedImage && !scanError && isReceiptMode && (
+                        <div className="grid grid-cols-2 gap-4 mb-3">
+                            <button onClick={handleRetake} className="w-full p-3 rounded-lg bg-gray-500 hover:bg-gray-600 text-white font-semibold shadow-lg transition-all flex items-center justify-center"><RotateCcw className="w-5 h-5 mr-2" />重新拍攝</button>
+                            <button onClick={handleAnalyzeAndCaptureNext} className="w-full p-3 rounded-lg text-white font-semibold shadow-lg transition-all bg-green-600 hover:bg-green-700 flex items-center justify-center disabled:opacity-50" disabled={needsRetake}><Receipt className="w-5 h-5 mr-2" />分析收據品項</button>
+                        </div>
+                    )}
+                    {capturedImage && !scanError && !isReceiptMode && (
                         <div className="grid grid-cols-2 gap-4 mb-3">
                             <button onClick={handleRetake} className="w-full p-3 rounded-lg bg-gray-500 hover:bg-gray-600 text-white font-semibold shadow-lg transition-all flex items-center justify-center" disabled={isAnalyzing}><RotateCcw className="w-5 h-5 mr-2" />重新拍攝</button>
-                            <button onClick={handleAnalyze} className={`w-full p-3 rounded-lg text-white font-semibold shadow-lg transition-all ${themePrimary} ${themeHover} flex items-center justify-center`} disabled={isAnalyzing}><Zap className="w-5 h-5 mr-2" />開始 AI 分析</button>
+                            <button onClick={handleAnalyze} className={`w-full p-3 rounded-lg text-white font-semibold shadow-lg transition-all ${themePrimary} ${themeHover} flex items-center justify-center disabled:opacity-50`} disabled={isAnalyzing || needsRetake}><Zap className="w-5 h-5 mr-2" />開始 AI 分析</button>
                         </div>
                     )}
-                    {capturedImage && !scanError && (
-                        <button onClick={handleAnalyzeAndCaptureNext} className={`w-full p-3 mb-3 rounded-lg text-white font-semibold shadow-lg transition-all bg-green-600 hover:bg-green-700 flex items-center justify-center`} disabled={isAnalyzing}>
+                    {capturedImage && !scanError && onQueueCapture && !isReceiptMode && (
+                        <button onClick={handleAnalyzeAndCaptureNext} className={`w-full p-3 mb-3 rounded-lg text-white font-semibold shadow-lg transition-all bg-green-600 hover:bg-green-700 flex items-center justify-center disabled:opacity-50`} disabled={isAnalyzing || needsRetake}>
                             <Zap className="w-5 h-5 mr-2" /><Camera className="w-5 h-5 mr-2" />進行分析並拍攝下一張
                         </button>
                     )}
@@ -0,0 +1,122 @@
+import React, { useRef, useCallback } from 'react';
+
+// 裁切框的最小尺寸（以畫面寬高為 1）
+const MIN_CROP_SIZE = 0.1;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// 角落控制點：left/top 為 true 時拖曳調整左/上邊，否則調整右/下邊
+const HANDLES = [
+    { key: 'nw', className: '-left-2 -top-2 cursor-nwse-resize', left: true, top: true },
+    { key: 'ne', className: '-right-2 -top-2 cursor-nesw-resize', left: false, top: true },
+    { key: 'sw', className: '-left-2 -bottom-2 cursor-nesw-resize', left: true, top: false },
+    { key: 'se', className: '-right-2 -bottom-2 cursor-nwse-resize', left: false, top: false }
+];
+
+/**
+ * 依拖曳的位移計算新的裁切框
+ * @param {Object} startRect - 開始拖曳時的裁切框
+ * @param {Object|null} handle - 控制點（null 表示移動整個框）
+ * @param {number} dx - 水平位移（以畫面寬為 1）
+ * @param {number} dy - 垂直位移（以畫面高為 1）
+ * @returns {Object} 新的裁切框
+ */
+const applyDrag = (startRect, handle, dx, dy) => {
+    if (!handle) {
+        return {
+            ...startRect,
+            x: clamp(startRect.x + dx, 0, 1 - startRect.width),
+            y: clamp(startRect.y + dy, 0, 1 - startRect.height)
+        };
+    }
+    let { x, y, width, height } = startRect;
+    if (handle.left) {
+        const newX = clamp(x + dx, 0, x + width - MIN_CROP_SIZE);
+        width += x - newX;
+        x = newX;
+    } else {
+        width = clamp(width + dx, MIN_CROP_SIZE, 1 - x);
+    }
+    if (handle.top) {
+        const newY = clamp(y + dy, 0, y + height - MIN_CROP_SIZE);
+        height += y - newY;
+        y = newY;
+    } else {
+        height = clamp(height + dy, MIN_CROP_SIZE, 1 - y);
+    }
+    return { x, y, width, height };
+};
+
+const toPercentStyle = (rect) => ({
+    left: `${rect.x * 100}%`,
+    top: `${rect.y * 100}%`,
+    width: `${rect.width * 100}%`,
+    height: `${rect.height * 100}%`
+});
+
+// ----------------------------------------------------
+// 【CropSelector 元件】在凍結的畫面上拖曳/縮放裁切框，並顯示偵測到的標籤供點選
+// ----------------------------------------------------
+function CropSelector({ image, rect, onChange, regions = [], onSelectRegion }) {
+    const containerRef = useRef(null);
+    const dragRef = useRef(null);
+
+    const handlePointerDown = useCallback((event, handle = null) => {
+        event.preventDefault();
+        event.stopPropagation();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = { startX: event.clientX, startY: event.clientY, startRect: rect, handle };
+    }, [rect]);
+
+    const handlePointerMove = useCallback((event) => {
+        const drag = dragRef.current;
+        if (!drag || !containerRef.current) return;
+        const bounds = containerRef.current.getBoundingClientRect();
+        const dx = (event.clientX - drag.startX) / bounds.width;
+        const dy = (event.clientY - drag.startY) / bounds.height;
+        onChange(applyDrag(drag.startRect, drag.handle, dx, dy));
+    }, [onChange]);
+
+    const handlePointerUp = useCallback(() => {
+        dragRef.current = null;
+    }, []);
+
+    return (
+        <div ref={containerRef} className="relative w-full overflow-hidden select-none touch-none">
+            <img src={image} alt="凍結畫面" className="w-full h-auto block" draggable={false} />
+            {/* 偵測到的標籤：點選後套用為裁切範圍 */}
+            {regions.map((region, index) => (
+                <button
+                    key={index}
+                    onClick={() => onSelectRegion(region)}
+                    className="absolute border-2 border-dashed border-blue-400 bg-blue-400 bg-opacity-10 hover:bg-opacity-30"
+                    style={toPercentStyle(region)}
+                >
+                    <span className="absolute -top-2 -left-2 w-5 h-5 rounded-full bg-blue-500 text-white text-xs flex items-center justify-center">{index + 1}</span>
+                </button>
+            ))}
+            {/* 有偵測結果時不遮暗裁切框外的區域，讓候選標籤保持清楚 */}
+            <div
+                className="absolute border-4 border-yellow-400 cursor-move"
+                style={{ ...toPercentStyle(rect), boxShadow: regions.length > 0 ? 'none' : '0 0 0 9999px rgba(0, 0, 0, 0.45)' }}
+                onPointerDown={(event) => handlePointerDown(event)}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+            >
+                {HANDLES.map(handle => (
+                    <div
+                        key={handle.key}
+                        className={`absolute w-4 h-4 bg-yellow-400 rounded-full ${handle.className}`}
+                        onPointerDown={(event) => handlePointerDown(event, handle)}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default CropSelector;
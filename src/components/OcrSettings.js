@@ -0,0 +1,46 @@
+import React from 'react';
+import { Zap } from 'lucide-react';
+import { listOcrProviders } from '../utils/ocrProviders';
+
+// ----------------------------------------------------
+// 【OcrSettings 元件】AI 辨識相關設定
+// ----------------------------------------------------
+const OcrSettings = ({ confidenceThreshold, onConfidenceThresholdChange, ocrProviderId, onOcrProviderChange }) => {
+    const percentage = Math.round(confidenceThreshold * 100);
+    const providers = listOcrProviders();
+    const selectedProvider = providers.find(provider => provider.id === ocrProviderId);
+
+    return (
+        <div className="p-4 bg-white rounded-lg shadow-md mt-6">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+                <Zap className="w-5 h-5 mr-2 text-yellow-500" />AI 辨識
+            </h3>
+            <label className="block text-gray-700 font-medium mb-1">辨識服務</label>
+            <select
+                value={ocrProviderId}
+                onChange={(e) => onOcrProviderChange(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg"
+            >
+                {providers.map(provider => (
+                    <option key={provider.id} value={provider.id} disabled={!provider.isAvailable()}>{provider.label}</option>
+                ))}
+            </select>
+            {selectedProvider && <p className="text-sm text-gray-600 mt-1 mb-4">{selectedProvider.description}</p>}
+            <label className="block text-gray-700 font-medium mb-1">掃描即存信心度門檻：{percentage}%</label>
+            <input
+                type="range"
+                min="50"
+                max="100"
+                step="5"
+                value={percentage}
+                onChange={(e) => onConfidenceThresholdChange(parseInt(e.target.value, 10) / 100)}
+                className="w-full"
+            />
+            <p className="text-sm text-gray-600 mt-2">
+                條碼、產品名稱、總價、數量、單位與商店的 AI 信心度都達到門檻時才會自動儲存；低於門檻的欄位會在表單中標示，確認後再手動儲存。設為 100% 則一律手動確認。
+            </p>
+        </div>
+    );
+};
+
+export default OcrSettings;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import { fetchOcrUsage } from '../utils/geminiProxy';
+
+// ----------------------------------------------------
+// 【OcrUsage 元件】顯示最近 7 天的 AI 辨識用量與每日額度（資料來自 gemini-proxy）
+// ----------------------------------------------------
+const OcrUsage = () => {
+    const [usage, setUsage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadUsage = useCallback(async () => {
+        setIsLoading(true);
+        setError('');
+        try {
+            setUsage(await fetchOcrUsage());
+        } catch (err) {
+            console.error("讀取 AI 辨識用量失敗:", err);
+            setError(`無法讀取用量：${err.message || '未知錯誤'}`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadUsage();
+    }, [loadUsage]);
+
+    const today = usage?.days?.[0];
+    const userLimit = usage?.limits?.userDaily;
+
+    return (
+        <div className="p-4 bg-white rounded-lg shadow-md mt-6">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+                <BarChart3 className="w-5 h-5 mr-2 text-green-600" />AI 辨識用量
+            </h3>
+            <button
+                onClick={loadUsage}
+                disabled={isLoading}
+                className="mb-4 px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded text-sm flex items-center disabled:opacity-50"
+            >
+                <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} /> 重新整理
+            </button>
+            {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+            {today && (
+                <>
+                    <p className="text-gray-700 mb-1">今日已使用 {today.count} / {userLimit} 次</p>
+                    <div className="w-full h-2 bg-gray-200 rounded mb-4">
+                        <div className={`h-2 rounded ${today.count >= userLimit ? 'bg-red-500' : 'bg-green-500'}`} style={{ width: `${Math.min(100, (today.count / userLimit) * 100)}%` }} />
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">日期</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">次數</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">超過額度</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">上傳量 (KB)</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                                {usage.days.map(day => (
+                                    <tr key={day.date}>
+                                        <td className="px-3 py-2 text-gray-900">{day.date}</td>
+                                        <td className="px-3 py-2 text-gray-600">{day.count}</td>
+                                        <td className={`px-3 py-2 ${day.rejected > 0 ? 'text-red-600' : 'text-gray-600'}`}>{day.rejected}</td>
+                                        <td className="px-3 py-2 text-gray-600">{Math.round(day.bytes / 1024)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default OcrUsage;
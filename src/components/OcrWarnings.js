@@ -0,0 +1,30 @@
+import React from 'react';
+import { AlertTriangle, Info } from 'lucide-react';
+
+// ----------------------------------------------------
+// 【OcrWarnings 元件】顯示 AI 代理回傳的辨識警告
+// severity 'error' 表示欄位需要確認；'info' 僅為格式修正（例如 "59元" → 59）
+// ----------------------------------------------------
+const OcrWarnings = ({ warnings }) => {
+    if (!warnings || warnings.length === 0) {
+        return null;
+    }
+
+    return (
+        <ul className="mt-2 space-y-1 text-xs">
+            {warnings.map((warning, index) => (
+                <li
+                    key={`${warning.field}-${warning.code}-${index}`}
+                    className={`flex items-start ${warning.severity === 'error' ? 'text-red-700' : 'text-gray-500'}`}
+                >
+                    {warning.severity === 'error'
+                        ? <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                        : <Info className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />}
+                    {warning.message}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default OcrWarnings;
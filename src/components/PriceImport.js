@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, AlertTriangle, PlayCircle, Search, RotateCcw } from 'lucide-react';
+import { db } from '../firebase-config';
+import { IMPORT_FIELDS, IMPORT_STATUS, parseCsv, guessColumnMapping, getMissingRequiredFields, validateImportRows, lookupExistingProducts, planImport, runImport, fetchRecentImports, rollbackImport } from '../utils/priceImport';
+import { showUserFriendlyError, handleFirestoreSaveError } from '../utils/errorHandler';
+
+// 預覽中最多列出的錯誤與產品數
+const MAX_PREVIEW_ITEMS = 50;
+
+const STATUS_LABELS = {
+    [IMPORT_STATUS.RUNNING]: '未完成',
+    [IMPORT_STATUS.COMPLETED]: '已匯入',
+    [IMPORT_STATUS.FAILED]: '匯入失敗',
+    [IMPORT_STATUS.ROLLED_BACK]: '已復原'
+};
+
+// ----------------------------------------------------
+// 【PriceImport 元件】從 CSV 批次匯入歷史價格，可預覽與整批復原
+// ----------------------------------------------------
+const PriceImport = ({ themePrimary, userId, onImported }) => {
+    const [fileName, setFileName] = useState('');
+    const [table, setTable] = useState(null); // { headers, rows }
+    const [mapping, setMapping] = useState({});
+    const [preview, setPreview] = useState(null); // { plan, errors }
+    const [isRunning, setIsRunning] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [resultMessage, setResultMessage] = useState('');
+    const [imports, setImports] = useState([]);
+
+    const loadImports = useCallback(async () => {
+        try {
+            setImports(await fetchRecentImports(db));
+        } catch (error) {
+            console.error('讀取匯入紀錄失敗:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadImports();
+    }, [loadImports]);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // 可以再次選擇同一個檔案
+        if (!file) return;
+        const parsed = parseCsv(await file.text());
+        if (parsed.rows.length === 0) {
+            showUserFriendlyError('檔案中沒有資料列，第一列需為欄位標題');
+            return;
+        }
+        setFileName(file.name);
+        setTable(parsed);
+        setMapping(guessColumnMapping(parsed.headers));
+        setPreview(null);
+        setResultMessage('');
+    };
+
+    const handleMappingChange = (key, value) => {
+        setMapping(prev => ({ ...prev, [key]: value === '' ? null : Number(value) }));
+        setPreview(null);
+    };
+
+    const missingFields = table ? getMissingRequiredFields(mapping) : [];
+
+    const runPreview = async () => {
+        setIsRunning(true);
+        try {
+            const { validRows, errors } = validateImportRows(table.rows, mapping, { recordedBy: userId });
+            const existing = await lookupExistingProducts(db, validRows);
+            setPreview({ plan: planImport(validRows, existing), errors });
+        } catch (error) {
+            const userMessage = handleFirestoreSaveError(error, "預覽匯入");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const runImportNow = async () => {
+        const { plan, errors } = preview;
+        const skipped = errors.length > 0 ? `，略過 ${errors.length} 列錯誤` : '';
+        if (!window.confirm(`確定要匯入 ${plan.records.length} 筆價格記錄${skipped}嗎？匯入後可在下方的匯入紀錄整批復原。`)) {
+            return;
+        }
+        setIsRunning(true);
+        try {
+            const result = await runImport(db, plan, {
+                fileName,
+                importedBy: userId,
+                onProgress: (done, total) => setProgress({ done, total })
+            });
+            const anomalies = result.anomalyCount > 0 ? `，${result.anomalyCount} 筆疑似異常價格待審核` : '';
+            setResultMessage(`已匯入 ${result.recordCount} 筆記錄，新建 ${result.createdProductCount} 個產品${anomalies}`);
+            setTable(null);
+            setPreview(null);
+            if (onImported) {
+                onImported('priceImport');
+            }
+        } catch (error) {
+            const userMessage = handleFirestoreSaveError(error, "匯入價格記錄");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setIsRunning(false);
+            setProgress(null);
+            loadImports();
+        }
+    };
+
+    const handleRollback = async (importEntry) => {
+        if (!window.confirm(`確定要復原「${importEntry.fileName}」的匯入嗎？這次匯入的 ${importEntry.recordCount} 筆記錄將被刪除。`)) {
+            return;
+        }
+        setIsRunning(true);
+        try {
+            const result = await rollbackImport(db, importEntry);
+            setResultMessage(`已刪除 ${result.deletedRecordCount} 筆記錄與 ${result.deletedProductCount} 個產品`);
+            if (onImported) {
+                onImported('priceImport');
+            }
+        } catch (error) {
+            const userMessage = handleFirestoreSaveError(error, "復原匯入");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setIsRunning(false);
+            loadImports();
+        }
+    };
+
+    const newProducts = preview ? preview.plan.products.filter(product => product.isNew) : [];
+
+    return (
+        <div className="p-4 bg-white rounded-lg shadow-md mt-6">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+                <Upload className="w-5 h-5 mr-2 text-blue-600" />匯入價格記錄 (CSV)
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+                匯入以前記在試算表或收據上的價格。第一列為欄位標題，每列一筆記錄；日期使用 YYYY-MM-DD 格式。所有記錄頁匯出的 CSV 也可以直接匯入。
+            </p>
+
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={isRunning} className="block w-full text-sm mb-4" />
+
+            {table && (
+                <>
+                    <p className="text-sm text-gray-700 mb-2">{fileName}：{table.rows.length} 列資料。請確認每個欄位對應的 CSV 欄：</p>
+                    <div className="grid grid-cols-2 gap-2 mb-4">
+                        {IMPORT_FIELDS.map(field => (
+                            <label key={field.key} className="text-sm text-gray-700">
+                                {field.label}{field.required && <span className="text-red-500">*</span>}
+                                <select
+                                    value={mapping[field.key] ?? ''}
+                                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                    disabled={isRunning}
+                                    className="w-full p-1 border border-gray-300 rounded text-sm"
+                                >
+                                    <option value="">（不匯入）</option>
+                                    {table.headers.map((header, index) => <option key={index} value={index}>{header || `第 ${index + 1} 欄`}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mb-4">價格欄空白時以特價或原價作為實付價格。</p>
+                    {missingFields.length > 0 && (
+                        <p className="text-sm text-red-600 mb-4">尚未對應必要欄位：{missingFields.join('、')}</p>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-3 mb-4">
+                        <button
+                            onClick={runPreview}
+                            disabled={isRunning || missingFields.length > 0}
+                            className="flex items-center justify-center p-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50"
+                        >
+                            <Search className="w-4 h-4 mr-2" /> 預覽 (不寫入)
+                        </button>
+                        <button
+                            onClick={runImportNow}
+                            disabled={isRunning || !preview || preview.plan.records.length === 0}
+                            className={`flex items-center justify-center p-2 rounded-lg text-sm text-white font-semibold ${themePrimary} hover:opacity-90 transition-opacity disabled:opacity-50`}
+                        >
+                            <PlayCircle className="w-4 h-4 mr-2" /> 執行匯入
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {isRunning && <p className="text-sm text-gray-500">{progress ? `正在寫入 (${progress.done}/${progress.total})...` : '正在處理，請稍候...'}</p>}
+            {resultMessage && !isRunning && <p className="text-sm text-green-700 mb-4">{resultMessage}</p>}
+
+            {preview && !isRunning && (
+                <div className="text-sm text-gray-700 space-y-2 mb-4">
+                    <p className="font-semibold">預覽結果</p>
+                    <p>可匯入: {preview.plan.records.length} 筆 | 錯誤: {preview.errors.length} 列</p>
+                    <p>新建產品: {newProducts.length} | 對應既有產品: {preview.plan.products.length - newProducts.length}</p>
+                    {preview.errors.length > 0 && (
+                        <div className="p-2 bg-red-50 rounded">
+                            <p className="flex items-center text-red-800 font-medium"><AlertTriangle className="w-4 h-4 mr-1" />以下列不會匯入</p>
+                            <ul className="list-disc pl-5 text-xs text-red-700 max-h-32 overflow-y-auto">
+                                {preview.errors.slice(0, MAX_PREVIEW_ITEMS).map(error => (
+                                    <li key={error.rowNumber}>第 {error.rowNumber} 列：{error.message}</li>
+                                ))}
+                                {preview.errors.length > MAX_PREVIEW_ITEMS && <li>還有 {preview.errors.length - MAX_PREVIEW_ITEMS} 列錯誤</li>}
+                            </ul>
+                        </div>
+                    )}
+                    <ul className="text-xs max-h-48 overflow-y-auto divide-y divide-gray-100">
+                        {preview.plan.products.slice(0, MAX_PREVIEW_ITEMS).map(product => (
+                            <li key={product.productId} className="py-1 flex justify-between">
+                                <span>
+                                    <span className={`inline-block px-1 mr-1 rounded ${product.isNew ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>{product.isNew ? '新建' : '既有'}</span>
+                                    {product.productName}
+                                    {product.existingName && product.existingName !== product.productName && <span className="text-gray-500">（既有名稱：{product.existingName}）</span>}
+                                    {product.barcode && <span className="text-gray-400 ml-1">{product.barcode}</span>}
+                                </span>
+                                <span className="text-gray-500">{product.recordCount} 筆</span>
+                            </li>
+                        ))}
+                        {preview.plan.products.length > MAX_PREVIEW_ITEMS && <li className="py-1 text-gray-500">還有 {preview.plan.products.length - MAX_PREVIEW_ITEMS} 個產品</li>}
+                    </ul>
+                </div>
+            )}
+
+            {imports.length > 0 && (
+                <div className="border-t pt-3">
+                    <p className="text-sm font-semibold text-gray-700 mb-2">匯入紀錄</p>
+                    <ul className="text-sm space-y-2">
+                        {imports.map(importEntry => (
+                            <li key={importEntry.id} className="flex justify-between items-center">
+                                <span className="text-gray-700">
+                                    {importEntry.fileName}
+                                    <span className="text-xs text-gray-500 ml-2" title={importEntry.error || undefined}>
+                                        {importEntry.importedAt?.toDate ? importEntry.importedAt.toDate().toLocaleString() : ''} · {importEntry.recordCount} 筆 · {STATUS_LABELS[importEntry.status] || importEntry.status}
+                                    </span>
+                                </span>
+                                {/* 未完成與匯入失敗的紀錄可能已寫入部分記錄，同樣可以復原 */}
+                                {importEntry.status !== IMPORT_STATUS.ROLLED_BACK && (
+                                    <button
+                                        onClick={() => handleRollback(importEntry)}
+                                        disabled={isRunning}
+                                        className="flex items-center text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                                    >
+                                        <RotateCcw className="w-3 h-3 mr-1" />復原
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PriceImport;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { GitMerge, AlertTriangle, PlayCircle, Search } from 'lucide-react';
+import { db } from '../firebase-config';
+import { migrateProductIds } from '../utils/productIdMigration';
+import { showUserFriendlyError, handleFirestoreSaveError } from '../utils/errorHandler';
+
+// ----------------------------------------------------
+// 【ProductIdMigration 元件】將舊版雜湊 ID 遷移為 GTIN-14 / UUID
+// ----------------------------------------------------
+const ProductIdMigration = ({ themePrimary, onMigrated }) => {
+    const [report, setReport] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    const runMigration = async (dryRun) => {
+        if (!dryRun && !window.confirm('確定要重新設定所有產品 ID 嗎？建議先執行「預覽」確認報告內容。')) {
+            return;
+        }
+        setIsRunning(true);
+        try {
+            const result = await migrateProductIds(db, { dryRun });
+            setReport(result);
+            if (!dryRun && onMigrated) {
+                onMigrated('productIdMigration');
+            }
+        } catch (error) {
+            const userMessage = handleFirestoreSaveError(error, "產品 ID 遷移");
+            showUserFriendlyError(userMessage);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-white rounded-lg shadow-md mt-6">
+            <h3 className="text-xl font-bold mb-4 flex items-center">
+                <GitMerge className="w-5 h-5 mr-2 text-blue-600" />產品 ID 遷移
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+                舊版產品以條碼雜湊值作為 ID，可能使不同產品共用同一筆價格歷史。遷移後有條碼的產品以 GTIN-14 為 ID，無條碼產品使用固定 UUID。
+            </p>
+
+            <div className="grid grid-cols-2 gap-3 mb-4">
+                <button
+                    onClick={() => runMigration(true)}
+                    disabled={isRunning}
+                    className="flex items-center justify-center p-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800"
+                >
+                    <Search className="w-4 h-4 mr-2" /> 預覽 (不寫入)
+                </button>
+                <button
+                    onClick={() => runMigration(false)}
+                    disabled={isRunning}
+                    className={`flex items-center justify-center p-2 rounded-lg text-sm text-white font-semibold ${themePrimary} hover:opacity-90 transition-opacity`}
+                >
+                    <PlayCircle className="w-4 h-4 mr-2" /> 執行遷移
+                </button>
+            </div>
+
+            {isRunning && <p className="text-sm text-gray-500">正在處理，請稍候...</p>}
+
+            {report && !isRunning && (
+                <div className="text-sm text-gray-700 space-y-2">
+                    <p className="font-semibold">{report.dryRun ? '預覽結果' : '遷移完成'}</p>
+                    <p>掃描產品: {report.productsScanned} | 掃描記錄: {report.recordsScanned}</p>
+                    <p>重新設定 ID 的產品: {report.productsToRekey} | 更新的記錄: {report.recordsToUpdate}</p>
+                    {report.mergedProducts.length > 0 && (
+                        <p>合併的產品 (相同條碼): {report.mergedProducts.length}</p>
+                    )}
+                    {report.suspectedCollisions.length > 0 && (
+                        <div className="p-2 bg-yellow-50 rounded">
+                            <p className="flex items-center text-yellow-800 font-medium"><AlertTriangle className="w-4 h-4 mr-1" />疑似雜湊碰撞 ({report.suspectedCollisions.length})</p>
+                            <ul className="list-disc pl-5 text-xs text-yellow-700">
+                                {report.suspectedCollisions.map(collision => (
+                                    <li key={collision.productId}>{collision.productId}: {collision.productNames.join('、')}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {report.invalidBarcodes.length > 0 && (
+                        <p className="text-red-600">條碼無效的產品: {report.invalidBarcodes.map(item => item.barcodeData).join('、')}</p>
+                    )}
+                    {report.orphanRecords.length > 0 && (
+                        <p className="text-red-600">找不到所屬產品的記錄: {report.orphanRecords.length}</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProductIdMigration;
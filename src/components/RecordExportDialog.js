@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, EXPORT_LAYOUTS } from '../utils/priceExport';
+
+// ----------------------------------------------------
+// 【RecordExportDialog 元件】選擇匯出格式與每列內容
+// ----------------------------------------------------
+const RecordExportDialog = ({ productCount, isFiltered, hasMore, progress, onExport, onClose }) => {
+    const [format, setFormat] = useState(EXPORT_FORMATS.XLSX);
+    const [layout, setLayout] = useState(EXPORT_LAYOUTS.RECORDS);
+    const isExporting = progress !== null;
+
+    const optionClass = (isSelected) => `flex-1 p-2 rounded border text-sm ${isSelected ? 'border-indigo-600 bg-indigo-50 text-indigo-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-sm">
+                <h2 className="text-xl font-bold mb-2 flex items-center"><Download className="mr-2" size={20} />匯出價格記錄</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    匯出目前顯示的 {productCount} 個產品{isFiltered ? '中符合篩選條件的記錄' : '的所有價格記錄'}
+                </p>
+                {hasMore && (
+                    <p className="text-xs text-yellow-700 bg-yellow-50 rounded p-2 mb-4">只包含已載入的資料，向下捲動載入更多後再匯出可涵蓋更多{isFiltered ? '記錄' : '產品'}</p>
+                )}
+
+                <p className="text-sm font-medium text-gray-700 mb-2">格式</p>
+                <div className="flex space-x-2 mb-4">
+                    <button onClick={() => setFormat(EXPORT_FORMATS.XLSX)} disabled={isExporting} className={optionClass(format === EXPORT_FORMATS.XLSX)}>Excel (.xlsx)</button>
+                    <button onClick={() => setFormat(EXPORT_FORMATS.CSV)} disabled={isExporting} className={optionClass(format === EXPORT_FORMATS.CSV)}>CSV</button>
+                </div>
+
+                <p className="text-sm font-medium text-gray-700 mb-2">每列內容</p>
+                <div className="flex space-x-2 mb-4">
+                    <button onClick={() => setLayout(EXPORT_LAYOUTS.RECORDS)} disabled={isExporting} className={optionClass(layout === EXPORT_LAYOUTS.RECORDS)}>每筆記錄</button>
+                    <button onClick={() => setLayout(EXPORT_LAYOUTS.PRODUCTS)} disabled={isExporting} className={optionClass(layout === EXPORT_LAYOUTS.PRODUCTS)}>每個產品摘要</button>
+                </div>
+
+                {isExporting && (
+                    <p className="text-sm text-gray-500 mb-2">正在讀取價格記錄 ({progress.done}/{progress.total})...</p>
+                )}
+
+                <div className="mt-6 flex justify-end space-x-3">
+                    <button onClick={onClose} disabled={isExporting} className="bg-gray-200 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-300 disabled:opacity-50">取消</button>
+                    <button onClick={() => onExport({ format, layout })} disabled={isExporting || productCount === 0} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50">匯出</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecordExportDialog;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Filter, Bookmark, Trash2, X } from 'lucide-react';
+import { UNIT_OPTIONS } from '../utils/priceCalculations';
+import { EMPTY_FILTERS, RECORDED_BY_OPTIONS, countActiveFilters } from '../utils/recordFilters';
+
+// ----------------------------------------------------
+// 【RecordFilterPanel 元件】所有記錄頁的篩選面板與已儲存的檢視
+// ----------------------------------------------------
+const RecordFilterPanel = ({ filters, onChange, storeOptions, chainOptions, savedViews, onSaveView, onApplyView, onDeleteView, onClose }) => {
+    const [viewName, setViewName] = useState('');
+    const activeCount = countActiveFilters(filters);
+
+    const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+
+    const handleSaveView = () => {
+        if (!viewName.trim()) return;
+        onSaveView(viewName);
+        setViewName('');
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 rounded text-sm";
+    const labelClass = "block text-xs font-medium text-gray-600 mb-1";
+
+    return (
+        <div className="mb-6 p-4 bg-white rounded-lg shadow">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+                    <Filter className="w-5 h-5 mr-2 text-indigo-600" />篩選{activeCount > 0 && `（${activeCount} 個條件）`}
+                </h2>
+                <div className="flex items-center">
+                    {activeCount > 0 && (
+                        <button onClick={() => onChange(EMPTY_FILTERS)} className="text-sm text-indigo-600 hover:text-indigo-800 mr-3">清除篩選</button>
+                    )}
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="關閉篩選"><X size={20} /></button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                <div>
+                    <label className={labelClass}>條碼</label>
+                    <input type="text" inputMode="numeric" value={filters.barcode} onChange={(e) => setFilter('barcode', e.target.value)} placeholder="輸入部分或完整條碼" className={inputClass} />
+                </div>
+                <div>
+                    <label className={labelClass}>商店</label>
+                    <input type="text" list="record-filter-stores" value={filters.store} onChange={(e) => setFilter('store', e.target.value)} placeholder="完整商店名稱" className={inputClass} />
+                    <datalist id="record-filter-stores">
+                        {storeOptions.map(store => <option key={store} value={store} />)}
+                    </datalist>
+                </div>
+                <div>
+                    <label className={labelClass}>連鎖</label>
+                    <input type="text" list="record-filter-chains" value={filters.chain} onChange={(e) => setFilter('chain', e.target.value)} placeholder="例如 全聯" className={inputClass} />
+                    <datalist id="record-filter-chains">
+                        {chainOptions.map(chain => <option key={chain} value={chain} />)}
+                    </datalist>
+                </div>
+                <div>
+                    <label className={labelClass}>起始日期</label>
+                    <input type="date" value={filters.dateFrom} max={filters.dateTo || undefined} onChange={(e) => setFilter('dateFrom', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                    <label className={labelClass}>結束日期</label>
+                    <input type="date" value={filters.dateTo} min={filters.dateFrom || undefined} onChange={(e) => setFilter('dateTo', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                    <label className={labelClass}>單位</label>
+                    <select value={filters.unitType} onChange={(e) => setFilter('unitType', e.target.value)} className={inputClass}>
+                        <option value="">全部</option>
+                        {UNIT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={labelClass}>最低總價</label>
+                    <input type="number" min="0" step="0.01" value={filters.minPrice} onChange={(e) => setFilter('minPrice', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                    <label className={labelClass}>最高總價</label>
+                    <input type="number" min="0" step="0.01" value={filters.maxPrice} onChange={(e) => setFilter('maxPrice', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                    <label className={labelClass}>記錄者</label>
+                    <select value={filters.recordedBy} onChange={(e) => setFilter('recordedBy', e.target.value)} className={inputClass}>
+                        <option value={RECORDED_BY_OPTIONS.ANY}>全部</option>
+                        <option value={RECORDED_BY_OPTIONS.ME}>我</option>
+                        <option value={RECORDED_BY_OPTIONS.OTHERS}>其他裝置</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-4 mt-3 text-sm text-gray-700">
+                <label className="flex items-center">
+                    <input type="checkbox" checked={filters.hasDiscount} onChange={(e) => setFilter('hasDiscount', e.target.checked)} className="mr-2" />有優惠
+                </label>
+                <label className="flex items-center">
+                    <input type="checkbox" checked={filters.anomalyOnly} onChange={(e) => setFilter('anomalyOnly', e.target.checked)} className="mr-2" />只看異常價格
+                </label>
+            </div>
+
+            <div className="mt-4 pt-4 border-t border-gray-200">
+                <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center"><Bookmark className="w-4 h-4 mr-1" />已儲存的檢視</h3>
+                {savedViews.length === 0 ? (
+                    <p className="text-xs text-gray-500 mb-2">尚未儲存任何檢視</p>
+                ) : (
+                    <div className="flex flex-wrap gap-2 mb-3">
+                        {savedViews.map(view => (
+                            <span key={view.id} className="inline-flex items-center bg-indigo-50 text-indigo-700 rounded-full text-sm">
+                                <button onClick={() => onApplyView(view)} className="pl-3 pr-1 py-1 hover:underline">{view.name}</button>
+                                <button onClick={() => onDeleteView(view.id)} className="pr-2 pl-1 py-1 text-indigo-400 hover:text-red-600" aria-label={`刪除檢視 ${view.name}`}><Trash2 size={14} /></button>
+                            </span>
+                        ))}
+                    </div>
+                )}
+                <div className="flex">
+                    <input type="text" value={viewName} onChange={(e) => setViewName(e.target.value)} placeholder="檢視名稱" className="flex-1 p-2 border border-gray-300 rounded-l text-sm" />
+                    <button onClick={handleSaveView} disabled={!viewName.trim() || activeCount === 0} className="px-3 py-2 bg-indigo-600 text-white rounded-r text-sm hover:bg-indigo-700 disabled:opacity-50">儲存目前篩選</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecordFilterPanel;
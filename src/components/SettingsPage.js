@@ -1,8 +1,12 @@
 import React from 'react';
 import { X, Settings as SettingsIcon } from 'lucide-react';
 import DataManagement from './DataManagement';
+import ProductIdMigration from './ProductIdMigration';
+import PriceImport from './PriceImport';
+import OcrSettings from './OcrSettings';
+import OcrUsage from './OcrUsage';
 
-const SettingsPage = ({ theme, onClose, onDataChange }) => {
+const SettingsPage = ({ theme, onClose, onDataChange, userId, confidenceThreshold, onConfidenceThresholdChange, ocrProviderId, onOcrProviderChange }) => {
     return (
         <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
             <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-hidden flex flex-col">
@@ -26,6 +30,22 @@ const SettingsPage = ({ theme, onClose, onDataChange }) => {
                         themePrimary={theme.primary}
                         onRefreshApp={onDataChange}
                     />
+                    <ProductIdMigration
+                        themePrimary={theme.primary}
+                        onMigrated={onDataChange}
+                    />
+                    <PriceImport
+                        themePrimary={theme.primary}
+                        userId={userId}
+                        onImported={onDataChange}
+                    />
+                    <OcrSettings
+                        confidenceThreshold={confidenceThreshold}
+                        onConfidenceThresholdChange={onConfidenceThresholdChange}
+                        ocrProviderId={ocrProviderId}
+                        onOcrProviderChange={onOcrProviderChange}
+                    />
+                    <OcrUsage />
                 </div>
                 
                 {/* Footer */}
@@ -1,74 +1,373 @@
 // 異常價格檢測服務
-export const detectPriceAnomaly = (currentPrice, historicalPrices, threshold = 0.5, minConfidence = 0.8) => {
-    if (!historicalPrices || historicalPrices.length === 0) {
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { compressImage } from './imageUtils';
+
+// 以加權中位數與 MAD（中位數絕對偏差）建立穩健基準，避免單筆錯誤拉偏平均值；
+// 基準依「同商店 → 同連鎖 → 全部」選取資料量足夠的最小範圍，並以半衰期讓近期價格權重較高。
+
+// 常見連鎖通路，用於由商店名稱推得連鎖名稱（較長的名稱優先比對）
+export const KNOWN_CHAINS = ['大全聯', '全聯', '家樂福', '7-11', '全家', '萊爾富', '好市多', '屈臣氏', '康是美', '美廉社', '愛買', '頂好', '美聯社', '楓康']
+    .sort((a, b) => b.length - a.length);
+
+// 預設參數
+export const DEFAULT_ANOMALY_OPTIONS = {
+    halfLifeDays: 90, // 價格權重的半衰期（天）
+    zThreshold: 3.5, // 穩健 z 分數門檻
+    minDeviation: 0.3, // 與基準的最小相對偏離，避免穩定商品的小幅調價被標記
+    minDataPoints: 3, // 建立基準所需的最少記錄數
+    minRelativeScale: 0.05, // MAD 為 0 時，以基準價格的 5% 作為最小離散度
+    entryErrorTolerance: 0.15, // 倍數誤差容忍度（對數尺度）
+    confirmedWeight: 2 // 經人工確認正確的價格，權重加倍
+};
+
+// 常見的輸入錯誤倍數：小數點位移、價格 ×100、g/kg 或 ml/L 混淆
+const ENTRY_ERROR_PATTERNS = [
+    { factor: 1000, cause: 'unit_mismatch' },
+    { factor: 100, cause: 'price_x100' },
+    { factor: 10, cause: 'decimal_shift' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 由商店名稱推得連鎖名稱，例如「全聯 中山店」→「全聯」
+ * @param {string} storeName - 商店名稱
+ * @returns {string} 連鎖名稱，無法判斷時為去除分店名稱後的字串
+ */
+export const getChainName = (storeName) => {
+    const name = (storeName || '').trim();
+    if (!name) {
+        return '';
+    }
+    const knownChain = KNOWN_CHAINS.find(chain => name.startsWith(chain));
+    if (knownChain) {
+        return knownChain;
+    }
+    return name.split(/[\s(（-]/)[0];
+};
+
+const toMillis = (timestamp) => {
+    if (!timestamp) return null;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    if (typeof timestamp.toDate === 'function') return timestamp.toDate().getTime();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? null : time;
+};
+
+/**
+ * 將價格記錄轉換為檢測用的觀測值
+ * 已被標記為異常（尚未審核）的記錄不納入基準；審核確認正確的記錄標記為 verified
+ * @param {Array<Object>} records - 價格記錄
+ * @returns {Array<{price: number, storeName: string, timestamp: number|null, verified: boolean}>} 觀測值
+ */
+export const buildPriceObservations = (records) => (records || [])
+    .filter(record => record && !record.anomalyFlag?.flagged)
+    .map(record => ({
+        price: record.unitPrice,
+        storeName: record.storeName || '',
+        timestamp: toMillis(record.timestamp),
+        verified: record.anomalyFlag?.status === 'confirmed'
+    }));
+
+/**
+ * 加權中位數
+ * @param {Array<{value: number, weight: number}>} items - 數值與權重
+ * @returns {number} 加權中位數
+ */
+export const weightedMedian = (items) => {
+    const sorted = [...items].sort((a, b) => a.value - b.value);
+    const totalWeight = sorted.reduce((sum, item) => sum + item.weight, 0);
+    let cumulative = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        cumulative += sorted[i].weight;
+        if (cumulative > totalWeight / 2) {
+            return sorted[i].value;
+        }
+        if (cumulative === totalWeight / 2 && i + 1 < sorted.length) {
+            return (sorted[i].value + sorted[i + 1].value) / 2;
+        }
+    }
+    return sorted.length > 0 ? sorted[sorted.length - 1].value : NaN;
+};
+
+/**
+ * 計算加權中位數與 MAD 基準
+ * @param {Array<{price: number, weight: number}>} observations - 觀測值
+ * @returns {{median: number, mad: number, dataPoints: number, effectiveWeight: number}} 基準
+ */
+export const computeRobustBaseline = (observations) => {
+    const median = weightedMedian(observations.map(o => ({ value: o.price, weight: o.weight })));
+    const mad = weightedMedian(observations.map(o => ({ value: Math.abs(o.price - median), weight: o.weight })));
+    return {
+        median,
+        mad,
+        dataPoints: observations.length,
+        effectiveWeight: observations.reduce((sum, o) => sum + o.weight, 0)
+    };
+};
+
+/**
+ * 判斷價格與基準的倍數是否符合常見輸入錯誤
+ * @param {number} currentPrice - 本次單價
+ * @param {number} baselinePrice - 基準單價
+ * @param {number} tolerance - 對數尺度的容忍度
+ * @returns {{cause: string, factor: number, suggestedPrice: number}|null} 疑似錯誤，不符合時為 null
+ */
+export const detectEntryError = (currentPrice, baselinePrice, tolerance = DEFAULT_ANOMALY_OPTIONS.entryErrorTolerance) => {
+    if (!(currentPrice > 0) || !(baselinePrice > 0)) {
+        return null;
+    }
+    const ratio = currentPrice / baselinePrice;
+    for (const { factor, cause } of ENTRY_ERROR_PATTERNS) {
+        if (Math.abs(Math.log(ratio) - Math.log(factor)) <= tolerance) {
+            return { cause, factor, suggestedPrice: currentPrice / factor };
+        }
+        if (Math.abs(Math.log(ratio) + Math.log(factor)) <= tolerance) {
+            return { cause, factor: 1 / factor, suggestedPrice: currentPrice * factor };
+        }
+    }
+    return null;
+};
+
+/**
+ * 檢測價格是否異常
+ * @param {number} currentPrice - 本次單價
+ * @param {Array<number|Object>} history - 歷史單價，或 buildPriceObservations 產生的觀測值
+ * @param {Object} options - 選項
+ * @param {string} options.storeName - 本次記錄的商店，用於建立同商店/同連鎖基準
+ * @param {number} options.now - 目前時間（毫秒），預設為 Date.now()
+ * @returns {Object} 檢測結果，包含 isAnomalous、anomalyType ('entry_error' | 'outlier')、reason、
+ *          deviation（與基準的相對偏離）、baselinePrice、baselineScope ('store' | 'chain' | 'global') 等
+ */
+export const detectPriceAnomaly = (currentPrice, history, options = {}) => {
+    const settings = { ...DEFAULT_ANOMALY_OPTIONS, ...options };
+    const now = settings.now ?? Date.now();
+
+    if (!history || history.length === 0) {
         return { isAnomalous: false, confidence: 0, reason: 'insufficient_data' };
     }
 
-    // 計算歷史平均價格
-    const validPrices = historicalPrices.filter(price => price && !isNaN(price) && price > 0);
-    if (validPrices.length === 0) {
+    // 數字陣列視為沒有商店與時間資訊的觀測值
+    const observations = history
+        .map(item => (typeof item === 'number' ? { price: item, storeName: '', timestamp: null } : item))
+        .filter(o => o && o.price && !isNaN(o.price) && o.price > 0)
+        .map(o => {
+            const ageDays = o.timestamp ? Math.max(0, (now - o.timestamp) / DAY_MS) : 0;
+            const decay = Math.pow(0.5, ageDays / settings.halfLifeDays);
+            return { ...o, weight: o.verified ? decay * settings.confirmedWeight : decay };
+        });
+    if (observations.length === 0) {
         return { isAnomalous: false, confidence: 0, reason: 'no_valid_data' };
     }
 
-    const averagePrice = validPrices.reduce((sum, price) => sum + price, 0) / validPrices.length;
-    
-    // 計算偏離百分比
-    const deviation = Math.abs(currentPrice - averagePrice) / averagePrice;
-    
-    // 計算置信度（基於歷史數據量和價格穩定性）
-    const dataPoints = validPrices.length;
-    const priceVariance = validPrices.reduce((sum, price) => sum + Math.pow(price - averagePrice, 2), 0) / dataPoints;
-    const priceStdDev = Math.sqrt(priceVariance);
-    
-    // 置信度計算：數據點越多、價格越穩定，置信度越高
-    const dataConfidence = Math.min(dataPoints / 10, 1); // 10個數據點達到最高數據置信度
-    const stabilityConfidence = Math.max(0, 1 - (priceStdDev / averagePrice)); // 標準差越小，穩定性越高
-    const confidence = (dataConfidence + stabilityConfidence) / 2;
-
-    // 判斷是否異常
-    const isAnomalous = deviation > threshold && confidence > minConfidence;
-    
-    let reason = 'normal';
-    if (isAnomalous) {
-        if (currentPrice > averagePrice) {
-            reason = 'significantly_higher';
-        } else {
-            reason = 'significantly_lower';
-        }
+    // 由小到大選取資料量足夠的基準範圍
+    const storeName = (settings.storeName || '').trim();
+    const chainName = getChainName(storeName);
+    const scopes = [
+        { scope: 'store', items: storeName ? observations.filter(o => (o.storeName || '').trim() === storeName) : [] },
+        { scope: 'chain', items: chainName ? observations.filter(o => getChainName(o.storeName) === chainName) : [] },
+        { scope: 'global', items: observations }
+    ];
+    const selected = scopes.find(s => s.items.length >= settings.minDataPoints) || scopes[scopes.length - 1];
+    const baseline = computeRobustBaseline(selected.items);
+    const baselinePrice = baseline.median;
+    const deviation = Math.abs(currentPrice - baselinePrice) / baselinePrice;
+
+    const result = {
+        isAnomalous: false,
+        confidence: 0,
+        reason: 'normal',
+        anomalyType: null,
+        deviation,
+        baselinePrice,
+        averagePrice: baselinePrice, // 舊欄位名稱，保留相容
+        baselineScope: selected.scope,
+        currentPrice,
+        dataPoints: baseline.dataPoints
+    };
+
+    // 輸入錯誤的倍數特徵明顯，即使只有一兩筆歷史也能判斷
+    const entryError = detectEntryError(currentPrice, baselinePrice, settings.entryErrorTolerance);
+    if (entryError) {
+        return {
+            ...result,
+            isAnomalous: true,
+            anomalyType: 'entry_error',
+            reason: 'possible_unit_error',
+            suspectedCause: entryError.cause,
+            suggestedPrice: entryError.suggestedPrice,
+            confidence: Math.min(0.99, 0.7 + baseline.dataPoints * 0.05)
+        };
+    }
+
+    if (baseline.dataPoints < settings.minDataPoints) {
+        return { ...result, reason: 'insufficient_data' };
     }
 
+    // 1.4826 × MAD 為常態分布下標準差的一致估計
+    const scale = Math.max(1.4826 * baseline.mad, baselinePrice * settings.minRelativeScale);
+    const robustZ = (currentPrice - baselinePrice) / scale;
+    const isAnomalous = Math.abs(robustZ) > settings.zThreshold && deviation > settings.minDeviation;
+
+    // 置信度：資料量越多、偏離門檻越遠，置信度越高
+    const dataConfidence = Math.min(baseline.effectiveWeight / 10, 1);
+    const distanceConfidence = Math.min(Math.abs(robustZ) / (settings.zThreshold * 2), 1);
+
     return {
+        ...result,
         isAnomalous,
-        confidence,
-        reason,
-        deviation,
-        averagePrice,
-        currentPrice,
-        dataPoints
+        robustZ,
+        confidence: (dataConfidence + distanceConfidence) / 2,
+        anomalyType: isAnomalous ? 'outlier' : null,
+        reason: isAnomalous ? (currentPrice > baselinePrice ? 'significantly_higher' : 'significantly_lower') : 'normal'
     };
 };
 
-// 標記異常價格記錄
-export const flagAnomalousPrice = async (priceRecordId, anomalyData) => {
-    // 這個函數會在實際使用時實現
-    // 目前只是返回標記數據
-    return {
-        recordId: priceRecordId,
-        flaggedAt: new Date(),
-        anomalyData,
-        status: 'flagged',
-        reviewRequired: true
+const ENTRY_ERROR_LABELS = {
+    unit_mismatch: '單位可能輸入錯誤（g/kg 或 ml/L）',
+    price_x100: '價格可能多輸入或少輸入兩位數',
+    decimal_shift: '小數點位置可能錯誤'
+};
+
+const BASELINE_SCOPE_LABELS = {
+    store: '同商店',
+    chain: '同連鎖',
+    global: '所有商店'
+};
+
+/**
+ * 產生異常檢測結果的說明文字
+ * @param {Object} anomalyResult - detectPriceAnomaly 的結果
+ * @returns {string} 說明文字，未異常時為空字串
+ */
+export const describeAnomaly = (anomalyResult) => {
+    if (!anomalyResult || !anomalyResult.isAnomalous) {
+        return '';
+    }
+    if (anomalyResult.anomalyType === 'entry_error') {
+        return `${ENTRY_ERROR_LABELS[anomalyResult.suspectedCause]}，建議單價約 ${anomalyResult.suggestedPrice.toFixed(2)}`;
+    }
+    const scopeLabel = BASELINE_SCOPE_LABELS[anomalyResult.baselineScope] || '歷史';
+    return `此價格偏離${scopeLabel}中位數${(anomalyResult.deviation * 100).toFixed(1)}%`;
+};
+
+// 審核結果
+export const REVIEW_DECISIONS = {
+    CONFIRM: 'confirm',
+    CORRECT: 'correct',
+    DELETE: 'delete'
+};
+
+/**
+ * 標記異常價格記錄，並保存原始擷取畫面供審核
+ * 畫面另存於 anomalyPhotos 集合（文件 ID 與價格記錄相同），避免價格記錄文件過大
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} priceRecordId - 價格記錄 ID
+ * @param {Object} anomalyData - detectPriceAnomaly 的結果
+ * @param {Object} options - 選項
+ * @param {string} options.photo - 擷取畫面（data URL 或網址），可為空
+ * @returns {Promise<Object>} 寫入的 anomalyFlag
+ */
+export const flagAnomalousPrice = async (db, priceRecordId, anomalyData, { photo = null } = {}) => {
+    let hasPhoto = false;
+    if (photo) {
+        try {
+            const image = await compressImage(photo);
+            await setDoc(doc(db, "anomalyPhotos", priceRecordId), { image, createdAt: serverTimestamp() });
+            hasPhoto = true;
+        } catch (error) {
+            // 畫面保存失敗不影響異常標記
+            console.error("保存異常價格畫面失敗:", error);
+        }
+    }
+
+    const anomalyFlag = {
+        flagged: true,
+        status: 'pending',
+        confidence: anomalyData.confidence,
+        reason: anomalyData.reason,
+        anomalyType: anomalyData.anomalyType ?? null,
+        suspectedCause: anomalyData.suspectedCause ?? null,
+        suggestedPrice: anomalyData.suggestedPrice ?? null,
+        deviation: anomalyData.deviation,
+        baselinePrice: anomalyData.baselinePrice ?? null,
+        baselineScope: anomalyData.baselineScope ?? null,
+        hasPhoto,
+        flaggedAt: serverTimestamp()
     };
+    await updateDoc(doc(db, "priceRecords", priceRecordId), { anomalyFlag });
+    return anomalyFlag;
 };
 
-// 驗證異常價格
-export const validateAnomalousPrice = (originalPhoto, userConfirmation) => {
-    // 這個函數會在實際使用時實現人工驗證邏輯
-    // 目前只是返回驗證結果
-    return {
-        validated: userConfirmation,
-        validatedAt: new Date(),
-        hasOriginalPhoto: !!originalPhoto,
-        validationMethod: 'manual'
+/**
+ * 讀取異常價格記錄的原始擷取畫面
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} priceRecordId - 價格記錄 ID
+ * @returns {Promise<string|null>} 畫面 data URL，沒有畫面時為 null
+ */
+export const getAnomalyPhoto = async (db, priceRecordId) => {
+    const photoSnap = await getDoc(doc(db, "anomalyPhotos", priceRecordId));
+    return photoSnap.exists() ? photoSnap.data().image : null;
+};
+
+/**
+ * 審核異常價格
+ * - confirm：價格正確，解除標記；之後會納入檢測基準並提高權重
+ * - correct：以修正後的值更新記錄並解除標記，保留修正歷史
+ * - delete：刪除記錄與畫面
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} record - 價格記錄（含 id）
+ * @param {string} decision - REVIEW_DECISIONS 之一
+ * @param {Object} options - 選項
+ * @param {string} options.userId - 審核者
+ * @param {Object} options.updates - decision 為 correct 時要更新的欄位
+ * @returns {Promise<Object>} 審核結果
+ */
+export const validateAnomalousPrice = async (db, record, decision, { userId = null, updates = {} } = {}) => {
+    const recordRef = doc(db, "priceRecords", record.id);
+
+    if (decision === REVIEW_DECISIONS.DELETE) {
+        await deleteDoc(recordRef);
+        if (record.anomalyFlag?.hasPhoto) {
+            await deleteDoc(doc(db, "anomalyPhotos", record.id));
+        }
+        return { recordId: record.id, decision, validated: false };
+    }
+
+    const reviewedFlag = {
+        ...record.anomalyFlag,
+        flagged: false,
+        status: decision === REVIEW_DECISIONS.CONFIRM ? 'confirmed' : 'corrected',
+        reviewedAt: new Date(),
+        reviewedBy: userId
     };
-};
\ No newline at end of file
+
+    if (decision === REVIEW_DECISIONS.CONFIRM) {
+        await updateDoc(recordRef, { anomalyFlag: reviewedFlag });
+        return { recordId: record.id, decision, validated: true, anomalyFlag: reviewedFlag };
+    }
+
+    if (decision === REVIEW_DECISIONS.CORRECT) {
+        await updateDoc(recordRef, {
+            ...updates,
+            anomalyFlag: reviewedFlag,
+            correctionHistory: [
+                ...(record.correctionHistory || []),
+                {
+                    correctedAt: new Date(),
+                    correctedBy: userId,
+                    reason: 'anomaly_review',
+                    previousValues: {
+                        price: record.price,
+                        quantity: record.quantity,
+                        unitType: record.unitType,
+                        unitPrice: record.unitPrice
+                    }
+                }
+            ]
+        });
+        return { recordId: record.id, decision, validated: true, anomalyFlag: reviewedFlag };
+    }
+
+    throw new Error(`未知的審核結果: ${decision}`);
+};
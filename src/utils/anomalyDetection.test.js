@@ -0,0 +1,153 @@
+/**
+ * 異常價格檢測的測試檔案
+ */
+
+import {
+    detectPriceAnomaly,
+    detectEntryError,
+    weightedMedian,
+    getChainName,
+    buildPriceObservations,
+    describeAnomaly
+} from './anomalyDetection';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T00:00:00Z').getTime();
+
+const observation = (price, storeName = '', daysAgo = 0) => ({ price, storeName, timestamp: NOW - daysAgo * DAY_MS });
+
+describe('weightedMedian', () => {
+    it('回傳等權重數值的中位數', () => {
+        expect(weightedMedian([1, 3, 2].map(value => ({ value, weight: 1 })))).toBe(2);
+        expect(weightedMedian([1, 2, 3, 4].map(value => ({ value, weight: 1 })))).toBe(2.5);
+    });
+
+    it('權重較高的數值主導結果', () => {
+        expect(weightedMedian([{ value: 10, weight: 5 }, { value: 100, weight: 1 }, { value: 200, weight: 1 }])).toBe(10);
+    });
+});
+
+describe('getChainName', () => {
+    it('由分店名稱推得連鎖名稱', () => {
+        expect(getChainName('全聯 中山店')).toBe('全聯');
+        expect(getChainName('大全聯')).toBe('大全聯');
+        expect(getChainName('7-11 台大店')).toBe('7-11');
+        expect(getChainName('巷口雜貨店 (民生)')).toBe('巷口雜貨店');
+    });
+});
+
+describe('detectEntryError', () => {
+    it('辨識價格多輸入兩位數', () => {
+        const result = detectEntryError(1250, 12.5);
+        expect(result.cause).toBe('price_x100');
+        expect(result.suggestedPrice).toBeCloseTo(12.5);
+    });
+
+    it('辨識 g 與 kg 混淆', () => {
+        const result = detectEntryError(0.012, 12);
+        expect(result.cause).toBe('unit_mismatch');
+        expect(result.suggestedPrice).toBeCloseTo(12);
+    });
+
+    it('一般漲價不視為輸入錯誤', () => {
+        expect(detectEntryError(18, 12)).toBeNull();
+    });
+});
+
+describe('detectPriceAnomaly', () => {
+    it('沒有歷史資料時不標記', () => {
+        expect(detectPriceAnomaly(10, []).reason).toBe('insufficient_data');
+    });
+
+    it('相容舊的數字陣列輸入', () => {
+        const result = detectPriceAnomaly(30, [10, 10.5, 9.8, 10.2]);
+        expect(result.isAnomalous).toBe(true);
+        expect(result.anomalyType).toBe('outlier');
+        expect(result.reason).toBe('significantly_higher');
+    });
+
+    it('單筆打錯的歷史價格不會拉偏基準', () => {
+        const history = [10, 10.2, 9.9, 10.1, 500].map(price => observation(price));
+        const result = detectPriceAnomaly(10.3, history, { now: NOW });
+        expect(result.isAnomalous).toBe(false);
+        expect(result.baselinePrice).toBeCloseTo(10.1);
+    });
+
+    it('跨商店的正常漲價在時間衰減後不再被標記', () => {
+        const history = [
+            ...[10, 10.1, 9.9, 10, 10.2, 9.8].map(price => observation(price, '全聯', 400)),
+            ...[14, 14.2, 13.9].map(price => observation(price, '家樂福', 5))
+        ];
+        const result = detectPriceAnomaly(14.1, history, { now: NOW });
+        expect(result.isAnomalous).toBe(false);
+    });
+
+    it('優先使用同商店的基準', () => {
+        const history = [
+            ...[20, 20.5, 19.5].map(price => observation(price, '好市多', 10)),
+            ...[30, 31, 29, 30.5].map(price => observation(price, '7-11', 10))
+        ];
+        const result = detectPriceAnomaly(20.2, history, { storeName: '好市多', now: NOW });
+        expect(result.baselineScope).toBe('store');
+        expect(result.isAnomalous).toBe(false);
+    });
+
+    it('同商店資料不足時改用同連鎖基準', () => {
+        const history = [
+            observation(20, '全聯 中山店', 3),
+            observation(20.4, '全聯 信義店', 3),
+            observation(19.8, '全聯 大安店', 3),
+            ...[40, 41, 39].map(price => observation(price, '家樂福', 3))
+        ];
+        const result = detectPriceAnomaly(20.1, history, { storeName: '全聯 中山店', now: NOW });
+        expect(result.baselineScope).toBe('chain');
+        expect(result.baselinePrice).toBeCloseTo(20);
+    });
+
+    it('將價格 ×100 判定為輸入錯誤而非一般異常', () => {
+        const history = [12, 12.5, 11.8].map(price => observation(price));
+        const result = detectPriceAnomaly(1230, history, { now: NOW });
+        expect(result.isAnomalous).toBe(true);
+        expect(result.anomalyType).toBe('entry_error');
+        expect(result.suspectedCause).toBe('price_x100');
+        expect(describeAnomaly(result)).toContain('建議單價');
+    });
+
+    it('只有一筆歷史時仍能辨識 g/kg 混淆', () => {
+        const result = detectPriceAnomaly(12000, [observation(12)], { now: NOW });
+        expect(result.anomalyType).toBe('entry_error');
+        expect(result.suspectedCause).toBe('unit_mismatch');
+    });
+
+    it('確認正確的價格權重較高，類似價格不再被標記', () => {
+        const history = [
+            ...[10, 10.2, 9.9].map(price => observation(price, '', 30)),
+            ...[16, 16.2].map(price => ({ ...observation(price, '', 1), verified: true }))
+        ];
+        const result = detectPriceAnomaly(16.1, history, { now: NOW });
+        expect(result.isAnomalous).toBe(false);
+    });
+
+    it('資料不足時不標記一般異常', () => {
+        const result = detectPriceAnomaly(20, [observation(10), observation(10.5)], { now: NOW });
+        expect(result.isAnomalous).toBe(false);
+        expect(result.reason).toBe('insufficient_data');
+    });
+});
+
+describe('buildPriceObservations', () => {
+    it('排除已標記為異常的記錄', () => {
+        const records = [
+            { unitPrice: 10, storeName: '全聯', timestamp: '2025-05-01T00:00:00Z' },
+            { unitPrice: 1000, storeName: '全聯', timestamp: '2025-05-02T00:00:00Z', anomalyFlag: { flagged: true } }
+        ];
+        const observations = buildPriceObservations(records);
+        expect(observations).toHaveLength(1);
+        expect(observations[0]).toEqual({ price: 10, storeName: '全聯', timestamp: new Date('2025-05-01T00:00:00Z').getTime(), verified: false });
+    });
+
+    it('審核確認過的異常價格重新納入基準', () => {
+        const records = [{ unitPrice: 25, storeName: '全聯', anomalyFlag: { flagged: false, status: 'confirmed' } }];
+        expect(buildPriceObservations(records)[0].verified).toBe(true);
+    });
+});
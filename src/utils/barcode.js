@@ -0,0 +1,159 @@
+// 條碼工具函數
+
+/**
+ * 計算 GS1 校驗碼（適用 EAN-8、EAN-13、UPC-A、ITF-14）
+ * @param {string} digitsWithoutCheck - 不含校驗碼的數字字串
+ * @returns {number} 校驗碼 (0-9)
+ */
+export const computeGs1CheckDigit = (digitsWithoutCheck) => {
+    let sum = 0;
+    // 由右至左，奇數位乘 3，偶數位乘 1
+    for (let i = 0; i < digitsWithoutCheck.length; i++) {
+        const digit = parseInt(digitsWithoutCheck[digitsWithoutCheck.length - 1 - i], 10);
+        sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * 檢查條碼的 GS1 校驗碼是否正確
+ * @param {string} code - 條碼字串（8、12、13 或 14 位數字）
+ * @returns {boolean} 校驗碼是否正確
+ */
+export const hasValidGs1CheckDigit = (code) => {
+    if (typeof code !== 'string' || !/^\d+$/.test(code)) {
+        return false;
+    }
+    if (![8, 12, 13, 14].includes(code.length)) {
+        return false;
+    }
+    const body = code.slice(0, -1);
+    const checkDigit = parseInt(code[code.length - 1], 10);
+    return computeGs1CheckDigit(body) === checkDigit;
+};
+
+/**
+ * 將 UPC-E 條碼展開為 UPC-A
+ * @param {string} upcE - 8 位數 UPC-E 條碼（含系統碼與校驗碼）
+ * @returns {string|null} 12 位數 UPC-A 條碼，格式錯誤時為 null
+ */
+export const expandUpcE = (upcE) => {
+    if (typeof upcE !== 'string' || !/^[01]\d{7}$/.test(upcE)) {
+        return null;
+    }
+    const numberSystem = upcE[0];
+    const d = upcE.slice(1, 7);
+    const checkDigit = upcE[7];
+    let manufacturer;
+    let product;
+
+    switch (d[5]) {
+        case '0':
+        case '1':
+        case '2':
+            manufacturer = `${d[0]}${d[1]}${d[5]}00`;
+            product = `00${d[2]}${d[3]}${d[4]}`;
+            break;
+        case '3':
+            manufacturer = `${d[0]}${d[1]}${d[2]}00`;
+            product = `000${d[3]}${d[4]}`;
+            break;
+        case '4':
+            manufacturer = `${d[0]}${d[1]}${d[2]}${d[3]}0`;
+            product = `0000${d[4]}`;
+            break;
+        default:
+            manufacturer = `${d[0]}${d[1]}${d[2]}${d[3]}${d[4]}`;
+            product = `0000${d[5]}`;
+    }
+
+    return `${numberSystem}${manufacturer}${product}${checkDigit}`;
+};
+
+/**
+ * 將已驗證的條碼補零為 GTIN-14
+ * @param {string} code - 8、12、13 或 14 位數條碼
+ * @returns {string} 14 位數 GTIN
+ */
+export const toGtin14 = (code) => code.padStart(14, '0');
+
+/**
+ * 將 GTIN-14 轉為最短的慣用顯示格式（EAN-13、UPC-A 或 EAN-8）
+ * @param {string} gtin14 - 14 位數 GTIN
+ * @returns {string} 顯示用條碼
+ */
+export const toDisplayBarcode = (gtin14) => {
+    if (gtin14[0] !== '0') {
+        return gtin14; // ITF-14（含包裝指示碼）
+    }
+    if (gtin14.startsWith('000000')) {
+        return gtin14.slice(6); // EAN-8
+    }
+    return gtin14.slice(1); // EAN-13（UPC-A 以前導 0 的 EAN-13 表示）
+};
+
+/**
+ * 驗證並正規化條碼
+ * - 移除空白與連字號
+ * - 驗證 GS1 校驗碼（EAN-8/13、UPC-A/E、ITF-14）
+ * - 展開 UPC-E 並統一為 GTIN-14
+ * @param {string} rawBarcode - 使用者輸入或辨識出的條碼
+ * @returns {{isValid: boolean, format: string|null, gtin14: string|null, barcode: string, error: string|null}}
+ *          驗證結果；barcode 為正規化後的顯示格式
+ */
+export const normalizeBarcode = (rawBarcode) => {
+    const cleaned = String(rawBarcode ?? '').replace(/[\s-]/g, '');
+
+    const invalid = (error) => ({ isValid: false, format: null, gtin14: null, barcode: cleaned, error });
+
+    if (cleaned === '') {
+        return invalid('條碼為空白');
+    }
+    if (!/^\d+$/.test(cleaned)) {
+        return invalid('條碼只能包含數字');
+    }
+
+    let format;
+    let gtin;
+    switch (cleaned.length) {
+        case 8:
+            if (hasValidGs1CheckDigit(cleaned)) {
+                format = 'EAN-8';
+                gtin = cleaned;
+            } else {
+                // 8 位數但不符合 EAN-8 時，嘗試以 UPC-E 解讀
+                const upcA = expandUpcE(cleaned);
+                if (upcA && hasValidGs1CheckDigit(upcA)) {
+                    format = 'UPC-E';
+                    gtin = upcA;
+                }
+            }
+            break;
+        case 12:
+            if (hasValidGs1CheckDigit(cleaned)) {
+                format = 'UPC-A';
+                gtin = cleaned;
+            }
+            break;
+        case 13:
+        case 14:
+            // 前導零不影響校驗碼，去掉後依較短的格式判斷（例如 0 + UPC-A）
+            if (cleaned[0] === '0') {
+                return normalizeBarcode(cleaned.slice(1));
+            }
+            if (hasValidGs1CheckDigit(cleaned)) {
+                format = cleaned.length === 13 ? 'EAN-13' : 'ITF-14';
+                gtin = cleaned;
+            }
+            break;
+        default:
+            return invalid(`條碼長度 ${cleaned.length} 位不符合 EAN/UPC/ITF-14 格式`);
+    }
+
+    if (!gtin) {
+        return invalid('條碼校驗碼錯誤，請確認是否有辨識錯誤的數字');
+    }
+
+    const gtin14 = toGtin14(gtin);
+    return { isValid: true, format, gtin14, barcode: toDisplayBarcode(gtin14), error: null };
+};
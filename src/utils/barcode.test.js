@@ -0,0 +1,54 @@
+/**
+ * 條碼驗證與正規化的測試檔案
+ */
+
+import { computeGs1CheckDigit, hasValidGs1CheckDigit, expandUpcE, toDisplayBarcode, normalizeBarcode } from './barcode';
+
+describe('GS1 校驗碼', () => {
+    it('計算並驗證 EAN-8、EAN-13、UPC-A 與 ITF-14 的校驗碼', () => {
+        expect(computeGs1CheckDigit('471008841234')).toBe(8);
+        expect(hasValidGs1CheckDigit('96385074')).toBe(true);
+        expect(hasValidGs1CheckDigit('036000291452')).toBe(true);
+        expect(hasValidGs1CheckDigit('4710088412348')).toBe(true);
+        expect(hasValidGs1CheckDigit('10012345678902')).toBe(true);
+        expect(hasValidGs1CheckDigit('4710088412345')).toBe(false);
+        expect(hasValidGs1CheckDigit('0123456789')).toBe(false);
+    });
+});
+
+describe('expandUpcE', () => {
+    it('依最後一碼展開為 UPC-A，系統碼不是 0 或 1 時回傳 null', () => {
+        expect(expandUpcE('04252614')).toBe('042100005264');
+        expect(expandUpcE('01234565')).toBe('012345000065');
+        expect(expandUpcE('96385074')).toBeNull();
+    });
+});
+
+describe('normalizeBarcode', () => {
+    it('8 位數優先視為 EAN-8，校驗碼不符時改以 UPC-E 展開', () => {
+        expect(normalizeBarcode('96385074')).toMatchObject({ isValid: true, format: 'EAN-8', gtin14: '00000096385074', barcode: '96385074' });
+        // 同時是合法 EAN-8 的 8 位數不展開
+        expect(normalizeBarcode('01234565')).toMatchObject({ format: 'EAN-8', gtin14: '00000001234565' });
+        expect(normalizeBarcode('04252614')).toMatchObject({ isValid: true, format: 'UPC-E', gtin14: '00042100005264' });
+    });
+
+    it('UPC-A、前導 0 的 EAN-13 與 GTIN-14 得到同一個 GTIN-14', () => {
+        const results = ['036000291452', '0036000291452', '00036000291452'].map(normalizeBarcode);
+        results.forEach(result => {
+            expect(result).toMatchObject({ isValid: true, format: 'UPC-A', gtin14: '00036000291452', barcode: '0036000291452' });
+        });
+        expect(normalizeBarcode(toDisplayBarcode(results[0].gtin14)).gtin14).toBe('00036000291452');
+    });
+
+    it('移除空白與連字號，並辨識 EAN-13 與 ITF-14', () => {
+        expect(normalizeBarcode(' 4710088-412348 ')).toMatchObject({ isValid: true, format: 'EAN-13', gtin14: '04710088412348', barcode: '4710088412348' });
+        expect(normalizeBarcode('10012345678902')).toMatchObject({ isValid: true, format: 'ITF-14', barcode: '10012345678902' });
+    });
+
+    it('校驗碼錯誤、長度不符或含非數字時回傳錯誤', () => {
+        expect(normalizeBarcode('4710088412345')).toMatchObject({ isValid: false, gtin14: null, error: '條碼校驗碼錯誤，請確認是否有辨識錯誤的數字' });
+        expect(normalizeBarcode('0123456789')).toMatchObject({ isValid: false, error: '條碼長度 10 位不符合 EAN/UPC/ITF-14 格式' });
+        expect(normalizeBarcode('47100884A2348').isValid).toBe(false);
+        expect(normalizeBarcode('').error).toBe('條碼為空白');
+    });
+});
@@ -0,0 +1,116 @@
+// 裝置端條碼解碼服務（使用 Quagga）
+import Quagga from 'quagga';
+import { hasValidGs1CheckDigit } from './barcode';
+
+// 支援的條碼格式：EAN-13、EAN-8、UPC-A、Code128（只接受 GS1-128 的 GTIN，見 getScanBarcode）
+export const BARCODE_READERS = ['ean_reader', 'ean_8_reader', 'upc_reader', 'code_128_reader'];
+
+// 需連續讀到相同條碼的次數，才視為鎖定
+export const REQUIRED_CONSECUTIVE_READS = 2;
+
+// GS1-128 的 GTIN 應用識別碼 (01) 後接 14 位數
+const GS1_128_GTIN_PATTERN = /^01(\d{14})/;
+
+// Quagga 的 decodeSingle 使用全域單例，同一時間只能處理一張影像；記錄進行中的解碼
+let currentDecode = null;
+
+const runDecode = (src) => {
+    const decoding = new Promise((resolve) => {
+        try {
+            Quagga.decodeSingle({
+                src,
+                numOfWorkers: 0,
+                locate: true,
+                inputStream: { size: 800 },
+                decoder: { readers: BARCODE_READERS }
+            }, (result) => {
+                if (result && result.codeResult && result.codeResult.code) {
+                    resolve({ code: result.codeResult.code, format: result.codeResult.format });
+                } else {
+                    resolve(null);
+                }
+            });
+        } catch (error) {
+            console.warn("Quagga 解碼失敗:", error);
+            resolve(null);
+        }
+    }).finally(() => {
+        currentDecode = null;
+    });
+    currentDecode = decoding;
+    return decoding;
+};
+
+/**
+ * 以 Quagga 解碼一張靜態影像；若影片畫面正在解碼，等它結束後再解碼
+ * @param {string} src - 影像的 data URL 或網址
+ * @returns {Promise<{code: string, format: string}|null>} 解碼結果，找不到條碼時為 null
+ */
+export const decodeImage = async (src) => {
+    if (!src) {
+        return null;
+    }
+    while (currentDecode) {
+        await currentDecode;
+    }
+    return runDecode(src);
+};
+
+/**
+ * 從影片畫面擷取一張影像並解碼；上一張尚未解碼完成時略過這一張
+ * @param {HTMLVideoElement} video - 正在播放的影片元素
+ * @returns {Promise<{code: string, format: string}|null>} 解碼結果，找不到條碼時為 null
+ */
+export const decodeVideoFrame = (video) => {
+    if (currentDecode || !video || !video.videoWidth || !video.videoHeight) {
+        return Promise.resolve(null);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return runDecode(canvas.toDataURL('image/jpeg', 0.8));
+};
+
+/**
+ * 從解碼結果取出可採用的條碼
+ * EAN/UPC 需通過 GS1 校驗碼；Code128 只接受純數字的 GTIN，或以 (01) 開頭的 GS1-128（取出其中的 GTIN-14），
+ * 其他 Code128 內容（例如店內自訂的英數字條碼）無法通過 normalizeBarcode，不予採用
+ * @param {{code: string, format: string}|null} result - 解碼結果
+ * @returns {string|null} 條碼，不可信時為 null
+ */
+export const getScanBarcode = (result) => {
+    if (!result || !result.code) {
+        return null;
+    }
+    const { code, format } = result;
+    if (format === 'code_128') {
+        if (!/^\d+$/.test(code)) {
+            return null;
+        }
+        const gs1Match = GS1_128_GTIN_PATTERN.exec(code);
+        if (gs1Match && code.length >= 16 && hasValidGs1CheckDigit(gs1Match[1])) {
+            return gs1Match[1];
+        }
+    }
+    return hasValidGs1CheckDigit(code) ? code : null;
+};
+
+/**
+ * 比較鏡頭解碼條碼與 AI 辨識條碼，決定最終採用的條碼
+ * @param {string|null} scannerBarcode - 鏡頭鎖定的條碼
+ * @param {string} aiBarcode - AI 辨識出的條碼
+ * @returns {{barcode: string, source: string, mismatch: boolean}} 最終條碼、來源及是否不一致
+ */
+export const resolveBarcode = (scannerBarcode, aiBarcode) => {
+    const cleanAiBarcode = (aiBarcode || '').replace(/\s/g, '');
+    if (scannerBarcode) {
+        return {
+            barcode: scannerBarcode,
+            source: 'scanner',
+            mismatch: cleanAiBarcode !== '' && cleanAiBarcode !== scannerBarcode
+        };
+    }
+    return { barcode: cleanAiBarcode, source: cleanAiBarcode ? 'ai' : 'none', mismatch: false };
+};
@@ -0,0 +1,52 @@
+// Netlify gemini-proxy 的前端呼叫
+// 代理只接受已登入（含匿名登入）使用者的請求：每個請求都附上 Firebase ID Token，
+// 代理據此計算每個使用者與全域的每日額度，並提供用量查詢給設定頁顯示。
+// 重試、取消與逾時由 requestClient 處理。
+import { requestJson, RequestError } from './requestClient';
+
+const GEMINI_PROXY_URL = '/.netlify/functions/gemini-proxy';
+
+// 單次辨識（含所有重試）最多等待的時間
+const EXTRACTION_DEADLINE = 60000;
+
+// 取得目前使用者的 ID Token 作為 Authorization 標頭
+// firebase/auth 延後載入，離線測試（模擬辨識服務）不需要初始化 Firebase
+const getAuthHeaders = async () => {
+    const { getAuth } = await import("firebase/auth");
+    const user = getAuth().currentUser;
+    if (!user) {
+        throw new RequestError('尚未完成登入，無法使用 AI 辨識', { status: 401 });
+    }
+    return { Authorization: `Bearer ${await user.getIdToken()}` };
+};
+
+/**
+ * 以代理端的擷取模板分析影像
+ * @param {string} capturedImage - 擷取畫面 (data URL)
+ * @param {string} templateId - 模板 ID
+ * @param {Object} options - 選項
+ * @param {AbortSignal} [options.signal] - 取消訊號
+ * @returns {Promise<Object>} { data, warnings, template }
+ * @throws {RequestError} 請求失敗、被取消或逾時
+ */
+export const requestGeminiExtraction = async (capturedImage, templateId, { signal } = {}) => {
+    const base64Image = capturedImage.split(',')[1];
+    // 代理已依模板的 responseSchema 驗證並正規化模型輸出
+    const result = await requestJson(GEMINI_PROXY_URL, {
+        method: 'POST',
+        body: { templateId, base64Image },
+        getHeaders: getAuthHeaders,
+        signal,
+        deadline: EXTRACTION_DEADLINE
+    });
+    if (!result.data) {
+        throw new RequestError("AI 無法生成有效內容。");
+    }
+    return { data: result.data, warnings: result.warnings || [], template: result.template || null };
+};
+
+/**
+ * 查詢目前使用者最近幾天的 AI 辨識用量
+ * @returns {Promise<{days: Array<{date: string, count: number, bytes: number, rejected: number, templates: Object}>, limits: {userDaily: number, globalDaily: number}}>} 用量，days 由新到舊
+ */
+export const fetchOcrUsage = () => requestJson(GEMINI_PROXY_URL, { getHeaders: getAuthHeaders, retries: 1, deadline: 15000 });
@@ -0,0 +1,355 @@
+// 影像工具函數
+
+/**
+ * 載入影像
+ * @param {string} src - 影像的 data URL 或網址
+ * @returns {Promise<HTMLImageElement>} 載入完成的影像
+ */
+export const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('影像載入失敗'));
+    image.src = src;
+});
+
+/**
+ * 縮小並壓縮影像為 JPEG data URL
+ * 用於將擷取畫面存入 Firestore（單一文件上限 1MB）
+ * @param {string} src - 影像的 data URL 或網址
+ * @param {Object} options - 選項
+ * @param {number} options.maxDimension - 長邊的最大像素
+ * @param {number} options.quality - JPEG 品質 (0-1)
+ * @returns {Promise<string>} 壓縮後的 data URL
+ */
+export const compressImage = async (src, { maxDimension = 640, quality = 0.6 } = {}) => {
+    const image = await loadImage(src);
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+// 將影像依比例繪製到新的 canvas
+const drawScaled = (source, scale) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * scale));
+    canvas.height = Math.max(1, Math.round(source.height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+/**
+ * 裁切影像
+ * @param {string} src - 影像的 data URL
+ * @param {{x: number, y: number, width: number, height: number}} rect - 以影像寬高為 1 的裁切範圍
+ * @param {number} quality - JPEG 品質 (0-1)
+ * @returns {Promise<string>} 裁切後的 data URL
+ */
+export const cropImage = async (src, rect, quality = 0.92) => {
+    const image = await loadImage(src);
+    const sx = Math.round(rect.x * image.width);
+    const sy = Math.round(rect.y * image.height);
+    const sw = Math.max(1, Math.round(rect.width * image.width));
+    const sh = Math.max(1, Math.round(rect.height * image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = sw;
+    canvas.height = sh;
+    canvas.getContext('2d').drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+/**
+ * 取得縮圖的像素資料，供偵測與畫質分析使用
+ * @param {string} src - 影像的 data URL
+ * @param {number} maxDimension - 縮圖長邊的最大像素
+ * @returns {Promise<ImageData>} 像素資料
+ */
+export const getThumbnailImageData = async (src, maxDimension) => {
+    const image = await loadImage(src);
+    const canvas = drawScaled(image, Math.min(1, maxDimension / Math.max(image.width, image.height)));
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// ----------------------------------------------------------------------------
+// OCR 前處理：縮圖、自動對比、校正傾斜、依檔案大小預算重新編碼
+// ----------------------------------------------------------------------------
+
+// 畫質檢查使用的縮圖長邊（像素），只用於計算指標，不影響輸出
+const ANALYSIS_DIMENSION = 320;
+// 平均亮度 (0-255) 低於此值視為光線不足
+export const LOW_LIGHT_THRESHOLD = 60;
+// 拉普拉斯變異數低於此值視為模糊（以 ANALYSIS_DIMENSION 縮圖計算）
+export const BLUR_THRESHOLD = 80;
+// 嘗試校正的最大傾斜角度（度）與步進
+const MAX_SKEW_DEGREES = 10;
+const SKEW_STEP_DEGREES = 1;
+
+/**
+ * 由 data URL 估算檔案位元組數
+ * @param {string} dataUrl - data URL
+ * @returns {number} 位元組數
+ */
+export const getDataUrlBytes = (dataUrl) => {
+    const base64 = dataUrl.split(',')[1] || '';
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+};
+
+/**
+ * 將 RGBA 像素轉為灰階亮度陣列
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 像素資料
+ * @returns {Float32Array} 每個像素的亮度 (0-255)
+ */
+export const toGrayscale = ({ data, width, height }) => {
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return gray;
+};
+
+/**
+ * 評估影像是否適合辨識：平均亮度與清晰度（拉普拉斯變異數）
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 像素資料（建議先縮小）
+ * @returns {{brightness: number, sharpness: number, isTooDark: boolean, isBlurry: boolean}} 畫質指標
+ */
+export const assessImageQuality = (imageData) => {
+    const { width, height } = imageData;
+    const gray = toGrayscale(imageData);
+    const brightness = gray.reduce((sum, value) => sum + value, 0) / gray.length;
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const sharpness = count > 0 ? sumSquares / count - (sum / count) ** 2 : 0;
+
+    return {
+        brightness,
+        sharpness,
+        isTooDark: brightness < LOW_LIGHT_THRESHOLD,
+        isBlurry: sharpness < BLUR_THRESHOLD
+    };
+};
+
+/**
+ * 自動對比：以亮度的 1% 與 99% 百分位數線性拉伸（直接修改像素）
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 像素資料
+ * @returns {{low: number, high: number}} 拉伸前的亮度範圍
+ */
+export const applyAutoContrast = (imageData) => {
+    const gray = toGrayscale(imageData);
+    const histogram = new Array(256).fill(0);
+    gray.forEach(value => { histogram[Math.round(value)]++; });
+
+    const clip = gray.length * 0.01;
+    let low = 0;
+    let high = 255;
+    for (let accumulated = 0; low < 255 && accumulated + histogram[low] <= clip; low++) {
+        accumulated += histogram[low];
+    }
+    for (let accumulated = 0; high > 0 && accumulated + histogram[high] <= clip; high--) {
+        accumulated += histogram[high];
+    }
+    // 影像本身已有足夠對比（或幾乎是單色）時不處理
+    if (high - low < 10 || (low === 0 && high === 255)) {
+        return { low, high };
+    }
+
+    const scale = 255 / (high - low);
+    const { data } = imageData;
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = (data[i] - low) * scale;
+        data[i + 1] = (data[i + 1] - low) * scale;
+        data[i + 2] = (data[i + 2] - low) * scale;
+    }
+    return { low, high };
+};
+
+/**
+ * 以投影輪廓估計文字的傾斜角度：旋轉後每一列的暗像素數量變異最大時，文字行最整齊
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 像素資料（建議先縮小）
+ * @returns {number} 傾斜角度（度，順時針為正），無法判斷時為 0
+ */
+export const estimateSkewAngle = (imageData) => {
+    const { width, height } = imageData;
+    const gray = toGrayscale(imageData);
+    const mean = gray.reduce((sum, value) => sum + value, 0) / gray.length;
+    // 取比平均亮度暗的像素作為文字
+    const points = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] < mean * 0.6) {
+                points.push([x - width / 2, y - height / 2]);
+            }
+        }
+    }
+    if (points.length < 50) {
+        return 0;
+    }
+
+    const scoreAngle = (degrees) => {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Map();
+        points.forEach(([x, y]) => {
+            const row = Math.round(y * cos - x * sin);
+            rows.set(row, (rows.get(row) || 0) + 1);
+        });
+        let sumSquares = 0;
+        rows.forEach(value => { sumSquares += value * value; });
+        return sumSquares;
+    };
+
+    let bestAngle = 0;
+    let bestScore = scoreAngle(0);
+    for (let degrees = -MAX_SKEW_DEGREES; degrees <= MAX_SKEW_DEGREES; degrees += SKEW_STEP_DEGREES) {
+        const score = scoreAngle(degrees);
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = degrees;
+        }
+    }
+    return bestAngle;
+};
+
+// 旋轉 canvas，保持原尺寸並以白色填補邊角
+const rotateCanvas = (source, degrees) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(-degrees * Math.PI / 180);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+};
+
+// 差異雜湊（dHash）的取樣尺寸：9x8 灰階，每列比較相鄰像素得到 64 位元
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * 計算影像的差異雜湊（dHash），相似的影像（重拍、輕微晃動）會得到相近的雜湊
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 9x8 的像素資料
+ * @returns {string} 16 位十六進位字串
+ */
+export const computeDifferenceHash = (imageData) => {
+    const gray = toGrayscale(imageData);
+    let hash = '';
+    let nibble = 0;
+    let bitCount = 0;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const index = y * HASH_WIDTH + x;
+            nibble = (nibble << 1) | (gray[index] > gray[index + 1] ? 1 : 0);
+            bitCount++;
+            if (bitCount % 4 === 0) {
+                hash += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hash;
+};
+
+/**
+ * 計算兩個雜湊相異的位元數
+ * @param {string} hashA - 十六進位雜湊
+ * @param {string} hashB - 十六進位雜湊
+ * @returns {number} 相異位元數；長度不同時為 Infinity
+ */
+export const hammingDistance = (hashA, hashB) => {
+    if (!hashA || !hashB || hashA.length !== hashB.length) {
+        return Infinity;
+    }
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+        let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
+
+const hashCanvas = (canvas) => {
+    const small = document.createElement('canvas');
+    small.width = HASH_WIDTH;
+    small.height = HASH_HEIGHT;
+    const ctx = small.getContext('2d');
+    ctx.drawImage(canvas, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+    return computeDifferenceHash(ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT));
+};
+
+/**
+ * OCR 上傳前的影像前處理
+ * 1. 縮小到目標長邊
+ * 2. 以縮圖檢查亮度與清晰度（模糊或太暗時由呼叫端提示重拍）
+ * 3. 校正傾斜、自動對比，並計算感知雜湊
+ * 4. 逐步降低 JPEG 品質（必要時再縮小）直到符合檔案大小預算
+ * @param {string} src - 影像的 data URL
+ * @param {Object} options - 選項
+ * @param {number} options.maxDimension - 輸出長邊的最大像素
+ * @param {number} options.maxBytes - 輸出檔案大小預算（位元組）
+ * @param {boolean} options.deskew - 是否校正傾斜
+ * @returns {Promise<{dataUrl: string, bytes: number, width: number, height: number, quality: Object, skewAngle: number, hash: string}>} 處理結果與畫質指標
+ */
+export const preprocessForOcr = async (src, { maxDimension = 1280, maxBytes = 200 * 1024, deskew = true } = {}) => {
+    const image = await loadImage(src);
+    let canvas = drawScaled(image, Math.min(1, maxDimension / Math.max(image.width, image.height)));
+
+    const thumbnail = drawScaled(canvas, Math.min(1, ANALYSIS_DIMENSION / Math.max(canvas.width, canvas.height)));
+    const thumbnailData = thumbnail.getContext('2d').getImageData(0, 0, thumbnail.width, thumbnail.height);
+    const quality = assessImageQuality(thumbnailData);
+
+    const skewAngle = deskew ? estimateSkewAngle(thumbnailData) : 0;
+    if (skewAngle !== 0) {
+        canvas = rotateCanvas(canvas, skewAngle);
+    }
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    applyAutoContrast(imageData);
+    ctx.putImageData(imageData, 0, 0);
+    // 以校正後的畫面計算雜湊，供辨識結果快取與重複拍攝偵測使用
+    const hash = hashCanvas(canvas);
+
+    let jpegQuality = 0.85;
+    let dataUrl = canvas.toDataURL('image/jpeg', jpegQuality);
+    while (getDataUrlBytes(dataUrl) > maxBytes) {
+        if (jpegQuality > 0.55) {
+            jpegQuality -= 0.1;
+        } else if (Math.max(canvas.width, canvas.height) > 480) {
+            // 品質已降到下限仍超過預算時，改為縮小尺寸
+            canvas = drawScaled(canvas, 0.8);
+        } else {
+            break;
+        }
+        dataUrl = canvas.toDataURL('image/jpeg', jpegQuality);
+    }
+
+    return {
+        dataUrl,
+        bytes: getDataUrlBytes(dataUrl),
+        width: canvas.width,
+        height: canvas.height,
+        quality,
+        skewAngle,
+        hash
+    };
+};
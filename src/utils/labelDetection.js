@@ -0,0 +1,133 @@
+// 價格標籤區域偵測
+// 貨架標籤通常是較亮的矩形（白底或黃底）上印有深色文字。在縮圖上以 Otsu 門檻取出亮區，
+// 找出連通區域後依大小、形狀與內部文字比例篩選，回傳以 0-1 表示的候選矩形，供拍攝視窗讓使用者點選。
+import { toGrayscale } from './imageUtils';
+
+// 候選區域佔整張影像面積的範圍
+const MIN_AREA_RATIO = 0.01;
+const MAX_AREA_RATIO = 0.6;
+// 亮區像素佔外框面積的最低比例（太低表示不是實心的標籤）
+const MIN_FILL_RATIO = 0.5;
+// 外框內深色像素（文字）佔比的範圍
+const MIN_TEXT_RATIO = 0.03;
+const MAX_TEXT_RATIO = 0.5;
+// 寬高比範圍
+const MIN_ASPECT = 0.3;
+const MAX_ASPECT = 5;
+// 最多回傳的候選數量
+const MAX_REGIONS = 8;
+// 外框向外擴張的比例，避免切到標籤邊緣的文字
+const REGION_PADDING = 0.02;
+
+/**
+ * 以 Otsu 法計算灰階影像的二值化門檻
+ * @param {Float32Array} gray - 灰階亮度 (0-255)
+ * @returns {number} 門檻
+ */
+export const computeOtsuThreshold = (gray) => {
+    const histogram = new Array(256).fill(0);
+    gray.forEach(value => { histogram[Math.round(value)]++; });
+
+    const total = gray.length;
+    const totalSum = histogram.reduce((sum, count, value) => sum + count * value, 0);
+    let backgroundWeight = 0;
+    let backgroundSum = 0;
+    let bestVariance = -1;
+    let threshold = 127;
+    for (let value = 0; value < 256; value++) {
+        backgroundWeight += histogram[value];
+        if (backgroundWeight === 0) continue;
+        const foregroundWeight = total - backgroundWeight;
+        if (foregroundWeight === 0) break;
+        backgroundSum += value * histogram[value];
+        const backgroundMean = backgroundSum / backgroundWeight;
+        const foregroundMean = (totalSum - backgroundSum) / foregroundWeight;
+        const variance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = value;
+        }
+    }
+    return threshold;
+};
+
+/**
+ * 偵測影像中的價格標籤候選區域
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - 像素資料（建議先縮小到長邊約 200 像素）
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} 以影像寬高為 1 的矩形，由上而下、由左而右排序
+ */
+export const detectLabelRegions = (imageData) => {
+    const { width, height } = imageData;
+    const gray = toGrayscale(imageData);
+    const threshold = computeOtsuThreshold(gray);
+    const bright = new Uint8Array(gray.length);
+    gray.forEach((value, i) => { bright[i] = value > threshold ? 1 : 0; });
+
+    const visited = new Uint8Array(gray.length);
+    const regions = [];
+    const imageArea = width * height;
+
+    for (let start = 0; start < bright.length; start++) {
+        if (!bright[start] || visited[start]) continue;
+
+        // 以堆疊走訪 4 連通的亮區
+        let minX = width;
+        let minY = height;
+        let maxX = 0;
+        let maxY = 0;
+        let count = 0;
+        const stack = [start];
+        visited[start] = 1;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            count++;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                y > 0 ? index - width : -1,
+                y < height - 1 ? index + width : -1
+            ];
+            neighbours.forEach(next => {
+                if (next >= 0 && bright[next] && !visited[next]) {
+                    visited[next] = 1;
+                    stack.push(next);
+                }
+            });
+        }
+
+        const boxWidth = maxX - minX + 1;
+        const boxHeight = maxY - minY + 1;
+        const boxArea = boxWidth * boxHeight;
+        const areaRatio = boxArea / imageArea;
+        const fillRatio = count / boxArea;
+        const textRatio = 1 - fillRatio;
+        const aspect = boxWidth / boxHeight;
+        if (areaRatio >= MIN_AREA_RATIO && areaRatio <= MAX_AREA_RATIO
+            && fillRatio >= MIN_FILL_RATIO
+            && textRatio >= MIN_TEXT_RATIO && textRatio <= MAX_TEXT_RATIO
+            && aspect >= MIN_ASPECT && aspect <= MAX_ASPECT) {
+            regions.push({ minX, minY, boxWidth, boxHeight, boxArea });
+        }
+    }
+
+    return regions
+        .sort((a, b) => b.boxArea - a.boxArea)
+        .slice(0, MAX_REGIONS)
+        .map(({ minX, minY, boxWidth, boxHeight }) => {
+            const x = Math.max(0, minX / width - REGION_PADDING);
+            const y = Math.max(0, minY / height - REGION_PADDING);
+            return {
+                x,
+                y,
+                width: Math.min(1 - x, boxWidth / width + REGION_PADDING * 2),
+                height: Math.min(1 - y, boxHeight / height + REGION_PADDING * 2)
+            };
+        })
+        .sort((a, b) => (Math.abs(a.y - b.y) < 0.05 ? a.x - b.x : a.y - b.y));
+};
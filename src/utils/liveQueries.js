@@ -0,0 +1,84 @@
+// Firestore 即時訂閱
+// 家人在其他裝置儲存的價格會即時出現在產品列表、主畫面的價格歷史與今日掃描中。
+// 每個訂閱函式都回傳取消訂閱的函式，由呼叫端在元件卸載或條件改變時呼叫。
+// 本機的寫入在伺服器確認前就會觸發快照（hasPendingWrites 為 true）。
+import { collection, query, where, orderBy, onSnapshot, Timestamp } from 'firebase/firestore';
+import { getProductIdQueryValues } from './productIdentity';
+
+const toDocs = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+/**
+ * 訂閱單一產品的價格記錄（由新到舊）
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} productId - 產品 ID
+ * @param {Function} onRecords - 每次變更時以 (records, { hasPendingWrites }) 呼叫
+ * @param {Function} onError - 訂閱失敗時呼叫
+ * @returns {Function} 取消訂閱
+ */
+export const subscribeProductHistory = (db, productId, onRecords, onError) => {
+    const recordsQuery = query(
+        collection(db, "priceRecords"),
+        where("numericalID", "in", getProductIdQueryValues(productId)),
+        orderBy("timestamp", "desc")
+    );
+    return onSnapshot(recordsQuery, snap => onRecords(toDocs(snap), { hasPendingWrites: snap.metadata.hasPendingWrites }), onError);
+};
+
+/**
+ * 訂閱彙總值在指定時間後更新過的產品
+ * 新增、編輯或刪除價格記錄後都會重新計算彙總值（見 productAggregates），因此可涵蓋新產品與價格變動
+ * @param {Firestore} db - Firestore 實例
+ * @param {Timestamp} since - 基準時間
+ * @param {Function} onChanges - 每次變更時以 { products, removedIds } 呼叫；第一次呼叫包含基準時間後所有更新過的產品
+ * @param {Function} onError - 訂閱失敗時呼叫
+ * @returns {Function} 取消訂閱
+ */
+export const subscribeProductChanges = (db, since, onChanges, onError) => {
+    const productsQuery = query(collection(db, "products"), where("aggregatesUpdatedAt", ">", since));
+    return onSnapshot(productsQuery, snap => {
+        const changes = snap.docChanges();
+        if (changes.length === 0) return;
+        onChanges({
+            products: changes.filter(change => change.type !== 'removed').map(change => ({ id: change.doc.id, ...change.doc.data() })),
+            // 彙總時間只會往後更新，離開查詢結果表示產品已被刪除
+            removedIds: changes.filter(change => change.type === 'removed').map(change => change.doc.id)
+        });
+    }, onError);
+};
+
+/**
+ * 訂閱今天所有人儲存的價格記錄（由新到舊）
+ * 跨過午夜時自動改訂閱新的一天，長時間開著的頁面不會繼續顯示昨天的記錄
+ * @param {Firestore} db - Firestore 實例
+ * @param {Function} onRecords - 每次變更時以記錄陣列呼叫
+ * @param {Function} onError - 訂閱失敗時呼叫
+ * @returns {Function} 取消訂閱
+ */
+export const subscribeTodayRecords = (db, onRecords, onError) => {
+    let unsubscribe = () => {};
+    let midnightTimer = null;
+
+    const subscribe = () => {
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const startOfTomorrow = new Date(startOfToday);
+        startOfTomorrow.setDate(startOfTomorrow.getDate() + 1);
+
+        const recordsQuery = query(
+            collection(db, "priceRecords"),
+            where("timestamp", ">=", Timestamp.fromDate(startOfToday)),
+            orderBy("timestamp", "desc")
+        );
+        unsubscribe = onSnapshot(recordsQuery, snap => onRecords(toDocs(snap)), onError);
+        midnightTimer = setTimeout(() => {
+            unsubscribe();
+            subscribe();
+        }, startOfTomorrow.getTime() - Date.now());
+    };
+
+    subscribe();
+    return () => {
+        clearTimeout(midnightTimer);
+        unsubscribe();
+    };
+};
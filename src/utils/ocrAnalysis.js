@@ -0,0 +1,177 @@
+// AI 價格標籤辨識
+// 擷取畫面交給設定頁選擇的辨識服務分析（見 ocrProviders.js），並將結果整理為表單/待辨識卡片使用的欄位。
+// 拍攝視窗的即時分析與待辨識序列的背景分析、重試共用此模組。
+import { calculateUnitPrice, normalizeUnit } from './priceCalculations';
+import { resolveBarcode } from './barcodeScanner';
+import { runOcrProvider, loadOcrProviderId, OCR_TEMPLATE_IDS } from './ocrProviders';
+import { findCachedOcrResult, cacheOcrResult } from './ocrCache';
+
+export { OCR_TEMPLATE_IDS };
+
+// 自動儲存的信心度門檻（設定頁可調整，保存在 localStorage）
+export const OCR_CONFIDENCE_THRESHOLD_KEY = 'ocrAutoSaveThreshold';
+export const DEFAULT_OCR_CONFIDENCE_THRESHOLD = 0.8;
+
+// 自動儲存前必須達到門檻的表單欄位
+export const REQUIRED_CONFIDENCE_FIELDS = ['scannedBarcode', 'productName', 'extractedPrice', 'quantity', 'unitType', 'storeName'];
+
+// 表單欄位對應的 AI 輸出欄位
+const FORM_FIELD_SOURCES = {
+    scannedBarcode: ['scannedBarcode'],
+    productName: ['productName'],
+    extractedPrice: ['listedPrice'],
+    quantity: ['totalCapacity'],
+    unitType: ['baseUnit'],
+    storeName: ['storeName'],
+    discountDetails: ['discountDetails'],
+    originalPrice: ['originalPrice'],
+    specialPrice: ['specialPrice']
+};
+
+/**
+ * 讀取自動儲存的信心度門檻
+ * @returns {number} 0 到 1 之間的門檻
+ */
+export const loadConfidenceThreshold = () => {
+    const saved = parseFloat(localStorage.getItem(OCR_CONFIDENCE_THRESHOLD_KEY));
+    return Number.isFinite(saved) && saved >= 0 && saved <= 1 ? saved : DEFAULT_OCR_CONFIDENCE_THRESHOLD;
+};
+
+/**
+ * 將 AI 回傳的各欄位信心度轉換為表單欄位的信心度
+ * - 有需要確認警告（severity 'error'）的欄位信心度視為 0
+ * - 鏡頭解碼的條碼已通過校驗，信心度為 1
+ * - 特價存在時，總價的信心度取標價與特價中較低者
+ * @param {Object|null} confidence - AI 回傳的 confidence 物件
+ * @param {Array<Object>} warnings - 代理回傳的 warnings
+ * @param {string} barcodeSource - 條碼來源（'scanner' 或 'ai'）
+ * @param {boolean} hasSpecialPrice - 是否有特價
+ * @returns {Object|null} 表單欄位 → 0 到 1 的信心度；AI 未提供信心度時為 null
+ */
+export const buildFieldConfidence = (confidence, warnings = [], barcodeSource = null, hasSpecialPrice = false) => {
+    if (!confidence || typeof confidence !== 'object') {
+        return null;
+    }
+    const blockedFields = new Set(getBlockingWarnings(warnings).map(warning => warning.field));
+    const fieldConfidence = {};
+    Object.entries(FORM_FIELD_SOURCES).forEach(([formField, sources]) => {
+        const scores = sources.map(source => (blockedFields.has(source) ? 0 : confidence[source]));
+        if (scores.every(score => typeof score === 'number')) {
+            fieldConfidence[formField] = Math.min(...scores);
+        }
+    });
+    if (barcodeSource === 'scanner') {
+        fieldConfidence.scannedBarcode = 1;
+    }
+    if (hasSpecialPrice && typeof fieldConfidence.specialPrice === 'number') {
+        fieldConfidence.extractedPrice = Math.min(fieldConfidence.extractedPrice ?? 1, fieldConfidence.specialPrice);
+    }
+    return fieldConfidence;
+};
+
+/**
+ * 取出信心度低於門檻的欄位；沒有信心度資料的欄位視為低信心度
+ * @param {Object|null} fieldConfidence - 表單欄位的信心度
+ * @param {number} threshold - 門檻
+ * @param {Array<string>} fields - 要檢查的欄位
+ * @returns {Array<string>} 低信心度的欄位
+ */
+export const getLowConfidenceFields = (fieldConfidence, threshold, fields = REQUIRED_CONFIDENCE_FIELDS) => (
+    fields.filter(field => !(typeof fieldConfidence?.[field] === 'number' && fieldConfidence[field] >= threshold))
+);
+
+/**
+ * 整體信心度：必要欄位中最低的信心度
+ * @param {Object|null} fieldConfidence - 表單欄位的信心度
+ * @returns {number|null} 0 到 1 的信心度，沒有資料時為 null
+ */
+export const getOverallConfidence = (fieldConfidence) => {
+    const scores = REQUIRED_CONFIDENCE_FIELDS.map(field => fieldConfidence?.[field]).filter(score => typeof score === 'number');
+    return scores.length > 0 ? Math.min(...scores) : null;
+};
+
+/**
+ * 取出需要使用者確認的辨識警告（代理回傳的 severity 為 'error'）
+ * @param {Array<Object>} warnings - 代理回傳的 warnings
+ * @returns {Array<Object>} 需要確認的警告
+ */
+export const getBlockingWarnings = (warnings) => (warnings || []).filter(warning => warning.severity === 'error');
+
+/**
+ * 將 AI 回傳的結構化資料整理為表單欄位，並計算單價
+ * @param {Object} analysisResult - AI 回傳的 JSON
+ * @param {string|null} lockedBarcode - 鏡頭解碼鎖定的條碼
+ * @param {string} capturedImage - 擷取畫面
+ * @param {Array<Object>} warnings - 代理回傳的 warnings，用於調整信心度
+ * @returns {Object} 表單/卡片欄位
+ */
+export const buildOcrFormData = (analysisResult, lockedBarcode, capturedImage, warnings = []) => {
+    const {
+        scannedBarcode = '',
+        productName = '',
+        listedPrice = 0,
+        totalCapacity = 0,
+        baseUnit = 'pcs',
+        storeName = 'AI 辨識',
+        discountDetails = '',
+        specialPrice = null,
+        originalPrice = null,
+        confidence = null
+    } = analysisResult;
+    // 將 AI 回傳的單位（例如 'kg'、'公克'）正規化後再計算單價
+    const unitType = normalizeUnit(baseUnit) || 'pcs';
+    const unitPrice = calculateUnitPrice(listedPrice, totalCapacity, unitType) || 0;
+
+    // 鏡頭解碼的條碼為可信來源，AI 辨識的條碼僅作備援
+    const barcodeResolution = resolveBarcode(lockedBarcode, scannedBarcode);
+
+    return {
+        scannedBarcode: barcodeResolution.barcode,
+        aiBarcode: scannedBarcode || '',
+        barcodeSource: barcodeResolution.source,
+        barcodeMismatch: barcodeResolution.mismatch,
+        productName: productName || '',
+        extractedPrice: String(listedPrice ?? ''), // 轉換為字串以符合現有狀態
+        storeName: storeName || '',
+        discountDetails: discountDetails || '',
+        quantity: String(totalCapacity ?? ''), // 轉換為字串以符合現有狀態
+        unitType: unitType,
+        unitPrice: unitPrice,
+        specialPrice: specialPrice, // 保留特價信息
+        originalPrice: originalPrice,  // 保留原價信息
+        capturedImage: capturedImage,  // 添加捕獲的圖像
+        fieldConfidence: buildFieldConfidence(confidence, warnings, barcodeResolution.source, Boolean(specialPrice))
+    };
+};
+
+/**
+ * 以指定的擷取模板分析影像；有感知雜湊時，相同畫面直接沿用快取的辨識結果
+ * @param {string} capturedImage - 擷取畫面 (data URL)
+ * @param {string} templateId - 模板 ID（見 OCR_TEMPLATE_IDS）
+ * @param {Object} options - 選項
+ * @param {string} [options.providerId] - 辨識服務 ID，省略時使用設定頁選擇的服務
+ * @param {string|null} [options.imageHash] - 擷取畫面的感知雜湊（見 imageUtils.preprocessForOcr）
+ * @param {AbortSignal} [options.signal] - 取消訊號（拍攝視窗的「取消分析」）
+ * @returns {Promise<Object>} { data, warnings, template, fromCache }，template 為產生結果的 { id, version, provider }
+ */
+export const analyzeImageWithTemplate = async (capturedImage, templateId, { providerId = loadOcrProviderId(), imageHash = null, signal } = {}) => {
+    const cached = findCachedOcrResult(imageHash, templateId, providerId);
+    if (cached) {
+        return { ...cached, fromCache: true };
+    }
+    const result = await runOcrProvider(capturedImage, templateId, providerId, { signal });
+    cacheOcrResult(imageHash, templateId, providerId, result);
+    return { ...result, fromCache: false };
+};
+
+/**
+ * 以 AI 分析價格標籤擷取畫面
+ * @param {string} capturedImage - 擷取畫面 (data URL)
+ * @param {string|null} lockedBarcode - 鏡頭解碼鎖定的條碼
+ * @param {Object} options - 辨識服務、感知雜湊與取消訊號（見 analyzeImageWithTemplate）
+ * @returns {Promise<Object>} 表單/卡片欄位（見 buildOcrFormData）、代理回傳的 warnings 與 ocrTemplate
+ */
+export const analyzePriceTagImage = async (capturedImage, lockedBarcode = null, options = {}) => {
+    const { data: analysisResult, warnings, template } = await analyzeImageWithTemplate(capturedImage, OCR_TEMPLATE_IDS.SHELF_LABEL, options);
+    return { ...buildOcrFormData(analysisResult, lockedBarcode, capturedImage, warnings), warnings, ocrTemplate: template };
+};
@@ -0,0 +1,103 @@
+// OCR 辨識結果快取與重複拍攝偵測
+// 擷取畫面在前處理時計算感知雜湊（見 imageUtils.preprocessForOcr）。雜湊相近的畫面視為同一張標籤：
+// - 重拍或重試時直接沿用先前的辨識結果，不再呼叫 AI
+// - 在同一次商店會話中再次拍攝已記錄過的標籤時提醒使用者
+import { hammingDistance } from './imageUtils';
+
+export const OCR_RESULT_CACHE_KEY = 'ocrResultCache';
+export const OCR_SESSION_CAPTURES_KEY = 'ocrSessionCaptures';
+
+// 64 位元雜湊中相異位元數不超過此值即視為同一張影像
+export const SIMILAR_HASH_DISTANCE = 6;
+// 快取保留的筆數與時間；模板更新後舊結果會在過期後自然淘汰
+const MAX_CACHE_ENTRIES = 30;
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+// 每個商店會話保留的拍攝記錄上限
+const MAX_SESSION_CAPTURES = 200;
+
+const readList = (key) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error(`讀取 ${key} 失敗:`, error);
+        return [];
+    }
+};
+
+const writeList = (key, list) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(list));
+    } catch (error) {
+        // 快取只是加速用，空間不足時放棄寫入即可
+        console.warn(`寫入 ${key} 失敗:`, error);
+    }
+};
+
+// 在清單中找出雜湊最接近且在門檻內的項目
+const findNearest = (entries, hash) => entries.reduce((best, entry) => {
+    const distance = hammingDistance(entry.hash, hash);
+    if (distance <= SIMILAR_HASH_DISTANCE && (!best || distance < best.distance)) {
+        return { entry, distance };
+    }
+    return best;
+}, null)?.entry || null;
+
+/**
+ * 查詢相同畫面先前的辨識結果
+ * @param {string} hash - 擷取畫面的感知雜湊
+ * @param {string} templateId - 擷取模板 ID
+ * @param {string} providerId - 辨識服務 ID
+ * @returns {Object|null} { data, warnings, template }，沒有可用結果時為 null
+ */
+export const findCachedOcrResult = (hash, templateId, providerId) => {
+    if (!hash) return null;
+    const now = Date.now();
+    const candidates = readList(OCR_RESULT_CACHE_KEY).filter(entry => (
+        entry.templateId === templateId && entry.providerId === providerId && now - entry.cachedAt < CACHE_TTL
+    ));
+    return findNearest(candidates, hash)?.result || null;
+};
+
+/**
+ * 保存辨識結果；同一張畫面只保留最新一筆
+ * @param {string} hash - 擷取畫面的感知雜湊
+ * @param {string} templateId - 擷取模板 ID
+ * @param {string} providerId - 辨識服務 ID
+ * @param {Object} result - { data, warnings, template }
+ */
+export const cacheOcrResult = (hash, templateId, providerId, result) => {
+    if (!hash) return;
+    const now = Date.now();
+    const entries = readList(OCR_RESULT_CACHE_KEY).filter(entry => (
+        now - entry.cachedAt < CACHE_TTL
+        && !(entry.templateId === templateId && entry.providerId === providerId && entry.hash === hash)
+    ));
+    entries.unshift({ hash, templateId, providerId, result, cachedAt: now });
+    writeList(OCR_RESULT_CACHE_KEY, entries.slice(0, MAX_CACHE_ENTRIES));
+};
+
+/**
+ * 記錄本次商店會話中送出分析的畫面
+ * @param {string} hash - 擷取畫面的感知雜湊
+ * @param {Object|null} storeSession - 目前的商店會話 { sessionId, storeName }
+ */
+export const recordSessionCapture = (hash, storeSession) => {
+    if (!hash || !storeSession?.sessionId) return;
+    // 只保留目前會話的記錄，換店後自動清空
+    const captures = readList(OCR_SESSION_CAPTURES_KEY).filter(capture => capture.sessionId === storeSession.sessionId);
+    captures.unshift({ hash, sessionId: storeSession.sessionId, capturedAt: Date.now() });
+    writeList(OCR_SESSION_CAPTURES_KEY, captures.slice(0, MAX_SESSION_CAPTURES));
+};
+
+/**
+ * 查詢本次商店會話是否已拍過相同的標籤
+ * @param {string} hash - 擷取畫面的感知雜湊
+ * @param {Object|null} storeSession - 目前的商店會話 { sessionId, storeName }
+ * @returns {Object|null} 先前的拍攝記錄 { hash, sessionId, capturedAt }，沒有時為 null
+ */
+export const findSessionDuplicate = (hash, storeSession) => {
+    if (!hash || !storeSession?.sessionId) return null;
+    const captures = readList(OCR_SESSION_CAPTURES_KEY).filter(capture => capture.sessionId === storeSession.sessionId);
+    return findNearest(captures, hash);
+};
@@ -0,0 +1,92 @@
+// 本機 OCR 假資料
+// 模擬辨識服務（mock provider）使用的固定辨識結果，欄位與代理端各擷取模板的 responseSchema 相同。
+// 同一張影像一定得到同一筆結果，方便開發時重現問題，以及在沒有網路的環境測試拍攝到儲存的流程。
+
+export const OCR_FIXTURES = {
+    shelfLabel: [
+        {
+            scannedBarcode: '4710123456788',
+            productName: '士力架巧克力 51g',
+            originalPrice: null,
+            specialPrice: null,
+            listedPrice: 25,
+            totalCapacity: 51,
+            baseUnit: 'g',
+            storeName: '模擬超商',
+            discountDetails: '買二送一',
+            confidence: {
+                scannedBarcode: 0.98,
+                productName: 0.95,
+                listedPrice: 0.95,
+                totalCapacity: 0.9,
+                baseUnit: 0.9,
+                storeName: 0.85,
+                discountDetails: 0.8
+            }
+        },
+        {
+            scannedBarcode: '4710000001230',
+            productName: '家庭號鮮乳 1857ml',
+            originalPrice: 99,
+            specialPrice: 79,
+            listedPrice: 79,
+            totalCapacity: 1857,
+            baseUnit: 'ml',
+            storeName: '模擬超商',
+            discountDetails: '限時特價',
+            confidence: {
+                scannedBarcode: 0.97,
+                productName: 0.93,
+                originalPrice: 0.9,
+                specialPrice: 0.92,
+                listedPrice: 0.92,
+                totalCapacity: 0.88,
+                baseUnit: 0.95,
+                storeName: 0.85,
+                discountDetails: 0.9
+            }
+        },
+        {
+            // 品名信心度偏低，用於測試低信心度欄位的標示與自動儲存門檻
+            scannedBarcode: '',
+            productName: '衛生紙 100抽 12入',
+            originalPrice: null,
+            specialPrice: null,
+            listedPrice: 189,
+            totalCapacity: 12,
+            baseUnit: 'pcs',
+            storeName: '模擬超商',
+            discountDetails: '',
+            confidence: {
+                scannedBarcode: 0,
+                productName: 0.55,
+                listedPrice: 0.9,
+                totalCapacity: 0.7,
+                baseUnit: 0.85,
+                storeName: 0.85,
+                discountDetails: 0.9
+            }
+        }
+    ],
+    receipt: [
+        {
+            storeName: '模擬超商 中山店',
+            purchaseDate: '2025-06-01',
+            items: [
+                { name: '士力架巧克力 51g', barcode: '4710123456788', quantity: 2, unitPrice: 25, totalPrice: 50, discount: 25, discountDetails: '買二送一' },
+                { name: '家庭號鮮乳 1857ml', barcode: '4710000001230', quantity: 1, unitPrice: 79, totalPrice: 79, discount: null, discountDetails: '' },
+                { name: '衛生紙 100抽x12包', barcode: '', quantity: 1, unitPrice: 189, totalPrice: 189, discount: null, discountDetails: '' }
+            ],
+            totalAmount: 293
+        }
+    ],
+    productPackage: [
+        {
+            scannedBarcode: '4710123456788',
+            productName: '士力架巧克力',
+            brand: 'Snickers',
+            totalCapacity: 51,
+            baseUnit: 'g'
+        }
+    ]
+};
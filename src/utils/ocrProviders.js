@@ -0,0 +1,134 @@
+// OCR 辨識服務
+// 擷取畫面的分析透過可替換的辨識服務（provider）進行，設定頁可切換使用的服務。
+// 每個服務實作相同介面：
+//   {
+//     id, label, description,
+//     templates: 支援的擷取模板 ID,
+//     isAvailable(): 目前環境能否使用（例如裝置端引擎是否已載入）,
+//     analyze(capturedImage, templateId, { signal }): Promise<{ data, warnings, template }>，收到取消訊號時應中止
+//   }
+// data 必須符合代理端擷取模板的 responseSchema（見 netlify/functions/lib/extractionTemplates.js），
+// 之後的欄位整理、信心度與收據展開都與服務無關。裝置端引擎（例如 Tesseract）只要實作同一介面並以
+// registerOcrProvider 註冊即可加入設定選單。
+import { OCR_FIXTURES } from './ocrFixtures';
+import { requestGeminiExtraction } from './geminiProxy';
+import { RequestError } from './requestClient';
+
+// 代理端的擷取模板 ID（提示詞與 responseSchema 由 netlify/functions/lib/extractionTemplates.js 維護）
+export const OCR_TEMPLATE_IDS = {
+    SHELF_LABEL: 'shelfLabel',
+    RECEIPT: 'receipt',
+    PRODUCT_PACKAGE: 'productPackage'
+};
+
+export const OCR_PROVIDER_IDS = {
+    GEMINI: 'gemini',
+    MOCK: 'mock'
+};
+
+// 使用中的辨識服務（設定頁可切換，保存在 localStorage）
+export const OCR_PROVIDER_KEY = 'ocrProvider';
+export const DEFAULT_OCR_PROVIDER = OCR_PROVIDER_IDS.GEMINI;
+
+// 影像內容的簡易雜湊，讓模擬服務對同一張影像回傳同一筆假資料
+const hashString = (value) => {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+};
+
+// Gemini：影像送到 Netlify gemini-proxy，由伺服器端模板決定提示詞與 responseSchema
+const geminiProxyProvider = {
+    id: OCR_PROVIDER_IDS.GEMINI,
+    label: 'Gemini（雲端）',
+    description: '影像上傳到伺服器由 Gemini 辨識，需要網路連線。',
+    templates: Object.values(OCR_TEMPLATE_IDS),
+    isAvailable: () => true,
+    analyze: (capturedImage, templateId, options) => requestGeminiExtraction(capturedImage, templateId, options)
+};
+
+// 模擬：不連網，依影像雜湊從固定假資料中挑一筆，供開發與測試使用
+const mockProvider = {
+    id: OCR_PROVIDER_IDS.MOCK,
+    label: '模擬資料（離線）',
+    description: '不呼叫 AI，回傳固定的假資料，用於開發與測試。',
+    templates: Object.keys(OCR_FIXTURES),
+    isAvailable: () => true,
+    analyze: async (capturedImage, templateId, { signal } = {}) => {
+        if (signal?.aborted) {
+            throw new RequestError('已取消請求', { code: 'aborted' });
+        }
+        const fixtures = OCR_FIXTURES[templateId];
+        const fixture = fixtures[hashString(capturedImage || '') % fixtures.length];
+        return {
+            data: JSON.parse(JSON.stringify(fixture)),
+            warnings: [],
+            template: { id: templateId, version: 0 }
+        };
+    }
+};
+
+const providers = new Map([geminiProxyProvider, mockProvider].map(provider => [provider.id, provider]));
+
+/**
+ * 註冊辨識服務；相同 ID 會取代既有的服務
+ * @param {Object} provider - 符合辨識服務介面的物件
+ */
+export const registerOcrProvider = (provider) => {
+    if (!provider?.id || typeof provider.analyze !== 'function') {
+        throw new Error('辨識服務必須提供 id 與 analyze()');
+    }
+    providers.set(provider.id, { templates: [], isAvailable: () => true, ...provider });
+};
+
+/**
+ * 列出已註冊的辨識服務（供設定頁選單使用）
+ * @returns {Array<Object>} 辨識服務
+ */
+export const listOcrProviders = () => Array.from(providers.values());
+
+/**
+ * 取得辨識服務
+ * @param {string} providerId - 服務 ID
+ * @returns {Object|null} 辨識服務，找不到時為 null
+ */
+export const getOcrProvider = (providerId) => providers.get(providerId) || null;
+
+/**
+ * 讀取使用中的辨識服務 ID；保存的服務已不存在時退回預設
+ * @returns {string} 服務 ID
+ */
+export const loadOcrProviderId = () => {
+    const saved = localStorage.getItem(OCR_PROVIDER_KEY);
+    return saved && providers.has(saved) ? saved : DEFAULT_OCR_PROVIDER;
+};
+
+/**
+ * 以指定的辨識服務分析影像
+ * @param {string} capturedImage - 擷取畫面 (data URL)
+ * @param {string} templateId - 模板 ID（見 OCR_TEMPLATE_IDS）
+ * @param {string} providerId - 服務 ID，預設為設定頁選擇的服務
+ * @param {Object} options - 選項
+ * @param {AbortSignal} [options.signal] - 取消訊號
+ * @returns {Promise<Object>} { data, warnings, template }，template 為 { id, version, provider }
+ */
+export const runOcrProvider = async (capturedImage, templateId, providerId = loadOcrProviderId(), { signal } = {}) => {
+    const provider = getOcrProvider(providerId);
+    if (!provider) {
+        throw new Error(`未知的辨識服務：${providerId}`);
+    }
+    if (!provider.templates.includes(templateId)) {
+        throw new Error(`${provider.label} 不支援此辨識模式`);
+    }
+    if (!provider.isAvailable()) {
+        throw new Error(`${provider.label} 目前無法使用`);
+    }
+    const result = await provider.analyze(capturedImage, templateId, { signal });
+    return {
+        data: result.data,
+        warnings: result.warnings || [],
+        template: { ...(result.template || { id: templateId, version: null }), provider: provider.id }
+    };
+};
@@ -0,0 +1,133 @@
+/**
+ * OCR 辨識服務的測試檔案：以離線模擬服務走完拍攝 → 辨識 → 寫入內容的流程
+ */
+
+import {
+    OCR_PROVIDER_IDS,
+    OCR_PROVIDER_KEY,
+    OCR_TEMPLATE_IDS,
+    DEFAULT_OCR_PROVIDER,
+    registerOcrProvider,
+    getOcrProvider,
+    loadOcrProviderId,
+    runOcrProvider
+} from './ocrProviders';
+import { analyzePriceTagImage, analyzeImageWithTemplate } from './ocrAnalysis';
+import { buildReceiptItemCards } from './receiptScan';
+import { buildPriceRecordPayload } from './priceRecordPayload';
+import { calculateFinalPrice } from './priceCalculations';
+
+const IMAGE = 'data:image/jpeg;base64,AAAA';
+
+const originalFetch = global.fetch;
+
+beforeEach(() => {
+    localStorage.clear();
+    global.fetch = jest.fn(() => Promise.reject(new Error('不應呼叫網路')));
+});
+
+afterEach(() => {
+    global.fetch = originalFetch;
+});
+
+describe('辨識服務選擇', () => {
+    it('未設定或設定已失效時使用預設服務', () => {
+        expect(loadOcrProviderId()).toBe(DEFAULT_OCR_PROVIDER);
+        localStorage.setItem(OCR_PROVIDER_KEY, 'removed');
+        expect(loadOcrProviderId()).toBe(DEFAULT_OCR_PROVIDER);
+        localStorage.setItem(OCR_PROVIDER_KEY, OCR_PROVIDER_IDS.MOCK);
+        expect(loadOcrProviderId()).toBe(OCR_PROVIDER_IDS.MOCK);
+    });
+
+    it('未指定服務時使用設定頁選擇的服務', async () => {
+        localStorage.setItem(OCR_PROVIDER_KEY, OCR_PROVIDER_IDS.MOCK);
+        const result = await runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL);
+        expect(result.template).toEqual({ id: OCR_TEMPLATE_IDS.SHELF_LABEL, version: 0, provider: OCR_PROVIDER_IDS.MOCK });
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('拒絕不支援模板或無法使用的服務', async () => {
+        registerOcrProvider({
+            id: 'onDevice',
+            label: '裝置端',
+            templates: [OCR_TEMPLATE_IDS.SHELF_LABEL],
+            isAvailable: () => false,
+            analyze: jest.fn()
+        });
+        await expect(runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.RECEIPT, 'onDevice')).rejects.toThrow('不支援');
+        await expect(runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, 'onDevice')).rejects.toThrow('無法使用');
+        expect(getOcrProvider('onDevice').analyze).not.toHaveBeenCalled();
+        await expect(runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, 'unknown')).rejects.toThrow('未知的辨識服務');
+    });
+});
+
+describe('模擬服務', () => {
+    it('同一張影像得到相同結果', async () => {
+        const first = await runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, OCR_PROVIDER_IDS.MOCK);
+        const second = await runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, OCR_PROVIDER_IDS.MOCK);
+        expect(second).toEqual(first);
+        first.data.productName = '已修改';
+        const third = await runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, OCR_PROVIDER_IDS.MOCK);
+        expect(third.data.productName).not.toBe('已修改');
+    });
+
+    it('價格標籤可直接產生價格記錄', async () => {
+        const formData = await analyzePriceTagImage(IMAGE, null, { providerId: OCR_PROVIDER_IDS.MOCK });
+        const payload = buildPriceRecordPayload({
+            barcode: formData.scannedBarcode,
+            productName: formData.productName,
+            storeName: formData.storeName,
+            price: calculateFinalPrice(formData.extractedPrice, formData.specialPrice),
+            quantity: formData.quantity,
+            unitType: formData.unitType,
+            discountDetails: formData.discountDetails,
+            originalPrice: formData.originalPrice,
+            specialPrice: formData.specialPrice,
+            ocrTemplate: formData.ocrTemplate,
+            fieldConfidence: formData.fieldConfidence,
+            recordedBy: 'test'
+        });
+        expect(payload.isValid).toBe(true);
+        expect(payload.priceRecord.ocrTemplate.provider).toBe(OCR_PROVIDER_IDS.MOCK);
+        expect(payload.priceRecord.productName).toBe(formData.productName);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('收據展開為品項卡片', async () => {
+        const { data, warnings, template } = await runOcrProvider(IMAGE, OCR_TEMPLATE_IDS.RECEIPT, OCR_PROVIDER_IDS.MOCK);
+        const cards = buildReceiptItemCards(data, { products: [], productSpecs: {}, warnings, template });
+        expect(cards).toHaveLength(data.items.length);
+        cards.forEach(card => expect(card.ocrTemplate.provider).toBe(OCR_PROVIDER_IDS.MOCK));
+    });
+});
+
+describe('辨識結果快取', () => {
+    let analyzeCount = 0;
+
+    beforeAll(() => {
+        registerOcrProvider({
+            id: 'counting',
+            label: '計數',
+            templates: [OCR_TEMPLATE_IDS.SHELF_LABEL],
+            analyze: async () => {
+                analyzeCount++;
+                return { data: { productName: '快取測試' }, warnings: [] };
+            }
+        });
+    });
+
+    it('雜湊相近的畫面沿用先前的結果', async () => {
+        const first = await analyzeImageWithTemplate(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, { providerId: 'counting', imageHash: 'ffff0000ffff0000' });
+        // 相差 2 個位元，視為同一張畫面
+        const second = await analyzeImageWithTemplate(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, { providerId: 'counting', imageHash: 'ffff0000ffff0003' });
+        expect(first.fromCache).toBe(false);
+        expect(second.fromCache).toBe(true);
+        expect(second.data).toEqual(first.data);
+        expect(analyzeCount).toBe(1);
+
+        // 完全不同的畫面或沒有雜湊時重新分析
+        await analyzeImageWithTemplate(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, { providerId: 'counting', imageHash: '0000ffff0000ffff' });
+        await analyzeImageWithTemplate(IMAGE, OCR_TEMPLATE_IDS.SHELF_LABEL, { providerId: 'counting' });
+        expect(analyzeCount).toBe(3);
+    });
+});
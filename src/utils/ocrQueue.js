@@ -0,0 +1,84 @@
+// 待辨識序列（拍完再確認）
+// 每張擷取畫面都會成為一張卡片並保存在 localStorage 'pendingOcrCards'，
+// 在背景進行 AI 分析；卡片可在序列中編輯後逐張或批次儲存。
+import { v4 as uuidv4 } from 'uuid';
+import { compressImage } from './imageUtils';
+import { OCR_TEMPLATE_IDS } from './ocrAnalysis';
+
+export const PENDING_OCR_CARDS_KEY = 'pendingOcrCards';
+
+export const OCR_CARD_STATUS = {
+    ANALYZING: 'analyzing',
+    READY: 'ready',
+    FAILED: 'failed'
+};
+
+// 卡片保存的擷取畫面尺寸：保留足夠解析度供重試分析，同時避免塞滿 localStorage
+const CARD_IMAGE_OPTIONS = { maxDimension: 1024, quality: 0.7 };
+// 收據字小且細長，保留較高解析度；分析完成後收據卡片即展開為品項卡片，不會長期佔用空間
+const RECEIPT_IMAGE_OPTIONS = { maxDimension: 1600, quality: 0.75 };
+
+/**
+ * 從 localStorage 讀取待辨識卡片
+ * 上次關閉頁面時仍在分析中的卡片無法繼續，改標記為失敗以便重試
+ * @returns {Array<Object>} 卡片
+ */
+export const loadPendingOcrCards = () => {
+    try {
+        const saved = localStorage.getItem(PENDING_OCR_CARDS_KEY);
+        const cards = saved ? JSON.parse(saved) : [];
+        if (!Array.isArray(cards)) {
+            return [];
+        }
+        return cards.map(card => (
+            card.status === OCR_CARD_STATUS.ANALYZING
+                ? { ...card, status: OCR_CARD_STATUS.FAILED, error: '分析已中斷，請重試' }
+                : card
+        ));
+    } catch (error) {
+        console.error("讀取待辨識卡片失敗:", error);
+        return [];
+    }
+};
+
+/**
+ * 將待辨識卡片寫入 localStorage
+ * @param {Array<Object>} cards - 卡片
+ * @returns {boolean} 是否寫入成功（空間不足時為 false）
+ */
+export const savePendingOcrCards = (cards) => {
+    try {
+        localStorage.setItem(PENDING_OCR_CARDS_KEY, JSON.stringify(cards));
+        return true;
+    } catch (error) {
+        console.error("儲存待辨識卡片失敗:", error);
+        return false;
+    }
+};
+
+/**
+ * 以擷取畫面建立一張分析中的卡片
+ * @param {string} capturedImage - 擷取畫面 (data URL)
+ * @param {string|null} lockedBarcode - 鏡頭解碼鎖定的條碼
+ * @param {string} templateId - 分析使用的擷取模板（價格標籤或收據）
+ * @param {string|null} imageHash - 擷取畫面的感知雜湊，用於沿用快取的辨識結果
+ * @returns {Promise<Object>} 卡片
+ */
+export const createOcrCard = async (capturedImage, lockedBarcode = null, templateId = OCR_TEMPLATE_IDS.SHELF_LABEL, imageHash = null) => {
+    let image = capturedImage;
+    try {
+        image = await compressImage(capturedImage, templateId === OCR_TEMPLATE_IDS.RECEIPT ? RECEIPT_IMAGE_OPTIONS : CARD_IMAGE_OPTIONS);
+    } catch (error) {
+        console.warn("壓縮擷取畫面失敗，保留原始影像:", error);
+    }
+    return {
+        id: uuidv4(),
+        timestamp: Date.now(),
+        status: OCR_CARD_STATUS.ANALYZING,
+        error: null,
+        templateId,
+        lockedBarcode,
+        imageHash,
+        capturedImage: image
+    };
+};
@@ -0,0 +1,289 @@
+// 離線優先的價格記錄寫入佇列 (Outbox)
+// 儲存時先寫入 IndexedDB（LOCAL），連線時依擷取時間順序同步到 Firestore：
+// LOCAL → SYNCING → SYNCED；失敗時標記為 FAILED，並以指數退避重試。
+// 重試次數用盡或錯誤不可能因重試而成功（例如權限不足）時標記為 REJECTED，不再自動重試，也不會擋住後續項目。
+// 瀏覽器無法使用 IndexedDB（例如私密瀏覽）時，儲存改為直接寫入 Firestore。
+import { doc, getDoc, setDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { v4 as uuidv4 } from 'uuid';
+import { resolveProductId } from './productIdentity';
+import { flagAnomalousPrice } from './anomalyDetection';
+import { recomputeProductAggregates } from './productAggregates';
+
+export const SYNC_STATUS = {
+    LOCAL: 'LOCAL',
+    SYNCING: 'SYNCING',
+    SYNCED: 'SYNCED',
+    FAILED: 'FAILED',
+    REJECTED: 'REJECTED'
+};
+
+const DB_NAME = 'barcodePricingOutbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'priceRecordOutbox';
+
+// 重試退避：2 秒起跳，每次加倍，最長 5 分鐘
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// 自動重試的次數上限（依退避時間約 10 到 20 分鐘），用盡後標記為 REJECTED
+export const MAX_SYNC_ATTEMPTS = 10;
+
+// 重試也不會成功的 Firestore 錯誤
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument'];
+
+// 已同步的項目保留一天，供今日掃描顯示同步狀態
+const SYNCED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+let currentSync = null;
+let queuedSync = null;
+
+/**
+ * 開啟 IndexedDB（只開啟一次）
+ * @returns {Promise<IDBDatabase>} 資料庫
+ */
+const openOutboxDb = () => {
+    if (dbPromise) {
+        return dbPromise;
+    }
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('此瀏覽器不支援 IndexedDB'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'localId' });
+            store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+};
+
+/**
+ * 在 object store 上執行一個請求
+ * @param {string} mode - 'readonly' 或 'readwrite'
+ * @param {Function} operation - 接收 store 並回傳 IDBRequest
+ * @returns {Promise<any>} 請求結果
+ */
+const withStore = async (mode, operation) => {
+    const database = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * 計算下一次重試的延遲（指數退避加隨機抖動）
+ * @param {number} attempts - 已嘗試次數
+ * @returns {number} 延遲毫秒數
+ */
+export const getRetryDelay = (attempts) => {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_MS);
+    return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * 列出佇列中的所有項目（依擷取時間排序）
+ * @returns {Promise<Array<Object>>} 佇列項目
+ */
+export const listOutboxEntries = async () => {
+    const entries = await withStore('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+const putEntry = (entry) => withStore('readwrite', store => store.put(entry));
+
+/**
+ * 將一筆價格記錄加入佇列；無法使用 IndexedDB 時直接寫入 Firestore
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} payload - 寫入內容
+ * @param {string|null} payload.productId - 產品 ID（無條碼產品為 null；同步時重新解析，尚未遷移的舊產品改用舊版 ID）
+ * @param {Object} payload.productData - 產品文件欄位（不含 createdAt）
+ * @param {Object} payload.priceRecord - 價格記錄欄位（不含 numericalID 與 timestamp）
+ * @param {Object|null} payload.anomalyResult - 異常檢測結果
+ * @param {string|null} payload.photo - 異常時保存的擷取畫面
+ * @returns {Promise<Object>} 佇列項目（直接寫入時狀態為 SYNCED）
+ */
+export const enqueuePriceRecord = async (db, payload) => {
+    const entry = {
+        localId: uuidv4(),
+        createdAt: Date.now(),
+        status: SYNC_STATUS.LOCAL,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        remoteId: null,
+        payload
+    };
+    try {
+        await putEntry(entry);
+        return entry;
+    } catch (error) {
+        console.warn("無法寫入離線佇列，直接寫入 Firestore:", error);
+    }
+    const { remoteId, productId } = await writeEntry(db, entry);
+    return { ...entry, status: SYNC_STATUS.SYNCED, remoteId, payload: { ...payload, productId, photo: null } };
+};
+
+/**
+ * 將失敗或已放棄的項目設為立即重試（已放棄的項目重新計算重試次數）
+ * @param {string} localId - 佇列項目 ID
+ * @returns {Promise<void>}
+ */
+export const retryOutboxEntry = async (localId) => {
+    const entry = await withStore('readonly', store => store.get(localId));
+    if (entry && entry.status === SYNC_STATUS.FAILED) {
+        await putEntry({ ...entry, status: SYNC_STATUS.LOCAL, nextAttemptAt: 0 });
+    } else if (entry && entry.status === SYNC_STATUS.REJECTED) {
+        await putEntry({ ...entry, status: SYNC_STATUS.LOCAL, attempts: 0, nextAttemptAt: 0 });
+    }
+};
+
+/**
+ * 捨棄無法同步的項目
+ * @param {string} localId - 佇列項目 ID
+ * @returns {Promise<void>}
+ */
+export const discardOutboxEntry = async (localId) => {
+    const entry = await withStore('readonly', store => store.get(localId));
+    if (entry && entry.status === SYNC_STATUS.REJECTED) {
+        await withStore('readwrite', store => store.delete(localId));
+    }
+};
+
+/**
+ * 將一筆佇列項目寫入 Firestore
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} entry - 佇列項目
+ * @returns {Promise<{remoteId: string, productId: string}>} 寫入結果
+ */
+const writeEntry = async (db, entry) => {
+    const { productData, priceRecord, anomalyResult, photo } = entry.payload;
+
+    // 無條碼產品在同步時才以「品名@商店」找回既有的 UUID，避免離線時產生重複產品；
+    // 尚未執行 ID 遷移的舊產品改寫入舊版 ID，同一產品的記錄才不會分散在兩個 ID
+    const resolved = await resolveProductId(db, productData.barcodeData, productData.productName, priceRecord.storeName);
+    const productId = resolved.productId || entry.payload.productId;
+    const nameStoreKey = resolved.nameStoreKey || entry.payload.nameStoreKey;
+    if (!productId) {
+        throw new Error('無法解析產品 ID');
+    }
+
+    const productRef = doc(db, "products", productId);
+    const productSnap = await getDoc(productRef);
+    await setDoc(productRef, {
+        ...productData,
+        numericalID: productId,
+        nameStoreKey: nameStoreKey || null,
+        createdAt: productSnap.exists() ? productSnap.data().createdAt : serverTimestamp()
+    }, { merge: true });
+
+    // 以佇列 ID 作為文件 ID，重試時覆寫同一份文件而不會重複新增；
+    // 以本機擷取時間作為記錄時間，離線期間的記錄依實際順序排列
+    const recordRef = doc(db, "priceRecords", entry.localId);
+    await setDoc(recordRef, {
+        ...priceRecord,
+        numericalID: productId,
+        timestamp: Timestamp.fromMillis(entry.createdAt),
+        syncedAt: serverTimestamp()
+    });
+
+    if (anomalyResult && anomalyResult.isAnomalous) {
+        try {
+            await flagAnomalousPrice(db, recordRef.id, anomalyResult, { photo });
+        } catch (error) {
+            console.error("標記異常價格失敗:", error);
+        }
+    }
+
+    await recomputeProductAggregates(db, productId);
+    return { remoteId: recordRef.id, productId };
+};
+
+const runSync = async (db, onEntryChange) => {
+    const result = { synced: [], failed: null, rejected: [] };
+    const now = Date.now();
+    const entries = await listOutboxEntries();
+
+    // 清除已同步超過保留期限的項目
+    for (const entry of entries) {
+        if (entry.status === SYNC_STATUS.SYNCED && now - entry.createdAt > SYNCED_RETENTION_MS) {
+            await withStore('readwrite', store => store.delete(entry.localId));
+        }
+    }
+
+    // 上次中斷在 SYNCING 的項目視為尚未同步；已放棄的項目等待使用者處理
+    const pending = entries.filter(entry => entry.status !== SYNC_STATUS.SYNCED && entry.status !== SYNC_STATUS.REJECTED);
+    for (const entry of pending) {
+        if (entry.nextAttemptAt > now) {
+            break; // 尚未到重試時間，後續項目也須等待以維持順序
+        }
+
+        const syncing = { ...entry, status: SYNC_STATUS.SYNCING };
+        await putEntry(syncing);
+        if (onEntryChange) onEntryChange(syncing);
+
+        try {
+            const { remoteId, productId } = await writeEntry(db, entry);
+            const synced = { ...syncing, status: SYNC_STATUS.SYNCED, remoteId, lastError: null, payload: { ...entry.payload, productId, photo: null } };
+            await putEntry(synced);
+            if (onEntryChange) onEntryChange(synced);
+            result.synced.push(synced);
+        } catch (error) {
+            console.error("同步價格記錄失敗:", error);
+            const attempts = entry.attempts + 1;
+            const isRejected = attempts >= MAX_SYNC_ATTEMPTS || PERMANENT_ERROR_CODES.includes(error.code);
+            const failed = {
+                ...syncing,
+                status: isRejected ? SYNC_STATUS.REJECTED : SYNC_STATUS.FAILED,
+                attempts,
+                nextAttemptAt: isRejected ? 0 : Date.now() + getRetryDelay(attempts),
+                lastError: error.message || String(error)
+            };
+            await putEntry(failed);
+            if (onEntryChange) onEntryChange(failed);
+            if (isRejected) {
+                result.rejected.push(failed);
+                continue; // 不再重試的項目不擋住後續項目
+            }
+            result.failed = failed;
+            break;
+        }
+    }
+    return result;
+};
+
+/**
+ * 依擷取時間順序同步佇列中待處理的項目
+ * 為保持順序，遇到失敗即停止，後續項目等待下一次同步；標記為 REJECTED 的項目則略過
+ * 同步進行中再次呼叫時，等進行中的同步結束後再同步一次（剛加入的項目可能不在進行中的同步內）
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} options - 選項
+ * @param {Function} options.onEntryChange - 項目狀態變更時的回呼
+ * @returns {Promise<{synced: Array<Object>, failed: Object|null, rejected: Array<Object>}>} 同步結果
+ */
+export const syncOutbox = (db, { onEntryChange } = {}) => {
+    if (currentSync) {
+        if (!queuedSync) {
+            queuedSync = currentSync.catch(() => {}).then(() => {
+                queuedSync = null;
+                return syncOutbox(db, { onEntryChange });
+            });
+        }
+        return queuedSync;
+    }
+    currentSync = runSync(db, onEntryChange).finally(() => {
+        currentSync = null;
+    });
+    return currentSync;
+};
@@ -1,11 +1,24 @@
-export const calculateUnitPrice = (price, quantity, unitType) => {
+// 價格與單位計算（前端與 netlify/functions 共用，函式打包時會一併納入，因此不可 import 其他模組或使用瀏覽器 API）
+
+/**
+ * 計算可比較的正規化單價
+ * 數量先換算為基礎單位 (g / ml / pcs)，質量與容量回傳每 100 基礎單位的價格，數量回傳每個的價格
+ * @param {number|string} price - 總價
+ * @param {number|string} quantity - 每包數量
+ * @param {string} unitType - 單位，例如 'g'、'kg'、'斤'、'L'、'盒'
+ * @param {number|string} packCount - 包數（多入組），預設為 1
+ * @returns {number|null} 單價，輸入無效時為 null
+ */
+export const calculateUnitPrice = (price, quantity, unitType, packCount = 1) => {
   const p = parseFloat(price);
-  const q = parseFloat(quantity);
-  if (isNaN(p) || isNaN(q) || q <= 0) {
+  if (isNaN(p)) {
     return null;
   }
-  // 對於 'g' 或 'ml'，計算每 100 單位的價格
-  return (unitType === 'g' || unitType === 'ml') ? (p / q) * 100 : p / q;
+  const converted = convertToBaseUnit(quantity, unitType || 'pcs', packCount);
+  if (!converted) {
+    return null;
+  }
+  return (p / converted.baseQuantity) * DIMENSION_BASE[converted.dimension].per;
 };
 
 // 新增一個函數來根據原價和特價計算最終價格
@@ -46,4 +59,390 @@ export const formatUnitPrice = (unitPrice) => {
   
   // 返回格式化後的價格
   return parsedUnitPrice.toFixed(2);
-};
\ No newline at end of file
+};
+
+// ----------------------------------------------------------------------------
+// 單位換算 (Unit Conversion)
+// ----------------------------------------------------------------------------
+
+/**
+ * 單位註冊表
+ * dimension: 計量類型 (mass 質量 / volume 容量 / count 數量)
+ * toBase: 換算為該類型基礎單位 (g / ml / pcs) 的倍數
+ */
+export const UNIT_REGISTRY = {
+  mg: { dimension: 'mass', toBase: 0.001, label: 'mg (毫克)' },
+  g: { dimension: 'mass', toBase: 1, label: 'g (克)' },
+  kg: { dimension: 'mass', toBase: 1000, label: 'kg (公斤)' },
+  '斤': { dimension: 'mass', toBase: 600, label: '斤 (台斤 600g)' },
+  '台兩': { dimension: 'mass', toBase: 37.5, label: '台兩 (37.5g)' },
+  ml: { dimension: 'volume', toBase: 1, label: 'ml (毫升)' },
+  L: { dimension: 'volume', toBase: 1000, label: 'L (公升)' },
+  pcs: { dimension: 'count', toBase: 1, label: 'pcs (個/支/條)' },
+  '包': { dimension: 'count', toBase: 1, label: '包' },
+  '盒': { dimension: 'count', toBase: 1, label: '盒' },
+  '入': { dimension: 'count', toBase: 1, label: '入' },
+};
+
+/**
+ * 各計量類型的基礎單位與比價基準
+ * 質量與容量以每 100 基礎單位比價，數量以每 1 個比價
+ */
+export const DIMENSION_BASE = {
+  mass: { baseUnit: 'g', per: 100, label: '每100g' },
+  volume: { baseUnit: 'ml', per: 100, label: '每100ml' },
+  count: { baseUnit: 'pcs', per: 1, label: '每個' },
+};
+
+// 下拉選單用的單位選項
+export const UNIT_OPTIONS = Object.entries(UNIT_REGISTRY).map(([value, def]) => ({ value, label: def.label }));
+
+// 常見的單位寫法對應到註冊表中的單位
+const UNIT_ALIASES = {
+  'mg': 'mg', '毫克': 'mg', 'g': 'g', 'gm': 'g', 'gram': 'g', 'grams': 'g', '克': 'g', '公克': 'g',
+  'kg': 'kg', 'kgs': 'kg', '公斤': 'kg', '千克': 'kg', '台斤': '斤', '兩': '台兩',
+  'ml': 'ml', 'cc': 'ml', '毫升': 'ml', 'l': 'L', 'lt': 'L', '公升': 'L', '升': 'L',
+  'pc': 'pcs', 'pcs': 'pcs', '個': 'pcs', '支': 'pcs', '條': 'pcs', '顆': 'pcs', '片': 'pcs', '瓶': 'pcs', '罐': 'pcs',
+  '袋': '包',
+};
+
+/**
+ * 將任意寫法的單位轉換為註冊表中的單位
+ * @param {string} unit - 單位字串，例如 'KG'、'公升'、'cc'
+ * @returns {string|null} 註冊表中的單位，無法辨識時為 null
+ */
+export const normalizeUnit = (unit) => {
+  if (unit == null) {
+    return null;
+  }
+  const trimmed = String(unit).trim();
+  if (UNIT_REGISTRY[trimmed]) {
+    return trimmed;
+  }
+  return UNIT_ALIASES[trimmed.toLowerCase()] || null;
+};
+
+/**
+ * 取得單位的計量類型
+ * @param {string} unitType - 單位
+ * @returns {string|null} 'mass'、'volume'、'count'，未知單位為 null
+ */
+export const getUnitDimension = (unitType) => {
+  const unit = normalizeUnit(unitType);
+  return unit ? UNIT_REGISTRY[unit].dimension : null;
+};
+
+/**
+ * 將數量換算為基礎單位
+ * @param {number|string} quantity - 每包數量
+ * @param {string} unitType - 單位
+ * @param {number|string} packCount - 包數（多入組），預設為 1
+ * @returns {{baseQuantity: number, baseUnit: string, dimension: string}|null} 換算結果
+ */
+export const convertToBaseUnit = (quantity, unitType, packCount = 1) => {
+  const q = parseFloat(quantity);
+  const packs = packCount === '' || packCount == null ? 1 : parseFloat(packCount);
+  const unit = normalizeUnit(unitType);
+  if (isNaN(q) || q <= 0 || isNaN(packs) || packs <= 0 || !unit) {
+    return null;
+  }
+  const { dimension, toBase } = UNIT_REGISTRY[unit];
+  return {
+    baseQuantity: q * packs * toBase,
+    baseUnit: DIMENSION_BASE[dimension].baseUnit,
+    dimension,
+  };
+};
+
+/**
+ * 取得單價的顯示標籤，例如「每100g」
+ * @param {string} unitType - 單位
+ * @returns {string} 顯示標籤
+ */
+export const getUnitPriceLabel = (unitType) => {
+  const dimension = getUnitDimension(unitType);
+  return dimension ? DIMENSION_BASE[dimension].label : '每單位';
+};
+
+/**
+ * 判斷兩筆記錄的單價是否可以互相比較（同一計量類型）
+ * 舊記錄只有 'g'、'ml'、'pcs'，也能透過 unitType 推得計量類型
+ * @param {Object} a - 價格記錄
+ * @param {Object} b - 價格記錄
+ * @returns {boolean} 是否可比較
+ */
+export const areUnitsComparable = (a, b) => {
+  const dimensionA = a.unitDimension || getUnitDimension(a.unitType);
+  const dimensionB = b.unitDimension || getUnitDimension(b.unitType);
+  return !!dimensionA && dimensionA === dimensionB;
+};
+
+// ----------------------------------------------------------------------------
+// 促銷規則 (Promotion Rules)
+// ----------------------------------------------------------------------------
+
+// 比價基準：標價單價或促銷後的有效單價
+export const PRICE_BASIS = {
+  SHELF: 'shelf',
+  EFFECTIVE: 'effective',
+};
+
+const CHINESE_DIGITS = { '零': 0, '一': 1, '二': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+
+// 數字或中文數字（至九十九）
+const NUM = '(\\d+(?:\\.\\d+)?|[零一二兩三四五六七八九十]+)';
+
+/**
+ * 解析阿拉伯數字或中文數字，例如 '3'、'二'、'十二'
+ * @param {string} text - 數字字串
+ * @returns {number} 數值，無法解析時為 NaN
+ */
+const parseNumber = (text) => {
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  if (!/^[零一二兩三四五六七八九十]+$/.test(text)) {
+    return NaN;
+  }
+  const tenIndex = text.indexOf('十');
+  if (tenIndex === -1) {
+    return text.split('').reduce((value, char) => value * 10 + CHINESE_DIGITS[char], 0);
+  }
+  const tens = tenIndex === 0 ? 1 : CHINESE_DIGITS[text[tenIndex - 1]];
+  const ones = tenIndex === text.length - 1 ? 0 : CHINESE_DIGITS[text[tenIndex + 1]];
+  return tens * 10 + ones;
+};
+
+/**
+ * 將「N折」換算為折扣率：8折 → 0.8、75折 → 0.75、6.5折 → 0.65
+ * @param {string} text - 折數字串
+ * @returns {number} 折扣率 (0-1)
+ */
+const parseDiscountRate = (text) => {
+  const value = parseNumber(text);
+  if (isNaN(value) || value <= 0) {
+    return NaN;
+  }
+  return value < 10 ? value / 10 : value / 100;
+};
+
+// 促銷規則：依序比對，第一個符合的規則生效
+const PROMOTION_RULES = [
+  {
+    // 買一送一、買2送1
+    pattern: new RegExp(`買${NUM}[件個入瓶包盒罐]?送${NUM}`),
+    build: (m) => ({ type: 'buyGet', buy: parseNumber(m[1]), get: parseNumber(m[2]) }),
+  },
+  {
+    // 第二件半價、第2件6折、第二件10元、第二件免費
+    pattern: new RegExp(`第${NUM}件(?:${NUM}折|(半價)|(\\d+(?:\\.\\d+)?)元|(免費|0元))`),
+    build: (m) => {
+      const nth = parseNumber(m[1]);
+      if (m[3]) return { type: 'nthItem', nth, rate: 0.5 };
+      if (m[4]) return { type: 'nthItem', nth, fixedPrice: parseFloat(m[4]) };
+      if (m[5]) return { type: 'nthItem', nth, fixedPrice: 0 };
+      return { type: 'nthItem', nth, rate: parseDiscountRate(m[2]) };
+    },
+  },
+  {
+    // 滿1000打9折
+    pattern: new RegExp(`(每)?滿(\\d+)元?打${NUM}折`),
+    build: (m) => ({ type: 'thresholdPercent', threshold: parseFloat(m[2]), rate: parseDiscountRate(m[3]) }),
+  },
+  {
+    // 滿199折20、每滿100現折10
+    pattern: /(每)?滿(\d+)元?現?折(\d+)元?/,
+    build: (m) => ({ type: 'thresholdAmount', threshold: parseFloat(m[2]), amountOff: parseFloat(m[3]), repeat: !!m[1] }),
+  },
+  {
+    // 2件8折、任選3件75折、買3件打9折、3入以上85折（達到件數才打折）
+    pattern: new RegExp(`${NUM}[件個入瓶包盒罐](?:以上)?打?${NUM}折`),
+    build: (m) => ({ type: 'multiPercent', count: parseNumber(m[1]), rate: parseDiscountRate(m[2]) }),
+  },
+  {
+    // 2件99元、任選3件共100元
+    pattern: new RegExp(`${NUM}件共?(\\d+(?:\\.\\d+)?)元`),
+    build: (m) => ({ type: 'multiBuy', count: parseNumber(m[1]), bundlePrice: parseFloat(m[2]) }),
+  },
+  {
+    // 99元2件
+    pattern: new RegExp(`(\\d+(?:\\.\\d+)?)元${NUM}件`),
+    build: (m) => ({ type: 'multiBuy', count: parseNumber(m[2]), bundlePrice: parseFloat(m[1]) }),
+  },
+  {
+    // 現折10元、折價5元
+    pattern: /現折(\d+(?:\.\d+)?)元?|折價(\d+(?:\.\d+)?)元?/,
+    build: (m) => ({ type: 'amountOff', amountOff: parseFloat(m[1] || m[2]) }),
+  },
+  {
+    // 全面8折、打75折
+    pattern: new RegExp(`打?${NUM}折`),
+    build: (m) => ({ type: 'percent', rate: parseDiscountRate(m[1]) }),
+  },
+];
+
+const isValidPromotion = (promotion) => Object.entries(promotion).every(([key, value]) => {
+  if (typeof value !== 'number') return true;
+  if (isNaN(value) || value < 0) return false;
+  if (key === 'rate') return value > 0 && value < 1;
+  if (['buy', 'get', 'nth', 'count', 'threshold'].includes(key)) return value >= 1;
+  return true;
+});
+
+/**
+ * 解析促銷文字，例如「買一送一」、「第二件半價」、「滿199折20」
+ * @param {string} discountDetails - 促銷文字
+ * @returns {Object|null} 促銷規則（含 type 與參數），無法辨識時為 null
+ */
+export const parsePromotion = (discountDetails) => {
+  if (!discountDetails) {
+    return null;
+  }
+  // 移除空白並將全形數字轉為半形
+  const text = String(discountDetails)
+    .replace(/\s/g, '')
+    .replace(/[０-９]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/＄|\$/g, '');
+
+  for (const rule of PROMOTION_RULES) {
+    const match = text.match(rule.pattern);
+    if (match) {
+      const promotion = rule.build(match);
+      if (isValidPromotion(promotion)) {
+        return { ...promotion, source: match[0] };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * 取得觸發促銷所需的最少購買件數
+ * @param {Object} promotion - 促銷規則
+ * @param {number} itemPrice - 單件售價
+ * @returns {number} 購買件數
+ */
+export const getPromotionQuantity = (promotion, itemPrice) => {
+  if (!promotion) {
+    return 1;
+  }
+  switch (promotion.type) {
+    case 'buyGet':
+      return promotion.buy + promotion.get;
+    case 'nthItem':
+      return promotion.nth;
+    case 'multiPercent':
+    case 'multiBuy':
+      return promotion.count;
+    case 'thresholdPercent':
+    case 'thresholdAmount':
+      return itemPrice > 0 ? Math.max(1, Math.ceil(promotion.threshold / itemPrice)) : 1;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * 計算套用促銷後購買指定件數的總價
+ * @param {Object|null} promotion - 促銷規則
+ * @param {number} itemPrice - 單件售價
+ * @param {number} purchaseQuantity - 購買件數
+ * @returns {number} 總價
+ */
+export const evaluatePromotion = (promotion, itemPrice, purchaseQuantity) => {
+  const quantity = Math.max(1, Math.floor(purchaseQuantity));
+  const subtotal = itemPrice * quantity;
+  if (!promotion) {
+    return subtotal;
+  }
+
+  let total;
+  switch (promotion.type) {
+    case 'buyGet': {
+      const groupSize = promotion.buy + promotion.get;
+      const groups = Math.floor(quantity / groupSize);
+      const remainder = quantity - groups * groupSize;
+      total = (groups * promotion.buy + Math.min(remainder, promotion.buy)) * itemPrice;
+      break;
+    }
+    case 'nthItem': {
+      const discountedCount = Math.floor(quantity / promotion.nth);
+      const discountedPrice = promotion.fixedPrice !== undefined ? promotion.fixedPrice : itemPrice * promotion.rate;
+      total = (quantity - discountedCount) * itemPrice + discountedCount * discountedPrice;
+      break;
+    }
+    case 'thresholdPercent':
+      total = subtotal >= promotion.threshold ? subtotal * promotion.rate : subtotal;
+      break;
+    case 'thresholdAmount': {
+      const times = promotion.repeat ? Math.floor(subtotal / promotion.threshold) : (subtotal >= promotion.threshold ? 1 : 0);
+      total = subtotal - times * promotion.amountOff;
+      break;
+    }
+    case 'multiPercent':
+      total = quantity >= promotion.count ? subtotal * promotion.rate : subtotal;
+      break;
+    case 'multiBuy': {
+      const bundles = Math.floor(quantity / promotion.count);
+      total = bundles * promotion.bundlePrice + (quantity - bundles * promotion.count) * itemPrice;
+      break;
+    }
+    case 'amountOff':
+      total = (itemPrice - promotion.amountOff) * quantity;
+      break;
+    case 'percent':
+      total = subtotal * promotion.rate;
+      break;
+    default:
+      total = subtotal;
+  }
+
+  // 促銷不應讓價格高於原價或低於 0
+  return Math.min(subtotal, Math.max(0, total));
+};
+
+/**
+ * 依促銷文字計算每件的有效價格與有效單價
+ * @param {number|string} price - 單件售價（已套用特價）
+ * @param {string} discountDetails - 促銷文字
+ * @param {Object} options - 選項
+ * @param {number|string} options.quantity - 每包數量
+ * @param {string} options.unitType - 單位
+ * @param {number|string} options.packCount - 包數
+ * @param {number} options.purchaseQuantity - 購買件數，預設為觸發促銷所需的最少件數
+ * @returns {{promotion: Object|null, purchaseQuantity: number, effectivePrice: number|null, shelfUnitPrice: number|null, effectiveUnitPrice: number|null}}
+ */
+export const calculateEffectivePrice = (price, discountDetails, { quantity, unitType, packCount = 1, purchaseQuantity } = {}) => {
+  const itemPrice = parseFloat(price);
+  const shelfUnitPrice = calculateUnitPrice(itemPrice, quantity, unitType, packCount);
+  if (isNaN(itemPrice)) {
+    return { promotion: null, purchaseQuantity: 1, effectivePrice: null, shelfUnitPrice: null, effectiveUnitPrice: null };
+  }
+
+  const promotion = parsePromotion(discountDetails);
+  const count = purchaseQuantity || getPromotionQuantity(promotion, itemPrice);
+  const effectivePrice = evaluatePromotion(promotion, itemPrice, count) / count;
+  return {
+    promotion,
+    purchaseQuantity: count,
+    effectivePrice,
+    shelfUnitPrice,
+    effectiveUnitPrice: calculateUnitPrice(effectivePrice, quantity, unitType, packCount),
+  };
+};
+
+/**
+ * 依比價基準取得記錄的單價；舊記錄沒有有效單價時使用標價單價
+ * @param {Object} record - 價格記錄
+ * @param {string} priceBasis - PRICE_BASIS.SHELF 或 PRICE_BASIS.EFFECTIVE
+ * @returns {number|null} 單價
+ */
+export const getComparableUnitPrice = (record, priceBasis = PRICE_BASIS.SHELF) => {
+  if (!record) {
+    return null;
+  }
+  if (priceBasis === PRICE_BASIS.EFFECTIVE && record.effectiveUnitPrice != null) {
+    return record.effectiveUnitPrice;
+  }
+  return record.unitPrice ?? null;
+};
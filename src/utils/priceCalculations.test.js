@@ -0,0 +1,123 @@
+/**
+ * 促銷文字解析與有效價格計算的測試檔案
+ */
+
+import { parsePromotion, getPromotionQuantity, evaluatePromotion, calculateEffectivePrice, calculateUnitPrice, normalizeUnit, convertToBaseUnit } from './priceCalculations';
+
+describe('normalizeUnit', () => {
+    it('不分大小寫辨識單位寫法', () => {
+        expect(normalizeUnit('MG')).toBe('mg');
+        expect(normalizeUnit('mg')).toBe('mg');
+        expect(normalizeUnit('KG')).toBe('kg');
+        expect(normalizeUnit('ML')).toBe('ml');
+        expect(normalizeUnit(' l ')).toBe('L');
+        expect(normalizeUnit('公升')).toBe('L');
+        expect(normalizeUnit('打')).toBeNull();
+    });
+
+    it('大寫 MG 的規格可以換算為基礎單位', () => {
+        expect(convertToBaseUnit(500, 'MG')).toMatchObject({ baseQuantity: 0.5, baseUnit: 'g', dimension: 'mass' });
+    });
+});
+
+describe('parsePromotion', () => {
+    it.each([
+        ['買一送一', { type: 'buyGet', buy: 1, get: 1 }],
+        ['買2瓶送1', { type: 'buyGet', buy: 2, get: 1 }],
+        ['第二件半價', { type: 'nthItem', nth: 2, rate: 0.5 }],
+        ['第2件6折', { type: 'nthItem', nth: 2, rate: 0.6 }],
+        ['第二件10元', { type: 'nthItem', nth: 2, fixedPrice: 10 }],
+        ['第三件免費', { type: 'nthItem', nth: 3, fixedPrice: 0 }],
+        ['滿1000打9折', { type: 'thresholdPercent', threshold: 1000, rate: 0.9 }],
+        ['滿199折20', { type: 'thresholdAmount', threshold: 199, amountOff: 20, repeat: false }],
+        ['每滿100現折10', { type: 'thresholdAmount', threshold: 100, amountOff: 10, repeat: true }],
+        ['2件8折', { type: 'multiPercent', count: 2, rate: 0.8 }],
+        ['任選3件75折', { type: 'multiPercent', count: 3, rate: 0.75 }],
+        ['買3件打9折', { type: 'multiPercent', count: 3, rate: 0.9 }],
+        ['3入以上85折', { type: 'multiPercent', count: 3, rate: 0.85 }],
+        ['2件99元', { type: 'multiBuy', count: 2, bundlePrice: 99 }],
+        ['任選3件共100元', { type: 'multiBuy', count: 3, bundlePrice: 100 }],
+        ['99元2件', { type: 'multiBuy', count: 2, bundlePrice: 99 }],
+        ['現折10元', { type: 'amountOff', amountOff: 10 }],
+        ['折價5元', { type: 'amountOff', amountOff: 5 }],
+        ['全面8折', { type: 'percent', rate: 0.8 }],
+        ['打75折', { type: 'percent', rate: 0.75 }]
+    ])('%s', (text, expected) => {
+        expect(parsePromotion(text)).toMatchObject(expected);
+    });
+
+    it('忽略空白、全形數字與金額符號，並保留符合的原文', () => {
+        expect(parsePromotion(' 第 ２ 件 $10 元')).toEqual({ type: 'nthItem', nth: 2, fixedPrice: 10, source: '第2件10元' });
+    });
+
+    it('無法辨識或數值不合理時回傳 null', () => {
+        expect(parsePromotion('')).toBeNull();
+        expect(parsePromotion('會員價')).toBeNull();
+        expect(parsePromotion('買0送1')).toBeNull();
+    });
+});
+
+describe('getPromotionQuantity', () => {
+    it('回傳觸發促銷所需的最少件數', () => {
+        expect(getPromotionQuantity(null, 50)).toBe(1);
+        expect(getPromotionQuantity(parsePromotion('買2送1'), 50)).toBe(3);
+        expect(getPromotionQuantity(parsePromotion('第二件半價'), 50)).toBe(2);
+        expect(getPromotionQuantity(parsePromotion('買3件打9折'), 50)).toBe(3);
+        expect(getPromotionQuantity(parsePromotion('滿199折20'), 50)).toBe(4);
+        expect(getPromotionQuantity(parsePromotion('全面8折'), 50)).toBe(1);
+    });
+});
+
+describe('evaluatePromotion', () => {
+    const total = (text, itemPrice, quantity) => evaluatePromotion(parsePromotion(text), itemPrice, quantity);
+
+    it('買N送M：每組只付 N 件', () => {
+        expect(total('買一送一', 50, 2)).toBe(50);
+        expect(total('買一送一', 50, 3)).toBe(100);
+    });
+
+    it('第N件：折扣、固定價格與免費', () => {
+        expect(total('第二件半價', 100, 2)).toBe(150);
+        expect(total('第二件10元', 100, 2)).toBe(110);
+        expect(total('第三件免費', 100, 3)).toBe(200);
+    });
+
+    it('滿額打折與滿額折抵', () => {
+        expect(total('滿1000打9折', 500, 2)).toBe(900);
+        expect(total('滿1000打9折', 500, 1)).toBe(500);
+        expect(total('滿199折20', 100, 2)).toBe(180);
+        expect(total('每滿100現折10', 60, 4)).toBe(220);
+    });
+
+    it('達到件數才打折，未達件數維持原價', () => {
+        expect(total('買3件打9折', 100, 3)).toBe(270);
+        expect(total('買3件打9折', 100, 2)).toBe(200);
+    });
+
+    it('組合價：超出的件數以原價計算', () => {
+        expect(total('2件99元', 60, 3)).toBe(159);
+        expect(total('99元2件', 60, 2)).toBe(99);
+    });
+
+    it('現折與全面折扣，總價不低於 0 也不高於原價', () => {
+        expect(total('現折10元', 50, 1)).toBe(40);
+        expect(total('現折80元', 50, 1)).toBe(0);
+        expect(total('全面8折', 100, 1)).toBe(80);
+        expect(total('2件99元', 40, 2)).toBe(80);
+    });
+});
+
+describe('calculateEffectivePrice', () => {
+    it('以觸發促銷的最少件數計算每件有效價格與有效單價', () => {
+        const result = calculateEffectivePrice(100, '買3件打9折', { quantity: 500, unitType: 'g' });
+        expect(result.purchaseQuantity).toBe(3);
+        expect(result.effectivePrice).toBeCloseTo(90);
+        expect(result.effectiveUnitPrice).toBeCloseTo(calculateUnitPrice(90, 500, 'g'));
+        expect(result.shelfUnitPrice).toBe(calculateUnitPrice(100, 500, 'g'));
+    });
+
+    it('沒有促銷時有效價格等於售價', () => {
+        const result = calculateEffectivePrice('45', '', { quantity: 1, unitType: 'pcs' });
+        expect(result).toMatchObject({ promotion: null, purchaseQuantity: 1, effectivePrice: 45 });
+    });
+});
@@ -0,0 +1,164 @@
+// 價格記錄匯出
+// 把所有記錄頁目前顯示（篩選後）的產品與價格記錄匯出為 CSV 或 XLSX，
+// 可以每筆記錄一列，或每個產品一列（最新一筆記錄與單價統計）。
+// CSV 以 UTF-8 加上 BOM 輸出，Excel 開啟時中文才不會變成亂碼。
+import { areUnitsComparable, getUnitPriceLabel } from './priceCalculations';
+import { createXlsx, XLSX_MIME_TYPE } from './xlsxWriter';
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    XLSX: 'xlsx'
+};
+
+export const EXPORT_LAYOUTS = {
+    RECORDS: 'records', // 每筆記錄一列
+    PRODUCTS: 'products' // 每個產品一列
+};
+
+const toDate = (timestamp) => {
+    if (!timestamp) return null;
+    const date = typeof timestamp.toDate === 'function' ? timestamp.toDate() : new Date(timestamp);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+const round = (value) => (value == null ? null : Math.round(value * 100) / 100);
+
+const getBarcode = (product) => product.barcodeData || product.gtin14 || '';
+
+// 每筆記錄共用的欄位
+const RECORD_FIELDS = [
+    { header: '商店', value: record => record.storeName || '' },
+    { header: '價格', value: record => toNumber(record.price) },
+    { header: '原價', value: record => toNumber(record.originalPrice) },
+    { header: '特價', value: record => toNumber(record.specialPrice) },
+    { header: '數量', value: record => toNumber(record.quantity) },
+    { header: '單位', value: record => record.unitType || '' },
+    { header: '單價', value: record => round(toNumber(record.unitPrice)) },
+    { header: '單價基準', value: record => (record.unitPrice != null ? getUnitPriceLabel(record.unitType) : '') },
+    { header: '折扣', value: record => record.discountDetails || '' },
+    { header: '記錄時間', value: record => toDate(record.timestamp) },
+    { header: 'GPS 緯度', value: record => toNumber(record.locationData?.latitude) },
+    { header: 'GPS 經度', value: record => toNumber(record.locationData?.longitude) }
+];
+
+const sortByNewest = (records) => [...records].sort((a, b) => (toDate(b.timestamp)?.getTime() || 0) - (toDate(a.timestamp)?.getTime() || 0));
+
+// 單價統計只比較與最新記錄同一計量類型的記錄
+const getUnitPriceStats = (records, latest) => {
+    const unitPrices = records
+        .filter(record => areUnitsComparable(record, latest))
+        .map(record => toNumber(record.unitPrice))
+        .filter(unitPrice => unitPrice !== null);
+    if (unitPrices.length === 0) {
+        return { min: null, avg: null, max: null };
+    }
+    return {
+        min: round(Math.min(...unitPrices)),
+        avg: round(unitPrices.reduce((sum, unitPrice) => sum + unitPrice, 0) / unitPrices.length),
+        max: round(Math.max(...unitPrices))
+    };
+};
+
+/**
+ * 產生匯出的表格
+ * @param {Array<Object>} products - 產品（依顯示順序）
+ * @param {Object<string, Array<Object>>} recordsByProduct - 以 String(numericalID) 分組的價格記錄
+ * @param {string} layout - EXPORT_LAYOUTS
+ * @returns {{headers: Array<string>, rows: Array<Array<string|number|Date|null>>}} 表格
+ */
+export const buildExportTable = (products, recordsByProduct, layout) => {
+    if (layout === EXPORT_LAYOUTS.PRODUCTS) {
+        const headers = ['條碼', '品名', '記錄數', ...RECORD_FIELDS.map(field => `最新${field.header}`), '最低單價', '平均單價', '最高單價'];
+        const rows = products.map(product => {
+            const records = sortByNewest(recordsByProduct[String(product.numericalID)] || []);
+            const latest = records[0];
+            const stats = latest ? getUnitPriceStats(records, latest) : { min: null, avg: null, max: null };
+            return [
+                getBarcode(product),
+                product.productName || '',
+                records.length,
+                ...RECORD_FIELDS.map(field => (latest ? field.value(latest) : null)),
+                stats.min,
+                stats.avg,
+                stats.max
+            ];
+        });
+        return { headers, rows };
+    }
+
+    const headers = ['條碼', '品名', ...RECORD_FIELDS.map(field => field.header)];
+    const rows = products.flatMap(product => (
+        sortByNewest(recordsByProduct[String(product.numericalID)] || []).map(record => [
+            getBarcode(product),
+            record.productName || product.productName || '',
+            ...RECORD_FIELDS.map(field => field.value(record))
+        ])
+    ));
+    return { headers, rows };
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const formatDateTime = (date) => (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+);
+
+// 以這些字元開頭的文字在試算表中會被當成公式執行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? formatDateTime(value) : String(value);
+    // 文字欄位加上單引號前綴，避免品名等內容被 Excel 當成公式（數字欄位的負號不受影響）
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 表格轉為 CSV（UTF-8 BOM、CRLF 換行；可能被當成公式的文字加上單引號前綴）
+ * @param {Array<string>} headers - 標題列
+ * @param {Array<Array>} rows - 資料列
+ * @returns {string} CSV 內容
+ */
+export const toCsv = (headers, rows) => (
+    '\uFEFF' + [headers, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n'
+);
+
+/**
+ * 匯出檔名，例如 價格記錄_20250315.csv
+ * @param {string} layout - EXPORT_LAYOUTS
+ * @param {string} format - EXPORT_FORMATS
+ * @param {Date} date - 匯出日期
+ * @returns {string} 檔名
+ */
+export const getExportFileName = (layout, format, date = new Date()) => (
+    `${layout === EXPORT_LAYOUTS.PRODUCTS ? '產品摘要' : '價格記錄'}_${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}.${format}`
+);
+
+/**
+ * 在瀏覽器下載匯出檔
+ * @param {{headers: Array<string>, rows: Array<Array>}} table - buildExportTable 的結果
+ * @param {string} format - EXPORT_FORMATS
+ * @param {string} fileName - 檔名
+ */
+export const downloadExport = ({ headers, rows }, format, fileName) => {
+    const blob = format === EXPORT_FORMATS.XLSX
+        ? new Blob([createXlsx(headers, rows, fileName.replace(/\.[^.]+$/, ''))], { type: XLSX_MIME_TYPE })
+        : new Blob([toCsv(headers, rows)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // 部分瀏覽器在 click 後才開始讀取，延後釋放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 價格記錄匯出的測試檔案（TextEncoder 只在 node 環境提供）
+ */
+
+import { Timestamp } from 'firebase/firestore';
+import { buildExportTable, toCsv, getExportFileName, EXPORT_LAYOUTS, EXPORT_FORMATS } from './priceExport';
+import { createXlsx, crc32 } from './xlsxWriter';
+
+const product = { id: '1', numericalID: '1', productName: '鮮乳', barcodeData: '4710088412345' };
+const records = {
+    1: [
+        { productName: '鮮乳', storeName: '全聯', price: 95, quantity: 936, unitType: 'ml', unitPrice: 10.15, timestamp: Timestamp.fromDate(new Date(2025, 0, 1, 9, 5)) },
+        { productName: '鮮乳', storeName: '家樂福, 內湖店', price: 89, specialPrice: 89, originalPrice: 99, quantity: 936, unitType: 'ml', unitPrice: 9.51, discountDetails: '會員價', timestamp: Timestamp.fromDate(new Date(2025, 1, 1, 18, 30)), locationData: { latitude: 25.08, longitude: 121.57, method: 'GPS' } }
+    ]
+};
+
+describe('buildExportTable', () => {
+    it('每筆記錄一列，依時間由新到舊', () => {
+        const { headers, rows } = buildExportTable([product], records, EXPORT_LAYOUTS.RECORDS);
+        expect(headers.slice(0, 4)).toEqual(['條碼', '品名', '商店', '價格']);
+        expect(rows).toHaveLength(2);
+        expect(rows[0][2]).toBe('家樂福, 內湖店');
+        expect(rows[0][headers.indexOf('特價')]).toBe(89);
+        expect(rows[0][headers.indexOf('GPS 緯度')]).toBe(25.08);
+        expect(rows[0][headers.indexOf('記錄時間')]).toEqual(new Date(2025, 1, 1, 18, 30));
+        expect(rows[1][headers.indexOf('GPS 經度')]).toBeNull();
+    });
+
+    it('每個產品一列，包含最新記錄與單價統計', () => {
+        const { headers, rows } = buildExportTable([product, { ...product, numericalID: '2' }], records, EXPORT_LAYOUTS.PRODUCTS);
+        expect(rows).toHaveLength(2);
+        expect(rows[0][headers.indexOf('記錄數')]).toBe(2);
+        expect(rows[0][headers.indexOf('最新商店')]).toBe('家樂福, 內湖店');
+        expect(rows[0][headers.indexOf('最低單價')]).toBe(9.51);
+        expect(rows[0][headers.indexOf('平均單價')]).toBe(9.83);
+        expect(rows[1][headers.indexOf('記錄數')]).toBe(0);
+    });
+});
+
+describe('toCsv', () => {
+    it('以 BOM 開頭並正確跳脫逗號、引號與日期', () => {
+        const csv = toCsv(['品名', '時間'], [['a "b", c', new Date(2025, 0, 2, 3, 4, 5)], [null, 1.5]]);
+        expect(csv.charCodeAt(0)).toBe(0xFEFF);
+        expect(csv.slice(1).split('\r\n')).toEqual(['品名,時間', '"a ""b"", c",2025-01-02 03:04:05', ',1.5', '']);
+    });
+
+    it('可能被當成公式的文字加上單引號前綴，數字不受影響', () => {
+        const csv = toCsv(['品名', '價格'], [['=HYPERLINK("x")', -5], ['@SUM(A1)', 1], ['+886', 2], ['-特價', 3]]);
+        expect(csv.slice(1).split('\r\n').slice(1, 5)).toEqual(['"\'=HYPERLINK(""x"")",-5', "'@SUM(A1),1", "'+886,2", "'-特價,3"]);
+    });
+});
+
+describe('getExportFileName', () => {
+    it('依每列內容與格式命名', () => {
+        expect(getExportFileName(EXPORT_LAYOUTS.PRODUCTS, EXPORT_FORMATS.XLSX, new Date(2025, 2, 5))).toBe('產品摘要_20250305.xlsx');
+    });
+});
+
+describe('createXlsx', () => {
+    it('CRC-32 與標準值一致', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    });
+
+    it('產生包含工作表的 ZIP，字串經過 XML 跳脫', () => {
+        const bytes = createXlsx(['品名', '價格'], [['A&B <特價>\u0007', 10]], '價格記錄');
+        expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+        const text = new TextDecoder().decode(bytes);
+        expect(text).toContain('xl/worksheets/sheet1.xml');
+        expect(text).toContain('<t xml:space="preserve">A&amp;B &lt;特價&gt;</t>');
+        expect(text).toContain('<c r="B2"><v>10</v></c>');
+        expect(text).toContain('<sheet name="價格記錄"');
+    });
+});
@@ -0,0 +1,471 @@
+// 價格記錄批次匯入
+// 從 CSV 匯入以前記在試算表或收據上的價格：欄位對應 → 驗證 → 預覽（不寫入）→ 分批寫入。
+// 條碼與單位沿用主畫面的驗證（buildPriceRecordPayload、normalizeUnit），產品 ID 規則與 productIdentity 相同。
+// 每次匯入在 priceImports 集合留下一份紀錄，寫入的記錄與新建的產品都帶有 importId，可以整批復原。
+// 匯入的記錄依時間順序與既有記錄及較早的匯入列比較，異常價格同樣標記待審核；匯入的記錄不會出現在今日掃描中。
+import { collection, query, where, orderBy, limit, getDocs, doc, setDoc, updateDoc, writeBatch, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { normalizeUnit, calculateFinalPrice, areUnitsComparable } from './priceCalculations';
+import { buildPriceRecordPayload } from './priceRecordPayload';
+import { fetchProductsByIds } from './productCatalog';
+import { recomputeProductsAggregates } from './productAggregates';
+import { getProductIdQueryValues, getNameStoreProductId, findLegacyProductId } from './productIdentity';
+import { detectPriceAnomaly, buildPriceObservations, flagAnomalousPrice } from './anomalyDetection';
+
+// Firestore 單一批次最多 500 筆寫入，保留一些餘裕
+const BATCH_LIMIT = 400;
+
+// Firestore 的 in 查詢最多 30 個值
+const IN_QUERY_LIMIT = 30;
+
+export const IMPORT_STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    ROLLED_BACK: 'rolledBack'
+};
+
+// 可對應的欄位；aliases 用來自動對應標題（包含匯出檔的標題，匯出的檔案可以直接匯回）
+export const IMPORT_FIELDS = [
+    { key: 'barcode', label: '條碼', aliases: ['條碼', 'barcode', 'ean', 'gtin'] },
+    { key: 'productName', label: '品名', required: true, aliases: ['品名', '產品名稱', '商品名稱', 'name', 'productname'] },
+    { key: 'storeName', label: '商店', required: true, aliases: ['商店', '店家', 'store', 'storename'] },
+    { key: 'price', label: '價格', aliases: ['價格', '總價', '售價', 'price'] },
+    { key: 'originalPrice', label: '原價', aliases: ['原價', 'originalprice'] },
+    { key: 'specialPrice', label: '特價', aliases: ['特價', 'specialprice'] },
+    { key: 'quantity', label: '數量', required: true, aliases: ['數量', '容量', 'quantity', 'qty'] },
+    { key: 'unitType', label: '單位', required: true, aliases: ['單位', 'unit', 'unittype'] },
+    { key: 'packCount', label: '包數', aliases: ['包數', '入數', 'packcount'] },
+    { key: 'discountDetails', label: '折扣', aliases: ['折扣', '優惠', 'discount', 'discountdetails'] },
+    { key: 'timestamp', label: '日期', required: true, aliases: ['記錄時間', '日期', '時間', 'date', 'timestamp'] },
+    { key: 'latitude', label: 'GPS 緯度', aliases: ['gps緯度', '緯度', 'latitude', 'lat'] },
+    { key: 'longitude', label: 'GPS 經度', aliases: ['gps經度', '經度', 'longitude', 'lng', 'lon'] }
+];
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * 解析 CSV（支援引號、欄位內換行與 UTF-8 BOM；分隔符號由標題列判斷為逗號、分號或 Tab）
+ * @param {string} text - CSV 內容
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} 標題與資料列（略過空白列）
+ */
+export const parseCsv = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ), ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    const [headers = [], ...dataRows] = nonEmptyRows;
+    return { headers: headers.map(header => header.trim()), rows: dataRows };
+};
+
+/**
+ * 依標題自動對應欄位
+ * @param {Array<string>} headers - CSV 標題
+ * @returns {Object<string, number|null>} 欄位 key 對應的欄索引，找不到時為 null
+ */
+export const guessColumnMapping = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+    return Object.fromEntries(IMPORT_FIELDS.map(field => {
+        const aliases = field.aliases.map(normalizeHeader);
+        const index = normalized.findIndex(header => aliases.includes(header));
+        return [field.key, index === -1 ? null : index];
+    }));
+};
+
+/**
+ * 缺少對應的必要欄位
+ * @param {Object<string, number|null>} mapping - 欄位對應
+ * @returns {Array<string>} 欄位名稱
+ */
+export const getMissingRequiredFields = (mapping) => (
+    IMPORT_FIELDS.filter(field => field.required && mapping[field.key] == null).map(field => field.label)
+);
+
+const DATE_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * 解析日期（YYYY-MM-DD、YYYY/MM/DD，可加上 HH:mm 或 HH:mm:ss，以本地時間計算）
+ * @param {string} value - 日期字串
+ * @returns {Date|null} 日期，格式錯誤或日期不存在時為 null
+ */
+export const parseImportDate = (value) => {
+    const match = DATE_PATTERN.exec(String(value || '').trim());
+    if (!match) return null;
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    // 排除 2 月 30 日這類會被 Date 自動進位的日期
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+    return date;
+};
+
+const parseNumber = (value) => {
+    const text = String(value ?? '').replace(/[$,\s]/g, '');
+    return text === '' ? null : parseFloat(text);
+};
+
+/**
+ * 驗證每一列並轉為價格記錄
+ * @param {Array<Array<string>>} rows - 資料列
+ * @param {Object<string, number|null>} mapping - 欄位對應
+ * @param {Object} options - 選項
+ * @param {string} options.recordedBy - 記錄者
+ * @param {Date} [options.now] - 目前時間（晚於此時間的日期視為錯誤）
+ * @returns {{validRows: Array<Object>, errors: Array<{rowNumber: number, message: string}>}} 有效列與錯誤（rowNumber 以標題為第 1 列，不計空白列）
+ */
+export const validateImportRows = (rows, mapping, { recordedBy, now = new Date() }) => {
+    const validRows = [];
+    const errors = [];
+    const seenRows = new Map();
+
+    rows.forEach((cells, index) => {
+        const rowNumber = index + 2;
+        // 匯出時為避免公式執行而加上的單引號前綴在匯入時移除
+        const get = (key) => (mapping[key] == null ? '' : String(cells[mapping[key]] ?? '').trim().replace(/^'(?=[=+\-@])/, ''));
+        const fail = (message) => errors.push({ rowNumber, message });
+
+        const productName = get('productName');
+        const storeName = get('storeName');
+        if (!productName) return fail('缺少品名');
+        if (!storeName) return fail('缺少商店');
+
+        const unitType = normalizeUnit(get('unitType'));
+        if (!unitType) return fail(`無法辨識的單位「${get('unitType')}」`);
+
+        const quantity = parseNumber(get('quantity'));
+        if (quantity === null || isNaN(quantity) || quantity <= 0) return fail(`數量「${get('quantity')}」無效`);
+
+        const originalPrice = parseNumber(get('originalPrice'));
+        const specialPrice = parseNumber(get('specialPrice'));
+        if ([originalPrice, specialPrice].some(value => value !== null && (isNaN(value) || value < 0))) return fail('原價或特價無效');
+        // 沒有價格欄時以特價（或原價）作為實付價格
+        let price = parseNumber(get('price'));
+        if (price === null && (originalPrice || specialPrice)) {
+            price = calculateFinalPrice(originalPrice, specialPrice);
+        }
+        if (price === null || isNaN(price) || price < 0) return fail(`價格「${get('price')}」無效`);
+
+        const timestamp = parseImportDate(get('timestamp'));
+        if (!timestamp) return fail(`日期「${get('timestamp')}」無效，請使用 YYYY-MM-DD 格式`);
+        if (timestamp > now) return fail('日期晚於今天');
+
+        const latitude = parseNumber(get('latitude'));
+        const longitude = parseNumber(get('longitude'));
+        const hasLocation = latitude !== null && longitude !== null && !isNaN(latitude) && !isNaN(longitude);
+
+        const payload = buildPriceRecordPayload({
+            barcode: get('barcode'),
+            productName,
+            storeName,
+            price,
+            quantity,
+            unitType,
+            packCount: parseNumber(get('packCount')) || 1,
+            discountDetails: get('discountDetails'),
+            originalPrice,
+            specialPrice,
+            recordedBy,
+            locationData: hasLocation ? { latitude, longitude, method: 'import' } : null
+        });
+        if (!payload.isValid) return fail(payload.error);
+
+        // 同一檔案中完全相同的記錄只匯入一次
+        const duplicateKey = [payload.productId || payload.nameStoreKey, storeName, price, quantity, unitType, timestamp.getTime()].join('|');
+        if (seenRows.has(duplicateKey)) return fail(`與第 ${seenRows.get(duplicateKey)} 列重複`);
+        seenRows.set(duplicateKey, rowNumber);
+
+        validRows.push({
+            rowNumber,
+            productId: payload.productId,
+            nameStoreKey: payload.nameStoreKey,
+            productData: payload.productData,
+            priceRecord: payload.priceRecord,
+            timestamp
+        });
+    });
+
+    return { validRows, errors };
+};
+
+/**
+ * 規劃匯入內容（不寫入資料庫）：有條碼的列以 GTIN-14 對應產品，無條碼的列以「品名@商店」找回既有產品，
+ * 都找不到時改用仍以舊版 ID 存放的產品，再找不到才以索引鍵產生新 ID（與 productIdentity.resolveProductId 相同）
+ * @param {Array<Object>} validRows - validateImportRows 的有效列
+ * @param {Object} existing - 既有產品
+ * @param {Map<string, Object>} existing.productsById - 以產品 ID 索引的既有產品
+ * @param {Map<string, string>} existing.productIdsByNameStoreKey - 「品名@商店」對應的既有產品 ID
+ * @param {Map<string, string>} [existing.legacyProductIds] - GTIN-14 或「品名@商店」對應的舊版產品 ID
+ * @param {Function} createId - 以「品名@商店」索引鍵產生新產品 ID（預設為 getNameStoreProductId）
+ * @returns {{products: Array<Object>, records: Array<Object>}} 產品差異（isNew 表示將新建）與要寫入的記錄
+ */
+export const planImport = (validRows, { productsById, productIdsByNameStoreKey, legacyProductIds = new Map() }, createId = getNameStoreProductId) => {
+    const newIdsByNameStoreKey = new Map();
+    const products = new Map();
+    const records = [];
+
+    validRows.forEach(row => {
+        let productId = row.productId;
+        if (productId && !productsById.has(productId)) {
+            productId = legacyProductIds.get(productId) || productId;
+        }
+        if (!productId) {
+            productId = productIdsByNameStoreKey.get(row.nameStoreKey)
+                || legacyProductIds.get(row.nameStoreKey)
+                || newIdsByNameStoreKey.get(row.nameStoreKey);
+            if (!productId) {
+                productId = createId(row.nameStoreKey);
+                newIdsByNameStoreKey.set(row.nameStoreKey, productId);
+            }
+        }
+
+        if (!products.has(productId)) {
+            const existingProduct = productsById.get(productId);
+            products.set(productId, {
+                productId,
+                isNew: !existingProduct,
+                productName: row.productData.productName,
+                existingName: existingProduct ? existingProduct.productName : null,
+                barcode: row.productData.barcodeData,
+                productData: { ...row.productData, nameStoreKey: row.nameStoreKey || null },
+                recordCount: 0
+            });
+        }
+        products.get(productId).recordCount += 1;
+        records.push({ rowNumber: row.rowNumber, productId, priceRecord: row.priceRecord, timestamp: row.timestamp });
+    });
+
+    return { products: [...products.values()], records };
+};
+
+/**
+ * 讀取有效列對應的既有產品
+ * 以新 ID 或「品名@商店」都找不到的列，再找仍以舊版 ID 存放的產品（尚未執行 ID 遷移時）
+ * @param {Firestore} db - Firestore 實例
+ * @param {Array<Object>} validRows - validateImportRows 的有效列
+ * @returns {Promise<{productsById: Map, productIdsByNameStoreKey: Map, legacyProductIds: Map}>} 既有產品
+ */
+export const lookupExistingProducts = async (db, validRows) => {
+    const productIds = [...new Set(validRows.map(row => row.productId).filter(Boolean))];
+    const nameStoreKeys = [...new Set(validRows.filter(row => !row.productId).map(row => row.nameStoreKey).filter(Boolean))];
+
+    const products = await fetchProductsByIds(db, productIds);
+    const productsById = new Map(products.map(product => [product.id, product]));
+    const productIdsByNameStoreKey = new Map();
+    for (let i = 0; i < nameStoreKeys.length; i += IN_QUERY_LIMIT) {
+        const snap = await getDocs(query(collection(db, "products"), where("nameStoreKey", "in", nameStoreKeys.slice(i, i + IN_QUERY_LIMIT))));
+        snap.docs.forEach(d => {
+            productsById.set(d.id, { id: d.id, ...d.data() });
+            if (!productIdsByNameStoreKey.has(d.data().nameStoreKey)) {
+                productIdsByNameStoreKey.set(d.data().nameStoreKey, d.id);
+            }
+        });
+    }
+
+    const legacyProductIds = new Map();
+    const checkedKeys = new Set();
+    for (const row of validRows) {
+        const matchKey = row.productId || row.nameStoreKey;
+        const isMatched = row.productId ? productsById.has(row.productId) : productIdsByNameStoreKey.has(row.nameStoreKey);
+        if (!matchKey || isMatched || checkedKeys.has(matchKey)) continue;
+        checkedKeys.add(matchKey);
+        const legacyId = await findLegacyProductId(db, row.productData.barcodeData, row.productData.productName, row.priceRecord.storeName);
+        if (legacyId) {
+            legacyProductIds.set(matchKey, legacyId);
+        }
+    }
+    const legacyProducts = await fetchProductsByIds(db, legacyProductIds.values());
+    legacyProducts.forEach(product => productsById.set(product.id, product));
+
+    return { productsById, productIdsByNameStoreKey, legacyProductIds };
+};
+
+/**
+ * 偵測匯入記錄中的異常價格（不寫入資料庫）
+ * 記錄依時間由舊到新處理，每一筆都與同產品、可比較單位的既有記錄及較早的匯入記錄比較，
+ * 並以該記錄的時間計算歷史價格的權重
+ * @param {Array<Object>} records - planImport 的記錄
+ * @param {Map<string, Array<Object>>} historyByProductId - 各產品的既有價格記錄
+ * @returns {Map<number, Object>} 列號對應 detectPriceAnomaly 的結果（只包含異常的記錄）
+ */
+export const detectImportAnomalies = (records, historyByProductId) => {
+    const anomalies = new Map();
+    const seen = new Map();
+    [...records]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(record => {
+            const history = seen.get(record.productId) || [...(historyByProductId.get(record.productId) || [])];
+            const anomalyResult = detectPriceAnomaly(
+                record.priceRecord.unitPrice,
+                buildPriceObservations(history.filter(existing => areUnitsComparable(existing, record.priceRecord))),
+                { storeName: record.priceRecord.storeName, now: record.timestamp.getTime() }
+            );
+            if (anomalyResult.isAnomalous) {
+                anomalies.set(record.rowNumber, anomalyResult);
+            }
+            // 被標記的記錄由 buildPriceObservations 排除，不影響後面的基準
+            history.push({ ...record.priceRecord, timestamp: record.timestamp, anomalyFlag: anomalyResult.isAnomalous ? { flagged: true } : null });
+            seen.set(record.productId, history);
+        });
+    return anomalies;
+};
+
+const fetchHistoryByProductId = async (db, productIds) => {
+    const historyByProductId = new Map();
+    for (const productId of productIds) {
+        const snap = await getDocs(query(collection(db, "priceRecords"), where("numericalID", "in", getProductIdQueryValues(productId))));
+        historyByProductId.set(productId, snap.docs.map(d => d.data()));
+    }
+    return historyByProductId;
+};
+
+const commitInBatches = async (db, operations, onProgress) => {
+    for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+        await batch.commit();
+        if (onProgress) {
+            onProgress(Math.min(i + BATCH_LIMIT, operations.length), operations.length);
+        }
+    }
+};
+
+/**
+ * 執行匯入：先寫入匯入紀錄，再分批寫入新產品與價格記錄、標記異常價格，最後重新計算受影響產品的彙總值
+ * 中途失敗時匯入紀錄標記為 FAILED 並拋出錯誤，已寫入的部分仍帶有 importId，可以用 rollbackImport 復原
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} plan - planImport 的結果
+ * @param {Object} options - 選項
+ * @param {string} options.fileName - 匯入的檔名
+ * @param {string} options.importedBy - 匯入者
+ * @param {Function} [options.onProgress] - 以 (已寫入, 總數) 呼叫
+ * @returns {Promise<{importId: string, recordCount: number, createdProductCount: number, anomalyCount: number}>} 匯入結果
+ */
+export const runImport = async (db, plan, { fileName, importedBy, onProgress }) => {
+    const importRef = doc(collection(db, "priceImports"));
+    const importId = importRef.id;
+    const createdProducts = plan.products.filter(product => product.isNew);
+
+    await setDoc(importRef, {
+        fileName,
+        importedBy,
+        importedAt: serverTimestamp(),
+        status: IMPORT_STATUS.RUNNING,
+        recordCount: plan.records.length,
+        productIds: plan.products.map(product => product.productId),
+        createdProductIds: createdProducts.map(product => product.productId)
+    });
+
+    try {
+        const historyByProductId = await fetchHistoryByProductId(db, plan.products.filter(product => !product.isNew).map(product => product.productId));
+        const anomalies = detectImportAnomalies(plan.records, historyByProductId);
+
+        const operations = [
+            ...createdProducts.map(product => (batch) => batch.set(doc(db, "products", product.productId), {
+                ...product.productData,
+                numericalID: product.productId,
+                createdAt: serverTimestamp(),
+                importId
+            })),
+            // 以匯入 ID 與列號作為文件 ID，方便對照原始檔案
+            ...plan.records.map(record => (batch) => batch.set(doc(db, "priceRecords", `${importId}-${record.rowNumber}`), {
+                ...record.priceRecord,
+                numericalID: record.productId,
+                timestamp: Timestamp.fromDate(record.timestamp),
+                syncedAt: serverTimestamp(),
+                importId
+            }))
+        ];
+        await commitInBatches(db, operations, onProgress);
+
+        for (const [rowNumber, anomalyResult] of anomalies) {
+            await flagAnomalousPrice(db, `${importId}-${rowNumber}`, anomalyResult);
+        }
+
+        await recomputeProductsAggregates(db, plan.products.map(product => product.productId));
+        await updateDoc(importRef, { status: IMPORT_STATUS.COMPLETED, completedAt: serverTimestamp(), anomalyCount: anomalies.size });
+
+        return { importId, recordCount: plan.records.length, createdProductCount: createdProducts.length, anomalyCount: anomalies.size };
+    } catch (error) {
+        try {
+            await updateDoc(importRef, { status: IMPORT_STATUS.FAILED, error: error.message || String(error), failedAt: serverTimestamp() });
+        } catch (updateError) {
+            console.error("更新匯入狀態失敗:", updateError);
+        }
+        throw error;
+    }
+};
+
+/**
+ * 讀取最近的匯入紀錄
+ * @param {Firestore} db - Firestore 實例
+ * @param {number} count - 筆數
+ * @returns {Promise<Array<Object>>} 匯入紀錄（新到舊）
+ */
+export const fetchRecentImports = async (db, count = 10) => {
+    const snap = await getDocs(query(collection(db, "priceImports"), orderBy("importedAt", "desc"), limit(count)));
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * 整批復原匯入：刪除帶有此 importId 的價格記錄，再刪除這次新建且已沒有其他記錄的產品
+ * 匯入後其他人新增到這些產品的記錄會保留，產品也一併保留
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} importEntry - fetchRecentImports 回傳的匯入紀錄
+ * @returns {Promise<{deletedRecordCount: number, deletedProductCount: number}>} 復原結果
+ */
+export const rollbackImport = async (db, importEntry) => {
+    const recordsSnap = await getDocs(query(collection(db, "priceRecords"), where("importId", "==", importEntry.id)));
+    await commitInBatches(db, recordsSnap.docs.map(d => (batch) => batch.delete(d.ref)));
+
+    const deletedProductIds = [];
+    for (const productId of importEntry.createdProductIds || []) {
+        const remainingSnap = await getDocs(query(collection(db, "priceRecords"), where("numericalID", "in", getProductIdQueryValues(productId)), limit(1)));
+        if (remainingSnap.empty) {
+            deletedProductIds.push(productId);
+        }
+    }
+    await commitInBatches(db, deletedProductIds.map(productId => (batch) => batch.delete(doc(db, "products", productId))));
+
+    await recomputeProductsAggregates(db, (importEntry.productIds || []).filter(productId => !deletedProductIds.includes(productId)));
+    await updateDoc(doc(db, "priceImports", importEntry.id), { status: IMPORT_STATUS.ROLLED_BACK, rolledBackAt: serverTimestamp() });
+
+    return { deletedRecordCount: recordsSnap.size, deletedProductCount: deletedProductIds.length };
+};
@@ -0,0 +1,150 @@
+/**
+ * 價格記錄批次匯入的測試檔案
+ */
+
+import { parseCsv, guessColumnMapping, getMissingRequiredFields, parseImportDate, validateImportRows, planImport, detectImportAnomalies } from './priceImport';
+import { getNameStoreProductId } from './productIdentity';
+import { toCsv, buildExportTable, EXPORT_LAYOUTS } from './priceExport';
+
+const HEADERS = ['條碼', '品名', '商店', '價格', '數量', '單位', '日期'];
+const mapping = guessColumnMapping(HEADERS);
+const now = new Date(2025, 5, 1);
+
+const validate = (rows) => validateImportRows(rows, mapping, { recordedBy: 'user-a', now });
+
+describe('parseCsv', () => {
+    it('處理 BOM、引號內的逗號與換行、跳脫的引號並略過空白列', () => {
+        const { headers, rows } = parseCsv('\uFEFF品名,商店\r\n"鮮乳, 大瓶","全""聯""\n中山店"\r\n\r\n豆漿,家樂福');
+        expect(headers).toEqual(['品名', '商店']);
+        expect(rows).toEqual([['鮮乳, 大瓶', '全"聯"\n中山店'], ['豆漿', '家樂福']]);
+    });
+
+    it('依標題列判斷分號分隔', () => {
+        expect(parseCsv('品名;價格\n鮮乳;95').rows).toEqual([['鮮乳', '95']]);
+    });
+});
+
+describe('guessColumnMapping', () => {
+    it('自動對應中英文標題並列出缺少的必要欄位', () => {
+        const guessed = guessColumnMapping(['Product Name', 'store', 'Price', 'Qty', 'unit']);
+        expect(guessed).toMatchObject({ productName: 0, storeName: 1, price: 2, quantity: 3, unitType: 4, barcode: null });
+        expect(getMissingRequiredFields(guessed)).toEqual(['日期']);
+    });
+
+    it('匯出的 CSV 可以直接匯回', () => {
+        const table = buildExportTable(
+            [{ numericalID: '1', productName: '鮮乳', barcodeData: '4710088412348' }],
+            { 1: [{ productName: '鮮乳', storeName: '全聯', price: 95, quantity: 936, unitType: 'ml', unitPrice: 10.15, timestamp: new Date(2025, 0, 2, 9, 30) }] },
+            EXPORT_LAYOUTS.RECORDS
+        );
+        const { headers, rows } = parseCsv(toCsv(table.headers, table.rows));
+        const exportedMapping = guessColumnMapping(headers);
+        expect(getMissingRequiredFields(exportedMapping)).toEqual([]);
+        const { validRows, errors } = validateImportRows(rows, exportedMapping, { recordedBy: 'user-a', now });
+        expect(errors).toEqual([]);
+        expect(validRows[0].priceRecord).toMatchObject({ storeName: '全聯', price: 95, quantity: 936, unitType: 'ml' });
+        expect(validRows[0].timestamp).toEqual(new Date(2025, 0, 2, 9, 30));
+    });
+});
+
+describe('parseImportDate', () => {
+    it('接受日期與時間，拒絕不存在的日期', () => {
+        expect(parseImportDate('2024/2/29')).toEqual(new Date(2024, 1, 29));
+        expect(parseImportDate('2024-03-01 18:05')).toEqual(new Date(2024, 2, 1, 18, 5));
+        expect(parseImportDate('2023-02-29')).toBeNull();
+        expect(parseImportDate('03/01/2024')).toBeNull();
+    });
+});
+
+describe('validateImportRows', () => {
+    it('以既有的條碼與單位驗證，錯誤列附上列號', () => {
+        const { validRows, errors } = validate([
+            ['4710088412348', '鮮乳', '全聯', '95', '936', '毫升', '2025-01-02'],
+            ['4710088412345', '鮮乳', '全聯', '95', '936', 'ml', '2025-01-02'],
+            ['', '豆漿', '全聯', '30', '1', '桶子', '2025-01-02'],
+            ['', '豆漿', '全聯', '30', '1', '瓶', '2099-01-01'],
+            ['', '', '全聯', '30', '1', '瓶', '2025-01-02']
+        ]);
+        expect(validRows).toHaveLength(1);
+        expect(validRows[0]).toMatchObject({ rowNumber: 2, productId: '04710088412348' });
+        expect(validRows[0].priceRecord.unitType).toBe('ml');
+        expect(errors.map(error => error.rowNumber)).toEqual([3, 4, 5, 6]);
+        expect(errors[0].message).toContain('4710088412345');
+        expect(errors[1].message).toContain('桶子');
+    });
+
+    it('沒有價格時使用特價，檔案中重複的記錄只匯入一次', () => {
+        const specialMapping = guessColumnMapping(['品名', '商店', '原價', '特價', '數量', '單位', '日期']);
+        const rows = [['豆漿', '全聯', '35', '29', '1', '瓶', '2025-01-02'], ['豆漿', '全聯', '35', '29', '1', '瓶', '2025-01-02']];
+        const { validRows, errors } = validateImportRows(rows, specialMapping, { recordedBy: 'user-a', now });
+        expect(validRows[0].priceRecord).toMatchObject({ price: 29, originalPrice: 35, specialPrice: 29 });
+        expect(errors).toEqual([{ rowNumber: 3, message: '與第 2 列重複' }]);
+    });
+});
+
+describe('planImport', () => {
+    it('區分新建與既有產品，無條碼的產品以品名@商店對應，同名同店的新產品共用新 ID', () => {
+        const { validRows } = validate([
+            ['4710088412348', '鮮乳 936ml', '全聯', '95', '936', 'ml', '2025-01-02'],
+            ['', '豆漿', '全聯', '30', '1', '瓶', '2025-01-02'],
+            ['', '豆漿', '全聯', '28', '1', '瓶', '2025-01-09'],
+            ['', '米', '家樂福', '199', '3', 'kg', '2025-01-09']
+        ]);
+        let nextId = 0;
+        const plan = planImport(validRows, {
+            productsById: new Map([['04710088412348', { id: '04710088412348', productName: '鮮乳' }], ['rice-id', { id: 'rice-id', productName: '米' }]]),
+            productIdsByNameStoreKey: new Map([['米@家樂福', 'rice-id']])
+        }, () => `new-${++nextId}`);
+
+        expect(plan.products.map(({ productId, isNew, recordCount, existingName }) => ({ productId, isNew, recordCount, existingName }))).toEqual([
+            { productId: '04710088412348', isNew: false, recordCount: 1, existingName: '鮮乳' },
+            { productId: 'new-1', isNew: true, recordCount: 2, existingName: null },
+            { productId: 'rice-id', isNew: false, recordCount: 1, existingName: '米' }
+        ]);
+        expect(plan.records.map(record => record.productId)).toEqual(['04710088412348', 'new-1', 'new-1', 'rice-id']);
+    });
+
+    it('預設以「品名@商店」索引鍵產生穩定的新產品 ID', () => {
+        const { validRows } = validate([['', '豆漿', '全聯', '30', '1', '瓶', '2025-01-02']]);
+        const plan = planImport(validRows, { productsById: new Map(), productIdsByNameStoreKey: new Map() });
+        expect(plan.products[0].productId).toBe(getNameStoreProductId(validRows[0].nameStoreKey));
+    });
+});
+
+describe('planImport 舊版 ID', () => {
+    it('尚未遷移的舊產品以舊版 ID 對應為既有產品，不另建新產品', () => {
+        const { validRows } = validate([
+            ['4710088412348', '鮮乳 936ml', '全聯', '95', '936', 'ml', '2025-01-02'],
+            ['', '豆漿', '全聯', '30', '1', '瓶', '2025-01-02']
+        ]);
+        const plan = planImport(validRows, {
+            productsById: new Map([['1111111', { id: '1111111', productName: '鮮乳' }], ['2222222', { id: '2222222', productName: '豆漿' }]]),
+            productIdsByNameStoreKey: new Map(),
+            legacyProductIds: new Map([['04710088412348', '1111111'], [validRows[1].nameStoreKey, '2222222']])
+        });
+
+        expect(plan.products.map(({ productId, isNew, existingName }) => ({ productId, isNew, existingName }))).toEqual([
+            { productId: '1111111', isNew: false, existingName: '鮮乳' },
+            { productId: '2222222', isNew: false, existingName: '豆漿' }
+        ]);
+        expect(plan.records.map(record => record.productId)).toEqual(['1111111', '2222222']);
+    });
+});
+
+describe('detectImportAnomalies', () => {
+    it('依時間順序與既有記錄及較早的匯入列比較，被標記的列不列入後續基準', () => {
+        const { validRows } = validate([
+            ['', '豆漿', '全聯', '29', '1', '瓶', '2025-01-20'],
+            ['', '豆漿', '全聯', '3000', '1', '瓶', '2025-01-10'],
+            ['', '豆漿', '全聯', '31', '1', '瓶', '2025-01-15']
+        ]);
+        const plan = planImport(validRows, { productsById: new Map(), productIdsByNameStoreKey: new Map() });
+        const { productId } = plan.products[0];
+        const { unitType } = plan.records[0].priceRecord;
+        const history = [1, 2, 3].map(day => ({ unitPrice: 30, unitType, storeName: '全聯', timestamp: new Date(2025, 0, day) }));
+
+        const anomalies = detectImportAnomalies(plan.records, new Map([[productId, history]]));
+        expect([...anomalies.keys()]).toEqual([plan.records[1].rowNumber]);
+        expect(anomalies.get(plan.records[1].rowNumber)).toMatchObject({ anomalyType: 'entry_error', suspectedCause: 'price_x100' });
+    });
+});
@@ -0,0 +1,115 @@
+// 價格記錄寫入內容
+// 主畫面表單與待辨識卡片共用同一套驗證與欄位計算，產生可放入離線佇列的產品/價格記錄資料。
+import { normalizeBarcode } from './barcode';
+import { getBarcodeProductId, buildNameStoreKey } from './productIdentity';
+import { calculateUnitPrice, convertToBaseUnit, calculateEffectivePrice } from './priceCalculations';
+import { getOverallConfidence } from './ocrAnalysis';
+
+/**
+ * 驗證輸入並建立產品文件與價格記錄欄位
+ * - 有條碼的產品 ID 可直接由 GTIN-14 算出；無條碼產品的 UUID 需查詢 Firestore，留待同步時解析
+ * - 產品的 createdAt、記錄的 numericalID 與 timestamp 於同步時補上
+ * @param {Object} input - 輸入欄位
+ * @param {string} input.barcode - 條碼（可為空）
+ * @param {string} input.productName - 產品名稱
+ * @param {string} input.storeName - 商店名稱
+ * @param {number|string} input.price - 實付總價（已套用特價）
+ * @param {number|string} input.quantity - 數量
+ * @param {string} input.unitType - 單位
+ * @param {number|string} input.packCount - 包數
+ * @param {string} input.discountDetails - 優惠細節
+ * @param {number|string|null} input.originalPrice - 原價
+ * @param {number|string|null} input.specialPrice - 特價
+ * @param {Object|null} input.fieldConfidence - AI 辨識的各欄位信心度（0-1），手動輸入時為 null
+ * @param {Object|null} input.receipt - 來自收據掃描時的收據資訊 { id, purchaseDate, lineIndex }
+ * @param {Object|null} input.ocrTemplate - 產生辨識結果的 AI 擷取模板與辨識服務 { id, version, provider }，手動輸入時為 null
+ * @param {string} input.recordedBy - 記錄者
+ * @param {Object|null} input.locationData - 地理位置
+ * @returns {Object} { isValid, error, missingStore } 或 { isValid: true, normalizedBarcode, productId, nameStoreKey, productData, priceRecord, baseUnitInfo, effectiveInfo }
+ */
+export const buildPriceRecordPayload = ({
+    barcode = '',
+    productName = '',
+    storeName = '',
+    price,
+    quantity,
+    unitType,
+    packCount = 1,
+    discountDetails = '',
+    originalPrice = null,
+    specialPrice = null,
+    ocrTemplate = null,
+    receipt = null,
+    fieldConfidence = null,
+    recordedBy,
+    locationData = null
+}) => {
+    // 驗證條碼校驗碼並統一為正規格式
+    let normalizedBarcode = '';
+    let gtin14 = null;
+    if (barcode && barcode.trim()) {
+        const barcodeResult = normalizeBarcode(barcode);
+        if (!barcodeResult.isValid) {
+            return { isValid: false, error: `條碼 ${barcode} 無效：${barcodeResult.error}` };
+        }
+        normalizedBarcode = barcodeResult.barcode;
+        gtin14 = barcodeResult.gtin14;
+    }
+
+    const priceValue = parseFloat(price);
+    const quantityValue = parseFloat(quantity);
+    // 換算為基礎單位後的可比較單價
+    const calculatedUnitPrice = calculateUnitPrice(priceValue, quantity, unitType, packCount);
+    if (!productName || isNaN(priceValue) || isNaN(quantityValue) || quantityValue <= 0 || calculatedUnitPrice === null) {
+        return { isValid: false, error: "請確保已輸入條碼、產品名稱、有效總價、數量和單位！" };
+    }
+    if (!storeName || !storeName.trim()) {
+        return { isValid: false, error: "請選擇商店！", missingStore: true };
+    }
+
+    const baseUnitInfo = convertToBaseUnit(quantity, unitType, packCount);
+    // 依優惠細節計算促銷後的有效價格與單價
+    const effectiveInfo = calculateEffectivePrice(priceValue, discountDetails, { quantity, unitType, packCount });
+    const productId = normalizedBarcode ? getBarcodeProductId(normalizedBarcode) : null;
+    const nameStoreKey = normalizedBarcode ? null : buildNameStoreKey(productName, storeName);
+
+    const productData = {
+        barcodeData: normalizedBarcode,
+        gtin14,
+        nameStoreKey,
+        productName,
+        lastUpdatedBy: recordedBy,
+    };
+
+    const priceRecord = {
+        productName,
+        storeName,
+        price: priceValue, // 總價
+        quantity: quantityValue,
+        unitType: unitType,
+        packCount: parseFloat(packCount) || 1,
+        baseQuantity: baseUnitInfo.baseQuantity, // 換算為基礎單位 (g/ml/pcs) 的總量
+        unitDimension: baseUnitInfo.dimension,
+        unitPrice: calculatedUnitPrice, // 單價（標價）
+        effectivePrice: effectiveInfo.effectivePrice, // 套用促銷後每件的價格
+        effectiveUnitPrice: effectiveInfo.effectiveUnitPrice, // 套用促銷後的單價
+        promotion: effectiveInfo.promotion,
+        promotionQuantity: effectiveInfo.purchaseQuantity,
+        discountDetails: discountDetails || '',
+        recordedBy,
+        // 保存原價和特價信息（如果有的話）
+        originalPrice: originalPrice ? parseFloat(originalPrice) : null,
+        specialPrice: specialPrice ? parseFloat(specialPrice) : null,
+        // 添加地理位置信息（如果有的話）
+        locationData: locationData || null,
+        // 記錄辨識結果來自哪個辨識服務與哪一版擷取模板，方便日後追查提示詞變更的影響
+        ocrTemplate: ocrTemplate ? { id: ocrTemplate.id, version: ocrTemplate.version, provider: ocrTemplate.provider || null } : null,
+        // AI 辨識的信心度：confidence 為必要欄位中最低者，fieldConfidence 保留各欄位明細
+        confidence: fieldConfidence ? getOverallConfidence(fieldConfidence) : null,
+        fieldConfidence: fieldConfidence || null,
+        // 同一張收據的品項以 receipt.id 關聯，purchaseDate 為收據上的消費日期
+        receipt: receipt ? { id: receipt.id, purchaseDate: receipt.purchaseDate || '', lineIndex: receipt.lineIndex } : null
+    };
+
+    return { isValid: true, normalizedBarcode, productId, nameStoreKey, productData, priceRecord, baseUnitInfo, effectiveInfo };
+};
@@ -0,0 +1,150 @@
+// 產品彙總服務
+// 產品文件上的最佳單價、最新價格與最低/最高/平均單價皆由該產品的所有價格記錄重新計算，
+// 任何價格記錄新增、編輯或刪除後都應呼叫 recomputeProductAggregates，避免指向已刪除或過期的記錄。
+import { collection, query, where, orderBy, limit, getDocs, doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { getUnitDimension } from './priceCalculations';
+import { getProductIdQueryValues } from './productIdentity';
+
+// Firestore 交易最多讀取 500 份文件，保留產品文件本身的額度
+const MAX_TRANSACTION_RECORDS = 499;
+
+// 舊記錄無法判斷計量類型時的分組鍵
+const UNKNOWN_DIMENSION = 'unknown';
+
+const toMillis = (timestamp) => {
+    if (!timestamp) return 0;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? 0 : time;
+};
+
+const isValidPrice = (value) => typeof value === 'number' && !isNaN(value) && value > 0;
+
+// 沒有任何可用記錄時的彙總值
+export const EMPTY_AGGREGATES = {
+    bestUnitPrice: null,
+    bestPriceRecordRef: null,
+    bestEffectiveUnitPrice: null,
+    bestEffectivePriceRecordRef: null,
+    bestUnitDimension: null,
+    latestPrice: null,
+    latestUnitPrice: null,
+    latestRecordRef: null,
+    latestRecordAt: null,
+    latestStoreName: null,
+    minUnitPrice: null,
+    maxUnitPrice: null,
+    avgUnitPrice: null,
+    recordCount: 0
+};
+
+/**
+ * 由價格記錄計算產品彙總值
+ * - 只比較記錄數最多的計量類型（質量/容量/數量），同數時取最新記錄的類型
+ * - 尚未審核的異常價格不列入最佳/最低/最高/平均單價
+ * @param {Array<Object>} records - 該產品的價格記錄（含 id）
+ * @returns {Object} 彙總值，欄位見 EMPTY_AGGREGATES
+ */
+export const computeProductAggregates = (records) => {
+    const valid = (records || [])
+        .filter(record => record && isValidPrice(record.unitPrice))
+        .sort((a, b) => toMillis(b.timestamp) - toMillis(a.timestamp));
+    if (valid.length === 0) {
+        return { ...EMPTY_AGGREGATES, recordCount: (records || []).length };
+    }
+
+    const latest = valid[0];
+    const dimensionOf = (record) => record.unitDimension || getUnitDimension(record.unitType) || UNKNOWN_DIMENSION;
+    const dimensionCounts = {};
+    valid.forEach(record => {
+        const dimension = dimensionOf(record);
+        dimensionCounts[dimension] = (dimensionCounts[dimension] || 0) + 1;
+    });
+    const bestUnitDimension = Object.keys(dimensionCounts).reduce((best, dimension) => (
+        dimensionCounts[dimension] > dimensionCounts[best] ? dimension : best
+    ), dimensionOf(latest));
+
+    const comparable = valid.filter(record => dimensionOf(record) === bestUnitDimension);
+    const unflagged = comparable.filter(record => !record.anomalyFlag?.flagged);
+    const candidates = unflagged.length > 0 ? unflagged : comparable;
+
+    const best = candidates.reduce((min, record) => (record.unitPrice < min.unitPrice ? record : min));
+    const effectivePriceOf = (record) => (isValidPrice(record.effectiveUnitPrice) ? record.effectiveUnitPrice : record.unitPrice);
+    const bestEffective = candidates.reduce((min, record) => (effectivePriceOf(record) < effectivePriceOf(min) ? record : min));
+    const unitPrices = candidates.map(record => record.unitPrice);
+
+    return {
+        bestUnitPrice: best.unitPrice,
+        bestPriceRecordRef: `priceRecords/${best.id}`,
+        bestEffectiveUnitPrice: effectivePriceOf(bestEffective),
+        bestEffectivePriceRecordRef: `priceRecords/${bestEffective.id}`,
+        bestUnitDimension: bestUnitDimension === UNKNOWN_DIMENSION ? null : bestUnitDimension,
+        latestPrice: latest.price ?? null,
+        latestUnitPrice: latest.unitPrice,
+        latestRecordRef: `priceRecords/${latest.id}`,
+        latestRecordAt: latest.timestamp ?? null,
+        latestStoreName: latest.storeName || null,
+        minUnitPrice: Math.min(...unitPrices),
+        maxUnitPrice: Math.max(...unitPrices),
+        avgUnitPrice: unitPrices.reduce((sum, price) => sum + price, 0) / unitPrices.length,
+        recordCount: records.length
+    };
+};
+
+/**
+ * 重新計算並寫入產品彙總值
+ * Firestore 的交易無法包含查詢，因此每次嘗試（含交易重試）都重新查詢記錄，再於交易中讀取每一筆記錄；
+ * 記錄超過交易讀取上限時只取最新的 MAX_TRANSACTION_RECORDS 筆，最新價格與近期的最佳價格不會被略過；
+ * 期間有記錄被修改或刪除時交易會重試。查詢之後才新增的記錄不在這次計算內，
+ * 但新增記錄的一方寫入後也會呼叫此函式，最後一次計算會包含它。
+ * @param {Firestore} db - Firestore 實例
+ * @param {string|number} productId - 產品 ID（舊版產品可能是數字）
+ * @returns {Promise<Object|null>} 寫入的彙總值，產品不存在時為 null
+ */
+export const recomputeProductAggregates = async (db, productId) => {
+    if (!productId) {
+        return null;
+    }
+    const id = String(productId);
+    const idValues = getProductIdQueryValues(id);
+    const productRef = doc(db, "products", id);
+
+    return runTransaction(db, async (transaction) => {
+        // 多取一筆用來判斷是否超過上限
+        const recordsSnap = await getDocs(query(
+            collection(db, "priceRecords"),
+            where("numericalID", "in", idValues),
+            orderBy("timestamp", "desc"),
+            limit(MAX_TRANSACTION_RECORDS + 1)
+        ));
+        const recordRefs = recordsSnap.docs.map(d => d.ref).slice(0, MAX_TRANSACTION_RECORDS);
+        if (recordsSnap.size > MAX_TRANSACTION_RECORDS) {
+            console.warn(`產品 ${id} 的記錄超過 ${MAX_TRANSACTION_RECORDS} 筆，只以最新的 ${MAX_TRANSACTION_RECORDS} 筆計算彙總值`);
+        }
+
+        const productSnap = await transaction.get(productRef);
+        if (!productSnap.exists()) {
+            return null;
+        }
+        const recordSnaps = await Promise.all(recordRefs.map(ref => transaction.get(ref)));
+        const records = recordSnaps
+            .filter(snap => snap.exists() && String(snap.data().numericalID) === id)
+            .map(snap => ({ id: snap.id, ...snap.data() }));
+
+        const aggregates = computeProductAggregates(records);
+        transaction.update(productRef, { ...aggregates, aggregatesUpdatedAt: serverTimestamp() });
+        return aggregates;
+    });
+};
+
+/**
+ * 重新計算多個產品的彙總值（忽略重複的 ID）
+ * @param {Firestore} db - Firestore 實例
+ * @param {Iterable<string|number>} productIds - 產品 ID
+ * @returns {Promise<void>}
+ */
+export const recomputeProductsAggregates = async (db, productIds) => {
+    for (const productId of new Set([...productIds].map(String))) {
+        await recomputeProductAggregates(db, productId);
+    }
+};
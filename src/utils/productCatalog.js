@@ -0,0 +1,142 @@
+// 所有記錄頁的分頁讀取
+// 產品以 createdAt 由新到舊分頁（每個產品都有此欄位），列表只需要產品文件上的彙總值；
+// 價格記錄在展開產品時才讀取，之後的變更由即時訂閱（見 liveQueries）送達。
+// 篩選價格記錄時改為依時間分頁讀取記錄，再依記錄所屬的產品分組顯示。
+import { collection, query, where, orderBy, startAfter, limit, getDocs, getDoc, doc, Timestamp } from 'firebase/firestore';
+import { getProductIdQueryValues, getBarcodeProductId, getLegacyProductIds, buildNameStoreKey } from './productIdentity';
+
+// 每次捲動載入的產品數
+export const PRODUCTS_PAGE_SIZE = 20;
+
+// 篩選模式每次讀取的價格記錄數（符合條件的記錄可能遠少於此數）
+export const RECORDS_PAGE_SIZE = 200;
+
+// Firestore 的 in 查詢最多 30 個值
+const IN_QUERY_LIMIT = 30;
+
+const toDocs = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+/**
+ * 讀取一頁產品
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} options - 選項
+ * @param {Timestamp|null} [options.after] - 上一頁最後一個產品的 createdAt，null 表示第一頁
+ * @param {number} [options.pageSize] - 每頁數量
+ * @returns {Promise<{products: Array<Object>, hasMore: boolean}>} 產品與是否還有下一頁
+ */
+export const fetchProductsPage = async (db, { after = null, pageSize = PRODUCTS_PAGE_SIZE } = {}) => {
+    const constraints = [orderBy("createdAt", "desc")];
+    if (after) {
+        constraints.push(startAfter(after));
+    }
+    constraints.push(limit(pageSize));
+    const products = toDocs(await getDocs(query(collection(db, "products"), ...constraints)));
+    return { products, hasMore: products.length === pageSize };
+};
+
+/**
+ * 讀取單一產品的所有價格記錄（由新到舊）
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} productId - 產品 ID
+ * @returns {Promise<Array<Object>>} 價格記錄
+ */
+export const fetchProductRecords = async (db, productId) => {
+    const recordsQuery = query(
+        collection(db, "priceRecords"),
+        where("numericalID", "in", getProductIdQueryValues(productId)),
+        orderBy("timestamp", "desc")
+    );
+    return toDocs(await getDocs(recordsQuery));
+};
+
+/**
+ * 讀取單一產品最新一筆價格記錄
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} productId - 產品 ID
+ * @returns {Promise<Object|null>} 價格記錄，沒有記錄時為 null
+ */
+export const fetchLatestProductRecord = async (db, productId) => {
+    const recordsQuery = query(
+        collection(db, "priceRecords"),
+        where("numericalID", "in", getProductIdQueryValues(productId)),
+        orderBy("timestamp", "desc"),
+        limit(1)
+    );
+    return toDocs(await getDocs(recordsQuery))[0] || null;
+};
+
+/**
+ * 以完整條碼讀取產品（GTIN-14 與舊版 ID 的產品文件），不受已載入的分頁限制
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} barcode - 條碼
+ * @returns {Promise<Array<Object>>} 產品，條碼無效時為空陣列
+ */
+export const fetchProductsByBarcode = async (db, barcode) => {
+    const productId = getBarcodeProductId(barcode);
+    if (!productId) {
+        return [];
+    }
+    return fetchProductsByIds(db, [productId, ...getLegacyProductIds(barcode)]);
+};
+
+/**
+ * 讀取收據品項可能對應的產品，不讀取整個產品集合
+ * - 有效條碼：直接讀取 GTIN-14 與舊版 ID 的產品文件
+ * - 品名：以「品名@商店」索引鍵查詢，相似品名則由呼叫端提供的已載入產品比對
+ * @param {Firestore} db - Firestore 實例
+ * @param {Array<Object>} items - 收據品項 { name, barcode }
+ * @param {string} storeName - 收據的商店
+ * @returns {Promise<Array<Object>>} 候選產品
+ */
+export const fetchReceiptCandidateProducts = async (db, items, storeName) => {
+    const barcodeIds = items
+        .filter(item => item.barcode && getBarcodeProductId(item.barcode))
+        .flatMap(item => [getBarcodeProductId(item.barcode), ...getLegacyProductIds(item.barcode)]);
+    const products = await fetchProductsByIds(db, barcodeIds);
+
+    const nameStoreKeys = [...new Set(items.map(item => buildNameStoreKey(item.name, storeName)).filter(Boolean))];
+    for (let i = 0; i < nameStoreKeys.length; i += IN_QUERY_LIMIT) {
+        const snap = await getDocs(query(collection(db, "products"), where("nameStoreKey", "in", nameStoreKeys.slice(i, i + IN_QUERY_LIMIT))));
+        products.push(...toDocs(snap));
+    }
+    return products;
+};
+
+/**
+ * 讀取指定產品的文件
+ * @param {Firestore} db - Firestore 實例
+ * @param {Iterable<string>} productIds - 產品 ID
+ * @returns {Promise<Array<Object>>} 仍存在的產品
+ */
+export const fetchProductsByIds = async (db, productIds) => {
+    const snaps = await Promise.all([...new Set(productIds)].map(productId => getDoc(doc(db, "products", String(productId)))));
+    return snaps.filter(snap => snap.exists()).map(snap => ({ id: snap.id, ...snap.data() }));
+};
+
+/**
+ * 依時間由新到舊讀取一頁價格記錄（篩選模式使用）
+ * 只有時間範圍在伺服器端查詢，其餘篩選條件由呼叫端比對，避免為每種組合建立複合索引
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} options - 選項
+ * @param {number|null} [options.from] - 起始時間（毫秒，含）
+ * @param {number|null} [options.to] - 結束時間（毫秒，含）
+ * @param {Timestamp|null} [options.after] - 上一頁最後一筆記錄的 timestamp
+ * @param {number} [options.pageSize] - 每頁數量
+ * @returns {Promise<{records: Array<Object>, hasMore: boolean}>} 記錄與是否還有下一頁
+ */
+export const fetchRecordsPage = async (db, { from = null, to = null, after = null, pageSize = RECORDS_PAGE_SIZE } = {}) => {
+    const constraints = [];
+    if (from !== null) {
+        constraints.push(where("timestamp", ">=", Timestamp.fromMillis(from)));
+    }
+    if (to !== null) {
+        constraints.push(where("timestamp", "<=", Timestamp.fromMillis(to)));
+    }
+    constraints.push(orderBy("timestamp", "desc"));
+    if (after) {
+        constraints.push(startAfter(after));
+    }
+    constraints.push(limit(pageSize));
+    const records = toDocs(await getDocs(query(collection(db, "priceRecords"), ...constraints)));
+    return { records, hasMore: records.length === pageSize };
+};
@@ -0,0 +1,183 @@
+// 產品 ID 遷移服務
+// 將舊版以 djb2 雜湊為鍵的 products / priceRecords 文件，重新以 GTIN-14 或 UUID 為鍵。
+import { collection, getDocs, doc, writeBatch } from 'firebase/firestore';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeBarcode } from './barcode';
+import { buildNameStoreKey, isLegacyProductId, getNameStoreProductId } from './productIdentity';
+
+// Firestore 單一批次最多 500 筆寫入，保留一些餘裕
+const BATCH_LIMIT = 400;
+
+const toMillis = (timestamp) => {
+    if (!timestamp) return Infinity;
+    if (timestamp.toMillis) return timestamp.toMillis();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? Infinity : time;
+};
+
+/**
+ * 依現有資料規劃遷移內容（不寫入資料庫）
+ * @param {Array<Object>} products - 所有產品文件（含 id）
+ * @param {Array<Object>} records - 所有價格記錄文件（含 id）
+ * @returns {Object} 遷移計畫，包含要寫入/刪除的文件與報告
+ */
+export const planProductIdMigration = (products, records) => {
+    // 依舊 ID 分組價格記錄；numericalID 可能是字串或數字
+    const recordsByOldId = new Map();
+    records.forEach(record => {
+        const key = String(record.numericalID);
+        if (!recordsByOldId.has(key)) {
+            recordsByOldId.set(key, []);
+        }
+        recordsByOldId.get(key).push(record);
+    });
+
+    const newIdByOldId = new Map();
+    const invalidBarcodes = [];
+    const suspectedCollisions = [];
+
+    products.forEach(product => {
+        const oldId = String(product.id);
+        const productRecords = recordsByOldId.get(oldId) || [];
+        const barcodeResult = product.barcodeData ? normalizeBarcode(product.barcodeData) : null;
+        let newId;
+        let nameStoreKey = null;
+
+        if (barcodeResult && barcodeResult.isValid) {
+            newId = barcodeResult.gtin14;
+        } else {
+            if (barcodeResult) {
+                invalidBarcodes.push({ productId: oldId, barcodeData: product.barcodeData, error: barcodeResult.error });
+            }
+            const storeName = productRecords[0]?.storeName || '';
+            nameStoreKey = buildNameStoreKey(product.productName, storeName);
+            if (!isLegacyProductId(oldId)) {
+                newId = oldId; // 已是新格式
+            } else {
+                // 與 resolveProductId 相同，由索引鍵算出 UUID，同一索引鍵的舊產品會合併
+                newId = nameStoreKey ? getNameStoreProductId(nameStoreKey) : uuidv4();
+            }
+        }
+
+        // 同一產品下出現不同品名，可能是舊雜湊碰撞把兩個產品合併了
+        const distinctNames = Array.from(new Set(productRecords.map(r => (r.productName || '').trim()).filter(Boolean)));
+        if (distinctNames.length > 1) {
+            suspectedCollisions.push({ productId: oldId, productNames: distinctNames, recordCount: productRecords.length });
+        }
+
+        newIdByOldId.set(oldId, { newId, barcodeResult, nameStoreKey });
+    });
+
+    // 依新 ID 合併產品文件
+    const productsByNewId = new Map();
+    products.forEach(product => {
+        const { newId } = newIdByOldId.get(String(product.id));
+        if (!productsByNewId.has(newId)) {
+            productsByNewId.set(newId, []);
+        }
+        productsByNewId.get(newId).push(product);
+    });
+
+    const productWrites = [];
+    const productDeletes = [];
+    const mergedProducts = [];
+
+    productsByNewId.forEach((sourceProducts, newId) => {
+        const oldIds = sourceProducts.map(p => String(p.id));
+        const needsRewrite = oldIds.length > 1 || oldIds[0] !== newId
+            || sourceProducts[0].numericalID !== newId;
+        if (!needsRewrite) return;
+
+        if (oldIds.length > 1) {
+            mergedProducts.push({ newId, oldIds });
+        }
+
+        // 以最早建立的產品為基礎，最佳單價取所有來源中的最低者
+        const sorted = [...sourceProducts].sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+        const base = sorted[0];
+        const { barcodeResult, nameStoreKey } = newIdByOldId.get(String(base.id));
+        const withBestPrice = sourceProducts
+            .filter(p => typeof p.bestUnitPrice === 'number')
+            .sort((a, b) => a.bestUnitPrice - b.bestUnitPrice)[0];
+
+        const { id, ...baseData } = base;
+        productWrites.push({
+            id: newId,
+            data: {
+                ...baseData,
+                numericalID: newId,
+                barcodeData: barcodeResult && barcodeResult.isValid ? barcodeResult.barcode : (base.barcodeData || ''),
+                gtin14: barcodeResult && barcodeResult.isValid ? barcodeResult.gtin14 : null,
+                nameStoreKey: barcodeResult && barcodeResult.isValid ? null : nameStoreKey,
+                bestUnitPrice: withBestPrice ? withBestPrice.bestUnitPrice : (base.bestUnitPrice ?? null),
+                bestPriceRecordRef: withBestPrice ? withBestPrice.bestPriceRecordRef : (base.bestPriceRecordRef ?? null),
+                migratedFrom: oldIds
+            }
+        });
+        oldIds.filter(oldId => oldId !== newId).forEach(oldId => productDeletes.push(oldId));
+    });
+
+    // 更新價格記錄的 numericalID，並統一為字串
+    const recordUpdates = [];
+    const orphanRecords = [];
+    records.forEach(record => {
+        const mapping = newIdByOldId.get(String(record.numericalID));
+        if (!mapping) {
+            orphanRecords.push({ recordId: record.id, numericalID: record.numericalID, productName: record.productName });
+            return;
+        }
+        if (record.numericalID !== mapping.newId) {
+            recordUpdates.push({ id: record.id, numericalID: mapping.newId });
+        }
+    });
+
+    return {
+        productWrites,
+        productDeletes,
+        recordUpdates,
+        report: {
+            productsScanned: products.length,
+            recordsScanned: records.length,
+            productsToRekey: productWrites.length,
+            recordsToUpdate: recordUpdates.length,
+            mergedProducts,
+            suspectedCollisions,
+            invalidBarcodes,
+            orphanRecords
+        }
+    };
+};
+
+/**
+ * 執行產品 ID 遷移
+ * @param {Firestore} db - Firestore 實例
+ * @param {Object} options - 選項
+ * @param {boolean} options.dryRun - 為 true 時只產生報告，不寫入資料庫
+ * @returns {Promise<Object>} 遷移報告
+ */
+export const migrateProductIds = async (db, { dryRun = true } = {}) => {
+    const productsSnap = await getDocs(collection(db, "products"));
+    const products = productsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const recordsSnap = await getDocs(collection(db, "priceRecords"));
+    const records = recordsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+    const plan = planProductIdMigration(products, records);
+    if (dryRun) {
+        return { ...plan.report, dryRun: true };
+    }
+
+    const operations = [
+        ...plan.productWrites.map(write => (batch) => batch.set(doc(db, "products", write.id), write.data)),
+        ...plan.recordUpdates.map(update => (batch) => batch.update(doc(db, "priceRecords", update.id), { numericalID: update.numericalID })),
+        // 最後才刪除舊產品文件，確保中途失敗時資料不會遺失
+        ...plan.productDeletes.map(oldId => (batch) => batch.delete(doc(db, "products", oldId)))
+    ];
+
+    for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+        await batch.commit();
+    }
+
+    return { ...plan.report, dryRun: false };
+};
@@ -0,0 +1,90 @@
+/**
+ * 產品 ID 遷移與舊版 ID 相容的測試檔案
+ */
+
+import { planProductIdMigration } from './productIdMigration';
+import { legacyDjb2Hash, getLegacyProductIds, getProductIdQueryValues, getNameStoreProductId } from './productIdentity';
+
+const BARCODE = '4710088412348';
+const GTIN14 = '04710088412348';
+const legacyBarcodeId = legacyDjb2Hash(BARCODE).toString();
+const legacyNameId = legacyDjb2Hash('手工豆花-傳統市場').toString();
+
+describe('舊版 ID 相容', () => {
+    it('由條碼或「品名-商店」算出舊版 ID 候選', () => {
+        expect(getLegacyProductIds(BARCODE, '鮮乳', '全聯')).toEqual([legacyBarcodeId]);
+        expect(getLegacyProductIds('', '手工豆花', '傳統市場')).toEqual([legacyNameId]);
+        expect(getLegacyProductIds('', '', '全聯')).toEqual([]);
+    });
+
+    it('舊版 ID 同時以字串與數字查詢，新版 ID 只用字串', () => {
+        expect(getProductIdQueryValues(Number(legacyBarcodeId))).toEqual([legacyBarcodeId, Number(legacyBarcodeId)]);
+        expect(getProductIdQueryValues(GTIN14)).toEqual([GTIN14]);
+    });
+
+    it('同一個「品名@商店」索引鍵永遠得到同一個 UUID', () => {
+        expect(getNameStoreProductId('手工豆花@傳統市場')).toBe(getNameStoreProductId('手工豆花@傳統市場'));
+        expect(getNameStoreProductId('手工豆花@傳統市場')).not.toBe(getNameStoreProductId('手工豆花@全聯'));
+    });
+});
+
+describe('planProductIdMigration', () => {
+    it('有條碼的舊產品改以 GTIN-14 為鍵，數字型 numericalID 的記錄一併更新', () => {
+        const products = [{ id: legacyBarcodeId, numericalID: Number(legacyBarcodeId), barcodeData: BARCODE, productName: '鮮乳', bestUnitPrice: 0.1 }];
+        const records = [
+            { id: 'r1', numericalID: Number(legacyBarcodeId), productName: '鮮乳', storeName: '全聯' },
+            { id: 'r2', numericalID: legacyBarcodeId, productName: '鮮乳', storeName: '家樂福' }
+        ];
+        const plan = planProductIdMigration(products, records);
+
+        expect(plan.productWrites).toHaveLength(1);
+        expect(plan.productWrites[0]).toMatchObject({
+            id: GTIN14,
+            data: { numericalID: GTIN14, gtin14: GTIN14, barcodeData: BARCODE, nameStoreKey: null, migratedFrom: [legacyBarcodeId] }
+        });
+        expect(plan.productDeletes).toEqual([legacyBarcodeId]);
+        expect(plan.recordUpdates).toEqual([{ id: 'r1', numericalID: GTIN14 }, { id: 'r2', numericalID: GTIN14 }]);
+    });
+
+    it('無條碼的舊產品改用索引鍵算出的 UUID，同一索引鍵的產品合併並保留最低的最佳單價', () => {
+        const products = [
+            { id: legacyNameId, numericalID: legacyNameId, productName: '手工豆花', bestUnitPrice: 2, bestPriceRecordRef: 'priceRecords/r1', createdAt: new Date(2024, 0, 2) },
+            { id: '12345', numericalID: '12345', productName: '手工豆花', bestUnitPrice: 1.5, bestPriceRecordRef: 'priceRecords/r2', createdAt: new Date(2024, 0, 1) }
+        ];
+        const records = [
+            { id: 'r1', numericalID: legacyNameId, productName: '手工豆花', storeName: '傳統市場' },
+            { id: 'r2', numericalID: 12345, productName: '手工豆花', storeName: '傳統市場' }
+        ];
+        const plan = planProductIdMigration(products, records);
+        const newId = getNameStoreProductId('手工豆花@傳統市場');
+
+        expect(plan.productWrites).toHaveLength(1);
+        expect(plan.productWrites[0].id).toBe(newId);
+        expect(plan.productWrites[0].data).toMatchObject({ nameStoreKey: '手工豆花@傳統市場', bestUnitPrice: 1.5, bestPriceRecordRef: 'priceRecords/r2' });
+        // 以最早建立的產品為基礎
+        expect(plan.productWrites[0].data.migratedFrom).toEqual([legacyNameId, '12345']);
+        expect(plan.report.mergedProducts).toEqual([{ newId, oldIds: [legacyNameId, '12345'] }]);
+        expect(plan.productDeletes.sort()).toEqual(['12345', legacyNameId].sort());
+        expect(plan.recordUpdates).toEqual([{ id: 'r1', numericalID: newId }, { id: 'r2', numericalID: newId }]);
+    });
+
+    it('已是新格式的產品不重寫，並回報無效條碼、疑似雜湊碰撞與孤兒記錄', () => {
+        const products = [
+            { id: GTIN14, numericalID: GTIN14, barcodeData: BARCODE, productName: '鮮乳' },
+            { id: '999', numericalID: '999', barcodeData: '4710088412345', productName: '豆漿' }
+        ];
+        const records = [
+            { id: 'r1', numericalID: GTIN14, productName: '鮮乳', storeName: '全聯' },
+            { id: 'r2', numericalID: '999', productName: '豆漿', storeName: '全聯' },
+            { id: 'r3', numericalID: '999', productName: '米漿', storeName: '全聯' },
+            { id: 'r4', numericalID: 'missing', productName: '紅茶' }
+        ];
+        const plan = planProductIdMigration(products, records);
+
+        expect(plan.productWrites.map(write => write.id)).not.toContain(GTIN14);
+        expect(plan.report.invalidBarcodes).toEqual([expect.objectContaining({ productId: '999', barcodeData: '4710088412345' })]);
+        expect(plan.report.suspectedCollisions).toEqual([{ productId: '999', productNames: ['豆漿', '米漿'], recordCount: 2 }]);
+        expect(plan.report.orphanRecords).toEqual([{ recordId: 'r4', numericalID: 'missing', productName: '紅茶' }]);
+        expect(plan.recordUpdates.map(update => update.id)).toEqual(['r2', 'r3']);
+    });
+});
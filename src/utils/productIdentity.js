@@ -0,0 +1,173 @@
+// 產品識別碼服務
+// 有條碼的產品以正規化後的 GTIN-14 作為文件 ID；無條碼的產品使用由「品名@商店」索引鍵算出的固定 UUID，
+// 並以索引鍵找回既有的 UUID。尚未執行 ID 遷移的舊產品（djb2 雜湊 ID）仍沿用舊 ID 查詢與寫入。
+import { collection, query, where, getDocs, getDoc, doc, limit } from 'firebase/firestore';
+import { v5 as uuidv5 } from 'uuid';
+import { normalizeBarcode } from './barcode';
+
+// 舊版 djb2 32 位元雜湊產生的 ID 最多 10 位數字
+export const LEGACY_ID_PATTERN = /^\d{1,10}$/;
+
+// 無條碼產品 UUID 的命名空間（UUID v5），同一個索引鍵在任何裝置上都得到同一個 UUID
+const NAME_STORE_ID_NAMESPACE = 'ff83fd9e-e56a-4290-b158-de9772566507';
+
+/**
+ * 舊版產品 ID 使用的 djb2 雜湊（僅供遷移與比對舊資料使用）
+ * @param {string} str - 要雜湊的字串
+ * @returns {number} 32 位元無號整數
+ */
+export const legacyDjb2Hash = (str) => {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) + hash) + str.charCodeAt(i);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * 判斷產品 ID 是否為舊版雜湊格式
+ * @param {string|number} productId - 產品 ID
+ * @returns {boolean} 是否為舊版格式
+ */
+export const isLegacyProductId = (productId) => LEGACY_ID_PATTERN.test(String(productId));
+
+/**
+ * 查詢價格記錄時 numericalID 可能的值
+ * 舊版記錄的 numericalID 可能存成數字，舊版 ID 需同時比對字串與數字
+ * @param {string|number} productId - 產品 ID
+ * @returns {Array<string|number>} 字串形式，舊版 ID 另加上數字形式
+ */
+export const getProductIdQueryValues = (productId) => {
+    const id = String(productId);
+    return isLegacyProductId(id) ? [id, Number(id)] : [id];
+};
+
+/**
+ * 舊版（遷移前）的產品 ID 候選
+ * 舊版以輸入的條碼字串、或「品名-商店」計算 djb2 雜湊
+ * @param {string} barcode - 條碼（可為空）
+ * @param {string} productName - 產品名稱
+ * @param {string} storeName - 商店名稱
+ * @returns {Array<string>} 候選 ID
+ */
+export const getLegacyProductIds = (barcode, productName, storeName) => {
+    if (barcode) {
+        const cleaned = String(barcode).replace(/[\s-]/g, '');
+        const normalized = normalizeBarcode(cleaned);
+        const candidates = new Set([cleaned, normalized.barcode]);
+        return [...candidates].map(code => legacyDjb2Hash(code).toString());
+    }
+    if (!productName) {
+        return [];
+    }
+    return [legacyDjb2Hash(`${productName}-${storeName}`).toString()];
+};
+
+/**
+ * 找出仍以舊版 ID 存放的產品（尚未執行 ID 遷移時）
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} barcode - 條碼（可為空）
+ * @param {string} productName - 產品名稱
+ * @param {string} storeName - 商店名稱
+ * @returns {Promise<string|null>} 舊版產品 ID，找不到時為 null
+ */
+export const findLegacyProductId = async (db, barcode, productName, storeName) => {
+    for (const legacyId of getLegacyProductIds(barcode, productName, storeName)) {
+        const legacySnap = await getDoc(doc(db, "products", legacyId));
+        if (legacySnap.exists()) {
+            return legacyId;
+        }
+    }
+    return null;
+};
+
+/**
+ * 由「品名@商店」索引鍵產生無條碼產品的 ID
+ * 同一個索引鍵永遠得到同一個 UUID，兩台裝置同時儲存同一個新產品時不會建立兩個產品
+ * @param {string} nameStoreKey - 索引鍵
+ * @returns {string} UUID
+ */
+export const getNameStoreProductId = (nameStoreKey) => uuidv5(nameStoreKey, NAME_STORE_ID_NAMESPACE);
+
+/**
+ * 產生無條碼產品的「品名@商店」索引鍵
+ * @param {string} productName - 產品名稱
+ * @param {string} storeName - 商店名稱
+ * @returns {string|null} 索引鍵，品名為空時為 null
+ */
+export const buildNameStoreKey = (productName, storeName) => {
+    const name = (productName || '').trim();
+    if (!name) {
+        return null;
+    }
+    return `${name}@${(storeName || '').trim()}`;
+};
+
+/**
+ * 取得有條碼產品的 ID（正規化後的 GTIN-14）
+ * @param {string} barcode - 條碼
+ * @returns {string|null} 產品 ID，條碼無效時為 null
+ */
+export const getBarcodeProductId = (barcode) => {
+    if (!barcode) {
+        return null;
+    }
+    const normalized = normalizeBarcode(barcode);
+    return normalized.isValid ? normalized.gtin14 : null;
+};
+
+/**
+ * 取得同步比對用的產品鍵（不需查詢資料庫）
+ * 用於比較尚未儲存的項目是否屬於同一產品
+ * @param {string} barcode - 條碼
+ * @param {string} productName - 產品名稱
+ * @param {string} storeName - 商店名稱
+ * @returns {string|null} 比對鍵
+ */
+export const getProductMatchKey = (barcode, productName, storeName) => {
+    return getBarcodeProductId(barcode) || buildNameStoreKey(productName, storeName);
+};
+
+/**
+ * 解析產品 ID
+ * - 有效條碼：使用 GTIN-14
+ * - 無條碼：以「品名@商店」查詢既有產品，找不到則使用由索引鍵算出的 UUID
+ * - 新 ID 的產品不存在但舊版 ID 的產品存在時（尚未遷移），沿用舊版 ID，避免同一產品的記錄分散在兩個 ID
+ * @param {Firestore} db - Firestore 實例
+ * @param {string} barcode - 條碼（可為空）
+ * @param {string} productName - 產品名稱
+ * @param {string} storeName - 商店名稱
+ * @returns {Promise<{productId: string|null, nameStoreKey: string|null, isNew: boolean, isLegacy: boolean}>} 解析結果
+ */
+export const resolveProductId = async (db, barcode, productName, storeName) => {
+    if (barcode) {
+        const productId = getBarcodeProductId(barcode);
+        if (!productId) {
+            return { productId: null, nameStoreKey: null, isNew: false, isLegacy: false };
+        }
+        const productSnap = await getDoc(doc(db, "products", productId));
+        if (productSnap.exists()) {
+            return { productId, nameStoreKey: null, isNew: false, isLegacy: false };
+        }
+        const legacyId = await findLegacyProductId(db, barcode, productName, storeName);
+        return { productId: legacyId || productId, nameStoreKey: null, isNew: !legacyId, isLegacy: !!legacyId };
+    }
+
+    const nameStoreKey = buildNameStoreKey(productName, storeName);
+    if (!nameStoreKey) {
+        return { productId: null, nameStoreKey: null, isNew: false, isLegacy: false };
+    }
+
+    const existingQuery = query(collection(db, "products"), where("nameStoreKey", "==", nameStoreKey), limit(1));
+    const existingSnap = await getDocs(existingQuery);
+    if (!existingSnap.empty) {
+        return { productId: existingSnap.docs[0].id, nameStoreKey, isNew: false, isLegacy: false };
+    }
+
+    const legacyId = await findLegacyProductId(db, '', productName, storeName);
+    if (legacyId) {
+        return { productId: legacyId, nameStoreKey, isNew: false, isLegacy: true };
+    }
+
+    return { productId: getNameStoreProductId(nameStoreKey), nameStoreKey, isNew: true, isLegacy: false };
+};
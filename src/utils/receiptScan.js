@@ -0,0 +1,211 @@
+// 收據掃描
+// 一張收據由代理的 'receipt' 模板擷取出多個品項，每個品項比對既有產品後展開成一張待辨識卡片，
+// 在待辨識序列中逐張確認或批次儲存為價格記錄。
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeUnit, calculateUnitPrice } from './priceCalculations';
+import { normalizeBarcode } from './barcode';
+import { OCR_CARD_STATUS } from './ocrQueue';
+
+// 品名相似度達到此值才視為同一產品
+export const NAME_MATCH_THRESHOLD = 0.6;
+
+// 品名中的規格，例如「鮮乳 936ml」、「洋芋片 43g」、「餅乾 18克x10入」
+const SPEC_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|kg|g|ml|l|cc|毫克|公斤|公克|克|毫升|公升)(?:\s*[x×*]\s*(\d+)\s*(?:入|包|瓶|罐|個)?)?/i;
+// 只有件數的規格，例如「衛生紙 12入」、「雞蛋 10顆」
+const COUNT_PATTERN = /(\d+)\s*(入|包|盒|個|顆|片|支|條|瓶|罐)/;
+
+/**
+ * 從品名中解析規格
+ * @param {string} name - 收據上的品名
+ * @returns {{quantity: number, unitType: string}|null} 規格，無法判斷時為 null
+ */
+export const parseSpecFromName = (name) => {
+    const text = String(name || '').replace(/[０-９ａ-ｚＡ-Ｚ]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0));
+    const specMatch = text.match(SPEC_PATTERN);
+    if (specMatch) {
+        const unitType = normalizeUnit(specMatch[2]);
+        if (unitType) {
+            const count = specMatch[3] ? parseInt(specMatch[3], 10) : 1;
+            return { quantity: parseFloat(specMatch[1]) * count, unitType };
+        }
+    }
+    const countMatch = text.match(COUNT_PATTERN);
+    if (countMatch) {
+        return { quantity: parseInt(countMatch[1], 10), unitType: normalizeUnit(countMatch[2]) || 'pcs' };
+    }
+    return null;
+};
+
+// 比對用的品名：去除空白與符號、全形轉半形、英文轉小寫
+const normalizeNameForMatch = (name) => String(name || '')
+    .replace(/[！-～]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .toLowerCase()
+    .replace(/[\s\-_/\\()[\]{}.,，。、*#@!！?？:：'"]/g, '');
+
+const toBigrams = (text) => {
+    if (text.length < 2) {
+        return text ? [text] : [];
+    }
+    const bigrams = [];
+    for (let i = 0; i < text.length - 1; i++) {
+        bigrams.push(text.slice(i, i + 2));
+    }
+    return bigrams;
+};
+
+/**
+ * 計算兩個品名的相似度（字元二元組的 Dice 係數）
+ * 收據品名常被截短，例如「統一瑞穗鮮乳936」對「瑞穗鮮乳 936ml」
+ * @param {string} a - 品名
+ * @param {string} b - 品名
+ * @returns {number} 0 到 1 之間的相似度
+ */
+export const nameSimilarity = (a, b) => {
+    const left = normalizeNameForMatch(a);
+    const right = normalizeNameForMatch(b);
+    if (!left || !right) {
+        return 0;
+    }
+    if (left === right) {
+        return 1;
+    }
+    const leftBigrams = toBigrams(left);
+    const rightBigrams = toBigrams(right);
+    const remaining = [...rightBigrams];
+    let overlap = 0;
+    leftBigrams.forEach(bigram => {
+        const index = remaining.indexOf(bigram);
+        if (index !== -1) {
+            overlap++;
+            remaining.splice(index, 1);
+        }
+    });
+    return (2 * overlap) / (leftBigrams.length + rightBigrams.length);
+};
+
+/**
+ * 將收據品項比對到既有產品：先比對條碼，再比對品名
+ * @param {Object} item - 收據品項 { name, barcode }
+ * @param {Array<Object>} products - 產品文件（含 id、productName、gtin14）
+ * @returns {{product: Object, matchType: string, score: number}|null} 比對結果，找不到時為 null
+ */
+export const matchReceiptItem = (item, products) => {
+    if (item.barcode) {
+        const barcodeResult = normalizeBarcode(item.barcode);
+        if (barcodeResult.isValid) {
+            // 尚未遷移的舊產品以舊版 ID 存放，改比對產品上的條碼
+            const product = products.find(p => p.id === barcodeResult.gtin14 || p.gtin14 === barcodeResult.gtin14
+                || (p.barcodeData && normalizeBarcode(p.barcodeData).gtin14 === barcodeResult.gtin14));
+            if (product) {
+                return { product, matchType: 'barcode', score: 1 };
+            }
+        }
+    }
+
+    let best = null;
+    products.forEach(product => {
+        const score = nameSimilarity(item.name, product.productName);
+        if (score >= NAME_MATCH_THRESHOLD && (!best || score > best.score)) {
+            best = { product, matchType: 'name', score };
+        }
+    });
+    return best;
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const buildWarning = (field, message) => ({ field, code: 'missing', severity: 'error', message, original: null, value: null });
+
+/**
+ * 將收據辨識結果展開為待辨識卡片
+ * @param {Object} receipt - 代理回傳的 data { storeName, purchaseDate, items, totalAmount }
+ * @param {Object} options - 選項
+ * @param {Array<Object>} options.products - 用於比對的產品文件
+ * @param {Object} options.productSpecs - 產品 ID 對應最近一筆記錄的規格 { quantity, unitType, packCount }
+ * @param {Array<Object>} options.warnings - 代理回傳的 warnings（欄位路徑為 items[i].xxx）
+ * @param {Object|null} options.template - 產生結果的模板與辨識服務 { id, version, provider }
+ * @param {string} options.fallbackStoreName - 收據上看不到商店時使用的商店
+ * @returns {Array<Object>} 每個品項一張已辨識的卡片
+ */
+export const buildReceiptItemCards = (receipt, { products = [], productSpecs = {}, warnings = [], template = null, fallbackStoreName = '' } = {}) => {
+    const receiptId = uuidv4();
+    const items = (receipt?.items || []).filter(item => item && item.name);
+    const storeName = receipt?.storeName || fallbackStoreName;
+    const receiptWarnings = warnings.filter(warning => !/^items\[\d+\]/.test(warning.field));
+
+    // 品項小計加總與收據總額不符時提醒（可能漏掉或多抓了品項）
+    const lineTotal = items.reduce((sum, item) => sum + (item.totalPrice || 0) - (item.discount || 0), 0);
+    if (receipt?.totalAmount && Math.abs(lineTotal - receipt.totalAmount) > 1) {
+        receiptWarnings.push({
+            field: 'totalAmount',
+            code: 'inconsistent',
+            severity: 'info',
+            message: `品項加總 ${roundPrice(lineTotal)} 與收據總額 ${receipt.totalAmount} 不符，請檢查是否有漏掉的品項`,
+            original: receipt.totalAmount,
+            value: roundPrice(lineTotal)
+        });
+    }
+
+    return items.map((item, lineIndex) => {
+        const originalIndex = receipt.items.indexOf(item);
+        const itemWarnings = warnings.filter(warning => warning.field.startsWith(`items[${originalIndex}]`));
+        const match = matchReceiptItem(item, products);
+        const matchedProduct = match?.product || null;
+
+        // 每件實付價格：小計扣除折扣後除以件數
+        const purchaseQuantity = item.quantity && item.quantity > 0 ? item.quantity : 1;
+        const lineAmount = item.totalPrice ?? (item.unitPrice != null ? item.unitPrice * purchaseQuantity : null);
+        const listedUnitPrice = item.unitPrice ?? (lineAmount != null ? lineAmount / purchaseQuantity : null);
+        const paidUnitPrice = lineAmount != null ? (lineAmount - (item.discount || 0)) / purchaseQuantity : null;
+        const hasDiscount = Boolean(item.discount) && listedUnitPrice != null && paidUnitPrice != null;
+
+        // 規格：收據品名中的規格優先，其次沿用已對應產品最近一筆記錄的規格或產品名稱中的規格
+        const spec = parseSpecFromName(item.name)
+            || (matchedProduct ? productSpecs[matchedProduct.id] || parseSpecFromName(matchedProduct.productName) : null);
+        if (!spec) {
+            itemWarnings.push(buildWarning('quantity', '無法從品名判斷容量/數量，請確認'));
+        }
+        if (paidUnitPrice == null) {
+            itemWarnings.push(buildWarning('listedPrice', '未辨識到品項金額'));
+        }
+
+        const extractedPrice = paidUnitPrice != null ? String(roundPrice(paidUnitPrice)) : '';
+        const quantity = spec ? String(spec.quantity) : '';
+        const unitType = spec?.unitType || 'pcs';
+        const packCount = spec?.packCount || 1;
+
+        return {
+            id: uuidv4(),
+            timestamp: Date.now(),
+            status: OCR_CARD_STATUS.READY,
+            error: null,
+            lockedBarcode: null,
+            // 收據影像不複製到品項卡片，避免每個品項各存一份佔滿 localStorage
+            capturedImage: null,
+            // 收據上的店內貨號通常不是有效的 GS1 條碼，只採用通過校驗的條碼
+            scannedBarcode: matchedProduct?.barcodeData || (item.barcode && normalizeBarcode(item.barcode).isValid ? item.barcode : ''),
+            aiBarcode: item.barcode || '',
+            productName: matchedProduct?.productName || item.name,
+            extractedPrice,
+            storeName,
+            discountDetails: item.discountDetails || (purchaseQuantity > 1 ? `購買 ${purchaseQuantity} 件` : ''),
+            quantity,
+            unitType,
+            packCount,
+            unitPrice: calculateUnitPrice(parseFloat(extractedPrice), quantity, unitType, packCount) || 0,
+            // 沒有折扣時不帶 specialPrice，讓卡片顯示單一總價欄位
+            ...(hasDiscount ? { originalPrice: roundPrice(listedUnitPrice), specialPrice: roundPrice(paidUnitPrice) } : {}),
+            warnings: [...receiptWarnings, ...itemWarnings],
+            ocrTemplate: template,
+            productMatch: match ? { productId: matchedProduct.id, matchType: match.matchType, score: roundPrice(match.score) } : null,
+            receipt: {
+                id: receiptId,
+                storeName: receipt?.storeName || '',
+                purchaseDate: receipt?.purchaseDate || '',
+                lineIndex,
+                lineCount: items.length,
+                rawName: item.name
+            }
+        };
+    });
+};
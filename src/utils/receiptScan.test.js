@@ -0,0 +1,23 @@
+/**
+ * 收據品項比對的測試檔案
+ */
+
+import { matchReceiptItem } from './receiptScan';
+
+describe('matchReceiptItem', () => {
+    const products = [
+        { id: '04710088412348', gtin14: '04710088412348', productName: '瑞穗鮮乳 936ml' },
+        // 尚未遷移的舊產品：舊版 ID、沒有 gtin14 欄位
+        { id: '1234567', barcodeData: '4710088412355', productName: '光泉豆漿' }
+    ];
+
+    it('以條碼比對產品，舊產品比對產品上的條碼', () => {
+        expect(matchReceiptItem({ name: '鮮乳', barcode: '4710088412348' }, products)).toMatchObject({ product: { id: '04710088412348' }, matchType: 'barcode' });
+        expect(matchReceiptItem({ name: '豆漿', barcode: '04710088412355' }, products)).toMatchObject({ product: { id: '1234567' }, matchType: 'barcode' });
+    });
+
+    it('條碼找不到時以品名相似度比對', () => {
+        expect(matchReceiptItem({ name: '瑞穗鮮乳936', barcode: '' }, products)).toMatchObject({ product: { id: '04710088412348' }, matchType: 'name' });
+        expect(matchReceiptItem({ name: '衛生紙', barcode: '' }, products)).toBeNull();
+    });
+});
@@ -0,0 +1,213 @@
+// 所有記錄頁的篩選條件
+// 篩選條件可以組合，並同步到網址的查詢字串（重新整理或分享連結時保留），也可以儲存為命名的檢視。
+// 條碼只比對產品（完整條碼另由伺服器讀取尚未載入的產品）；其餘條件比對價格記錄，產品只要有任一筆記錄符合就會顯示，且只列出符合的記錄。
+import { getChainName } from './anomalyDetection';
+import { getBarcodeProductId } from './productIdentity';
+
+export const SAVED_VIEWS_KEY = 'allRecordsSavedViews';
+
+export const RECORDED_BY_OPTIONS = {
+    ANY: '',
+    ME: 'me',
+    OTHERS: 'others'
+};
+
+export const EMPTY_FILTERS = {
+    barcode: '',
+    store: '',
+    chain: '',
+    dateFrom: '', // YYYY-MM-DD（含當天）
+    dateTo: '', // YYYY-MM-DD（含當天）
+    unitType: '',
+    minPrice: '',
+    maxPrice: '',
+    hasDiscount: false,
+    anomalyOnly: false,
+    recordedBy: RECORDED_BY_OPTIONS.ANY
+};
+
+// 網址查詢字串使用的參數名稱
+const URL_PARAMS = {
+    barcode: 'barcode',
+    store: 'store',
+    chain: 'chain',
+    dateFrom: 'from',
+    dateTo: 'to',
+    unitType: 'unit',
+    minPrice: 'minPrice',
+    maxPrice: 'maxPrice',
+    hasDiscount: 'discount',
+    anomalyOnly: 'anomaly',
+    recordedBy: 'by'
+};
+
+const BOOLEAN_FILTERS = ['hasDiscount', 'anomalyOnly'];
+
+const isSet = (key, value) => (BOOLEAN_FILTERS.includes(key) ? value === true : value !== '' && value != null);
+
+/**
+ * 計算啟用中的篩選條件數
+ * @param {Object} filters - 篩選條件
+ * @returns {number} 條件數
+ */
+export const countActiveFilters = (filters) => Object.keys(EMPTY_FILTERS).filter(key => isSet(key, filters[key])).length;
+
+/**
+ * 是否有比對價格記錄的條件（條碼以外的條件）
+ * @param {Object} filters - 篩選條件
+ * @returns {boolean} 是否需要讀取價格記錄
+ */
+export const hasRecordFilters = (filters) => Object.keys(EMPTY_FILTERS).some(key => key !== 'barcode' && isSet(key, filters[key]));
+
+/**
+ * 把篩選條件寫入查詢字串；保留其他參數，只移除篩選用的參數
+ * @param {Object} filters - 篩選條件
+ * @param {string} search - 目前的查詢字串（例如 window.location.search）
+ * @returns {string} 新的查詢字串（不含 ?）
+ */
+export const filtersToSearch = (filters, search = '') => {
+    const params = new URLSearchParams(search);
+    Object.entries(URL_PARAMS).forEach(([key, param]) => {
+        params.delete(param);
+        if (isSet(key, filters[key])) {
+            params.set(param, BOOLEAN_FILTERS.includes(key) ? '1' : String(filters[key]));
+        }
+    });
+    return params.toString();
+};
+
+/**
+ * 由查詢字串讀回篩選條件；不認得的值一律忽略
+ * @param {string} search - 查詢字串
+ * @returns {Object} 篩選條件
+ */
+export const filtersFromSearch = (search = '') => {
+    const params = new URLSearchParams(search);
+    const filters = { ...EMPTY_FILTERS };
+    Object.entries(URL_PARAMS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value === null) return;
+        if (BOOLEAN_FILTERS.includes(key)) {
+            filters[key] = value === '1';
+        } else if (key === 'recordedBy') {
+            filters[key] = Object.values(RECORDED_BY_OPTIONS).includes(value) ? value : RECORDED_BY_OPTIONS.ANY;
+        } else {
+            filters[key] = value;
+        }
+    });
+    return filters;
+};
+
+// 篩選日期為本地時間的整天
+const startOfDay = (date) => new Date(`${date}T00:00:00`).getTime();
+const endOfDay = (date) => new Date(`${date}T23:59:59.999`).getTime();
+
+/**
+ * 篩選日期對應的時間範圍（毫秒），供 Firestore 以 timestamp 範圍查詢
+ * @param {Object} filters - 篩選條件
+ * @returns {{from: number|null, to: number|null}} 時間範圍
+ */
+export const getDateRange = (filters) => ({
+    from: filters.dateFrom ? startOfDay(filters.dateFrom) : null,
+    to: filters.dateTo ? endOfDay(filters.dateTo) : null
+});
+
+const toMillis = (timestamp) => {
+    if (!timestamp) return null;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? null : time;
+};
+
+/**
+ * 價格記錄是否符合篩選條件（條碼條件不在此比對）
+ * @param {Object} record - 價格記錄
+ * @param {Object} filters - 篩選條件
+ * @param {Object} context - 比對所需的資訊
+ * @param {string} context.userId - 目前使用者 ID（「我/其他裝置」條件使用）
+ * @returns {boolean} 是否符合
+ */
+export const matchesRecordFilters = (record, filters, { userId } = {}) => {
+    const storeName = (record.storeName || '').trim();
+    if (filters.store && storeName !== filters.store.trim()) return false;
+    if (filters.chain && getChainName(storeName) !== filters.chain.trim()) return false;
+
+    const { from, to } = getDateRange(filters);
+    const time = toMillis(record.timestamp);
+    if ((from !== null || to !== null) && time === null) return false;
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+
+    if (filters.unitType && record.unitType !== filters.unitType) return false;
+
+    const minPrice = parseFloat(filters.minPrice);
+    const maxPrice = parseFloat(filters.maxPrice);
+    if (!isNaN(minPrice) && !(record.price >= minPrice)) return false;
+    if (!isNaN(maxPrice) && !(record.price <= maxPrice)) return false;
+
+    if (filters.hasDiscount && !record.promotion && !record.specialPrice && !(record.discountDetails || '').trim()) return false;
+    if (filters.anomalyOnly && !record.anomalyFlag?.flagged) return false;
+
+    if (filters.recordedBy === RECORDED_BY_OPTIONS.ME && record.recordedBy !== userId) return false;
+    if (filters.recordedBy === RECORDED_BY_OPTIONS.OTHERS && (!record.recordedBy || record.recordedBy === userId)) return false;
+
+    return true;
+};
+
+/**
+ * 產品是否符合條碼條件（部分比對條碼或 GTIN-14；完整條碼以正規化後的 GTIN-14 比對，UPC-E 等寫法也能找到）
+ * @param {Object} product - 產品
+ * @param {Object} filters - 篩選條件
+ * @returns {boolean} 是否符合
+ */
+export const matchesProductFilters = (product, filters) => {
+    const digits = (filters.barcode || '').replace(/\D/g, '');
+    if (!digits) return true;
+    const gtin14 = getBarcodeProductId(digits);
+    if (gtin14 && [product.id, product.gtin14, getBarcodeProductId(product.barcodeData)].includes(gtin14)) {
+        return true;
+    }
+    return [product.barcodeData, product.gtin14, product.numericalID]
+        .some(value => value != null && String(value).includes(digits));
+};
+
+const readViews = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error(`讀取 ${SAVED_VIEWS_KEY} 失敗:`, error);
+        return [];
+    }
+};
+
+/**
+ * 讀取已儲存的檢視
+ * @returns {Array<{id: string, name: string, filters: Object, sortOption: string, createdAt: number}>} 檢視（新到舊）
+ */
+export const loadSavedViews = () => readViews().map(view => ({ ...view, filters: { ...EMPTY_FILTERS, ...view.filters } }));
+
+/**
+ * 儲存檢視；同名的檢視會被取代
+ * @param {string} name - 檢視名稱
+ * @param {Object} filters - 篩選條件
+ * @param {string} sortOption - 排序方式
+ * @returns {Array<Object>} 更新後的檢視
+ */
+export const saveView = (name, filters, sortOption) => {
+    const trimmed = name.trim();
+    const views = readViews().filter(view => view.name !== trimmed);
+    views.unshift({ id: `${Date.now()}`, name: trimmed, filters, sortOption, createdAt: Date.now() });
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+    return loadSavedViews();
+};
+
+/**
+ * 刪除檢視
+ * @param {string} viewId - 檢視 ID
+ * @returns {Array<Object>} 更新後的檢視
+ */
+export const deleteView = (viewId) => {
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(readViews().filter(view => view.id !== viewId)));
+    return loadSavedViews();
+};
@@ -0,0 +1,116 @@
+/**
+ * 所有記錄頁篩選條件的測試檔案
+ */
+
+import { Timestamp } from 'firebase/firestore';
+import {
+    EMPTY_FILTERS,
+    RECORDED_BY_OPTIONS,
+    countActiveFilters,
+    hasRecordFilters,
+    filtersToSearch,
+    filtersFromSearch,
+    matchesRecordFilters,
+    matchesProductFilters,
+    loadSavedViews,
+    saveView,
+    deleteView
+} from './recordFilters';
+
+const record = (overrides = {}) => ({
+    storeName: '全聯 中山店',
+    price: 59,
+    unitType: 'ml',
+    timestamp: Timestamp.fromDate(new Date(2025, 2, 15, 12, 0)),
+    recordedBy: 'user-a',
+    ...overrides
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('filtersToSearch / filtersFromSearch', () => {
+    it('篩選條件寫入網址後可完整讀回，且保留其他參數', () => {
+        const filters = { ...EMPTY_FILTERS, chain: '全聯', dateFrom: '2025-03-01', minPrice: '10', anomalyOnly: true, recordedBy: RECORDED_BY_OPTIONS.OTHERS };
+        const search = filtersToSearch(filters, '?debug=1&from=2024-01-01');
+        const params = new URLSearchParams(search);
+        expect(params.get('debug')).toBe('1');
+        expect(params.get('from')).toBe('2025-03-01');
+        expect(params.has('discount')).toBe(false);
+        expect(filtersFromSearch(search)).toEqual(filters);
+    });
+
+    it('清空條件時移除篩選參數，不認得的記錄者值忽略', () => {
+        expect(filtersToSearch(EMPTY_FILTERS, '?store=A&debug=1')).toBe('debug=1');
+        expect(filtersFromSearch('?by=someone').recordedBy).toBe(RECORDED_BY_OPTIONS.ANY);
+    });
+});
+
+describe('countActiveFilters / hasRecordFilters', () => {
+    it('只有條碼條件時不需要讀取價格記錄', () => {
+        const filters = { ...EMPTY_FILTERS, barcode: '4710' };
+        expect(countActiveFilters(filters)).toBe(1);
+        expect(hasRecordFilters(filters)).toBe(false);
+        expect(hasRecordFilters({ ...filters, hasDiscount: true })).toBe(true);
+    });
+});
+
+describe('matchesRecordFilters', () => {
+    it('商店、連鎖與單位需完全符合', () => {
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, chain: '全聯', unitType: 'ml' })).toBe(true);
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, store: '全聯' })).toBe(false);
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, unitType: 'g' })).toBe(false);
+    });
+
+    it('日期範圍包含起訖當天，沒有時間的記錄不符合', () => {
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, dateFrom: '2025-03-15', dateTo: '2025-03-15' })).toBe(true);
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, dateFrom: '2025-03-16' })).toBe(false);
+        expect(matchesRecordFilters(record({ timestamp: null }), { ...EMPTY_FILTERS, dateTo: '2025-03-16' })).toBe(false);
+    });
+
+    it('價格範圍、優惠與異常條件', () => {
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, minPrice: '50', maxPrice: '59' })).toBe(true);
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, maxPrice: '58.5' })).toBe(false);
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, hasDiscount: true })).toBe(false);
+        expect(matchesRecordFilters(record({ discountDetails: '第二件6折' }), { ...EMPTY_FILTERS, hasDiscount: true })).toBe(true);
+        expect(matchesRecordFilters(record({ anomalyFlag: { flagged: true } }), { ...EMPTY_FILTERS, anomalyOnly: true })).toBe(true);
+        expect(matchesRecordFilters(record(), { ...EMPTY_FILTERS, anomalyOnly: true })).toBe(false);
+    });
+
+    it('記錄者區分自己與其他裝置', () => {
+        const mine = { ...EMPTY_FILTERS, recordedBy: RECORDED_BY_OPTIONS.ME };
+        const others = { ...EMPTY_FILTERS, recordedBy: RECORDED_BY_OPTIONS.OTHERS };
+        expect(matchesRecordFilters(record(), mine, { userId: 'user-a' })).toBe(true);
+        expect(matchesRecordFilters(record(), others, { userId: 'user-a' })).toBe(false);
+        expect(matchesRecordFilters(record(), others, { userId: 'user-b' })).toBe(true);
+    });
+});
+
+describe('matchesProductFilters', () => {
+    it('部分比對條碼或 GTIN-14，忽略非數字字元', () => {
+        const product = { barcodeData: '4710088412345', gtin14: '04710088412345', numericalID: '123' };
+        expect(matchesProductFilters(product, { ...EMPTY_FILTERS, barcode: '4710-088' })).toBe(true);
+        expect(matchesProductFilters(product, { ...EMPTY_FILTERS, barcode: '999' })).toBe(false);
+        expect(matchesProductFilters(product, EMPTY_FILTERS)).toBe(true);
+    });
+
+    it('完整條碼以 GTIN-14 比對，舊產品比對產品上的條碼', () => {
+        const upcProduct = { id: '00042100005264', gtin14: '00042100005264', barcodeData: '042100005264', numericalID: '00042100005264' };
+        expect(matchesProductFilters(upcProduct, { ...EMPTY_FILTERS, barcode: '04252614' })).toBe(true);
+        const legacyProduct = { id: '1234567', barcodeData: '04710088412348', numericalID: 1234567 };
+        expect(matchesProductFilters(legacyProduct, { ...EMPTY_FILTERS, barcode: '4710088412348' })).toBe(true);
+    });
+});
+
+describe('saved views', () => {
+    it('同名的檢視會被取代，可刪除', () => {
+        saveView('全聯異常', { ...EMPTY_FILTERS, chain: '全聯' }, 'latest');
+        const views = saveView(' 全聯異常 ', { ...EMPTY_FILTERS, chain: '全聯', anomalyOnly: true }, 'unitPrice');
+        expect(views).toHaveLength(1);
+        expect(views[0].filters.anomalyOnly).toBe(true);
+        expect(views[0].sortOption).toBe('unitPrice');
+        expect(deleteView(views[0].id)).toEqual([]);
+        expect(loadSavedViews()).toEqual([]);
+    });
+});
@@ -0,0 +1,120 @@
+// 所有記錄頁的本機快取
+// 已載入的產品頁與展開過的價格記錄保存在 localStorage，再次進入頁面時先顯示快取，
+// 之後只訂閱上次同步後彙總值有更新的產品（見 liveQueries.subscribeProductChanges）。
+// 快取中的 Firestore Timestamp 以 { seconds, nanoseconds } 保存，讀回時還原，分頁游標與寫回的修正歷史才會維持原型別。
+import { Timestamp } from 'firebase/firestore';
+
+export const RECORDS_CACHE_KEY = 'allRecordsCache';
+const CACHE_VERSION = 1;
+
+// 超過此時間未同步就整份重新載入，順便淘汰其他裝置已刪除的資料
+export const MAX_CACHE_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// 彙總時間由伺服器寫入，同步時間則取自本機時鐘；往前多讀一段時間涵蓋兩者的誤差
+export const SYNC_OVERLAP = 10 * 60 * 1000;
+
+const TIMESTAMP_TAG = '__timestamp';
+
+const toMillis = (timestamp) => {
+    if (!timestamp) return 0;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? 0 : time;
+};
+
+// 遞迴把 Timestamp 換成可序列化的物件
+const serializeValue = (value) => {
+    if (value instanceof Timestamp) {
+        return { [TIMESTAMP_TAG]: [value.seconds, value.nanoseconds] };
+    }
+    if (Array.isArray(value)) {
+        return value.map(serializeValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeValue(item)]));
+    }
+    return value;
+};
+
+const reviveValue = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(reviveValue);
+    }
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value[TIMESTAMP_TAG])) {
+            return new Timestamp(...value[TIMESTAMP_TAG]);
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveValue(item)]));
+    }
+    return value;
+};
+
+/**
+ * 讀取快取；格式不符或過期時回傳 null
+ * @returns {{products: Array<Object>, records: Object, hasMore: boolean, syncedAt: number}|null} 快取內容，records 以產品 ID 分組
+ */
+export const loadRecordsCache = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RECORDS_CACHE_KEY));
+        if (!saved || saved.version !== CACHE_VERSION || Date.now() - saved.syncedAt > MAX_CACHE_AGE) {
+            return null;
+        }
+        return {
+            products: reviveValue(saved.products || []),
+            records: reviveValue(saved.records || {}),
+            hasMore: saved.hasMore !== false,
+            syncedAt: saved.syncedAt
+        };
+    } catch (error) {
+        console.error(`讀取 ${RECORDS_CACHE_KEY} 失敗:`, error);
+        return null;
+    }
+};
+
+/**
+ * 保存快取；空間不足時只保留產品列表，價格記錄之後再展開讀取
+ * @param {Object} cache - { products, records, hasMore, syncedAt }
+ */
+export const saveRecordsCache = ({ products, records, hasMore, syncedAt }) => {
+    const entry = { version: CACHE_VERSION, products: serializeValue(products), records: serializeValue(records), hasMore, syncedAt };
+    try {
+        localStorage.setItem(RECORDS_CACHE_KEY, JSON.stringify(entry));
+    } catch (error) {
+        console.warn(`寫入 ${RECORDS_CACHE_KEY} 失敗，改為只保存產品列表:`, error);
+        try {
+            localStorage.setItem(RECORDS_CACHE_KEY, JSON.stringify({ ...entry, records: {} }));
+        } catch (retryError) {
+            localStorage.removeItem(RECORDS_CACHE_KEY);
+        }
+    }
+};
+
+export const clearRecordsCache = () => {
+    localStorage.removeItem(RECORDS_CACHE_KEY);
+};
+
+/**
+ * 計算增量訂閱的基準時間
+ * @param {number} syncedAt - 上次同步時間（毫秒）
+ * @returns {Timestamp} 基準時間
+ */
+export const getSyncBaseline = (syncedAt) => Timestamp.fromMillis(Math.max(0, syncedAt - SYNC_OVERLAP));
+
+/**
+ * 合併更新過的產品，維持 createdAt 由新到舊
+ * 還有下一頁時，比最後一個已載入產品更舊的產品留待捲動時載入，避免分頁游標跳過中間的產品
+ * @param {Array<Object>} products - 已載入的產品
+ * @param {Array<Object>} updates - 新增或更新的產品
+ * @param {boolean} hasMore - 是否還有下一頁
+ * @returns {Array<Object>} 合併後的產品
+ */
+export const mergeProducts = (products, updates, hasMore) => {
+    const oldest = products.length > 0 ? toMillis(products[products.length - 1].createdAt) : null;
+    const byId = new Map(products.map(product => [product.id, product]));
+    updates.forEach(product => {
+        if (byId.has(product.id) || !hasMore || oldest === null || toMillis(product.createdAt) >= oldest) {
+            byId.set(product.id, product);
+        }
+    });
+    return [...byId.values()].sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+};
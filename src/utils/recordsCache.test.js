@@ -0,0 +1,50 @@
+/**
+ * 所有記錄頁本機快取的測試檔案
+ */
+
+import { Timestamp } from 'firebase/firestore';
+import { loadRecordsCache, saveRecordsCache, mergeProducts, RECORDS_CACHE_KEY, MAX_CACHE_AGE } from './recordsCache';
+
+const product = (id, createdAtMs) => ({ id, numericalID: id, createdAt: Timestamp.fromMillis(createdAtMs) });
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('loadRecordsCache / saveRecordsCache', () => {
+    it('Timestamp 存入後還原為原型別（含巢狀的修正歷史）', () => {
+        const createdAt = new Timestamp(1700000000, 123456789);
+        const correctedAt = Timestamp.fromMillis(1700000500000);
+        saveRecordsCache({
+            products: [{ id: 'a', createdAt }],
+            records: { a: [{ id: 'r1', numericalID: 'a', correctionHistory: [{ correctedAt }] }] },
+            hasMore: true,
+            syncedAt: Date.now()
+        });
+        const cache = loadRecordsCache();
+        expect(cache.products[0].createdAt).toBeInstanceOf(Timestamp);
+        expect(cache.products[0].createdAt.isEqual(createdAt)).toBe(true);
+        expect(cache.records.a[0].correctionHistory[0].correctedAt.isEqual(correctedAt)).toBe(true);
+        expect(cache.hasMore).toBe(true);
+    });
+
+    it('過期的快取視為不存在', () => {
+        saveRecordsCache({ products: [], records: {}, hasMore: false, syncedAt: Date.now() - MAX_CACHE_AGE - 1 });
+        expect(loadRecordsCache()).toBeNull();
+        localStorage.setItem(RECORDS_CACHE_KEY, '{not json');
+        expect(loadRecordsCache()).toBeNull();
+    });
+});
+
+describe('mergeProducts', () => {
+    it('更新既有產品、加入新產品並維持 createdAt 由新到舊', () => {
+        const merged = mergeProducts([product('b', 200), product('a', 100)], [{ ...product('a', 100), latestPrice: 30 }, product('c', 300)], false);
+        expect(merged.map(p => p.id)).toEqual(['c', 'b', 'a']);
+        expect(merged[2].latestPrice).toBe(30);
+    });
+
+    it('還有下一頁時不加入比已載入範圍更舊的產品', () => {
+        const merged = mergeProducts([product('b', 200), product('a', 100)], [product('old', 50)], true);
+        expect(merged.map(p => p.id)).toEqual(['b', 'a']);
+    });
+});
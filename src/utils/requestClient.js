@@ -0,0 +1,170 @@
+// 共用的 HTTP 請求工具
+// - 可由呼叫端以 AbortSignal 取消（例如拍攝視窗的「取消分析」）
+// - 只在網路錯誤與可重試的狀態碼時重試，400、401、413、JSON 解析失敗等直接回報
+// - 重試間隔為指數退避加上隨機抖動（full jitter），避免多張卡片同時重試
+// - 整體期限（deadline）涵蓋所有重試與等待時間，逾時即中止
+
+// 可重試的狀態碼；429 只在 Retry-After 能在期限內等到時才重試
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULT_OPTIONS = {
+    retries: 3,
+    baseDelay: 500,
+    maxDelay: 8000,
+    deadline: 60000
+};
+
+export class RequestError extends Error {
+    /**
+     * @param {string} message - 錯誤訊息
+     * @param {Object} details - 錯誤細節
+     * @param {number|null} details.status - HTTP 狀態碼（網路錯誤或逾時為 null）
+     * @param {boolean} details.retryable - 是否值得重試
+     * @param {string|null} details.code - 'aborted'、'deadline'、'network'、'parse' 或 null
+     * @param {Object|null} details.body - 伺服器回傳的錯誤內容
+     */
+    constructor(message, { status = null, retryable = false, code = null, body = null } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+        this.retryable = retryable;
+        this.code = code;
+        this.body = body;
+    }
+}
+
+/**
+ * 判斷錯誤是否為使用者取消
+ * @param {Error} error - 錯誤
+ * @returns {boolean} 是否為取消
+ */
+export const isAbortError = (error) => error?.code === 'aborted' || error?.name === 'AbortError';
+
+// 第 attempt 次重試前的等待時間（0 到指數上限之間的隨機值）
+const getBackoffDelay = (attempt, baseDelay, maxDelay) => Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+
+// 可被中止的等待；中止時以 rejection 結束，由呼叫端換成中止原因
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal.aborted) {
+        reject();
+        return;
+    }
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject();
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const parseRetryAfter = (response) => {
+    const seconds = parseInt(response.headers?.get?.('Retry-After'), 10);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+const toRequestError = async (response) => {
+    const body = await response.json().catch(() => null);
+    const message = body?.error?.message || body?.error || `HTTP ${response.status}`;
+    return new RequestError(message, {
+        status: response.status,
+        retryable: RETRYABLE_STATUSES.includes(response.status),
+        body
+    });
+};
+
+/**
+ * 發送請求並解析 JSON 回應
+ * @param {string} url - 請求網址
+ * @param {Object} options - 選項
+ * @param {string} [options.method] - HTTP 方法
+ * @param {Object} [options.headers] - 標頭
+ * @param {Function} [options.getHeaders] - 每次嘗試前取得額外標頭（例如會過期的 ID Token）
+ * @param {Object} [options.body] - 會以 JSON 送出的內容
+ * @param {AbortSignal} [options.signal] - 呼叫端的取消訊號
+ * @param {number} [options.retries] - 最多重試次數（不含第一次）
+ * @param {number} [options.baseDelay] - 退避的基準毫秒數
+ * @param {number} [options.maxDelay] - 單次等待的上限毫秒數
+ * @param {number} [options.deadline] - 包含所有重試的整體期限毫秒數
+ * @returns {Promise<Object>} 解析後的 JSON
+ * @throws {RequestError} 請求失敗、被取消或逾時
+ */
+export const requestJson = async (url, options = {}) => {
+    const { method = 'GET', headers = {}, getHeaders, body, signal, retries, baseDelay, maxDelay, deadline } = { ...DEFAULT_OPTIONS, ...options };
+
+    // 呼叫端取消與整體期限共用同一個 AbortController；中止原因另外保存，不依賴 signal.reason
+    const controller = new AbortController();
+    let abortReason = null;
+    const abortWith = (reason) => {
+        if (!abortReason) {
+            abortReason = reason;
+            controller.abort();
+        }
+    };
+    const abortFromCaller = () => abortWith(new RequestError('已取消請求', { code: 'aborted' }));
+    if (signal?.aborted) {
+        abortFromCaller();
+    } else {
+        signal?.addEventListener('abort', abortFromCaller, { once: true });
+    }
+    const deadlineAt = Date.now() + deadline;
+    const deadlineTimer = setTimeout(() => abortWith(new RequestError('請求逾時，請稍後再試', { code: 'deadline' })), deadline);
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                const response = await fetch(url, {
+                    method,
+                    headers: {
+                        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                        ...headers,
+                        ...(getHeaders ? await getHeaders() : {})
+                    },
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+                if (response.ok) {
+                    try {
+                        return await response.json();
+                    } catch (parseError) {
+                        throw new RequestError('伺服器回應格式錯誤', { status: response.status, code: 'parse' });
+                    }
+                }
+                error = await toRequestError(response);
+                if (response.status === 429) {
+                    // 額度類的 429 通常要等很久，等不到就直接回報
+                    const retryAfter = parseRetryAfter(response);
+                    error.retryable = retryAfter !== null && Date.now() + retryAfter < deadlineAt;
+                    error.retryAfter = retryAfter;
+                }
+            } catch (caught) {
+                if (abortReason) {
+                    throw abortReason;
+                }
+                // fetch 本身失敗（離線、連線中斷）可重試；其他錯誤照原樣回報
+                error = caught instanceof RequestError
+                    ? caught
+                    : caught instanceof TypeError
+                        ? new RequestError(`網路連線失敗：${caught.message}`, { retryable: true, code: 'network' })
+                        : caught;
+            }
+
+            if (!error.retryable || attempt >= retries) {
+                throw error;
+            }
+            const delay = Math.max(error.retryAfter || 0, getBackoffDelay(attempt, baseDelay, maxDelay));
+            console.warn(`Request failed (attempt ${attempt + 1}/${retries + 1}), retrying in ${Math.round(delay)}ms:`, error.message);
+            try {
+                await sleep(delay, controller.signal);
+            } catch (sleepError) {
+                throw abortReason;
+            }
+        }
+    } finally {
+        clearTimeout(deadlineTimer);
+        signal?.removeEventListener('abort', abortFromCaller);
+    }
+};
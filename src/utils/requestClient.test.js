@@ -0,0 +1,92 @@
+/**
+ * 共用請求工具的測試檔案：重試條件、取消與整體期限
+ */
+
+import { requestJson, isAbortError } from './requestClient';
+
+const jsonResponse = (status, body, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body
+});
+
+// 依序回傳指定的回應；Error 會以 reject 回傳
+const mockFetchSequence = (...responses) => {
+    global.fetch = jest.fn(() => {
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+    });
+};
+
+const FAST = { baseDelay: 1, maxDelay: 2 };
+
+// 測試會替換 global.fetch，結束後還原，避免影響同一環境中的其他測試
+const originalFetch = global.fetch;
+
+// 每次重試都會印出警告，攔截後由測試確認
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.warn.mockRestore();
+    global.fetch = originalFetch;
+});
+
+describe('requestJson', () => {
+    it('可重試的狀態碼與網路錯誤會重試', async () => {
+        mockFetchSequence(jsonResponse(503, { error: '忙碌' }), new TypeError('Failed to fetch'), jsonResponse(200, { ok: true }));
+        await expect(requestJson('/api', FAST)).resolves.toEqual({ ok: true });
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+        expect(console.warn).toHaveBeenLastCalledWith(expect.stringContaining('attempt 2/'), '網路連線失敗：Failed to fetch');
+    });
+
+    it('400 與 413 不重試並回報伺服器訊息', async () => {
+        mockFetchSequence(jsonResponse(400, { error: 'Missing required fields' }));
+        await expect(requestJson('/api', FAST)).rejects.toMatchObject({ status: 400, message: 'Missing required fields' });
+        mockFetchSequence(jsonResponse(413, { error: '影像過大' }));
+        await expect(requestJson('/api', FAST)).rejects.toMatchObject({ status: 413 });
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('JSON 解析失敗不重試', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token')) }));
+        await expect(requestJson('/api', FAST)).rejects.toMatchObject({ code: 'parse' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('429 的 Retry-After 超過期限時不重試', async () => {
+        mockFetchSequence(jsonResponse(429, { error: '今日額度已用完' }, { 'Retry-After': '3600' }));
+        await expect(requestJson('/api', { ...FAST, deadline: 1000 })).rejects.toMatchObject({ status: 429, message: '今日額度已用完' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('用完重試次數後回報最後的錯誤', async () => {
+        mockFetchSequence(jsonResponse(502, { error: 'Bad Gateway' }));
+        await expect(requestJson('/api', { ...FAST, retries: 2 })).rejects.toMatchObject({ status: 502 });
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+        expect(console.warn).toHaveBeenLastCalledWith(expect.stringContaining('attempt 2/3'), 'Bad Gateway');
+    });
+
+    it('呼叫端可以取消請求', async () => {
+        global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+        const controller = new AbortController();
+        const request = requestJson('/api', { ...FAST, signal: controller.signal });
+        controller.abort();
+        const error = await request.catch(caught => caught);
+        expect(isAbortError(error)).toBe(true);
+    });
+
+    it('超過整體期限時中止', async () => {
+        global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+        await expect(requestJson('/api', { ...FAST, deadline: 20 })).rejects.toMatchObject({ code: 'deadline' });
+    });
+});
@@ -0,0 +1,203 @@
+// 最小的 XLSX 產生器
+// XLSX 是包含數個 XML 檔的 ZIP；這裡只輸出單一工作表，ZIP 以不壓縮（stored）方式寫入，
+// 不需要額外的套件。字串以 inline string 寫入，日期轉為 Excel 序列值並套用內建的日期時間格式。
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * 計算 CRC-32（ZIP 使用的檢查碼）
+ * @param {Uint8Array} bytes - 資料
+ * @returns {number} 無號 32 位元檢查碼
+ */
+export const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * 把檔案打包為不壓縮的 ZIP
+ * @param {Array<{name: string, content: string}>} files - 檔名與 UTF-8 內容
+ * @returns {Uint8Array} ZIP 內容
+ */
+export const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // 本地檔頭簽章
+        local.setUint16(4, 20, true); // 解壓所需版本
+        local.setUint16(6, 0x0800, true); // 檔名為 UTF-8
+        local.setUint16(8, 0, true); // 不壓縮
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // 中央目錄簽章
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // 中央目錄結尾簽章
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+};
+
+// XML 1.0 不允許 Tab、換行與歸位以外的控制字元，寫入前移除
+const isAllowedXmlChar = (char) => {
+    const code = char.charCodeAt(0);
+    return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+};
+
+const escapeXml = (value) => Array.from(String(value)).filter(isAllowedXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A、B、…、Z、AA、AB…
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+// Excel 日期序列值以本地時間計算（1899-12-30 為 0）
+const toExcelDate = (date) => (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+
+const DATE_STYLE = 1;
+
+const renderCell = (value, ref) => {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? '' : `<c r="${ref}" s="${DATE_STYLE}"><v>${toExcelDate(value)}</v></c>`;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const renderSheet = (headers, rows) => {
+    const sheetRows = [headers, ...rows].map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => renderCell(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows}</sheetData></worksheet>`;
+};
+
+/**
+ * 產生單一工作表的 XLSX
+ * @param {Array<string>} headers - 標題列
+ * @param {Array<Array<string|number|Date|null>>} rows - 資料列
+ * @param {string} sheetName - 工作表名稱
+ * @returns {Uint8Array} XLSX 檔案內容（MIME 類型見 XLSX_MIME_TYPE）
+ */
+export const createXlsx = (headers, rows, sheetName = 'Sheet1') => {
+    // 工作表名稱最多 31 字且不可包含 []:*?/\
+    const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            // 第 2 個儲存格格式使用內建格式 22（日期與時間）
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+                + '</styleSheet>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: renderSheet(headers, rows) }
+    ];
+    return createZip(files);
+};